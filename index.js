@@ -1,24 +1,105 @@
 #!/usr/bin/env node
 
+import { parseArgs } from "node:util";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
   CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { DocumentationService } from "./lib/documentation-service.js";
 import { NpmService } from "./lib/npm-service.js";
 import { PackageManagerDetector } from "./lib/package-manager-detector.js";
+import { ApiSnapshotStore } from "./lib/api-snapshots.js";
+import { diffApiVersions } from "./lib/api-diff.js";
+import { VersionedDocs } from "./lib/versioned-docs.js";
+import { startHttpServer } from "./lib/http-transport.js";
+import { OfflineError, resolveOfflineOptions } from "./lib/offline-data.js";
+import { QueryParseError } from "./lib/query-parser.js";
+import { loadConfig, applyLoadedConfig } from "./lib/config-loader.js";
+import { SEARCH_CONFIG } from "./lib/config.js";
+import { isCliCommand, runCli } from "./lib/cli.js";
 import {
+  RESOURCE_TEMPLATES,
+  listDocumentationResources,
+  readDocumentationResource,
+} from "./lib/resources.js";
+import { PROMPTS, getPrompt } from "./lib/prompts.js";
+import {
+  OUTPUT_SCHEMAS,
+  structureSearchResults,
+  structureApiReference,
+  structureModuleExports,
+  structureImportPaths,
+  structureApiUsages,
+  structureBestPractices,
+  structureVersionInfo,
+  structureApiDiff,
+  structurePackageInfo,
+  structureVersionComparison,
+  structureDetectionResult,
+} from "./lib/structured-output.js";
+import {
+  formatNoSearchResults,
+  formatRejectedResults,
   formatSearchResults,
   formatApiReference,
+  formatNoApiReference,
+  formatModuleExports,
+  formatImportPaths,
+  formatApiUsages,
   formatBestPractices,
   formatVersionInfo,
+  formatApiDiff,
+  formatNpmPackageInfo,
+  formatNpmVersionComparison,
+  formatSnapshotInfo,
+  formatVersionScope,
 } from "./lib/formatters.js";
 
+// Inputs shared by the doc tools to answer for a given Ember version (see versioned-docs.js)
+const EMBER_VERSION_INPUTS = {
+  emberVersion: {
+    type: "string",
+    description:
+      "Ember version to answer for (e.g., '4.12' for its latest patch release, or '4.12.3'); API documentation and links are for that version (optional, defaults to the current release)",
+  },
+  workspacePath: {
+    type: "string",
+    description:
+      "Path to an Ember app or addon whose ember-source version to answer for, when emberVersion is not given (optional)",
+  },
+};
+
 class EmberDocsServer {
-  constructor() {
-    this.server = new Server(
+  /**
+   * @param {Object} [options] - Server options
+   * @param {boolean} [options.offline=false] - Serve only bundled/cached data and never contact the network
+   * @param {string|null} [options.docsPath] - Load documentation from this llms-full.txt file
+   */
+  constructor({ offline = false, docsPath = null } = {}) {
+    // Services are shared by every MCP session so documentation is only loaded once
+    this.docService = new DocumentationService({ offline, docsPath });
+    this.npmService = new NpmService({ offline });
+    this.apiSnapshots = new ApiSnapshotStore({ offline });
+    this.versionedDocs = new VersionedDocs({ docService: this.docService, apiSnapshots: this.apiSnapshots });
+    this.packageManagerDetector = new PackageManagerDetector();
+  }
+
+  /**
+   * Create a new MCP server instance wired to the shared services.
+   * Stdio mode uses a single instance; HTTP mode creates one per session.
+   * @returns {Server} Configured MCP server
+   */
+  createServer() {
+    const server = new Server(
       {
         name: "ember-mcp",
         version: "1.0.0",
@@ -26,30 +107,86 @@ class EmberDocsServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    this.docService = new DocumentationService();
-    this.npmService = new NpmService();
-    this.packageManagerDetector = new PackageManagerDetector();
-    this.setupHandlers();
-    this.setupErrorHandling();
-  }
-
-  setupErrorHandling() {
-    this.server.onerror = (error) => {
+    server.onerror = (error) => {
       console.error("[MCP Error]", error);
     };
 
+    this.setupHandlers(server);
+    return server;
+  }
+
+  setupShutdown(close) {
     process.on("SIGINT", async () => {
-      await this.server.close();
+      await close();
       process.exit(0);
     });
   }
 
-  setupHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  setupHandlers(server) {
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: PROMPTS,
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+
+      let prompt;
+      try {
+        prompt = await getPrompt(name, args, (tool, toolArgs) => this.callTool(tool, toolArgs));
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+      }
+
+      return prompt;
+    });
+  }
+
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      await this.docService.ensureLoaded();
+
+      try {
+        return listDocumentationResources(this.docService, request.params?.cursor);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES,
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      await this.docService.ensureLoaded();
+
+      const contents = await readDocumentationResource(this.docService, uri);
+      if (!contents) {
+        throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+      }
+
+      return { contents: [contents] };
+    });
+  }
+
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
         {
           name: "search_ember_docs",
@@ -61,7 +198,7 @@ class EmberDocsServer {
               query: {
                 type: "string",
                 description:
-                  "Search query (e.g., 'component lifecycle', 'tracked properties', 'routing')",
+                  "Search query (e.g., 'component lifecycle', 'tracked properties', 'routing'). Supports \"exact phrase\", -exclude, and title:, module:, type: and section: filters (e.g., 'transitionTo module:@ember/routing type:class')",
               },
               category: {
                 type: "string",
@@ -71,33 +208,144 @@ class EmberDocsServer {
               },
               limit: {
                 type: "number",
-                description: "Maximum number of results (default: 5)",
-                default: 5,
+                description: `Maximum number of results (default: ${SEARCH_CONFIG.DEFAULT_LIMIT})`,
+                default: SEARCH_CONFIG.DEFAULT_LIMIT,
+              },
+              explain: {
+                type: "boolean",
+                description:
+                  "Include each result's score breakdown (exact phrase, title, headings, term frequency, all-terms and proximity) and the best documents left out by the MIN_SCORE gates, for tuning search relevance (default: false)",
+                default: false,
               },
+              ...EMBER_VERSION_INPUTS,
             },
             required: ["query"],
           },
+          outputSchema: OUTPUT_SCHEMAS.search_ember_docs,
         },
         {
           name: "get_api_reference",
           description:
-            "Get detailed API reference documentation for a specific Ember class, module, or method. Returns full API documentation including parameters, return values, examples, and links to official API docs.",
+            "Get detailed API reference documentation for a specific Ember class, module, or method. Returns full API documentation including TypeScript signatures, parameters, return values, examples, the guides that use it, and links to official API docs.",
           inputSchema: {
             type: "object",
             properties: {
               name: {
                 type: "string",
                 description:
-                  "Name of the API element (e.g., 'Component', '@glimmer/component', 'Service', 'Router')",
+                  "Name of the API element (e.g., 'Component', '@glimmer/component', 'Service', 'Router'), or a method or property as 'RouterService#transitionTo', 'RouterService.currentRouteName' or 'transitionTo'",
               },
               type: {
                 type: "string",
                 enum: ["class", "module", "method", "property"],
-                description: "Type of API element (optional)",
+                description: "Type of API element (optional); 'method' or 'property' looks up a single member",
+              },
+              includeInherited: {
+                type: "boolean",
+                description:
+                  "Include methods and properties inherited through the superclass chain and mixins, each marked with the class it comes from (default: true)",
+                default: true,
+              },
+              offset: {
+                type: "number",
+                description:
+                  "Methods and properties to skip in each list, for paging through large classes; use the next offset given at the end of the previous page (default: 0)",
+                default: 0,
+              },
+              limit: {
+                type: "number",
+                description: "Maximum methods and properties to list each (default: 10 methods and 10 properties)",
+              },
+              access: {
+                type: "string",
+                enum: ["public", "protected", "private"],
+                description: "Only list members with this access level (optional)",
+              },
+              kind: {
+                type: "string",
+                enum: ["method", "property"],
+                description: "Only list methods or only properties (optional)",
+              },
+              includeDeprecated: {
+                type: "boolean",
+                description: "List deprecated members (default: true)",
+                default: true,
               },
+              detail: {
+                type: "string",
+                enum: ["full", "signatures_only"],
+                description:
+                  "'full' documents each member; 'signatures_only' lists members as compact TypeScript signatures (default: full)",
+                default: "full",
+              },
+              ...EMBER_VERSION_INPUTS,
             },
             required: ["name"],
           },
+          outputSchema: OUTPUT_SCHEMAS.get_api_reference,
+        },
+        {
+          name: "get_module_exports",
+          description:
+            "List what can be imported from an Ember module (e.g. '@ember/object'): its default and named exports, with the exact import statement for each and the Ember.* global it replaced.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              module: {
+                type: "string",
+                description:
+                  "Module name (e.g., '@ember/object', '@ember/runloop', '@glimmer/tracking')",
+              },
+              ...EMBER_VERSION_INPUTS,
+            },
+            required: ["module"],
+          },
+          outputSchema: OUTPUT_SCHEMAS.get_module_exports,
+        },
+        {
+          name: "find_import_path",
+          description:
+            "Find which module exports a class, function or constant and return the exact import statement, e.g. 'htmlSafe' -> import { htmlSafe } from '@ember/template'. Says whether it is a default or named export and accepts legacy globals such as 'Ember.String.htmlSafe'. Use this before writing an import.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description:
+                  "Export name or legacy global (e.g., 'htmlSafe', 'Component', 'tracked', 'Ember.run.later')",
+              },
+              ...EMBER_VERSION_INPUTS,
+            },
+            required: ["name"],
+          },
+          outputSchema: OUTPUT_SCHEMAS.find_import_path,
+        },
+        {
+          name: "find_usages_in_docs",
+          description:
+            "Find where the guides and community articles use an Ember API in practice: the sections that import it, name it in inline code or use it in code examples, with links and the line that mentions it. Use this to find worked examples for a class, method, function or module.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description:
+                  "API name (e.g., 'RouterService', 'RouterService#transitionTo', 'htmlSafe', '@ember/routing')",
+              },
+              category: {
+                type: "string",
+                enum: ["all", "guides", "community"],
+                description: "Only list guide sections or community articles (default: all)",
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of sections to list (default: 10)",
+              },
+              ...EMBER_VERSION_INPUTS,
+            },
+            required: ["name"],
+          },
+          outputSchema: OUTPUT_SCHEMAS.find_usages_in_docs,
         },
         {
           name: "get_best_practices",
@@ -111,9 +359,11 @@ class EmberDocsServer {
                 description:
                   "Topic to get best practices for (e.g., 'component patterns', 'state management', 'testing', 'performance')",
               },
+              ...EMBER_VERSION_INPUTS,
             },
             required: ["topic"],
           },
+          outputSchema: OUTPUT_SCHEMAS.get_best_practices,
         },
         {
           name: "get_ember_version_info",
@@ -129,6 +379,31 @@ class EmberDocsServer {
               },
             },
           },
+          outputSchema: OUTPUT_SCHEMAS.get_ember_version_info,
+        },
+        {
+          name: "diff_api_versions",
+          description:
+            "List the public classes, methods and properties added, removed or deprecated between two Ember versions, with since annotations and links to the deprecation guides. Use it to plan an upgrade, e.g. from 4.12 to 5.8.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              from: {
+                type: "string",
+                description: "Version upgraded from (e.g., '4.12' for its latest patch release, or '4.12.3')",
+              },
+              to: {
+                type: "string",
+                description: "Version upgraded to (optional, defaults to the loaded documentation)",
+              },
+              limit: {
+                type: "number",
+                description: "Maximum entries listed per change in the text output (default: 50); structured output lists all",
+              },
+            },
+            required: ["from"],
+          },
+          outputSchema: OUTPUT_SCHEMAS.diff_api_versions,
         },
         {
           name: "get_npm_package_info",
@@ -145,6 +420,7 @@ class EmberDocsServer {
             },
             required: ["packageName"],
           },
+          outputSchema: OUTPUT_SCHEMAS.get_npm_package_info,
         },
         {
           name: "compare_npm_versions",
@@ -166,6 +442,7 @@ class EmberDocsServer {
             },
             required: ["packageName", "currentVersion"],
           },
+          outputSchema: OUTPUT_SCHEMAS.compare_npm_versions,
         },
         {
           name: "detect_package_manager",
@@ -182,139 +459,292 @@ class EmberDocsServer {
             },
             required: ["workspacePath"],
           },
+          outputSchema: OUTPUT_SCHEMAS.detect_package_manager,
         },
       ],
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      try {
-        const { name, arguments: args } = request.params;
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return await this.callTool(name, args);
+    });
+  }
 
-        // Ensure documentation is loaded
-        await this.docService.ensureLoaded();
+  /**
+   * Run a tool by name. Errors are returned as an `isError` result rather than thrown.
+   * @param {string} name - Tool name
+   * @param {Object} [args={}] - Tool arguments
+   * @returns {Promise<Object>} MCP tool result
+   */
+  async callTool(name, args = {}) {
+    try {
+      // Ensure documentation is loaded
+      await this.docService.ensureLoaded();
 
-        switch (name) {
-          case "search_ember_docs":
-            return await this.handleSearchDocs(args);
+      switch (name) {
+        case "search_ember_docs":
+          return await this.handleSearchDocs(args);
 
-          case "get_api_reference":
-            return await this.handleGetApiReference(args);
+        case "get_api_reference":
+          return await this.handleGetApiReference(args);
 
-          case "get_best_practices":
-            return await this.handleGetBestPractices(args);
+        case "get_module_exports":
+          return await this.handleGetModuleExports(args);
 
-          case "get_ember_version_info":
-            return await this.handleGetVersionInfo(args);
+        case "find_import_path":
+          return await this.handleFindImportPath(args);
 
-          case "get_npm_package_info":
-            return await this.handleGetNpmPackageInfo(args);
+        case "find_usages_in_docs":
+          return await this.handleFindUsagesInDocs(args);
 
-          case "compare_npm_versions":
-            return await this.handleCompareNpmVersions(args);
+        case "get_best_practices":
+          return await this.handleGetBestPractices(args);
 
-          case "detect_package_manager":
-            return await this.handleDetectPackageManager(args);
+        case "get_ember_version_info":
+          return await this.handleGetVersionInfo(args);
 
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        case "diff_api_versions":
+          return await this.handleDiffApiVersions(args);
+
+        case "get_npm_package_info":
+          return await this.handleGetNpmPackageInfo(args);
+
+        case "compare_npm_versions":
+          return await this.handleCompareNpmVersions(args);
+
+        case "detect_package_manager":
+          return await this.handleDetectPackageManager(args);
+
+        default:
+          throw new Error(`Unknown tool: ${name}`);
       }
-    });
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
   }
 
   async handleSearchDocs(args) {
-    const { query, category = "all", limit = 5 } = args;
-    const results = await this.docService.search(query, category, limit);
+    const { query, category = "all", limit = SEARCH_CONFIG.DEFAULT_LIMIT, explain = false } = args;
+    const { docService, emberVersion } = await this.versionedDocs.resolve(args);
 
-    if (results.length === 0) {
+    let results;
+    let explained = null;
+    try {
+      if (explain) {
+        ({ results, ...explained } = await docService.explainSearch(query, category, limit));
+      } else {
+        results = await docService.search(query, category, limit);
+      }
+    } catch (error) {
+      if (!(error instanceof QueryParseError)) throw error;
       return {
         content: [
           {
             type: "text",
-            text: `No results found for "${query}". Try different keywords or broader search terms.`,
+            text: `Invalid search query: ${error.message}`,
           },
         ],
+        isError: true,
       };
     }
+    const suggestions = docService.getSearchSuggestions(query);
+    const structuredContent = structureSearchResults(query, category, results, { suggestions, explained });
+    const rejectedText = explained ? `\n\n${formatRejectedResults(explained.rejected, explained.gates)}` : "";
 
-    const formattedResults = formatSearchResults(results, this.docService.deprecationManager);
-    return {
+    if (results.length === 0) {
+      return this.withVersionScope({
+        content: [
+          {
+            type: "text",
+            text: this.withStaleWarning(formatNoSearchResults(query, suggestions) + rejectedText, docService),
+          },
+        ],
+        structuredContent,
+      }, emberVersion);
+    }
+
+    const formattedResults = this.withStaleWarning(
+      formatSearchResults(results, docService.deprecationManager, suggestions) + rejectedText,
+      docService
+    );
+    return this.withVersionScope({
       content: [
         {
           type: "text",
           text: formattedResults,
         },
       ],
-    };
+      structuredContent,
+    }, emberVersion);
   }
 
   async handleGetApiReference(args) {
-    const { name, type } = args;
-    const apiDoc = await this.docService.getApiReference(name, type);
+    const { name, type, includeInherited = true, offset, limit, access, kind, includeDeprecated, detail } = args;
+    const { docService, emberVersion } = await this.versionedDocs.resolve(args);
+    const apiDoc = await docService.getApiReference(name, type, {
+      includeInherited,
+      members: { offset, limit, access, kind, includeDeprecated },
+    });
 
     if (!apiDoc) {
-      return {
+      const suggestions = docService.suggestApiNames(name, type);
+      return this.withVersionScope({
         content: [
           {
             type: "text",
-            text: `No API documentation found for "${name}". Try searching with search_ember_docs first.`,
+            text: formatNoApiReference(name, suggestions),
           },
         ],
-      };
+        structuredContent: structureApiReference(name, null, { suggestions }),
+      }, emberVersion);
     }
 
-    const formattedDoc = formatApiReference(apiDoc, this.docService.deprecationManager);
-    return {
+    const formattedDoc = this.withStaleWarning(
+      formatApiReference(apiDoc, docService.deprecationManager, { detail }),
+      docService
+    );
+    return this.withVersionScope({
       content: [
         {
           type: "text",
           text: formattedDoc,
         },
       ],
-    };
+      structuredContent: structureApiReference(name, apiDoc),
+    }, emberVersion);
+  }
+
+  async handleGetModuleExports(args) {
+    const { module: moduleName } = args;
+    const { docService, emberVersion } = await this.versionedDocs.resolve(args);
+    const module = await docService.getModuleExports(moduleName);
+
+    if (!module) {
+      return this.withVersionScope({
+        content: [
+          {
+            type: "text",
+            text: `No documented module named "${moduleName}". Try find_import_path with the name of a class or function instead.`,
+          },
+        ],
+        structuredContent: structureModuleExports(moduleName, null),
+      }, emberVersion);
+    }
+
+    return this.withVersionScope({
+      content: [
+        {
+          type: "text",
+          text: this.withStaleWarning(formatModuleExports(module), docService),
+        },
+      ],
+      structuredContent: structureModuleExports(moduleName, module),
+    }, emberVersion);
+  }
+
+  async handleFindImportPath(args) {
+    const { name } = args;
+    const { docService, emberVersion } = await this.versionedDocs.resolve(args);
+    const matches = await docService.findImportPath(name);
+
+    if (matches.length === 0) {
+      return this.withVersionScope({
+        content: [
+          {
+            type: "text",
+            text: `No module exports "${name}". If it is a method or property of a class, look it up with get_api_reference.`,
+          },
+        ],
+        structuredContent: structureImportPaths(name, matches),
+      }, emberVersion);
+    }
+
+    return this.withVersionScope({
+      content: [
+        {
+          type: "text",
+          text: this.withStaleWarning(formatImportPaths(name, matches), docService),
+        },
+      ],
+      structuredContent: structureImportPaths(name, matches),
+    }, emberVersion);
+  }
+
+  async handleFindUsagesInDocs(args) {
+    const { name, category = "all", limit } = args;
+    const { docService, emberVersion } = await this.versionedDocs.resolve(args);
+    const result = await docService.findUsagesInDocs(name, { category, limit });
+
+    if (!result) {
+      return this.withVersionScope({
+        content: [
+          {
+            type: "text",
+            text: `No documented API named "${name}". Try search_ember_docs to find it by topic.`,
+          },
+        ],
+        structuredContent: structureApiUsages(name, null),
+      }, emberVersion);
+    }
+
+    return this.withVersionScope({
+      content: [
+        {
+          type: "text",
+          text: this.withStaleWarning(formatApiUsages(result), docService),
+        },
+      ],
+      structuredContent: structureApiUsages(name, result),
+    }, emberVersion);
   }
 
   async handleGetBestPractices(args) {
     const { topic } = args;
-    const practices = await this.docService.getBestPractices(topic);
+    const { docService, emberVersion } = await this.versionedDocs.resolve(args);
+    const practices = await docService.getBestPractices(topic);
 
     if (practices.length === 0) {
-      return {
+      return this.withVersionScope({
         content: [
           {
             type: "text",
             text: `No best practices found for "${topic}". Try searching with search_ember_docs for general information.`,
           },
         ],
-      };
+        structuredContent: structureBestPractices(topic, practices),
+      }, emberVersion);
     }
 
-    const formattedPractices = formatBestPractices(practices, topic, this.docService.deprecationManager);
-    return {
+    const formattedPractices = this.withStaleWarning(
+      formatBestPractices(practices, topic, docService.deprecationManager),
+      docService
+    );
+    return this.withVersionScope({
       content: [
         {
           type: "text",
           text: formattedPractices,
         },
       ],
-    };
+      structuredContent: structureBestPractices(topic, practices),
+    }, emberVersion);
   }
 
   async handleGetVersionInfo(args) {
     const { version } = args;
     const versionInfo = await this.docService.getVersionInfo(version);
 
-    const formattedInfo = formatVersionInfo(versionInfo);
+    const snapshot = this.docService.getSnapshotInfo();
+
+    const formattedInfo = formatVersionInfo(versionInfo) + formatSnapshotInfo(snapshot);
     return {
       content: [
         {
@@ -322,86 +752,77 @@ class EmberDocsServer {
           text: formattedInfo,
         },
       ],
+      structuredContent: structureVersionInfo(versionInfo, snapshot),
     };
   }
 
-  async handleGetNpmPackageInfo(args) {
-    const { packageName } = args;
+  async handleDiffApiVersions(args) {
+    const { from, to, limit } = args;
 
     try {
-      const packageInfo = await this.npmService.getPackageInfo(packageName);
-      const formatted = this.npmService.formatPackageInfo(packageInfo);
+      const diff = await diffApiVersions({ from, to }, { apiSnapshots: this.apiSnapshots, docService: this.docService });
 
-      let text = `# ${formatted.name}\n\n`;
-      text += `**Description:** ${formatted.description}\n\n`;
-      text += `**Latest Version:** ${formatted.latestVersion}\n\n`;
-
-      // Dist tags
-      if (Object.keys(formatted.distTags).length > 0) {
-        text += `**Distribution Tags:**\n`;
-        for (const [tag, version] of Object.entries(formatted.distTags)) {
-          text += `  - ${tag}: ${version}\n`;
-        }
-        text += `\n`;
-      }
+      return {
+        content: [
+          {
+            type: "text",
+            text: formatApiDiff(diff, { limit }),
+          },
+        ],
+        structuredContent: structureApiDiff(diff),
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: error instanceof OfflineError
+              ? error.message
+              : `Error comparing API versions: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
 
-      // Metadata
-      if (formatted.license) {
-        text += `**License:** ${formatted.license}\n`;
-      }
-      if (formatted.author) {
-        text += `**Author:** ${formatted.author}\n`;
-      }
-      if (formatted.homepage) {
-        text += `**Homepage:** ${formatted.homepage}\n`;
-      }
-      if (formatted.repository) {
-        text += `**Repository:** ${formatted.repository}\n`;
-      }
+  /**
+   * Prefix documentation answers with a note when served from a snapshot that
+   * was not confirmed current (cache fallback, offline mode or a local file)
+   * @param {string} text - Formatted tool output
+   * @param {DocumentationService} docService - Service that answered, as from VersionedDocs#resolve
+   * @returns {string} Output with the warning prepended if needed
+   */
+  withStaleWarning(text, docService) {
+    const snapshot = docService.getSnapshotInfo();
+    return snapshot?.stale ? formatSnapshotInfo(snapshot) + text : text;
+  }
 
-      // Keywords
-      if (formatted.keywords.length > 0) {
-        text += `\n**Keywords:** ${formatted.keywords.join(', ')}\n`;
-      }
+  /**
+   * Mark a documentation answer with the Ember version it was scoped to
+   * @param {Object} result - Tool result
+   * @param {Object|null} emberVersion - Version from VersionedDocs#resolve (null for the loaded documentation)
+   * @returns {Object} Result with a version note and `emberVersion` in its structured content
+   */
+  withVersionScope(result, emberVersion) {
+    if (!emberVersion) return result;
 
-      // Dependencies
-      const depCount = Object.keys(formatted.dependencies).length;
-      const devDepCount = Object.keys(formatted.devDependencies).length;
-      const peerDepCount = Object.keys(formatted.peerDependencies).length;
-
-      if (depCount > 0 || devDepCount > 0 || peerDepCount > 0) {
-        text += `\n**Dependencies:**\n`;
-        if (depCount > 0) {
-          text += `  - ${depCount} runtime dependencies\n`;
-        }
-        if (peerDepCount > 0) {
-          text += `  - ${peerDepCount} peer dependencies\n`;
-        }
-        if (devDepCount > 0) {
-          text += `  - ${devDepCount} dev dependencies\n`;
-        }
-      }
+    const [first, ...rest] = result.content;
+    return {
+      ...result,
+      content: [{ ...first, text: formatVersionScope(emberVersion) + first.text }, ...rest],
+      structuredContent: { ...result.structuredContent, emberVersion },
+    };
+  }
 
-      // Engines
-      if (Object.keys(formatted.engines).length > 0) {
-        text += `\n**Engine Requirements:**\n`;
-        for (const [engine, version] of Object.entries(formatted.engines)) {
-          text += `  - ${engine}: ${version}\n`;
-        }
-      }
+  async handleGetNpmPackageInfo(args) {
+    const { packageName } = args;
 
-      // Dates
-      if (formatted.created) {
-        text += `\n**Created:** ${new Date(formatted.created).toLocaleDateString()}\n`;
-      }
-      if (formatted.lastPublished) {
-        text += `**Last Published:** ${new Date(formatted.lastPublished).toLocaleDateString()}\n`;
-      }
+    try {
+      const packageInfo = await this.npmService.getPackageInfo(packageName);
+      const formatted = this.npmService.formatPackageInfo(packageInfo);
 
-      // Maintainers
-      if (formatted.maintainers.length > 0) {
-        text += `\n**Maintainers:** ${formatted.maintainers.length} maintainer(s)\n`;
-      }
+      const text = formatNpmPackageInfo(formatted);
 
       return {
         content: [
@@ -410,13 +831,16 @@ class EmberDocsServer {
             text: text,
           },
         ],
+        structuredContent: structurePackageInfo(formatted),
       };
     } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `Error fetching package information: ${error.message}`,
+            text: error instanceof OfflineError
+              ? error.message
+              : `Error fetching package information: ${error.message}`,
           },
         ],
         isError: true,
@@ -430,40 +854,7 @@ class EmberDocsServer {
     try {
       const comparison = await this.npmService.getVersionComparison(packageName, currentVersion);
 
-      let text = `# Version Comparison: ${comparison.packageName}\n\n`;
-      text += `**Current Version:** ${comparison.currentVersion}\n`;
-      text += `**Latest Version:** ${comparison.latestVersion}\n\n`;
-
-      if (comparison.isLatest) {
-        text += `✅ **Status:** You are using the latest version!\n\n`;
-      } else {
-        text += `⚠️ **Status:** An update is available.\n\n`;
-      }
-
-      // Dist tags
-      if (Object.keys(comparison.distTags).length > 0) {
-        text += `**Available Tags:**\n`;
-        for (const [tag, version] of Object.entries(comparison.distTags)) {
-          const isCurrent = version === comparison.currentVersion ? ' (current)' : '';
-          text += `  - ${tag}: ${version}${isCurrent}\n`;
-        }
-        text += `\n`;
-      }
-
-      // Release dates
-      if (comparison.currentVersionReleaseDate) {
-        text += `**Current Version Released:** ${new Date(comparison.currentVersionReleaseDate).toLocaleDateString()}\n`;
-      }
-      if (comparison.releaseDate) {
-        text += `**Latest Version Released:** ${new Date(comparison.releaseDate).toLocaleDateString()}\n`;
-      }
-
-      text += `\n**Total Available Versions:** ${comparison.availableVersionsCount}\n`;
-
-      if (comparison.needsUpdate) {
-        text += `\n**Recommendation:** Consider updating to version ${comparison.latestVersion}. `;
-        text += `Use \`get_npm_package_info\` to see more details about the latest version.`;
-      }
+      const text = formatNpmVersionComparison(comparison);
 
       return {
         content: [
@@ -472,13 +863,16 @@ class EmberDocsServer {
             text: text,
           },
         ],
+        structuredContent: structureVersionComparison(comparison),
       };
     } catch (error) {
       return {
         content: [
           {
             type: "text",
-            text: `Error comparing versions: ${error.message}`,
+            text: error instanceof OfflineError
+              ? error.message
+              : `Error comparing versions: ${error.message}`,
           },
         ],
         isError: true,
@@ -500,6 +894,7 @@ class EmberDocsServer {
             text: formattedResult,
           },
         ],
+        structuredContent: structureDetectionResult(result, this.packageManagerDetector),
       };
     } catch (error) {
       return {
@@ -514,12 +909,98 @@ class EmberDocsServer {
     }
   }
 
-  async run() {
+  /**
+   * Start the server on the requested transport
+   * @param {Object} [options] - Transport options
+   * @param {number} [options.httpPort] - Serve Streamable HTTP on this port instead of stdio
+   * @param {string} [options.host] - Interface to bind the HTTP server to
+   * @returns {Promise<void>}
+   */
+  async run({ httpPort, host } = {}) {
+    if (httpPort !== undefined) {
+      await this.runHttp(httpPort, host);
+    } else {
+      await this.runStdio();
+    }
+  }
+
+  async runStdio() {
+    const server = this.createServer();
+    this.setupShutdown(() => server.close());
+
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await server.connect(transport);
     console.error("Ember Docs MCP Server running on stdio");
   }
+
+  async runHttp(port, host) {
+    const handle = await startHttpServer({
+      port,
+      host,
+      createServer: () => this.createServer(),
+    });
+    this.setupShutdown(() => handle.close());
+    console.error(`Ember Docs MCP Server running on ${handle.url}`);
+  }
 }
 
-const server = new EmberDocsServer();
-server.run().catch(console.error);
+/**
+ * Parse command-line arguments into run options
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @returns {Object} `{ values, run }`: parsed flags and options for EmberDocsServer#run
+ * @throws {Error} If an argument is unknown or the port is invalid
+ */
+function parseRunOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      http: { type: "string" },
+      host: { type: "string" },
+      offline: { type: "boolean" },
+      docs: { type: "string" },
+      config: { type: "string" },
+      "print-config": { type: "boolean" },
+    },
+  });
+
+  if (values.http === undefined) {
+    return { values, run: {} };
+  }
+
+  const httpPort = Number(values.http);
+  if (!Number.isInteger(httpPort) || httpPort < 0 || httpPort > 65535) {
+    throw new Error(`Invalid --http port: "${values.http}"`);
+  }
+
+  return { values, run: { httpPort, host: values.host } };
+}
+
+const argv = process.argv.slice(2);
+
+if (isCliCommand(argv[0])) {
+  try {
+    process.exitCode = await runCli(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message || error}`);
+    process.exitCode = 1;
+  }
+} else {
+  Promise.resolve()
+    .then(async () => {
+      const { values, run } = parseRunOptions(argv);
+      const { config, file } = await loadConfig({ configPath: values.config });
+      applyLoadedConfig(config);
+
+      if (values["print-config"]) {
+        if (file) console.error(`Config file: ${file}`);
+        process.stdout.write(`${JSON.stringify(config, null, 2)}\n`);
+        return;
+      }
+
+      return new EmberDocsServer(resolveOfflineOptions(values, config)).run(run);
+    })
+    .catch((error) => {
+      console.error(error.message || error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,159 @@
+/**
+ * API diff
+ *
+ * Compares the API documentation of two Ember versions, given as `rawData`
+ * items (see api-snapshots.js), and lists the classes, methods and properties
+ * that were added, removed or deprecated in between.
+ *
+ * Private APIs are left out. Members are compared on the class that declares
+ * them, and the members of added or removed classes are not listed again.
+ */
+
+import { DEPRECATIONS_BASE } from './config.js';
+import { generateApiUrl, generateApiMemberUrl } from './url-builder.js';
+import { compareVersions } from './api-snapshots.js';
+
+export const DIFF_CATEGORIES = ['classes', 'methods', 'properties'];
+export const DIFF_CHANGES = ['removed', 'deprecated', 'added'];
+
+const isPublic = attributes => attributes.access !== 'private';
+
+/**
+ * Find the deprecation guide for a deprecated API
+ * @param {string|null|undefined} message - Deprecation message from the API documentation
+ * @param {string|null} version - Version the API is deprecated in, if known
+ * @returns {string} The guide linked from the message, or the deprecation guides of that major version
+ */
+export function findDeprecationGuide(message, version) {
+  const linked = (message ?? '').match(/https?:\/\/[^\s)"'`>]+/g)?.find(url => url.startsWith(DEPRECATIONS_BASE));
+  if (linked) return linked.replace(/[.,;:]+$/, '');
+  return version ? `${DEPRECATIONS_BASE}/v${version.split('.')[0]}.x/` : DEPRECATIONS_BASE;
+}
+
+/**
+ * Index the public classes of a snapshot and their declared members
+ * @private
+ * @param {Array<Object>} items - `rawData` items
+ * @returns {Map<string, Object>} Class name -> `{ attributes, methods, properties }`, where the
+ *   member lists map member names to their YUIDoc data
+ */
+function indexClasses(items) {
+  const classes = new Map();
+  for (const item of items) {
+    const attributes = item?.attributes;
+    const name = attributes?.name || attributes?.shortname;
+    if (!name || item.type === 'module' || !isPublic(attributes)) continue;
+
+    const declared = list => new Map(
+      (attributes[list] || [])
+        .filter(member => isPublic(member) && (!member.class || member.class === name))
+        .map(member => [member.name, member])
+    );
+    classes.set(name, { attributes: { ...attributes, name }, methods: declared('methods'), properties: declared('properties') });
+  }
+  return classes;
+}
+
+/**
+ * Describe a class or member for the diff
+ * @private
+ * @param {Object} details - `{ name, className, memberType, module, data, version }`, where version
+ *   is the release the entry is documented in (null for the loaded documentation)
+ * @returns {Object} Diff entry
+ */
+function toDiffEntry({ name, className, memberType, module, data, version }) {
+  const entry = {
+    name: memberType ? `${className}#${name}` : name,
+    module: module ?? null,
+    since: data.since ?? null,
+    apiUrl: memberType ? generateApiMemberUrl(className, memberType, name, version) : generateApiUrl(name, 'class', version),
+  };
+  if (data.deprecated) {
+    entry.deprecationMessage = data.deprecationMessage ?? null;
+    entry.deprecationGuide = findDeprecationGuide(data.deprecationMessage, version);
+  }
+  return entry;
+}
+
+/**
+ * Diff the API documentation of two versions
+ * @param {Object} from - Older snapshot, `{ version, items }`
+ * @param {Object} to - Newer snapshot, `{ version, items }`; a null version stands for the loaded documentation
+ * @returns {Object} `{ from, to, classes, methods, properties }`, each category with `removed`,
+ *   `deprecated` and `added` entries sorted by name. Removed entries link to the older
+ *   version's documentation, and carry their deprecation message and guide if they were
+ *   deprecated before.
+ */
+export function diffApiSnapshots(from, to) {
+  const before = indexClasses(from.items);
+  const after = indexClasses(to.items);
+  const diff = { from: from.version, to: to.version };
+  for (const category of DIFF_CATEGORIES) {
+    diff[category] = Object.fromEntries(DIFF_CHANGES.map(change => [change, []]));
+  }
+
+  for (const [name, previous] of before) {
+    if (!after.has(name)) {
+      diff.classes.removed.push(toDiffEntry({ name, module: previous.attributes.module, data: previous.attributes, version: from.version }));
+    }
+  }
+
+  for (const [name, current] of after) {
+    const previous = before.get(name);
+    const module = current.attributes.module;
+    if (!previous) {
+      diff.classes.added.push(toDiffEntry({ name, module, data: current.attributes, version: to.version }));
+      continue;
+    }
+    if (current.attributes.deprecated && !previous.attributes.deprecated) {
+      diff.classes.deprecated.push(toDiffEntry({ name, module, data: current.attributes, version: to.version }));
+    }
+
+    for (const [category, memberType] of [['methods', 'method'], ['properties', 'property']]) {
+      for (const [memberName, member] of previous[category]) {
+        if (!current[category].has(memberName)) {
+          diff[category].removed.push(toDiffEntry({ name: memberName, className: name, memberType, module, data: member, version: from.version }));
+        }
+      }
+      for (const [memberName, member] of current[category]) {
+        const old = previous[category].get(memberName);
+        const details = { name: memberName, className: name, memberType, module, data: member, version: to.version };
+        if (!old) {
+          diff[category].added.push(toDiffEntry(details));
+        } else if (member.deprecated && !old.deprecated) {
+          diff[category].deprecated.push(toDiffEntry(details));
+        }
+      }
+    }
+  }
+
+  for (const category of DIFF_CATEGORIES) {
+    for (const change of DIFF_CHANGES) {
+      diff[category][change].sort((a, b) => a.name.localeCompare(b.name));
+    }
+  }
+  return diff;
+}
+
+/**
+ * Diff the API documentation of two Ember versions
+ * @param {Object} versions - Versions to compare
+ * @param {string} versions.from - Older version, e.g. "4.12"
+ * @param {string} [versions.to] - Newer version; defaults to the loaded documentation
+ * @param {Object} services - Services
+ * @param {ApiSnapshotStore} services.apiSnapshots - Source of versioned API documentation
+ * @param {DocumentationService} services.docService - Loaded documentation
+ * @returns {Promise<Object>} Result of diffApiSnapshots
+ * @throws {Error} If a version has no API documentation or is older than `from`
+ */
+export async function diffApiVersions({ from, to }, { apiSnapshots, docService }) {
+  const older = await apiSnapshots.getSnapshot(await apiSnapshots.resolveVersion(from));
+  const newer = to
+    ? await apiSnapshots.getSnapshot(await apiSnapshots.resolveVersion(to))
+    : docService.getApiSnapshot();
+
+  if (newer.version && compareVersions(newer.version, older.version) < 0) {
+    throw new Error(`Ember ${newer.version} is older than ${older.version}; give the older version as "from".`);
+  }
+  return diffApiSnapshots(older, newer);
+}
@@ -0,0 +1,246 @@
+import fetch from 'node-fetch';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { VERSION_SOURCES } from './config.js';
+import { getCacheDir } from './docs-cache.js';
+import { OfflineError } from './offline-data.js';
+
+/**
+ * API snapshots
+ *
+ * Loads the API documentation of a given Ember release from the store behind
+ * api.emberjs.com (VERSION_SOURCES.API_STORE). A release's rev-index lists
+ * its classes, namespaces and modules, each published as a JSON:API document
+ * whose `data` has the same shape as the `rawData` DocumentationService keeps
+ * for every API entry.
+ *
+ * Released documentation never changes, so snapshots are kept on disk once
+ * downloaded and are available offline from then on.
+ */
+
+const PROJECT = 'ember';
+// Documents fetched at once while downloading a snapshot
+const FETCH_CONCURRENCY = 8;
+// rev-index `meta` keys and the json-docs folder of each
+const DOCUMENT_TYPES = { class: 'classes', namespace: 'namespaces', module: 'modules' };
+
+/**
+ * Compare two release versions numerically
+ * @param {string} a - Version such as "4.12.3"
+ * @param {string} b - Version such as "5.8.0"
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const parts = version => version.split('-')[0].split('.').map(Number);
+  const [left, right] = [parts(a), parts(b)];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] ?? 0) - (right[i] ?? 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Pick the release a requested version refers to
+ *
+ * "4.12" and "4" mean their newest stable patch release; pre-releases are
+ * only picked when asked for exactly.
+ * @param {Array<string>} versions - Available versions
+ * @param {string} requested - Requested version, with or without a leading "v"
+ * @returns {string|null} Matching version, or null if there is none
+ */
+export function selectVersion(versions, requested) {
+  const wanted = requested.trim().replace(/^v/i, '');
+  if (versions.includes(wanted)) return wanted;
+
+  const matching = versions.filter(version => !version.includes('-') && version.startsWith(`${wanted}.`));
+  return matching.sort(compareVersions).pop() ?? null;
+}
+
+/**
+ * Run an async function over items with limited concurrency
+ * @private
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Calls in flight at once
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+export class ApiSnapshotStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string|null} [options.dir] - Directory for downloaded snapshots (null keeps them in memory only)
+   * @param {boolean} [options.offline=false] - Only use snapshots already on disk
+   */
+  constructor({ dir = join(getCacheDir(), 'api-snapshots'), offline = false } = {}) {
+    this.dir = dir;
+    this.offline = offline;
+    // version -> Promise of its snapshot, so concurrent requests share a download
+    this.snapshots = new Map();
+    this.versions = null;
+  }
+
+  /**
+   * List the Ember releases with published API documentation
+   * @returns {Promise<Array<string>>} Versions, oldest first
+   * @throws {OfflineError} In offline mode
+   */
+  async listVersions() {
+    if (!this.versions) {
+      if (this.offline) {
+        throw new OfflineError(
+          'Offline mode: the list of documented Ember versions is not available. ' +
+          'Request exact versions that were downloaded before, or run without --offline.'
+        );
+      }
+
+      const project = await this.fetchJson(`rev-index/${PROJECT}.json`);
+      const ids = project.data?.relationships?.['project-versions']?.data ?? [];
+      this.versions = ids
+        .map(({ id }) => id.replace(`${PROJECT}-`, ''))
+        .filter(version => /^\d+\.\d+\.\d+/.test(version))
+        .sort(compareVersions);
+    }
+    return this.versions;
+  }
+
+  /**
+   * Resolve a requested version to a documented release
+   * @param {string} requested - Version such as "4.12", "v5.8.0" or "5"
+   * @returns {Promise<string>} Full version
+   * @throws {Error} If no documented release matches
+   */
+  async resolveVersion(requested) {
+    // Versions already downloaded need no version list, which keeps them usable offline
+    const wanted = requested.trim().replace(/^v/i, '');
+    if (this.snapshots.has(wanted) || (await this.hasStoredSnapshot(wanted))) {
+      return wanted;
+    }
+
+    const versions = await this.listVersions();
+    const version = selectVersion(versions, requested);
+    if (!version) {
+      throw new Error(
+        `No API documentation for Ember ${requested}. Documented versions range from ${versions[0]} to ${versions[versions.length - 1]}.`
+      );
+    }
+    return version;
+  }
+
+  /**
+   * Get the API documentation of a release
+   * @param {string} version - Full version (see resolveVersion)
+   * @returns {Promise<Object>} `{ version, items }`, where items are the `data` of every class,
+   *   namespace and module document
+   * @throws {OfflineError} In offline mode, when the snapshot was never downloaded
+   */
+  async getSnapshot(version) {
+    if (!this.snapshots.has(version)) {
+      const loading = this.loadSnapshot(version);
+      this.snapshots.set(version, loading);
+      // A failed download is retried on the next request
+      loading.catch(() => this.snapshots.delete(version));
+    }
+    return this.snapshots.get(version);
+  }
+
+  /**
+   * Read a snapshot from disk, or download and store it
+   * @private
+   * @param {string} version - Full version
+   * @returns {Promise<Object>} Snapshot
+   */
+  async loadSnapshot(version) {
+    const stored = await this.readSnapshot(version);
+    if (stored) return stored;
+
+    if (this.offline) {
+      throw new OfflineError(
+        `Offline mode: the API documentation of Ember ${version} was never downloaded. ` +
+        'Run without --offline once to download it.'
+      );
+    }
+
+    const revIndex = await this.fetchJson(`rev-index/${PROJECT}-${version}.json`);
+    const documents = Object.entries(DOCUMENT_TYPES).flatMap(([type, folder]) =>
+      Object.values(revIndex.meta?.[type] ?? {}).map(revId => `json-docs/${PROJECT}/${version}/${folder}/${encodeURIComponent(revId)}.json`)
+    );
+    const items = await mapWithConcurrency(documents, FETCH_CONCURRENCY, async path => (await this.fetchJson(path)).data);
+
+    const snapshot = { version, fetchedAt: new Date().toISOString(), items: items.filter(Boolean) };
+    await this.writeSnapshot(snapshot).catch((error) => {
+      console.error(`Failed to store the Ember ${version} API snapshot:`, error.message);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Check whether a snapshot is stored on disk
+   * @private
+   * @param {string} version - Full version
+   * @returns {Promise<boolean>} True if the snapshot file exists
+   */
+  async hasStoredSnapshot(version) {
+    if (!this.dir) return false;
+    return fs.access(join(this.dir, `${PROJECT}-${version}.json`)).then(() => true, () => false);
+  }
+
+  /**
+   * Read a stored snapshot
+   * @private
+   * @param {string} version - Full version
+   * @returns {Promise<Object|null>} Snapshot, or null if none is stored
+   */
+  async readSnapshot(version) {
+    if (!this.dir) return null;
+    try {
+      return JSON.parse(await fs.readFile(join(this.dir, `${PROJECT}-${version}.json`), 'utf-8'));
+    } catch {
+      // Missing or corrupt snapshots are downloaded again
+      return null;
+    }
+  }
+
+  /**
+   * Store a snapshot, via a temporary file and rename
+   * @private
+   * @param {Object} snapshot - Snapshot
+   * @returns {Promise<void>}
+   */
+  async writeSnapshot(snapshot) {
+    if (!this.dir) return;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const target = join(this.dir, `${PROJECT}-${snapshot.version}.json`);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(snapshot), 'utf-8');
+    await fs.rename(temp, target);
+  }
+
+  /**
+   * Fetch a JSON document from the API store
+   * @private
+   * @param {string} path - Path below VERSION_SOURCES.API_STORE
+   * @returns {Promise<Object>} Parsed document
+   * @throws {Error} If the request fails
+   */
+  async fetchJson(path) {
+    const response = await fetch(`${VERSION_SOURCES.API_STORE}/${path}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch API documentation (${path}): ${response.status}`);
+    }
+    return response.json();
+  }
+}
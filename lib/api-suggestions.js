@@ -0,0 +1,108 @@
+/**
+ * API name suggestions
+ *
+ * Ranks API names against a name that has no exact match, for "did you
+ * mean" answers from get_api_reference. From strongest to weakest, a
+ * candidate matches by:
+ *
+ * - module path: "router-service" or "routing/router-service" ends the module path
+ * - acronym: "RS" spells the capitals of RouterService
+ * - prefix: "RouterServ" starts RouterService
+ * - spelling: "RouterSevrice" is one or two edits away (see edit-distance.js)
+ * - substring: "Proxy" is part of ArrayProxy
+ *
+ * A single candidate in the strongest tier found is a confident match.
+ */
+
+import { editDistance, getAllowedEdits } from './edit-distance.js';
+
+// Match tiers, strongest first; spelling matches score lower the more edits they need
+const MATCH_SCORES = {
+  'module path': 5,
+  acronym: 4,
+  prefix: 3,
+  spelling: 2,
+  substring: 0,
+};
+
+/**
+ * Get the initials of the words in a camel-case name
+ * @param {string} name - Name such as "RouterService" or "Ember.Templates.helpers"
+ * @returns {string} Lowercase acronym such as "rs", or "" for module paths and one-word names
+ */
+export function camelCaseAcronym(name) {
+  if (!/^[\w$.]+$/.test(name)) return '';
+
+  const words = name.split(/(?=[A-Z][a-z])|[._]+/).filter(Boolean);
+  return words.length < 2 ? '' : words.map(word => word[0]).join('').toLowerCase();
+}
+
+/**
+ * Find how a candidate matches a name
+ * @private
+ * @param {string} query - Lowercase name being looked up
+ * @param {Object} candidate - `{ name, module }`, where module is the module path of a class
+ *   or the name of a module
+ * @param {number} maxEdits - Largest edit distance for spelling matches
+ * @returns {Object|null} `{ reason, score }`, or null if the candidate doesn't match
+ */
+function matchCandidate(query, candidate, maxEdits) {
+  const path = (candidate.module ?? '').toLowerCase().replace(/^@/, '');
+  if (path && (path === query || path.endsWith(`/${query}`))) {
+    return { reason: 'module path', score: MATCH_SCORES['module path'] };
+  }
+
+  // Module names are spelled out by their last segment unless the query is a path too
+  const fullName = candidate.name.toLowerCase();
+  const name = query.includes('/') ? fullName.replace(/^@/, '') : fullName.split('/').pop();
+
+  if (query.length >= 2 && camelCaseAcronym(candidate.name) === query) {
+    return { reason: 'acronym', score: MATCH_SCORES.acronym };
+  }
+  if (name.startsWith(query)) {
+    return { reason: 'prefix', score: MATCH_SCORES.prefix };
+  }
+
+  const distance = editDistance(query, name, maxEdits);
+  if (distance <= maxEdits) {
+    return { reason: 'spelling', score: MATCH_SCORES.spelling - (distance - 1) };
+  }
+  if (query.length >= 3 && name.includes(query)) {
+    return { reason: 'substring', score: MATCH_SCORES.substring };
+  }
+  return null;
+}
+
+/**
+ * Rank API names against a name without an exact match
+ * @param {string} query - Name being looked up
+ * @param {Array<Object>} candidates - `{ name, type, module }` candidates; members are matched by `name`
+ * @param {Object} options - Options
+ * @param {number} options.maxEdits - Largest edit distance for spelling matches (capped by word length)
+ * @returns {Array<Object>} Matching candidates with `reason` and `score` added, best first;
+ *   equal scores keep the shorter name first
+ */
+export function rankApiNames(query, candidates, { maxEdits }) {
+  const lower = query.trim().toLowerCase().replace(/^@/, '');
+  if (!lower) return [];
+
+  const allowedEdits = getAllowedEdits(lower, maxEdits);
+  const ranked = [];
+  for (const candidate of candidates) {
+    const match = matchCandidate(lower, candidate, allowedEdits);
+    if (match) ranked.push({ ...candidate, ...match });
+  }
+
+  return ranked.sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether ranked suggestions have one clear winner
+ * @param {Array<Object>} ranked - Result of rankApiNames
+ * @returns {boolean} True if only the best candidate scored that high, and not by substring alone
+ */
+export function isConfidentMatch(ranked) {
+  const [best, next] = ranked;
+  if (!best || best.score <= MATCH_SCORES.substring) return false;
+  return !next || next.score < best.score;
+}
@@ -0,0 +1,284 @@
+/**
+ * API usages
+ *
+ * Reverse index from API names to the guide and community chunks that use
+ * them, so an API reference can point to the pages that explain it in
+ * practice. A chunk mentions an API through:
+ *
+ * - `import` statements from a documented module, resolved through the
+ *   module's exports (see module-exports.js) to the class or function imported
+ * - inline code in prose: `RouterService`, `RouterService#transitionTo`,
+ *   `@ember/routing`, or a function such as `htmlSafe`
+ * - code blocks: documented class names used as identifiers, and services
+ *   injected with `@service router` (RouterService)
+ *
+ * APIs are keyed like API references: classes and modules by name, members
+ * as `Class#member` and module functions as `module#function`. A member's
+ * mention also counts for its class or module.
+ */
+
+export const USAGE_KINDS = ['import', 'inline', 'code'];
+
+// An import outweighs inline code and code examples together
+const KIND_WEIGHTS = { import: 4, inline: 2, code: 1 };
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const IMPORT_PATTERN = /\bimport\s+(?:type\s+)?(?:([\w$]+)\s*,?\s*)?(?:\{([^}]*)\})?\s*from\s*['"]([^'"]+)['"]/g;
+const SERVICE_PATTERN = /@service(?:\(\s*['"]([\w/-]+)['"]\s*\))?\s+(?:declare\s+)?([\w$]+)/g;
+const IDENTIFIER_PATTERN = /(?<![\w$.])[A-Z][\w$]*/g;
+const INLINE_CODE_PATTERN = /`([^`\n]+)`/g;
+// JavaScript globals that share their name with a documented class (RSVP's Promise)
+const JS_GLOBALS = new Set(['Array', 'Boolean', 'Date', 'Error', 'Function', 'Map', 'Number', 'Object', 'Promise', 'RegExp', 'Set', 'String', 'Symbol']);
+const MAX_CONTEXT_LENGTH = 160;
+
+/**
+ * Shorten a line of text for display
+ * @private
+ * @param {string} line - Line mentioning an API
+ * @returns {string} Trimmed line, cut at MAX_CONTEXT_LENGTH characters
+ */
+function toContext(line) {
+  const text = line.trim().replace(/\s+/g, ' ');
+  return text.length > MAX_CONTEXT_LENGTH ? `${text.slice(0, MAX_CONTEXT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Split markdown into prose and fenced code blocks
+ * @private
+ * @param {string} content - Markdown content
+ * @returns {Array<Object>} `{ code, text }` segments in order
+ */
+function splitCodeBlocks(content) {
+  const segments = [];
+  let current = { code: false, lines: [] };
+  for (const line of content.split('\n')) {
+    if (FENCE_PATTERN.test(line)) {
+      segments.push(current);
+      current = { code: !current.code, lines: [] };
+      continue;
+    }
+    current.lines.push(line);
+  }
+  segments.push(current);
+  return segments.map(({ code, lines }) => ({ code, text: lines.join('\n') }));
+}
+
+export class ApiUsageIndex {
+  /**
+   * @param {Iterable<Object>} apiEntries - API entries as indexed by DocumentationService#indexApiDocs
+   * @param {Map<string, Object>} moduleExports - Module exports from buildModuleExports
+   */
+  constructor(apiEntries, moduleExports) {
+    this.moduleExports = moduleExports;
+    // Class name -> names of its methods and properties
+    this.classes = new Map();
+    // Function or constant name -> `module#name`, for names only one module exports
+    this.moduleMembers = new Map();
+    this.documents = [];
+    // Lowercase API name -> Map of document index -> `{ kinds, mentions, context, contextWeight }`
+    this.usages = new Map();
+
+    for (const entry of apiEntries) {
+      if (entry.type !== 'class' || entry.name === entry.module) continue;
+      this.classes.set(entry.name, new Set([...entry.methods, ...entry.properties].map(member => member.name)));
+    }
+
+    const ambiguous = new Set();
+    for (const module of moduleExports.values()) {
+      for (const exported of module.exports) {
+        if (exported.apiType === 'class') continue;
+        if (this.moduleMembers.has(exported.name)) ambiguous.add(exported.name);
+        this.moduleMembers.set(exported.name, this.exportKey(exported));
+      }
+    }
+    for (const name of ambiguous) this.moduleMembers.delete(name);
+  }
+
+  /**
+   * Number of API names with at least one usage
+   * @returns {number} Indexed API names
+   */
+  get size() {
+    return this.usages.size;
+  }
+
+  /**
+   * Index the APIs a guide or community chunk mentions
+   * @param {Object} document - `{ content, ...data }`; data such as the chunk's title,
+   *   breadcrumb and source is returned by find()
+   */
+  add({ content, ...data }) {
+    const index = this.documents.length;
+    this.documents.push(data);
+
+    for (const { name, kind, context } of this.findMentions(content)) {
+      this.record(index, name, kind, context);
+      // A member's mention also counts for its class or module
+      if (name.includes('#')) this.record(index, name.slice(0, name.indexOf('#')), kind, context);
+    }
+  }
+
+  /**
+   * Find the chunks that use an API
+   * @param {string} name - API name: class, module, `Class#member` or `module#function`
+   * @returns {Array<Object>} Chunk data passed to add(), with `kinds` (how the API is
+   *   mentioned, see USAGE_KINDS), `mentions` and `context` (the line showing the best
+   *   mention). Imports rank first, then inline code, then code blocks.
+   */
+  find(name) {
+    const usages = this.usages.get(name.toLowerCase());
+    if (!usages) return [];
+
+    const weight = usage => [...usage.kinds].reduce((sum, kind) => sum + KIND_WEIGHTS[kind], 0);
+    // Stable sort keeps documentation order among equals
+    return [...usages.entries()]
+      .sort(([, a], [, b]) => weight(b) - weight(a) || b.mentions - a.mentions)
+      .map(([index, usage]) => ({
+        ...this.documents[index],
+        kinds: USAGE_KINDS.filter(kind => usage.kinds.has(kind)),
+        mentions: usage.mentions,
+        context: usage.context,
+      }));
+  }
+
+  /**
+   * Record one mention of an API in a chunk
+   * @private
+   * @param {number} index - Document index
+   * @param {string} name - API name
+   * @param {string} kind - One of USAGE_KINDS
+   * @param {string} context - Line the mention is on
+   */
+  record(index, name, kind, context) {
+    const key = name.toLowerCase();
+    let byDocument = this.usages.get(key);
+    if (!byDocument) {
+      byDocument = new Map();
+      this.usages.set(key, byDocument);
+    }
+
+    let usage = byDocument.get(index);
+    if (!usage) {
+      usage = { kinds: new Set(), mentions: 0, context: null, contextWeight: 0 };
+      byDocument.set(index, usage);
+    }
+    usage.kinds.add(kind);
+    usage.mentions++;
+    if (KIND_WEIGHTS[kind] > usage.contextWeight) {
+      usage.context = toContext(context);
+      usage.contextWeight = KIND_WEIGHTS[kind];
+    }
+  }
+
+  /**
+   * Find the API mentions in a chunk
+   * @private
+   * @param {string} content - Markdown content
+   * @returns {Array<Object>} `{ name, kind, context }` mentions
+   */
+  findMentions(content) {
+    const mentions = [];
+    for (const { code, text } of splitCodeBlocks(content)) {
+      if (code) {
+        mentions.push(...this.findImports(text), ...this.findCodeMentions(text));
+        continue;
+      }
+      for (const line of text.split('\n')) {
+        for (const [, span] of line.matchAll(INLINE_CODE_PATTERN)) {
+          const name = this.resolveInlineCode(span);
+          if (name) mentions.push({ name, kind: 'inline', context: line });
+        }
+      }
+    }
+    return mentions;
+  }
+
+  /**
+   * Resolve the import statements of a code block to the APIs they import
+   * @private
+   * @param {string} code - Code block
+   * @returns {Array<Object>} `import` mentions of each module and imported export
+   */
+  findImports(code) {
+    const mentions = [];
+    for (const match of code.matchAll(IMPORT_PATTERN)) {
+      const [statement, defaultName, namedList, source] = match;
+      const module = this.moduleExports.get(source.toLowerCase());
+      if (!module) continue;
+
+      const context = statement;
+      mentions.push({ name: module.name, kind: 'import', context });
+
+      const imported = [];
+      if (defaultName) imported.push(module.exports.find(exported => exported.kind === 'default'));
+      for (const specifier of (namedList || '').split(',')) {
+        const name = specifier.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0];
+        if (name) imported.push(module.exports.find(exported => exported.kind === 'named' && exported.name === name));
+      }
+      for (const exported of imported.filter(Boolean)) {
+        mentions.push({ name: this.exportKey(exported), kind: 'import', context });
+      }
+    }
+    return mentions;
+  }
+
+  /**
+   * Find documented classes used in a code block
+   * @private
+   * @param {string} code - Code block
+   * @returns {Array<Object>} `code` mentions
+   */
+  findCodeMentions(code) {
+    const mentions = [];
+    for (const line of code.split('\n')) {
+      // Imports are found by findImports()
+      if (/^\s*import\b/.test(line)) continue;
+      for (const [identifier] of line.matchAll(IDENTIFIER_PATTERN)) {
+        if (this.classes.has(identifier) && !JS_GLOBALS.has(identifier)) {
+          mentions.push({ name: identifier, kind: 'code', context: line });
+        }
+      }
+      for (const [, serviceName, property] of line.matchAll(SERVICE_PATTERN)) {
+        // @service router -> RouterService, @service('shopping-cart') -> ShoppingCartService
+        const className = `${(serviceName || property)
+          .split(/[-/]/)
+          .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+          .join('')}Service`;
+        if (this.classes.has(className)) mentions.push({ name: className, kind: 'code', context: line });
+      }
+    }
+    return mentions;
+  }
+
+  /**
+   * Resolve inline code to the API it names
+   * @private
+   * @param {string} span - Inline code content
+   * @returns {string|null} API name, or null if the code names no documented API
+   */
+  resolveInlineCode(span) {
+    const text = span.trim().replace(/\(.*\)$/, '');
+    if (this.classes.has(text)) return text;
+
+    const module = this.moduleExports.get(text.toLowerCase());
+    if (module && text.startsWith('@')) return module.name;
+
+    const separator = text.includes('#') ? text.indexOf('#') : text.lastIndexOf('.');
+    if (separator > 0) {
+      const className = text.slice(0, separator);
+      const memberName = text.slice(separator + 1);
+      if (this.classes.get(className)?.has(memberName)) return `${className}#${memberName}`;
+    }
+
+    return this.moduleMembers.get(text) ?? null;
+  }
+
+  /**
+   * Get the API name of a module export
+   * @private
+   * @param {Object} exported - Export from buildModuleExports
+   * @returns {string} Class name, or `module#name` for functions and constants
+   */
+  exportKey(exported) {
+    return exported.apiType === 'class' ? exported.className : `${exported.className}#${exported.name}`;
+  }
+}
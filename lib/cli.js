@@ -0,0 +1,506 @@
+import { parseArgs } from 'node:util';
+import { DocumentationService } from './documentation-service.js';
+import { NpmService } from './npm-service.js';
+import { PackageManagerDetector } from './package-manager-detector.js';
+import { ApiSnapshotStore } from './api-snapshots.js';
+import { diffApiVersions } from './api-diff.js';
+import { VersionedDocs } from './versioned-docs.js';
+import { resolveOfflineOptions } from './offline-data.js';
+import { QueryParseError } from './query-parser.js';
+import { ConfigError, loadConfig, applyLoadedConfig } from './config-loader.js';
+import { SEARCH_CONFIG } from './config.js';
+import {
+  formatNoSearchResults,
+  formatRejectedResults,
+  formatSearchResults,
+  formatApiReference,
+  formatNoApiReference,
+  formatModuleExports,
+  formatImportPaths,
+  formatApiUsages,
+  formatBestPractices,
+  formatVersionInfo,
+  formatApiDiff,
+  formatNpmPackageInfo,
+  formatNpmVersionComparison,
+  formatVersionScope,
+} from './formatters.js';
+import {
+  structureSearchResults,
+  structureApiReference,
+  structureModuleExports,
+  structureImportPaths,
+  structureApiUsages,
+  structureBestPractices,
+  structureVersionInfo,
+  structureApiDiff,
+  structurePackageInfo,
+  structureVersionComparison,
+  structureDetectionResult,
+} from './structured-output.js';
+
+/**
+ * Command-line interface
+ *
+ * Runs the same lookups as the MCP tools directly from a shell, printing
+ * markdown by default or the tools' structured output with `--json`.
+ */
+
+// Exit codes: nothing found and runtime errors both exit with 1, like grep
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+/**
+ * Subcommand definitions
+ *
+ * `run` receives the parsed positionals/options and the services, and resolves
+ * to `{ text, data, found }` where `data` is the tool's structured output.
+ */
+const COMMANDS = {
+  search: {
+    usage: 'search <query> [--category all|api|guides|community] [--limit <n>] [--explain]',
+    description: 'Search API docs, guides and community articles',
+    async run({ positionals, values }, services) {
+      const query = requirePositional(positionals, 'query', { rest: true });
+      const category = parseChoice(values.category, '--category', ['all', 'api', 'guides', 'community']) || 'all';
+      const limit = values.limit === undefined ? SEARCH_CONFIG.DEFAULT_LIMIT : parseLimit(values.limit);
+      const { docService, emberVersion } = await resolveDocs(values, services);
+
+      let results;
+      let explained = null;
+      try {
+        if (values.explain) {
+          ({ results, ...explained } = await docService.explainSearch(query, category, limit));
+        } else {
+          results = await docService.search(query, category, limit);
+        }
+      } catch (error) {
+        if (!(error instanceof QueryParseError)) throw error;
+        throw new UsageError(`Invalid search query: ${error.message}`);
+      }
+      const suggestions = docService.getSearchSuggestions(query);
+      const rejectedText = explained ? `\n\n${formatRejectedResults(explained.rejected, explained.gates)}` : '';
+      return withVersionScope({
+        found: results.length > 0,
+        text: (results.length > 0
+          ? formatSearchResults(results, docService.deprecationManager, suggestions)
+          : formatNoSearchResults(query, suggestions)) + rejectedText,
+        data: structureSearchResults(query, category, results, { suggestions, explained }),
+      }, emberVersion);
+    },
+  },
+
+  api: {
+    usage:
+      'api <name> [--type class|module|method|property] [--own] [--offset <n>] [--limit <n>]\n' +
+      '      [--access public|protected|private] [--kind method|property] [--hide-deprecated] [--signatures-only]',
+    description: 'Show the API reference for a class, module or member (--own hides inherited members)',
+    async run({ positionals, values }, services) {
+      const name = requirePositional(positionals, 'name');
+      const type = parseChoice(values.type, '--type', ['class', 'module', 'method', 'property']);
+      const members = {
+        offset: values.offset === undefined ? 0 : parseOffset(values.offset),
+        limit: values.limit === undefined ? undefined : parseLimit(values.limit),
+        access: parseChoice(values.access, '--access', ['public', 'protected', 'private']),
+        kind: parseChoice(values.kind, '--kind', ['method', 'property']),
+        includeDeprecated: !values['hide-deprecated'],
+      };
+      const { docService, emberVersion } = await resolveDocs(values, services);
+
+      const apiDoc = await docService.getApiReference(name, type, { includeInherited: !values.own, members });
+      const suggestions = apiDoc ? [] : docService.suggestApiNames(name, type);
+      return withVersionScope({
+        found: Boolean(apiDoc),
+        text: apiDoc
+          ? formatApiReference(apiDoc, docService.deprecationManager, {
+            detail: values['signatures-only'] ? 'signatures_only' : 'full',
+          })
+          : formatNoApiReference(name, suggestions),
+        data: structureApiReference(name, apiDoc, { suggestions }),
+      }, emberVersion);
+    },
+  },
+
+  exports: {
+    usage: 'exports <module>',
+    description: 'List the default and named exports of a module, e.g. @ember/object',
+    async run({ positionals, values }, services) {
+      const moduleName = requirePositional(positionals, 'module');
+      const { docService, emberVersion } = await resolveDocs(values, services);
+
+      const module = await docService.getModuleExports(moduleName);
+      return withVersionScope({
+        found: Boolean(module),
+        text: module ? formatModuleExports(module) : `No documented module named "${moduleName}".`,
+        data: structureModuleExports(moduleName, module),
+      }, emberVersion);
+    },
+  },
+
+  import: {
+    usage: 'import <name>',
+    description: 'Show the import statement for a class, function or legacy Ember.* global',
+    async run({ positionals, values }, services) {
+      const name = requirePositional(positionals, 'name');
+      const { docService, emberVersion } = await resolveDocs(values, services);
+
+      const matches = await docService.findImportPath(name);
+      return withVersionScope({
+        found: matches.length > 0,
+        text: matches.length > 0 ? formatImportPaths(name, matches) : `No module exports "${name}".`,
+        data: structureImportPaths(name, matches),
+      }, emberVersion);
+    },
+  },
+
+  usages: {
+    usage: 'usages <name> [--category all|guides|community] [--limit <n>]',
+    description: 'List the guide sections and community articles that use an API',
+    async run({ positionals, values }, services) {
+      const name = requirePositional(positionals, 'name');
+      const category = parseChoice(values.category, '--category', ['all', 'guides', 'community']) || 'all';
+      const limit = values.limit === undefined ? undefined : parseLimit(values.limit);
+      const { docService, emberVersion } = await resolveDocs(values, services);
+
+      const result = await docService.findUsagesInDocs(name, { category, limit });
+      return withVersionScope({
+        found: Boolean(result?.total),
+        text: result ? formatApiUsages(result) : `No documented API named "${name}".`,
+        data: structureApiUsages(name, result),
+      }, emberVersion);
+    },
+  },
+
+  'best-practices': {
+    usage: 'best-practices <topic>',
+    description: 'Show best practices for a topic',
+    async run({ positionals, values }, services) {
+      const topic = requirePositional(positionals, 'topic', { rest: true });
+      const { docService, emberVersion } = await resolveDocs(values, services);
+
+      const practices = await docService.getBestPractices(topic);
+      return withVersionScope({
+        found: practices.length > 0,
+        text: practices.length > 0
+          ? formatBestPractices(practices, topic, docService.deprecationManager)
+          : `No best practices found for "${topic}".`,
+        data: structureBestPractices(topic, practices),
+      }, emberVersion);
+    },
+  },
+
+  'ember-version': {
+    usage: 'ember-version [version]',
+    description: 'Show release information for the latest or a specific Ember version',
+    async run({ positionals }, { docService }) {
+      const versionInfo = await docService.getVersionInfo(positionals[0]);
+      return {
+        found: true,
+        text: formatVersionInfo(versionInfo),
+        data: structureVersionInfo(versionInfo),
+      };
+    },
+  },
+
+  diff: {
+    usage: 'diff <from> [to] [--limit <n>]',
+    description: 'List the API added, removed or deprecated between two Ember versions (to defaults to the loaded docs)',
+    async run({ positionals, values }, services) {
+      const from = requirePositional(positionals, 'from');
+      const limit = values.limit === undefined ? undefined : parseLimit(values.limit);
+      if (!positionals[1]) await services.docService.ensureLoaded();
+
+      const diff = await diffApiVersions({ from, to: positionals[1] }, services);
+      return {
+        found: true,
+        text: formatApiDiff(diff, { limit }),
+        data: structureApiDiff(diff),
+      };
+    },
+  },
+
+  npm: {
+    usage: 'npm <package> [--compare <currentVersion>]',
+    description: 'Show npm package details, or compare a version with the latest',
+    async run({ positionals, values }, { npmService }) {
+      const packageName = requirePositional(positionals, 'package');
+
+      if (values.compare !== undefined) {
+        const comparison = await npmService.getVersionComparison(packageName, values.compare);
+        return {
+          found: true,
+          text: formatNpmVersionComparison(comparison),
+          data: structureVersionComparison(comparison),
+        };
+      }
+
+      const formatted = npmService.formatPackageInfo(await npmService.getPackageInfo(packageName));
+      return {
+        found: true,
+        text: formatNpmPackageInfo(formatted),
+        data: structurePackageInfo(formatted),
+      };
+    },
+  },
+
+  detect: {
+    usage: 'detect [path]',
+    description: 'Detect the package manager used in a workspace (default: current directory)',
+    async run({ positionals }, { packageManagerDetector }) {
+      const result = await packageManagerDetector.detectPackageManager(positionals[0] || process.cwd());
+      return {
+        found: true,
+        text: packageManagerDetector.formatDetectionResult(result),
+        data: structureDetectionResult(result, packageManagerDetector),
+      };
+    },
+  },
+};
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  explain: { type: 'boolean' },
+  own: { type: 'boolean' },
+  'hide-deprecated': { type: 'boolean' },
+  'signatures-only': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  category: { type: 'string' },
+  limit: { type: 'string' },
+  offset: { type: 'string' },
+  access: { type: 'string' },
+  kind: { type: 'string' },
+  type: { type: 'string' },
+  compare: { type: 'string' },
+  offline: { type: 'boolean' },
+  docs: { type: 'string' },
+  config: { type: 'string' },
+  'ember-version': { type: 'string' },
+  workspace: { type: 'string' },
+};
+
+/**
+ * Error for invalid command-line usage
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Read a required positional argument
+ * @private
+ * @param {Array<string>} positionals - Positional arguments after the command
+ * @param {string} label - Argument name for the error message
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.rest=false] - Join all remaining positionals (for unquoted queries)
+ * @returns {string} Argument value
+ * @throws {UsageError} If the argument is missing
+ */
+function requirePositional(positionals, label, { rest = false } = {}) {
+  const value = rest ? positionals.join(' ') : positionals[0];
+  if (!value) {
+    throw new UsageError(`Missing required argument <${label}>`);
+  }
+  return value;
+}
+
+/**
+ * Parse the --limit option
+ * @private
+ * @param {string} value - Raw option value
+ * @returns {number} Positive integer limit
+ * @throws {UsageError} If the value is not a positive integer
+ */
+function parseLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new UsageError(`Invalid --limit: "${value}"`);
+  }
+  return limit;
+}
+
+/**
+ * Parse the --offset option
+ * @private
+ * @param {string} value - Raw option value
+ * @returns {number} Non-negative integer offset
+ * @throws {UsageError} If the value is not a non-negative integer
+ */
+function parseOffset(value) {
+  const offset = Number(value);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new UsageError(`Invalid --offset: "${value}"`);
+  }
+  return offset;
+}
+
+/**
+ * Parse an option that takes one of a fixed set of values
+ * @private
+ * @param {string} [value] - Raw option value
+ * @param {string} flag - Option name for the error message
+ * @param {Array<string>} choices - Allowed values
+ * @returns {string|undefined} The value, or undefined if the option was not given
+ * @throws {UsageError} If the value is not one of the choices
+ */
+function parseChoice(value, flag, choices) {
+  if (value !== undefined && !choices.includes(value)) {
+    throw new UsageError(`Invalid ${flag}: "${value}". Expected one of: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Pick the documentation for the --ember-version or --workspace option
+ * @private
+ * @param {Object} values - Parsed options
+ * @param {Object} services - Services
+ * @returns {Promise<Object>} `{ docService, emberVersion }` as from VersionedDocs#resolve, loaded
+ */
+async function resolveDocs(values, { docService, versionedDocs }) {
+  const resolved = values['ember-version'] || values.workspace
+    ? await versionedDocs.resolve({ emberVersion: values['ember-version'], workspacePath: values.workspace })
+    : { docService, emberVersion: null };
+  await resolved.docService.ensureLoaded();
+  return resolved;
+}
+
+/**
+ * Mark a command result with the Ember version it was scoped to
+ * @private
+ * @param {Object} result - `{ found, text, data }`
+ * @param {Object|null} emberVersion - Version from resolveDocs
+ * @returns {Object} Result with a version note and `emberVersion` in its data
+ */
+function withVersionScope(result, emberVersion) {
+  if (!emberVersion) return result;
+  return {
+    ...result,
+    text: formatVersionScope(emberVersion) + result.text,
+    data: { ...result.data, emberVersion },
+  };
+}
+
+/**
+ * Check whether an argument names a CLI subcommand
+ * @param {string} [arg] - First command-line argument
+ * @returns {boolean} True if the argument is a subcommand
+ */
+export function isCliCommand(arg) {
+  return arg === 'help' || Object.hasOwn(COMMANDS, arg ?? '');
+}
+
+/**
+ * Build the usage text
+ * @returns {string} Usage text
+ */
+export function formatUsage() {
+  let text = 'Usage:\n';
+  text += '  ember-mcp                       Start the MCP server on stdio\n';
+  text += '  ember-mcp --http <port>         Start the MCP server on Streamable HTTP\n';
+  text += '  ember-mcp --offline             Start without network access, using bundled data\n';
+  text += '  ember-mcp --print-config        Print the effective configuration\n';
+  text += '  ember-mcp <command> [--json]    Run a lookup and print the result\n\n';
+  text += 'Commands:\n';
+  for (const command of Object.values(COMMANDS)) {
+    text += `  ${command.usage}\n      ${command.description}\n`;
+  }
+  text += '\nOptions:\n';
+  text += '  --json                     Print structured JSON instead of markdown\n';
+  text += '  --offline                  Use bundled or cached data only (also EMBER_MCP_OFFLINE=1)\n';
+  text += '  --docs <path>              Load documentation from a local llms-full.txt (also EMBER_MCP_DOCS_PATH)\n';
+  text += '  --config <path>            Config file (default: ember-mcp.config.{json,js} in the current directory)\n';
+  text += '  --ember-version <version>  Answer doc lookups for an Ember version, e.g. 4.12 (default: current release)\n';
+  text += '  --workspace <path>         Answer doc lookups for the ember-source version of an app or addon\n';
+  return text;
+}
+
+/**
+ * Create the services commands run against
+ * @private
+ * @param {Object} options - `{ offline, docsPath }` from resolveOfflineOptions
+ * @returns {Object} Services
+ */
+function createServices({ offline, docsPath }) {
+  const docService = new DocumentationService({ offline, docsPath });
+  const apiSnapshots = new ApiSnapshotStore({ offline });
+  return {
+    docService,
+    npmService: new NpmService({ offline }),
+    apiSnapshots,
+    versionedDocs: new VersionedDocs({ docService, apiSnapshots }),
+    packageManagerDetector: new PackageManagerDetector(),
+  };
+}
+
+/**
+ * Run a CLI subcommand
+ * @param {Array<string>} argv - Arguments starting with the subcommand name
+ * @param {Object} [options] - Runtime options
+ * @param {Object} [options.services] - Services to use (defaults to new instances)
+ * @param {Object} [options.stdout=process.stdout] - Stream for results
+ * @param {Object} [options.stderr=process.stderr] - Stream for errors
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCli(argv, options = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = options;
+
+  const [commandName, ...rest] = argv;
+  const command = COMMANDS[commandName];
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${formatUsage()}`);
+    return EXIT_USAGE;
+  }
+
+  let config;
+  try {
+    ({ config } = await loadConfig({ configPath: parsed.values.config }));
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      stderr.write(`Error: could not load config: ${error.message}\n`);
+      return EXIT_FAILURE;
+    }
+    stderr.write(`${error.message}\n`);
+    return EXIT_USAGE;
+  }
+  applyLoadedConfig(config);
+
+  const { offline, docsPath } = resolveOfflineOptions(parsed.values, config);
+  const services = options.services || createServices({ offline, docsPath });
+
+  if (!command) {
+    stdout.write(formatUsage());
+    return commandName === 'help' ? EXIT_OK : EXIT_USAGE;
+  }
+
+  if (parsed.values.help) {
+    stdout.write(`Usage: ember-mcp ${command.usage}\n`);
+    return EXIT_OK;
+  }
+
+  try {
+    const result = await command.run(parsed, services);
+    stdout.write(parsed.values.json
+      ? `${JSON.stringify(result.data, null, 2)}\n`
+      : `${result.text.trimEnd()}\n`);
+
+    return result.found ? EXIT_OK : EXIT_FAILURE;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`${error.message}\n\nUsage: ember-mcp ${command.usage}\n`);
+      return EXIT_USAGE;
+    }
+    stderr.write(`Error: ${error.message}\n`);
+    return EXIT_FAILURE;
+  }
+}
@@ -0,0 +1,430 @@
+import { promises as fs } from 'fs';
+import { basename, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { applyConfig, getDefaultConstants } from './config.js';
+
+/**
+ * Config loader
+ *
+ * Builds the effective configuration from the defaults in config.js, an
+ * optional `ember-mcp.config.{json,js}` file and `EMBER_MCP_*` environment
+ * variables (in increasing order of precedence), validated against
+ * CONFIG_SCHEMA.
+ *
+ * Config keys are the camelCase form of the constants they override
+ * (`DOCS_URL` -> `docsUrl`, `SEARCH_CONFIG.MIN_SCORE` -> `searchConfig.minScore`);
+ * environment variables are the constant path prefixed with `EMBER_MCP_`
+ * (`EMBER_MCP_SEARCH_CONFIG_MIN_SCORE`).
+ *
+ * Phrase maps (`searchSynonyms`) are merged instead of replaced: each source
+ * adds phrases to the defaults. From the environment they are JSON.
+ */
+
+export const CONFIG_FILE_NAMES = ['ember-mcp.config.json', 'ember-mcp.config.js'];
+export const ENV_PREFIX = 'EMBER_MCP_';
+// Points at a config file; not itself a config key
+export const CONFIG_PATH_ENV = 'EMBER_MCP_CONFIG';
+
+const url = { type: 'url' };
+const count = { type: 'integer', minimum: 1 };
+const weight = { type: 'number', minimum: 0 };
+
+/**
+ * Configuration schema
+ *
+ * Leaves have a `type`; other objects group nested keys. Leaves with a
+ * `default` are runtime options rather than config.js constants.
+ */
+export const CONFIG_SCHEMA = {
+  docsUrl: url,
+  apiDocsBase: url,
+  guidesBase: url,
+  deprecationsBase: url,
+  versionSources: {
+    githubReleases: url,
+    apiStore: url,
+  },
+  searchConfig: {
+    defaultLimit: count,
+    maxMethodsDisplayed: count,
+    maxPropertiesDisplayed: count,
+    maxExamples: count,
+    maxAntiPatterns: count,
+    maxBestPractices: count,
+    maxDiffEntries: count,
+    maxRelatedGuides: count,
+    maxUsages: count,
+
+    exactPhraseBonus: weight,
+    titleMatchBonus: weight,
+    headingMatchBonus: weight,
+    termMatchWeight: weight,
+    allTermsBonus: weight,
+    proximityThreshold: weight,
+    proximityBonusDivisor: { type: 'number', exclusiveMinimum: 0 },
+
+    bm25K1: weight,
+    bm25B: { type: 'number', minimum: 0, maximum: 1 },
+
+    fuzzyMaxEdits: { type: 'integer', minimum: 0 },
+    fuzzyMaxExpansions: count,
+    fuzzyMatchWeight: { type: 'number', minimum: 0, maximum: 1 },
+    maxSuggestions: count,
+    synonymWeight: { type: 'number', minimum: 0, maximum: 1 },
+
+    minScore: weight,
+    minScoreSingleTerm: weight,
+
+    bpTermMatchWeight: weight,
+    bpAllTermsBonus: weight,
+    bpStrongKeywordWeight: weight,
+    bpWeakKeywordWeight: weight,
+    bpMinThreshold: weight,
+
+    excerptBeforeContext: count,
+    excerptAfterContext: count,
+    excerptMaxLength: count,
+
+    maxRelevantContentLines: count,
+    maxRelevantSectionLines: count,
+  },
+  searchSynonyms: { type: 'phraseMap' },
+  offline: { type: 'boolean', default: false },
+  docsPath: { type: 'string', nullable: true, default: null },
+};
+
+/**
+ * Error for invalid configuration, listing every problem found
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - Problem descriptions
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Convert a camelCase key to the UPPER_SNAKE_CASE constant name
+ * @param {string} key - camelCase key
+ * @returns {string} Constant name
+ */
+export function toConstantName(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Get the environment variable that sets a config key
+ * @param {Array<string>} path - Key path (e.g. ['searchConfig', 'minScore'])
+ * @returns {string} Environment variable name
+ */
+export function getEnvName(path) {
+  return ENV_PREFIX + path.map(toConstantName).join('_');
+}
+
+/**
+ * List the schema leaves with their key paths
+ * @private
+ * @param {Object} [schema=CONFIG_SCHEMA] - Schema or group
+ * @param {Array<string>} [prefix=[]] - Path of the group
+ * @returns {Array<Object>} `{ path, leaf }` entries
+ */
+function listLeaves(schema = CONFIG_SCHEMA, prefix = []) {
+  return Object.entries(schema).flatMap(([key, node]) => {
+    const path = [...prefix, key];
+    return typeof node.type === 'string' ? [{ path, leaf: node }] : listLeaves(node, path);
+  });
+}
+
+function getPath(object, path) {
+  return path.reduce((value, key) => value?.[key], object);
+}
+
+function setPath(object, path, value) {
+  let target = object;
+  for (const key of path.slice(0, -1)) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[path[path.length - 1]] = value;
+}
+
+/**
+ * Check a value against a schema leaf
+ * @private
+ * @param {*} value - Value to check
+ * @param {Object} leaf - Schema leaf
+ * @returns {string|null} Problem description, or null if valid
+ */
+function checkValue(value, leaf) {
+  if (value === null && leaf.nullable) return null;
+
+  switch (leaf.type) {
+    case 'url': {
+      let parsed = null;
+      try {
+        parsed = typeof value === 'string' ? new URL(value) : null;
+      } catch {
+        // Reported below
+      }
+      return parsed && ['http:', 'https:'].includes(parsed.protocol) ? null : 'must be an http(s) URL';
+    }
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'phraseMap': {
+      const valid = value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.values(value).every(phrases =>
+          Array.isArray(phrases) && phrases.every(phrase => typeof phrase === 'string' && phrase.trim() !== ''));
+      return valid ? null : 'must be an object mapping phrases to arrays of phrases';
+    }
+    case 'integer':
+    case 'number': {
+      const noun = leaf.type === 'integer' ? 'an integer' : 'a number';
+      if (typeof value !== 'number' || !Number.isFinite(value) || (leaf.type === 'integer' && !Number.isInteger(value))) {
+        return `must be ${noun}`;
+      }
+      if (leaf.minimum !== undefined && value < leaf.minimum) {
+        return `must be ${noun} >= ${leaf.minimum}`;
+      }
+      if (leaf.exclusiveMinimum !== undefined && value <= leaf.exclusiveMinimum) {
+        return `must be ${noun} > ${leaf.exclusiveMinimum}`;
+      }
+      if (leaf.maximum !== undefined && value > leaf.maximum) {
+        return `must be ${noun} <= ${leaf.maximum}`;
+      }
+      return null;
+    }
+    default:
+      throw new Error(`Unknown schema type: ${leaf.type}`);
+  }
+}
+
+/**
+ * Validate a config object from a file against the schema
+ * @private
+ * @param {*} data - Parsed config file contents
+ * @param {string} source - File name for error messages
+ * @param {Array<string>} problems - Receives problem descriptions
+ * @returns {Object} The valid keys
+ */
+function validateConfigObject(data, source, problems) {
+  const result = {};
+
+  const walk = (value, schema, path) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      problems.push(`${source}: ${path.length ? `"${path.join('.')}"` : 'config'} must be an object`);
+      return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = [...path, key];
+      const node = Object.hasOwn(schema, key) ? schema[key] : null;
+
+      if (!node) {
+        problems.push(`${source}: unknown key "${childPath.join('.')}"`);
+      } else if (typeof node.type === 'string') {
+        const problem = checkValue(child, node);
+        if (problem) {
+          problems.push(`${source}: "${childPath.join('.')}" ${problem}, got ${JSON.stringify(child)}`);
+        } else {
+          setPath(result, childPath, child);
+        }
+      } else {
+        walk(child, node, childPath);
+      }
+    }
+  };
+
+  walk(data, CONFIG_SCHEMA, []);
+  return result;
+}
+
+/**
+ * Read config values from EMBER_MCP_* environment variables
+ * @private
+ * @param {Object} env - Environment variables
+ * @param {Array<string>} problems - Receives problem descriptions
+ * @returns {Object} The valid keys
+ */
+function readEnvConfig(env, problems) {
+  const leaves = new Map(listLeaves().map(entry => [getEnvName(entry.path), entry]));
+  const result = {};
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === CONFIG_PATH_ENV) continue;
+
+    const entry = leaves.get(name);
+    if (!entry) {
+      problems.push(`unknown environment variable ${name}`);
+      continue;
+    }
+
+    const value = parseEnvValue(raw, entry.leaf);
+    const problem = checkValue(value, entry.leaf);
+    if (problem) {
+      problems.push(`${name} ${problem}, got ${JSON.stringify(raw)}`);
+    } else {
+      setPath(result, entry.path, value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Convert an environment variable string to the leaf's type
+ * @private
+ * @param {string} raw - Variable value
+ * @param {Object} leaf - Schema leaf
+ * @returns {*} Converted value (left as a string if it cannot be converted)
+ */
+function parseEnvValue(raw, leaf) {
+  switch (leaf.type) {
+    case 'integer':
+    case 'number':
+      return raw.trim() === '' ? raw : Number(raw);
+    case 'boolean': {
+      const normalized = raw.trim().toLowerCase();
+      if (['1', 'true', 'yes'].includes(normalized)) return true;
+      if (['', '0', 'false', 'no'].includes(normalized)) return false;
+      return raw;
+    }
+    case 'phraseMap':
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return raw;
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Find and read the config file
+ * @private
+ * @param {string|undefined} configPath - Explicit config file path
+ * @param {string} cwd - Directory searched for CONFIG_FILE_NAMES
+ * @returns {Promise<Object|null>} `{ path, data }`, or null if no config file exists
+ * @throws {ConfigError} If an explicit path is missing or a file cannot be parsed
+ */
+async function readConfigFile(configPath, cwd) {
+  let path = null;
+
+  if (configPath) {
+    path = resolve(cwd, configPath);
+    if (!(await fileExists(path))) {
+      throw new ConfigError([`config file not found: ${path}`]);
+    }
+  } else {
+    for (const name of CONFIG_FILE_NAMES) {
+      if (await fileExists(join(cwd, name))) {
+        path = join(cwd, name);
+        break;
+      }
+    }
+    if (!path) return null;
+  }
+
+  try {
+    if (extname(path) === '.json') {
+      return { path, data: JSON.parse(await fs.readFile(path, 'utf-8')) };
+    }
+    const module = await import(pathToFileURL(path).href);
+    return { path, data: module.default };
+  } catch (error) {
+    throw new ConfigError([`${basename(path)}: ${error.message}`]);
+  }
+}
+
+async function fileExists(path) {
+  try {
+    await fs.access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add the phrases of one phrase map to another
+ * @private
+ * @param {Object<string, Array<string>>} base - Existing map
+ * @param {Object<string, Array<string>>} extra - Phrases to add
+ * @returns {Object<string, Array<string>>} New merged map
+ */
+function mergePhraseMaps(base, extra) {
+  const merged = { ...base };
+  for (const [key, phrases] of Object.entries(extra)) {
+    merged[key] = [...new Set([...(merged[key] || []), ...phrases])];
+  }
+  return merged;
+}
+
+/**
+ * Get the default configuration
+ * @returns {Object} Config with every key set to its default
+ */
+export function getDefaultConfig() {
+  const constants = getDefaultConstants();
+  const config = {};
+
+  for (const { path, leaf } of listLeaves()) {
+    const value = Object.hasOwn(leaf, 'default')
+      ? leaf.default
+      : getPath(constants, path.map(toConstantName));
+    setPath(config, path, value);
+  }
+
+  return config;
+}
+
+/**
+ * Load the effective configuration
+ * @param {Object} [options] - Options
+ * @param {string} [options.configPath] - Config file path (defaults to EMBER_MCP_CONFIG, then CONFIG_FILE_NAMES in cwd)
+ * @param {string} [options.cwd=process.cwd()] - Directory to look for the config file in
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @returns {Promise<Object>} `{ config, file }` with the merged config and the config file used (or null)
+ * @throws {ConfigError} If the file or environment contain invalid keys or values
+ */
+export async function loadConfig({ configPath, cwd = process.cwd(), env = process.env } = {}) {
+  const file = await readConfigFile(configPath || env[CONFIG_PATH_ENV], cwd);
+
+  const problems = [];
+  const fileConfig = file ? validateConfigObject(file.data, basename(file.path), problems) : {};
+  const envConfig = readEnvConfig(env, problems);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const config = getDefaultConfig();
+  for (const { path, leaf } of listLeaves()) {
+    for (const source of [fileConfig, envConfig]) {
+      const value = getPath(source, path);
+      if (value === undefined) continue;
+      setPath(config, path, leaf.type === 'phraseMap' ? mergePhraseMaps(getPath(config, path), value) : value);
+    }
+  }
+
+  return { config, file: file?.path ?? null };
+}
+
+/**
+ * Apply a loaded configuration to the constants in config.js
+ * @param {Object} config - Effective config from loadConfig
+ */
+export function applyLoadedConfig(config) {
+  const overrides = {};
+  for (const { path, leaf } of listLeaves()) {
+    if (!Object.hasOwn(leaf, 'default')) {
+      setPath(overrides, path.map(toConstantName), getPath(config, path));
+    }
+  }
+  applyConfig(overrides);
+}
@@ -1,36 +1,67 @@
 /**
  * Configuration constants for Ember Docs MCP Server
+ *
+ * The URLs, VERSION_SOURCES and SEARCH_CONFIG can be overridden at startup
+ * (see config-loader.js). They are exported as live bindings, so importers
+ * always see the applied values.
  */
 
 // Documentation URLs
-export const DOCS_URL =
+export let DOCS_URL =
   "https://nullvoxpopuli.github.io/ember-ai-information-aggregator/llms-full.txt";
-export const API_DOCS_BASE = "https://api.emberjs.com/ember";
-export const GUIDES_BASE = "https://guides.emberjs.com/release";
+export let API_DOCS_BASE = "https://api.emberjs.com/ember";
+export let GUIDES_BASE = "https://guides.emberjs.com/release";
+export let DEPRECATIONS_BASE = "https://deprecations.emberjs.com";
 
 // Version information sources
 export const VERSION_SOURCES = {
   GITHUB_RELEASES: "https://api.github.com/repos/emberjs/ember.js/releases",
+  // Versioned API documentation behind api.emberjs.com, see api-snapshots.js
+  API_STORE: "https://api-store.emberjs.com",
 };
 
 // Search configuration
 export const SEARCH_CONFIG = {
   // Default result limits
+  // Search results when no limit is given
   DEFAULT_LIMIT: 5,
   MAX_METHODS_DISPLAYED: 10,
   MAX_PROPERTIES_DISPLAYED: 10,
+  // Code examples and anti-patterns kept per best practice
   MAX_EXAMPLES: 3,
   MAX_ANTI_PATTERNS: 3,
   MAX_BEST_PRACTICES: 5,
+  // Entries listed per change list of an API diff
+  MAX_DIFF_ENTRIES: 50,
+  // Guide and community chunks listed under "Related guides" in an API reference,
+  // and by default by find_usages_in_docs
+  MAX_RELATED_GUIDES: 5,
+  MAX_USAGES: 10,
 
   // Search scoring weights
+  // Title, heading and body weights multiply each field's BM25 score
   EXACT_PHRASE_BONUS: 50,
   TITLE_MATCH_BONUS: 15,
+  HEADING_MATCH_BONUS: 8,
   TERM_MATCH_WEIGHT: 2,
   ALL_TERMS_BONUS: 20,
   PROXIMITY_THRESHOLD: 500,
   PROXIMITY_BONUS_DIVISOR: 50,
 
+  // BM25 parameters: term frequency saturation and length normalization
+  BM25_K1: 1.2,
+  BM25_B: 0.75,
+
+  // Typo tolerance: query terms missing from the index match terms up to
+  // FUZZY_MAX_EDITS edits away, their score multiplied by FUZZY_MATCH_WEIGHT per edit
+  FUZZY_MAX_EDITS: 2,
+  FUZZY_MAX_EXPANSIONS: 3,
+  FUZZY_MATCH_WEIGHT: 0.5,
+  MAX_SUGGESTIONS: 3,
+
+  // Score multiplier for matches of SEARCH_SYNONYMS phrases
+  SYNONYM_WEIGHT: 0.5,
+
   // Minimum scores for inclusion
   MIN_SCORE: 10,
   MIN_SCORE_SINGLE_TERM: 20,
@@ -42,13 +73,15 @@ export const SEARCH_CONFIG = {
   BP_WEAK_KEYWORD_WEIGHT: 2,
   BP_MIN_THRESHOLD: 10,
 
-  // Excerpt configuration
+  // Excerpt configuration: characters kept before and after the densest
+  // cluster of matches, and the length of a first-paragraph excerpt when
+  // nothing matches in the text
   EXCERPT_BEFORE_CONTEXT: 150,
   EXCERPT_AFTER_CONTEXT: 400,
   EXCERPT_MAX_LENGTH: 350,
-  EXCERPT_FALLBACK_LENGTH: 100,
 
-  // Content limits
+  // Best practice sections: lines collected from the relevant part of an
+  // item, and lines returned
   MAX_RELEVANT_CONTENT_LINES: 50,
   MAX_RELEVANT_SECTION_LINES: 30,
 };
@@ -74,6 +107,21 @@ export const BEST_PRACTICES_KEYWORDS = {
   ],
 };
 
+// Ember synonyms and related concepts: a key and its phrases are
+// interchangeable in search and best practices queries. applyConfig() replaces
+// the whole map; config-loader.js merges configured phrases into these defaults
+// before passing them in (see mergePhraseMaps).
+export let SEARCH_SYNONYMS = {
+  tracked: ["autotracking", "autotrack"],
+  "{{action}}": ["{{on}}", "@action"],
+  "ember-data": ["warpdrive", "warp-drive"],
+  classic: ["Ember.Component", "@ember/component"],
+  octane: ["glimmer", "@glimmer/component"],
+  args: ["arguments"],
+  "computed macro": ["computed property macro", "@ember/object/computed"],
+  ddau: ["data down actions up"],
+};
+
 // Pluralization configuration
 export const PLURALIZATION_RULES = {
   // Custom singular rules
@@ -86,3 +134,36 @@ export const PLURALIZATION_RULES = {
     'metadata'
   ]
 };
+
+// Defaults of the configurable constants, captured before any overrides
+const DEFAULTS = structuredClone({
+  DOCS_URL,
+  API_DOCS_BASE,
+  GUIDES_BASE,
+  DEPRECATIONS_BASE,
+  VERSION_SOURCES,
+  SEARCH_CONFIG,
+  SEARCH_SYNONYMS,
+});
+
+/**
+ * Get the default values of the configurable constants
+ * @returns {Object} Copy of the defaults, keyed by constant name
+ */
+export function getDefaultConstants() {
+  return structuredClone(DEFAULTS);
+}
+
+/**
+ * Replace the configurable constants; anything not overridden is reset to its default
+ * @param {Object} [overrides={}] - Values keyed by constant name (VERSION_SOURCES and SEARCH_CONFIG may be partial)
+ */
+export function applyConfig(overrides = {}) {
+  DOCS_URL = overrides.DOCS_URL ?? DEFAULTS.DOCS_URL;
+  API_DOCS_BASE = overrides.API_DOCS_BASE ?? DEFAULTS.API_DOCS_BASE;
+  GUIDES_BASE = overrides.GUIDES_BASE ?? DEFAULTS.GUIDES_BASE;
+  DEPRECATIONS_BASE = overrides.DEPRECATIONS_BASE ?? DEFAULTS.DEPRECATIONS_BASE;
+  Object.assign(VERSION_SOURCES, DEFAULTS.VERSION_SOURCES, overrides.VERSION_SOURCES);
+  Object.assign(SEARCH_CONFIG, DEFAULTS.SEARCH_CONFIG, overrides.SEARCH_CONFIG);
+  SEARCH_SYNONYMS = structuredClone(overrides.SEARCH_SYNONYMS ?? DEFAULTS.SEARCH_SYNONYMS);
+}
@@ -0,0 +1,101 @@
+/**
+ * Document chunks
+ *
+ * Splits a guide page or community article at its markdown headings so search
+ * can return the subsection that matches instead of the whole page. Every
+ * chunk keeps its breadcrumb (page › H2 › H3) and the anchor of its heading.
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+/**
+ * Build the anchor of a heading the way markdown renderers do
+ * @param {string} heading - Heading text
+ * @returns {string} Lowercase slug, e.g. "Query Params" -> "query-params"
+ */
+export function headingAnchor(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/`/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Split markdown content into one chunk per heading
+ *
+ * The first heading names the page and its chunk also holds any text before
+ * it. Headings inside fenced code blocks are ignored, and headings directly
+ * followed by a subheading yield no chunk of their own (they still appear in
+ * the breadcrumbs below them).
+ * @param {string} content - Markdown content of a page
+ * @returns {Array<Object>} `{ title, breadcrumb, anchor, content }` chunks in page order;
+ *   `anchor` is null for the page's own chunk. Content without headings is a single
+ *   chunk with a null title and an empty breadcrumb.
+ */
+export function splitIntoChunks(content) {
+  const chunks = [];
+  const usedAnchors = new Map();
+  // Open headings above the current one, as `{ level, text }`; the page heading is kept separately
+  const stack = [];
+  let page = null;
+  let current = { title: null, breadcrumb: [], anchor: null, lines: [] };
+  let inFence = false;
+
+  const flush = () => {
+    const hasBody = current.lines.slice(current.title === null ? 0 : 1).some(line => line.trim());
+    if (hasBody) {
+      chunks.push({
+        title: current.title,
+        breadcrumb: current.breadcrumb,
+        anchor: current.anchor,
+        content: current.lines.join('\n').trim(),
+      });
+    }
+  };
+
+  for (const line of content.split('\n')) {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    const heading = inFence ? null : line.match(HEADING_PATTERN);
+
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+
+    const level = heading[1].length;
+    // Keep the text of linked headings: ## [Title](url)
+    const text = heading[2].trim().replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+
+    if (page === null) {
+      // Text before the page heading belongs to the page chunk
+      page = text;
+      current = { title: text, breadcrumb: [text], anchor: null, lines: [line, ...current.lines] };
+      continue;
+    }
+
+    flush();
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, text });
+
+    // Repeated headings get numbered anchors: "usage", "usage-1", ...
+    const base = headingAnchor(text);
+    const count = usedAnchors.get(base) ?? 0;
+    usedAnchors.set(base, count + 1);
+
+    current = {
+      title: text,
+      breadcrumb: [page, ...stack.map(entry => entry.text)],
+      anchor: count === 0 ? base : `${base}-${count}`,
+      lines: [line],
+    };
+  }
+  flush();
+
+  if (chunks.length === 0) {
+    return [{ title: page, breadcrumb: page === null ? [] : [page], anchor: null, content: content.trim() }];
+  }
+  return chunks;
+}
@@ -0,0 +1,125 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+/**
+ * DocsCache
+ *
+ * Persists the downloaded documentation, its parsed sections and the HTTP
+ * validators (ETag / Last-Modified) in an XDG cache directory so later starts
+ * can revalidate instead of re-downloading, and keep working offline.
+ */
+
+// Bump when the shape of the cached parsed sections changes
+export const CACHE_FORMAT_VERSION = 2;
+
+const DOCS_FILE = 'llms-full.txt';
+const INDEX_FILE = 'index.json';
+const META_FILE = 'meta.json';
+
+/**
+ * Resolve the cache directory following the XDG Base Directory spec
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} Absolute path to the ember-mcp cache directory
+ */
+export function getCacheDir(env = process.env) {
+  const base = env.XDG_CACHE_HOME || join(homedir(), '.cache');
+  return join(base, 'ember-mcp');
+}
+
+export class DocsCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {string} [options.dir] - Cache directory (defaults to getCacheDir())
+   */
+  constructor({ dir = getCacheDir() } = {}) {
+    this.dir = dir;
+  }
+
+  /**
+   * Read the cached documentation for a source URL
+   * @param {string} url - Documentation URL the cache must have been filled from
+   * @returns {Promise<Object|null>} `{ text, sections, meta }`, or null if missing, stale-format or for another URL
+   */
+  async read(url) {
+    try {
+      const meta = JSON.parse(await fs.readFile(join(this.dir, META_FILE), 'utf-8'));
+      if (meta.url !== url || meta.formatVersion !== CACHE_FORMAT_VERSION) {
+        return null;
+      }
+
+      const [text, index] = await Promise.all([
+        fs.readFile(join(this.dir, DOCS_FILE), 'utf-8'),
+        fs.readFile(join(this.dir, INDEX_FILE), 'utf-8'),
+      ]);
+
+      return { text, sections: JSON.parse(index).sections, meta };
+    } catch {
+      // Missing or corrupt cache is treated as empty
+      return null;
+    }
+  }
+
+  /**
+   * Write documentation, parsed sections and validators to the cache
+   * @param {Object} entry - Cache entry
+   * @param {string} entry.url - Documentation URL
+   * @param {string} entry.text - Raw documentation text
+   * @param {Object} entry.sections - Parsed documentation sections
+   * @param {string|null} [entry.etag] - ETag response header
+   * @param {string|null} [entry.lastModified] - Last-Modified response header
+   * @param {string} entry.fetchedAt - ISO timestamp of the download
+   * @returns {Promise<void>}
+   */
+  async write({ url, text, sections, etag = null, lastModified = null, fetchedAt }) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Write the meta file last so a partial write never looks like a valid cache
+    await this.writeAtomic(DOCS_FILE, text);
+    await this.writeAtomic(INDEX_FILE, JSON.stringify({ sections }));
+    await this.writeMeta({
+      formatVersion: CACHE_FORMAT_VERSION,
+      url,
+      etag,
+      lastModified,
+      fetchedAt,
+      validatedAt: fetchedAt,
+    });
+  }
+
+  /**
+   * Record that the cached copy was confirmed current by the server
+   * @param {Object} meta - Existing cache metadata
+   * @param {string} validatedAt - ISO timestamp of the revalidation
+   * @returns {Promise<Object>} Updated metadata
+   */
+  async markValidated(meta, validatedAt) {
+    const updated = { ...meta, validatedAt };
+    await this.writeMeta(updated);
+    return updated;
+  }
+
+  /**
+   * Write cache metadata
+   * @private
+   * @param {Object} meta - Cache metadata
+   * @returns {Promise<void>}
+   */
+  async writeMeta(meta) {
+    await this.writeAtomic(META_FILE, JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * Write a file via a temporary file and rename
+   * @private
+   * @param {string} name - File name inside the cache directory
+   * @param {string} contents - File contents
+   * @returns {Promise<void>}
+   */
+  async writeAtomic(name, contents) {
+    const target = join(this.dir, name);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, contents, 'utf-8');
+    await fs.rename(temp, target);
+  }
+}
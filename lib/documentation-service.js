@@ -2,9 +2,28 @@ import fetch from "node-fetch";
 import pluralize from "pluralize";
 import { DeprecationManager } from "./deprecation-manager.js";
 import { ReleaseNotesParser } from "./release-notes-parser.js";
+import { DocsCache } from "./docs-cache.js";
+import { SearchIndex, tokenize } from "./search-index.js";
+import { getAllowedEdits } from "./edit-distance.js";
+import { SynonymMap } from "./synonyms.js";
+import { parseQuery, QueryParseError } from "./query-parser.js";
+import { splitIntoChunks } from "./doc-chunks.js";
+import { extractSourceMetadata, stripFrontmatter } from "./source-metadata.js";
+import { buildModuleExports } from "./module-exports.js";
+import { ApiUsageIndex } from "./api-usages.js";
+import { rankApiNames, isConfidentMatch } from "./api-suggestions.js";
+import { renderYuidoc, renderYuidocExcerpt } from "./yuidoc-markdown.js";
+import { formatTypeScriptSignature } from "./ts-signatures.js";
+import {
+  BUNDLED_DOCS_PATH,
+  RELEASES_DATA_PATH,
+  readDocsSnapshot,
+  readReleasesDataset,
+} from "./offline-data.js";
 import {
   DOCS_URL,
   SEARCH_CONFIG,
+  SEARCH_SYNONYMS,
   BEST_PRACTICES_KEYWORDS,
   PLURALIZATION_RULES,
   VERSION_SOURCES,
@@ -13,6 +32,7 @@ import {
   generateUrl,
   generateApiLink,
   generateApiUrl,
+  generateApiMemberUrl,
   generateVersionLinks,
   generateUpgradeGuideUrl,
   generateReleaseNotesUrl,
@@ -27,6 +47,34 @@ PLURALIZATION_RULES.uncountable.forEach(word => {
   pluralize.addUncountableRule(word);
 });
 
+// Scores are reported with two decimals
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
+}
+
+const MEMBER_LISTS = { method: "methods", property: "properties" };
+
+/**
+ * Render the YUIDoc markup in a class member's text (see yuidoc-markdown.js)
+ * @param {Object} member - YUIDoc method or property
+ * @param {string|null} version - Ember version crossLinks point to
+ * @returns {Object} Copy of the member with markdown descriptions
+ */
+function renderMemberDocs(member, version) {
+  const render = text => renderYuidoc(text, { version });
+  return {
+    ...member,
+    ...(member.description && { description: render(member.description) }),
+    ...(member.deprecationMessage && { deprecationMessage: render(member.deprecationMessage) }),
+    ...(member.params && {
+      params: member.params.map(param => ({ ...param, description: render(param.description) })),
+    }),
+    ...(member.return?.description && {
+      return: { ...member.return, description: render(member.return.description) },
+    }),
+  };
+}
+
 /**
  * DocumentationService
  *
@@ -35,60 +83,273 @@ PLURALIZATION_RULES.uncountable.forEach(word => {
  * and access version information.
  */
 export class DocumentationService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {DocsCache|null} [options.cache] - On-disk documentation cache (null disables caching)
+   * @param {boolean} [options.offline=false] - Never contact the documentation source or GitHub
+   * @param {string|null} [options.docsPath] - Load documentation from this llms-full.txt file instead of downloading it
+   * @param {string} [options.bundledDocsPath] - Snapshot shipped with the package, used offline
+   * @param {string} [options.releasesPath] - Releases dataset shipped with the package
+   * @param {string|null} [options.emberVersion] - Ember version links point to; release when omitted
+   */
+  constructor({
+    cache = new DocsCache(),
+    offline = false,
+    docsPath = null,
+    bundledDocsPath = BUNDLED_DOCS_PATH,
+    releasesPath = RELEASES_DATA_PATH,
+    emberVersion = null,
+  } = {}) {
     this.documentation = null;
     this.sections = {};
     this.apiIndex = new Map();
+    // Lowercase module name -> what can be imported from it, see module-exports.js
+    this.moduleExports = new Map();
+    // api-docs item -> its apiIndex entry, for search filters
+    this.apiEntryByItem = new WeakMap();
+    // Guide or community item -> where it was published, see getItemSource()
+    this.sourceByItem = new WeakMap();
+    this.searchIndex = new SearchIndex();
+    // API name -> guide and community chunks using it, see api-usages.js
+    this.usageIndex = new ApiUsageIndex([], new Map());
     this.loaded = false;
+    // Pending loadDocumentation() while a load is in progress
+    this.loading = null;
+    this.cache = cache;
+    this.snapshot = null;
+    this.offline = offline;
+    this.docsPath = docsPath;
+    this.bundledDocsPath = bundledDocsPath;
+    this.releasesPath = releasesPath;
+    this.emberVersion = emberVersion;
     this.deprecationManager = new DeprecationManager();
     this.releaseNotesParser = new ReleaseNotesParser();
   }
 
   /**
    * Ensure documentation is loaded before use
+   *
+   * Concurrent callers wait for the same load. A failed load is retried by
+   * the next call.
    * @returns {Promise<void>}
    */
   async ensureLoaded() {
-    if (!this.loaded) {
-      await this.loadDocumentation();
+    if (this.loaded) return;
+
+    if (!this.loading) {
+      this.loading = this.loadDocumentation().finally(() => {
+        this.loading = null;
+      });
     }
+    await this.loading;
   }
 
   /**
    * Load and parse Ember documentation from remote source
+   *
+   * Uses the on-disk cache when available: the cached copy is revalidated with
+   * If-None-Match / If-Modified-Since, and served as a fallback when the
+   * download fails. With a docs path, or in offline mode, no request is made.
    * @private
    * @returns {Promise<void>}
-   * @throws {Error} If documentation fetch fails
+   * @throws {Error} If documentation fetch fails and no cached copy exists
    */
   async loadDocumentation() {
     console.error("Loading Ember documentation...");
+
+    if (this.docsPath) {
+      const snapshot = await readDocsSnapshot(this.docsPath);
+      if (!snapshot) {
+        throw new Error(`Documentation snapshot not found: ${this.docsPath}`);
+      }
+      this.loadFromSnapshot(snapshot, "file");
+      return;
+    }
+
+    if (this.offline) {
+      await this.loadOfflineDocumentation();
+      return;
+    }
+
+    const cached = this.cache ? await this.cache.read(DOCS_URL) : null;
+
     try {
-      const response = await fetch(DOCS_URL);
+      const headers = {};
+      if (cached?.meta.etag) {
+        headers['If-None-Match'] = cached.meta.etag;
+      }
+      if (cached?.meta.lastModified) {
+        headers['If-Modified-Since'] = cached.meta.lastModified;
+      }
+
+      const response = await fetch(DOCS_URL, { headers });
+
+      if (response.status === 304 && cached) {
+        const validatedAt = new Date().toISOString();
+        const meta = await this.cache.markValidated(cached.meta, validatedAt)
+          .catch(() => ({ ...cached.meta, validatedAt }));
+        this.loadFromCache(cached, meta, "revalidated");
+        console.error("Documentation unchanged, loaded from cache");
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(`Failed to fetch documentation: ${response.status}`);
       }
+
       const text = await response.text();
+      const fetchedAt = new Date().toISOString();
       this.documentation = text;
       this.parseDocumentation(text);
       this.loaded = true;
+      this.snapshot = { source: "network", fetchedAt, validatedAt: fetchedAt };
       console.error("Documentation loaded successfully");
+
+      if (this.cache) {
+        await this.cache.write({
+          url: DOCS_URL,
+          text,
+          sections: this.sections,
+          etag: response.headers.get("etag"),
+          lastModified: response.headers.get("last-modified"),
+          fetchedAt,
+        }).catch((error) => {
+          console.error("Failed to write documentation cache:", error.message);
+        });
+      }
     } catch (error) {
+      if (cached) {
+        console.error(`Error loading documentation (${error.message}), using cached copy`);
+        this.loadFromCache(cached, cached.meta, "cache-fallback");
+        return;
+      }
       console.error("Error loading documentation:", error);
       throw error;
     }
   }
 
+  /**
+   * Load previously parsed documentation from a cache entry
+   * @private
+   * @param {Object} cached - Cache entry from DocsCache#read
+   * @param {Object} meta - Cache metadata to report
+   * @param {string} source - How the snapshot was obtained ("revalidated", "cache-fallback" or "cache")
+   */
+  loadFromCache(cached, meta, source) {
+    this.documentation = cached.text;
+    this.sections = cached.sections;
+    this.buildIndexes();
+    this.loaded = true;
+    this.snapshot = {
+      source,
+      fetchedAt: meta.fetchedAt,
+      validatedAt: meta.validatedAt,
+    };
+  }
+
+  /**
+   * Load the newest snapshot available without network access: the on-disk
+   * cache or the snapshot bundled with the package
+   * @private
+   * @returns {Promise<void>}
+   * @throws {Error} If neither exists
+   */
+  async loadOfflineDocumentation() {
+    const [cached, bundled] = await Promise.all([
+      this.cache ? this.cache.read(DOCS_URL) : null,
+      readDocsSnapshot(this.bundledDocsPath),
+    ]);
+
+    if (cached && (!bundled || cached.meta.fetchedAt >= bundled.meta.fetchedAt)) {
+      this.loadFromCache(cached, cached.meta, "cache");
+    } else if (bundled) {
+      this.loadFromSnapshot(bundled, "bundled");
+    } else {
+      throw new Error(
+        "Offline mode: no documentation snapshot is available. Run `node scripts/build-offline-data.js docs` " +
+        "or pass --docs <path> to an llms-full.txt file."
+      );
+    }
+    console.error(`Offline mode: documentation loaded from ${this.snapshot.source} snapshot`);
+  }
+
+  /**
+   * Parse documentation from a snapshot file
+   * @private
+   * @param {Object} snapshot - Snapshot from readDocsSnapshot
+   * @param {string} source - How the snapshot was obtained ("bundled" or "file")
+   */
+  loadFromSnapshot(snapshot, source) {
+    this.documentation = snapshot.text;
+    this.parseDocumentation(snapshot.text);
+    this.loaded = true;
+    this.snapshot = {
+      source,
+      fetchedAt: snapshot.meta.fetchedAt,
+      validatedAt: snapshot.meta.fetchedAt,
+      emberVersion: snapshot.meta.emberVersion ?? null,
+    };
+  }
+
+  /**
+   * Create a service answering for another Ember release
+   *
+   * Its API documentation is the release's (see api-snapshots.js). Only the
+   * current guides and community articles are available, so those are shared,
+   * linking to that release's guides.
+   * @param {Object} apiSnapshot - `{ version, items }` from ApiSnapshotStore#getSnapshot
+   * @returns {Promise<DocumentationService>} Loaded service for that release
+   */
+  async forApiSnapshot(apiSnapshot) {
+    await this.ensureLoaded();
+
+    const service = new DocumentationService({
+      cache: null,
+      offline: this.offline,
+      releasesPath: this.releasesPath,
+      emberVersion: apiSnapshot.version,
+    });
+    service.sections = {
+      ...this.sections,
+      "api-docs": apiSnapshot.items.map(item => ({ content: JSON.stringify({ data: item }), startLine: 0 })),
+    };
+    service.buildIndexes();
+    service.loaded = true;
+    service.snapshot = { ...this.snapshot, emberVersion: apiSnapshot.version };
+    return service;
+  }
+
+  /**
+   * Describe the loaded documentation snapshot and how fresh it is
+   * @param {Date} [now=new Date()] - Reference time for the age
+   * @returns {Object|null} `{ source, fetchedAt, validatedAt, ageMs, stale }`, or null if nothing is loaded
+   */
+  getSnapshotInfo(now = new Date()) {
+    if (!this.snapshot) return null;
+
+    return {
+      ...this.snapshot,
+      // Age since the content was last confirmed current
+      ageMs: Math.max(0, now - new Date(this.snapshot.validatedAt)),
+      // Anything not confirmed against the source in this run may be out of date
+      stale: this.snapshot.source !== "network" && this.snapshot.source !== "revalidated",
+    };
+  }
+
   parseDocumentation(text) {
+    // Parsing replaces any documentation loaded before
+    this.sections = {};
     const lines = text.split("\n");
     let currentSection = null;
     let currentContent = [];
     let sectionName = "";
+    let inFrontmatter = false;
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
 
       // Section headers are like: # api-docs or # community-bloggers
-      if (line.match(/^# [a-z-]+$/)) {
+      if (line.match(/^# [a-z-]+$/) && !inFrontmatter) {
         // Save previous section
         if (currentSection !== null && currentContent.length > 0) {
           this.sections[sectionName] = this.sections[sectionName] || [];
@@ -102,6 +363,14 @@ export class DocumentationService {
         sectionName = line.substring(2).trim();
         currentSection = i;
         currentContent = [line];
+      } else if (
+        line === "---" &&
+        currentSection !== null &&
+        (inFrontmatter || currentContent.every(previous => !previous.trim() || previous === `# ${sectionName}`))
+      ) {
+        // YAML frontmatter delimiters at the start of an item are not separators
+        inFrontmatter = !inFrontmatter;
+        currentContent.push(line);
       } else if (
         line.match(/^-{3,}$/) &&
         currentContent.length > 1 &&
@@ -131,8 +400,25 @@ export class DocumentationService {
       });
     }
 
+    this.buildIndexes();
+  }
+
+  /**
+   * Build lookup indexes from the parsed sections
+   * @private
+   */
+  buildIndexes() {
+    this.apiIndex = new Map();
+    this.apiEntryByItem = new WeakMap();
+    this.deprecationManager.deprecations.clear();
+
     // Parse API docs for indexing
     this.indexApiDocs();
+    this.moduleExports = buildModuleExports(this.getApiEntries(), { version: this.emberVersion });
+    this.buildUsageIndex();
+
+    // Tokenize every item for full-text search
+    this.buildSearchIndex();
 
     // Analyze documentation for deprecations
     this.deprecationManager.analyzeDocumentation(this.sections);
@@ -166,12 +452,13 @@ export class DocumentationService {
               name: name,
               type: parsed.data.type,
               module: attrs.module,
-              description: attrs.description,
+              description: renderYuidoc(attrs.description, { version: this.emberVersion }),
               file: attrs.file,
               line: attrs.line,
               extends: attrs.extends,
-              methods: attrs.methods || [],
-              properties: attrs.properties || [],
+              uses: attrs.uses || [],
+              methods: (attrs.methods || []).map(member => renderMemberDocs(member, this.emberVersion)),
+              properties: (attrs.properties || []).map(member => renderMemberDocs(member, this.emberVersion)),
               rawData: parsed.data,
             };
 
@@ -182,6 +469,7 @@ export class DocumentationService {
             }
 
             this.apiIndex.set(name.toLowerCase(), apiEntry);
+            this.apiEntryByItem.set(doc, apiEntry);
 
             // Also index by module name
             if (attrs.module) {
@@ -204,19 +492,213 @@ export class DocumentationService {
     console.error(`Indexed ${this.apiIndex.size} API entries`);
   }
 
+  /**
+   * Build the full-text search index over all section items
+   *
+   * API entries are indexed whole; guide and community items are indexed per
+   * heading (see doc-chunks.js), with their breadcrumb as headings.
+   * @private
+   */
+  buildSearchIndex() {
+    this.searchIndex = new SearchIndex({
+      k1: SEARCH_CONFIG.BM25_K1,
+      b: SEARCH_CONFIG.BM25_B,
+    });
+
+    for (const [sectionName, items] of Object.entries(this.sections)) {
+      for (const item of items) {
+        const content = this.getItemContent(sectionName, item);
+
+        if (sectionName === "api-docs") {
+          const apiEntry = this.apiEntryByItem.get(item);
+          this.searchIndex.add({
+            section: sectionName,
+            title: this.extractTitle(content),
+            content,
+            breadcrumb: [],
+            anchor: null,
+            source: null,
+            apiName: apiEntry?.name ?? null,
+            apiType: apiEntry?.type ?? null,
+            // Module entries are named after the module they document
+            apiModule: apiEntry?.module ?? (apiEntry?.type === "module" ? apiEntry.name : null),
+          });
+          continue;
+        }
+
+        const source = this.getItemSource(item);
+        for (const chunk of splitIntoChunks(content)) {
+          const title = chunk.title ?? this.extractTitle(chunk.content);
+          this.searchIndex.add({
+            section: sectionName,
+            title,
+            content: chunk.content,
+            headings: chunk.breadcrumb.slice(0, -1),
+            breadcrumb: chunk.breadcrumb.length > 0 ? chunk.breadcrumb : [title],
+            anchor: chunk.anchor,
+            source,
+            apiName: null,
+            apiType: null,
+            apiModule: null,
+          });
+        }
+      }
+    }
+
+    console.error(`Indexed ${this.searchIndex.size} documents for search`);
+  }
+
+  /**
+   * Build the reverse index from API names to the guide and community
+   * chunks that use them
+   *
+   * Pages are split at their headings like for search (see doc-chunks.js).
+   * @private
+   */
+  buildUsageIndex() {
+    this.usageIndex = new ApiUsageIndex(this.getApiEntries(), this.moduleExports);
+
+    for (const [sectionName, items] of Object.entries(this.sections)) {
+      if (sectionName === "api-docs") continue;
+
+      for (const item of items) {
+        const source = this.getItemSource(item);
+        for (const chunk of splitIntoChunks(this.getItemContent(sectionName, item))) {
+          const title = chunk.title ?? this.extractTitle(chunk.content);
+          this.usageIndex.add({
+            section: sectionName,
+            title,
+            content: chunk.content,
+            breadcrumb: chunk.breadcrumb.length > 0 ? chunk.breadcrumb : [title],
+            anchor: chunk.anchor,
+            source,
+          });
+        }
+      }
+    }
+
+    console.error(`Indexed guide usages of ${this.usageIndex.size} APIs`);
+  }
+
+  /**
+   * Get the text of a section item, without the section header or frontmatter
+   *
+   * The frontmatter is read by getItemSource(); it is not part of the page.
+   * @param {string} sectionName - Section the item belongs to
+   * @param {Object} item - Section item
+   * @returns {string} Item content
+   */
+  getItemContent(sectionName, item) {
+    // The first item of a section starts with the section header (# guides)
+    const content = item.content.startsWith(`# ${sectionName}\n`)
+      ? item.content.slice(sectionName.length + 3)
+      : item.content;
+    return stripFrontmatter(content);
+  }
+
+  /**
+   * Get where a guide page or community article was published
+   * @param {Object} item - Section item
+   * @returns {Object} `{ url, path, author }` from extractSourceMetadata
+   */
+  getItemSource(item) {
+    let source = this.sourceByItem.get(item);
+    if (!source) {
+      source = extractSourceMetadata(item.content);
+      this.sourceByItem.set(item, source);
+    }
+    return source;
+  }
+
   /**
    * Search documentation with relevance scoring
+   *
+   * Queries can use `"exact phrase"`, `-exclude` and `title:`, `module:`,
+   * `type:` and `section:` filters (see query-parser.js). A query with only
+   * filters lists the matching documents in documentation order.
    * @param {string} query - Search query string
    * @param {string} [category="all"] - Category filter: "all", "api", "guides", or "community"
    * @param {number} [limit=5] - Maximum number of results to return
    * @returns {Promise<Array<Object>>} Array of search results with title, excerpt, score, url, etc.
+   * @throws {QueryParseError} If the query is malformed or filters on an unknown section or API type
+   */
+  async search(query, category = "all", limit = SEARCH_CONFIG.DEFAULT_LIMIT) {
+    const { ranked, queryLower } = this.rankDocuments(query, category);
+
+    return ranked
+      .filter(candidate => candidate.explanation.failedGates.length === 0)
+      .slice(0, limit)
+      .map(candidate => this.toSearchResult(candidate, queryLower));
+  }
+
+  /**
+   * Search documentation and explain the ranking
+   *
+   * Like search(), but every result has an `explanation` with its score
+   * components and matched terms, and the best scoring documents left out by
+   * the MIN_SCORE gates are returned with the gates they failed.
+   * @param {string} query - Search query string
+   * @param {string} [category="all"] - Category filter: "all", "api", "guides", or "community"
+   * @param {number} [limit=5] - Maximum number of results (and of rejected documents) to return
+   * @returns {Promise<Object>} `{ results, rejected, gates }`, where gates are the current MIN_SCORE thresholds
+   * @throws {QueryParseError} If the query is malformed or filters on an unknown section or API type
+   */
+  async explainSearch(query, category = "all", limit = SEARCH_CONFIG.DEFAULT_LIMIT) {
+    const { ranked, queryLower } = this.rankDocuments(query, category);
+    const passed = ranked.filter(candidate => candidate.explanation.failedGates.length === 0);
+    const rejected = ranked.filter(candidate => candidate.explanation.failedGates.length > 0);
+
+    return {
+      results: passed.slice(0, limit).map(candidate => ({
+        ...this.toSearchResult(candidate, queryLower),
+        explanation: candidate.explanation,
+      })),
+      rejected: rejected.slice(0, limit).map(({ document, score, explanation }) => ({
+        title: document.title,
+        category: this.categorizeSectionName(document.section),
+        score,
+        url: generateUrl(document.section, document.title, {
+          anchor: document.anchor,
+          source: document.source,
+          version: this.emberVersion,
+        }),
+        explanation,
+      })),
+      gates: {
+        MIN_SCORE: SEARCH_CONFIG.MIN_SCORE,
+        MIN_SCORE_SINGLE_TERM: SEARCH_CONFIG.MIN_SCORE_SINGLE_TERM,
+      },
+    };
+  }
+
+  /**
+   * Score every document matching a query
+   * @private
+   * @param {string} query - Search query string
+   * @param {string} category - Category filter
+   * @returns {Object} `{ ranked, queryLower }`: ranked holds `{ id, document, score, matches,
+   *   termPositions, totalTerms, explanation }` for every matching document, best first,
+   *   including those failing a MIN_SCORE gate (listed in `explanation.failedGates`)
+   * @throws {QueryParseError} If the query is malformed or filters on an unknown section or API type
    */
-  async search(query, category = "all", limit = 5) {
-    const results = [];
-    const queryLower = query.toLowerCase();
-    const searchTerms = queryLower.split(/\s+/).filter(term => term.length > 0);
+  rankDocuments(query, category) {
+    const parsedQuery = parseQuery(query);
+    this.validateQueryFilters(parsedQuery.filters);
+
+    const ranked = [];
+    const queryLower = parsedQuery.text.toLowerCase();
+    // Title filter values are search terms too, so `title:router` ranks by them
+    const queryTerms = tokenize([parsedQuery.text, ...parsedQuery.filters.title].join(" "), { subwords: false })
+      .map(token => token.term);
+    const searchTerms = [...new Set(queryTerms)];
+    const hasFilters = Object.values(parsedQuery.filters).some(values => values.length > 0);
+    const index = this.searchIndex;
+
+    if (searchTerms.length === 0 && !hasFilters) {
+      return { ranked, queryLower };
+    }
 
-    const sectionsToSearch =
+    const sectionsToSearch = new Set(
       category === "all"
         ? Object.keys(this.sections)
         : category === "api"
@@ -227,90 +709,340 @@ export class DocumentationService {
           )
         : category === "community"
         ? ["community-bloggers"]
-        : [];
+        : []
+    );
+
+    const allowed = new Map();
+    const isAllowed = (id) => {
+      if (!allowed.has(id)) {
+        const document = index.documents[id];
+        allowed.set(id, sectionsToSearch.has(document.section) && this.matchesQuery(document, parsedQuery));
+      }
+      return allowed.get(id);
+    };
 
-    for (const sectionName of sectionsToSearch) {
-      const sectionItems = this.sections[sectionName] || [];
+    // Collect the best match of every query term in each candidate document
+    // from the postings; a variant matches if the document has all its terms
+    const candidates = new Map(
+      searchTerms.length === 0
+        ? index.documents.filter(document => isAllowed(document.id)).map(document => [document.id, new Map()])
+        : []
+    );
+    for (const [searchTerm, variants] of this.getQueryVariants(queryTerms)) {
+      for (const variant of variants) {
+        const [rarest] = [...variant.terms].sort((a, b) => index.getPostings(a).size - index.getPostings(b).size);
+
+        for (const id of index.getPostings(rarest).keys()) {
+          if (!isAllowed(id)) continue;
+          const document = index.documents[id];
+
+          const postings = variant.terms.map(term => index.getPostings(term).get(id));
+          if (postings.some(posting => !posting)) continue;
+
+          // Phrase variants score the average of their terms
+          const fields = { title: 0, headings: 0, body: 0 };
+          variant.terms.forEach((term, i) => {
+            const termFields = this.scoreTermMatch(document, term, postings[i]);
+            for (const field of Object.keys(fields)) {
+              fields[field] += (variant.weight * termFields[field]) / variant.terms.length;
+            }
+          });
+          const termScore = fields.title + fields.headings + fields.body;
+
+          if (!candidates.has(id)) candidates.set(id, new Map());
+          const documentMatches = candidates.get(id);
+          if (!(documentMatches.get(searchTerm)?.score >= termScore)) {
+            documentMatches.set(searchTerm, {
+              query: searchTerm,
+              term: variant.terms.join(" "),
+              weight: variant.weight,
+              fields,
+              score: termScore,
+              offset: postings[0].offset,
+            });
+          }
+        }
+      }
+    }
 
-      for (const item of sectionItems) {
-        const content = item.content.toLowerCase();
-        const title = this.extractTitle(item.content);
-        const titleLower = title.toLowerCase();
+    for (const [id, documentMatches] of candidates) {
+      const document = index.documents[id];
+      const matches = [...documentMatches.values()];
+      const termPositions = [];
+      const components = {
+        exactPhraseBonus: 0,
+        titleBonus: 0,
+        headingBonus: 0,
+        termFrequency: 0,
+        allTermsBonus: 0,
+        proximityBonus: 0,
+      };
+
+      // Exact phrase match - highest value
+      if (queryLower && document.contentLower.includes(queryLower)) {
+        components.exactPhraseBonus = SEARCH_CONFIG.EXACT_PHRASE_BONUS;
+      }
 
-        // Calculate relevance score with better weighting
-        let score = 0;
-        let matchedTerms = [];
-        let termPositions = [];
+      // BM25 per field: title and heading matches are highly relevant,
+      // body matches add the base score for term presence
+      for (const { term, fields, offset } of matches) {
+        components.titleBonus += fields.title;
+        components.headingBonus += fields.headings;
+        components.termFrequency += fields.body;
 
-        // Exact phrase match - highest value
-        if (content.includes(queryLower)) {
-          score += SEARCH_CONFIG.EXACT_PHRASE_BONUS;
-          matchedTerms.push(queryLower);
+        // First position of this term for proximity scoring
+        if (offset !== -1) {
+          termPositions.push({ term, pos: offset });
         }
+      }
 
-        // Check each term
-        searchTerms.forEach((term) => {
-          const matches = (content.match(new RegExp(term, "gi")) || []).length;
-          if (matches > 0) {
-            matchedTerms.push(term);
+      // All terms present - significant bonus
+      if (searchTerms.length > 0 && matches.length === searchTerms.length) {
+        components.allTermsBonus = SEARCH_CONFIG.ALL_TERMS_BONUS;
+
+        // Proximity bonus: terms close together are more relevant
+        if (termPositions.length > 1) {
+          termPositions.sort((a, b) => a.pos - b.pos);
+          const spread = termPositions[termPositions.length - 1].pos - termPositions[0].pos;
+          // If all terms within proximity threshold, add proximity bonus
+          if (spread < SEARCH_CONFIG.PROXIMITY_THRESHOLD) {
+            components.proximityBonus = Math.floor((SEARCH_CONFIG.PROXIMITY_THRESHOLD - spread) / SEARCH_CONFIG.PROXIMITY_BONUS_DIVISOR);
+          }
+        }
+      }
 
-            // Title matches are highly relevant
-            if (titleLower.includes(term)) {
-              score += SEARCH_CONFIG.TITLE_MATCH_BONUS;
-            }
+      const score = Object.values(components).reduce((sum, value) => sum + value, 0);
 
-            // Base score for term presence
-            score += matches * SEARCH_CONFIG.TERM_MATCH_WEIGHT;
+      // Only include results with meaningful matches
+      // Require at least 2 terms or a high-value single match (unless only filtering)
+      const failedGates = [];
+      if (searchTerms.length > 0) {
+        if (score < SEARCH_CONFIG.MIN_SCORE) {
+          failedGates.push("MIN_SCORE");
+        }
+        if (matches.length < 2 && score < SEARCH_CONFIG.MIN_SCORE_SINGLE_TERM) {
+          failedGates.push("MIN_SCORE_SINGLE_TERM");
+        }
+      }
 
-            // Find first position of this term for proximity scoring
-            const pos = content.indexOf(term);
-            if (pos !== -1) {
-              termPositions.push({ term, pos });
-            }
-          }
-        });
+      ranked.push({
+        id,
+        document,
+        score: roundScore(score),
+        matches,
+        termPositions,
+        totalTerms: searchTerms.length,
+        explanation: {
+          components: Object.fromEntries(
+            Object.entries(components).map(([name, value]) => [name, roundScore(value)])
+          ),
+          terms: matches.map(match => ({
+            query: match.query,
+            matched: match.term,
+            weight: match.weight,
+            score: roundScore(match.score),
+          })),
+          failedGates,
+        },
+      });
+    }
 
-        // All terms present - significant bonus
-        if (matchedTerms.length === searchTerms.length) {
-          score += SEARCH_CONFIG.ALL_TERMS_BONUS;
-
-          // Proximity bonus: terms close together are more relevant
-          if (termPositions.length > 1) {
-            termPositions.sort((a, b) => a.pos - b.pos);
-            const spread = termPositions[termPositions.length - 1].pos - termPositions[0].pos;
-            // If all terms within proximity threshold, add proximity bonus
-            if (spread < SEARCH_CONFIG.PROXIMITY_THRESHOLD) {
-              score += Math.floor((SEARCH_CONFIG.PROXIMITY_THRESHOLD - spread) / SEARCH_CONFIG.PROXIMITY_BONUS_DIVISOR);
-            }
-          }
+    // Sort by score (document order breaks ties)
+    ranked.sort((a, b) => b.score - a.score || a.id - b.id);
+    return { ranked, queryLower };
+  }
+
+  /**
+   * Build a search result from a ranked document
+   * @private
+   * @param {Object} candidate - Entry from rankDocuments
+   * @param {string} queryLower - Lowercased query text, for the excerpt
+   * @returns {Object} Search result
+   */
+  toSearchResult({ document, score, matches, termPositions, totalTerms }, queryLower) {
+    let excerpt = this.extractExcerpt(document.content, queryLower.split(/\s+/).filter(Boolean), termPositions);
+    if (document.section === "api-docs") {
+      // API entries are indexed as their JSON, with YUIDoc markup in the strings
+      excerpt = renderYuidocExcerpt(excerpt, { version: this.emberVersion });
+    }
+
+    // Check if this result is for a deprecated API
+    const deprecationInfo = this.deprecationManager.checkSearchResult({ title: document.title, content: document.content });
+
+    return {
+      title: document.title,
+      category: this.categorizeSectionName(document.section),
+      breadcrumb: document.breadcrumb,
+      excerpt,
+      score,
+      url: generateUrl(document.section, document.title, {
+        anchor: document.anchor,
+        source: document.source,
+        version: this.emberVersion,
+      }),
+      author: document.source?.author ?? null,
+      apiLink: generateApiLink(document.content, this.emberVersion),
+      matchedTerms: matches.length,
+      totalTerms,
+      deprecationInfo: deprecationInfo,
+    };
+  }
+
+  /**
+   * Check that the sections and API types named by query filters exist
+   * @private
+   * @param {Object} filters - Filters from parseQuery
+   * @throws {QueryParseError} If a `section:` or `type:` value is unknown
+   */
+  validateQueryFilters({ section, type }) {
+    const check = (values, available, label) => {
+      for (const value of values) {
+        if (!available.some(name => name.toLowerCase() === value.toLowerCase())) {
+          throw new QueryParseError(`Unknown ${label} "${value}". Available: ${available.join(", ")}`);
         }
+      }
+    };
 
-        // Only include results with meaningful matches
-        // Require at least 2 terms or a high-value single match
-        if (score >= SEARCH_CONFIG.MIN_SCORE && (matchedTerms.length >= 2 || score >= SEARCH_CONFIG.MIN_SCORE_SINGLE_TERM)) {
-          const excerpt = this.extractExcerpt(item.content, searchTerms, termPositions);
+    check(section, Object.keys(this.sections), "section");
+    check(type, [...new Set([...this.apiIndex.values()].map(entry => entry.type).filter(Boolean))].sort(), "type");
+  }
 
-          // Check if this result is for a deprecated API
-          const deprecationInfo = this.deprecationManager.checkSearchResult({ title, content: item.content });
+  /**
+   * Check a search document against the phrases, exclusions and filters of a query
+   * @private
+   * @param {Object} document - Indexed document
+   * @param {Object} parsedQuery - Result of parseQuery
+   * @returns {boolean} Whether the document may be a result
+   */
+  matchesQuery(document, { phrases, exclusions, filters }) {
+    const includesText = text => document.contentLower.includes(text.toLowerCase());
+    const matchesAny = (values, test) => values.length === 0 || values.some(value => test(value.toLowerCase()));
+
+    // A single word is excluded in any form (plural, inside identifiers); anything longer as written
+    const isExcluded = (exclusion) => {
+      const tokens = tokenize(exclusion, { subwords: false });
+      return tokens.length === 1
+        ? this.searchIndex.getPostings(tokens[0].term).has(document.id)
+        : includesText(exclusion);
+    };
 
-          results.push({
-            title,
-            category: this.categorizeSectionName(sectionName),
-            excerpt,
-            score,
-            url: generateUrl(sectionName, title),
-            apiLink: generateApiLink(item.content),
-            matchedTerms: matchedTerms.length,
-            totalTerms: searchTerms.length,
-            deprecationInfo: deprecationInfo,
-          });
+    const module = document.apiModule?.toLowerCase();
+    return phrases.every(includesText) &&
+      !exclusions.some(isExcluded) &&
+      matchesAny(filters.title, value => [...document.breadcrumb, document.title, document.apiName].some(title => title?.toLowerCase().includes(value))) &&
+      matchesAny(filters.module, value => Boolean(module) && (module === value || module.startsWith(`${value}/`))) &&
+      matchesAny(filters.type, value => document.apiType?.toLowerCase() === value) &&
+      matchesAny(filters.section, value => document.section.toLowerCase() === value);
+  }
+
+  /**
+   * BM25 score of a term in each field of a document, weighted by
+   * TITLE_MATCH_BONUS, HEADING_MATCH_BONUS and TERM_MATCH_WEIGHT
+   * @param {Object} document - Indexed document
+   * @param {string} term - Index term
+   * @param {Object} posting - The term's posting for the document
+   * @returns {Object} `{ title, headings, body }` scores
+   */
+  scoreTermMatch(document, term, posting) {
+    const index = this.searchIndex;
+    const idf = index.idf(term);
+    return {
+      title: idf * SEARCH_CONFIG.TITLE_MATCH_BONUS * index.fieldScore(posting.title, document, "title"),
+      headings: idf * SEARCH_CONFIG.HEADING_MATCH_BONUS * index.fieldScore(posting.headings, document, "headings"),
+      body: idf * SEARCH_CONFIG.TERM_MATCH_WEIGHT * index.fieldScore(posting.body, document, "body"),
+    };
+  }
+
+  /**
+   * Get the ways each query term can be matched
+   *
+   * A term matches itself or, if it is not in the index (usually a typo),
+   * similar terms weighted by FUZZY_MATCH_WEIGHT per edit. SEARCH_SYNONYMS
+   * phrases found in the query add their synonyms, weighted by SYNONYM_WEIGHT,
+   * to each term of the phrase.
+   * @param {Array<string>} queryTerms - Normalized query terms in query order
+   * @returns {Map<string, Array<Object>>} Query term -> `{ terms, weight }` variants
+   */
+  getQueryVariants(queryTerms) {
+    const variants = new Map();
+    for (const term of queryTerms) {
+      if (variants.has(term)) continue;
+
+      const fuzzyTerms = this.getFuzzyTerms(term);
+      variants.set(term, fuzzyTerms.length > 0
+        ? fuzzyTerms.map(match => ({ terms: [match.term], weight: SEARCH_CONFIG.FUZZY_MATCH_WEIGHT ** match.distance }))
+        : [{ terms: [term], weight: 1 }]);
+    }
+
+    for (const { start, length, alternatives } of this.getSynonymMap().expand(queryTerms)) {
+      for (const term of queryTerms.slice(start, start + length)) {
+        const termVariants = variants.get(term);
+        for (const { terms } of alternatives) {
+          const key = terms.join(" ");
+          if (!termVariants.some(variant => variant.terms.join(" ") === key)) {
+            termVariants.push({ terms, weight: SEARCH_CONFIG.SYNONYM_WEIGHT });
+          }
         }
       }
     }
 
-    // Sort by score and return top results
-    results.sort((a, b) => b.score - a.score);
-    return results.slice(0, limit);
+    return variants;
+  }
+
+  /**
+   * Get the compiled SEARCH_SYNONYMS, rebuilt when the config changes
+   * @returns {SynonymMap} Synonym map
+   */
+  getSynonymMap() {
+    if (this.synonymMap?.source !== SEARCH_SYNONYMS) {
+      this.synonymMap = new SynonymMap(SEARCH_SYNONYMS);
+    }
+    return this.synonymMap;
+  }
+
+  /**
+   * Find index terms to match in place of a query term that is not indexed
+   * @param {string} term - Normalized query term
+   * @returns {Array<Object>} `{ term, distance }` entries, closest first (empty if the term is indexed or too short to correct)
+   */
+  getFuzzyTerms(term) {
+    if (this.searchIndex.getPostings(term).size > 0) {
+      return [];
+    }
+
+    return this.searchIndex.findSimilarTerms(term, {
+      maxEdits: getAllowedEdits(term, SEARCH_CONFIG.FUZZY_MAX_EDITS),
+      limit: SEARCH_CONFIG.FUZZY_MAX_EXPANSIONS,
+    });
+  }
+
+  /**
+   * Build "did you mean" queries by replacing query words that are not in the
+   * index with the closest index terms
+   * @param {string} query - Search query string
+   * @returns {Array<string>} Suggested queries, best first (empty if every word is indexed)
+   */
+  getSearchSuggestions(query) {
+    const corrections = tokenize(query, { subwords: false })
+      .map(token => ({ ...token, alternatives: this.getFuzzyTerms(token.term).map(match => match.term) }))
+      .filter(correction => correction.alternatives.length > 0);
+
+    if (corrections.length === 0) {
+      return [];
+    }
+
+    const suggestions = new Set();
+    for (let i = 0; i < SEARCH_CONFIG.MAX_SUGGESTIONS; i++) {
+      // Replace from the end so earlier offsets stay valid
+      let suggestion = query;
+      for (const { offset, length, alternatives } of [...corrections].reverse()) {
+        const replacement = alternatives[Math.min(i, alternatives.length - 1)];
+        suggestion = suggestion.slice(0, offset) + replacement + suggestion.slice(offset + length);
+      }
+      suggestions.add(suggestion);
+    }
+
+    return [...suggestions];
   }
 
   extractTitle(content) {
@@ -339,7 +1071,8 @@ export class DocumentationService {
     for (const line of lines) {
       const headerMatch = line.match(/^#+\s+(.+)$/);
       if (headerMatch) {
-        const title = headerMatch[1].trim();
+        // Article headings may link to the original post: ## [Title](url)
+        const title = headerMatch[1].trim().replace(/\[([^\]]+)\]\([^)]*\)/g, "$1");
         // Skip if it matches generic patterns
         const isGeneric = genericPatterns.some(pattern => pattern.test(title));
         if (!isGeneric && title.length > 3) {
@@ -423,8 +1156,8 @@ export class DocumentationService {
       }
 
       // Extract context around the best cluster
-      const contextStart = Math.max(0, bestStart - 150);
-      const contextEnd = Math.min(content.length, bestStart + 400);
+      const contextStart = Math.max(0, bestStart - SEARCH_CONFIG.EXCERPT_BEFORE_CONTEXT);
+      const contextEnd = Math.min(content.length, bestStart + SEARCH_CONFIG.EXCERPT_AFTER_CONTEXT);
 
       let excerpt = content.substring(contextStart, contextEnd);
 
@@ -488,7 +1221,7 @@ export class DocumentationService {
         !trimmed.startsWith("{") &&
         trimmed.length > 30
       ) {
-        return trimmed.substring(0, 350);
+        return trimmed.substring(0, SEARCH_CONFIG.EXCERPT_MAX_LENGTH);
       }
     }
 
@@ -503,61 +1236,475 @@ export class DocumentationService {
 
   /**
    * Get detailed API reference documentation for a specific API element
-   * @param {string} name - Name of the API element (e.g., "Component", "Router")
+   *
+   * Methods and properties are looked up as `Class#member`, `Class.member` or
+   * by member name alone; their references have a `memberType` (see getApiMember).
+   * @param {string} name - Name of the API element (e.g., "Component", "Router", "RouterService#transitionTo")
    * @param {string} [type] - Optional type filter ("class", "module", "method", "property")
-   * @returns {Promise<Object|null>} API documentation object or null if not found
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeInherited=true] - Merge in members inherited through
+   *   `extends` and `uses` (see resolveInheritance)
+   * @param {Object} [options.members] - Filters and paging for the member lists (see pageApiMembers)
+   * @returns {Promise<Object|null>} API documentation object or null if not found. A name without
+   *   an exact match resolves to the one clearly closest name (see suggestApiNames), and its
+   *   reference then has `resolvedFrom` set to the requested name.
    */
-  async getApiReference(name, type) {
-    const key = name.toLowerCase();
-    const apiDoc = this.apiIndex.get(key);
-
-    if (!apiDoc) {
-      // Try to search for it
-      const results = await this.search(name, "api", 1);
-      if (results.length > 0 && results[0].apiLink) {
-        // Try to extract from the content
-        const apiDocs = this.sections["api-docs"] || [];
-        for (const doc of apiDocs) {
-          if (doc.content.toLowerCase().includes(key)) {
-            try {
-              const jsonMatch = doc.content.match(/\{[\s\S]*"data"[\s\S]*\}/);
-              if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                if (parsed.data?.attributes) {
-                  const attrs = parsed.data.attributes;
-                  return {
-                    name: attrs.name || attrs.shortname,
-                    type: parsed.data.type,
-                    module: attrs.module,
-                    description: attrs.description,
-                    file: attrs.file,
-                    line: attrs.line,
-                    extends: attrs.extends,
-                    methods: attrs.methods || [],
-                    properties: attrs.properties || [],
-                    apiUrl: results[0].apiLink,
-                  };
-                }
-              }
-            } catch (e) {
-              // Continue searching
-            }
+  async getApiReference(name, type, { includeInherited = true, members = {} } = {}) {
+    const wantsMember = type === "method" || type === "property" || name.includes("#");
+    const apiDoc = wantsMember ? null : this.findApiEntry(name, type);
+    if (apiDoc) return this.buildApiReference(apiDoc, { includeInherited, members });
+
+    const member = this.getApiMember(name, type);
+    if (member) return member;
+
+    // No exact match: answer with the closest name only when it clearly stands out
+    const ranked = this.rankApiCandidates(name, type);
+    if (!isConfidentMatch(ranked)) return null;
+
+    const [best] = ranked;
+    const reference = best.entry
+      ? this.buildApiReference(best.entry, { includeInherited, members })
+      : this.getApiMember(best.name, best.type);
+    return { ...reference, resolvedFrom: name };
+  }
+
+  /**
+   * Suggest API names for a name without an exact match
+   * @param {string} name - Name passed to getApiReference
+   * @param {string} [type] - Type passed to getApiReference
+   * @returns {Array<Object>} Up to SEARCH_CONFIG.MAX_SUGGESTIONS `{ name, type, module, reason }`
+   *   suggestions, best first; members are named `Class#member`
+   */
+  suggestApiNames(name, type) {
+    return this.rankApiCandidates(name, type)
+      .slice(0, SEARCH_CONFIG.MAX_SUGGESTIONS)
+      .map(candidate => ({
+        name: candidate.name,
+        type: candidate.type,
+        module: candidate.module ?? null,
+        reason: candidate.reason,
+      }));
+  }
+
+  /**
+   * Rank the API names that could be meant by a name (see api-suggestions.js)
+   *
+   * Members are ranked for member lookups: those of the named class for
+   * `Class#member`, otherwise every declared member. Classes and modules are
+   * ranked for everything else.
+   * @private
+   * @param {string} name - Name passed to getApiReference
+   * @param {string} [type] - Type passed to getApiReference
+   * @returns {Array<Object>} Ranked `{ name, type, module, reason, score }` candidates, with the
+   *   apiIndex `entry` for classes and modules
+   */
+  rankApiCandidates(name, type) {
+    const maxEdits = SEARCH_CONFIG.FUZZY_MAX_EDITS;
+    const memberTypes = MEMBER_LISTS[type] ? [type] : Object.keys(MEMBER_LISTS);
+
+    if (type === "method" || type === "property" || name.includes("#")) {
+      const separator = name.indexOf("#") > 0 ? name.indexOf("#") : name.lastIndexOf(".");
+      const owner = separator > 0 ? this.apiIndex.get(name.slice(0, separator).toLowerCase()) : null;
+      if (separator > 0 && !owner) return [];
+
+      const owners = owner ? [{ entry: owner, lists: this.resolveInheritance(owner) }]
+        : this.getApiEntries().map(entry => ({ entry, lists: entry }));
+      const memberName = separator > 0 ? name.slice(separator + 1) : name;
+
+      // The owner's module is kept aside so member names aren't matched against module paths
+      const candidates = [];
+      for (const { entry, lists } of owners) {
+        for (const memberType of memberTypes) {
+          for (const member of lists[MEMBER_LISTS[memberType]] || []) {
+            if (!member.name) continue;
+            candidates.push({ name: member.name, type: memberType, className: entry.name, ownerModule: entry.module ?? null });
           }
         }
       }
-      return null;
+      return rankApiNames(memberName, candidates, { maxEdits }).map(({ className, ownerModule, ...candidate }) => ({
+        ...candidate,
+        name: `${className}#${candidate.name}`,
+        module: ownerModule,
+      }));
     }
 
+    // A module's functions are documented on a class named after it; suggest the module instead
+    const entries = this.getApiEntries();
+    const moduleNames = new Set(entries.filter(entry => entry.type === "module").map(entry => entry.name));
+    const candidates = entries
+      .filter(entry => !type || entry.type === type)
+      .filter(entry => entry.type === "module" || !moduleNames.has(entry.name))
+      .map(entry => ({
+        name: entry.name,
+        type: entry.type,
+        module: entry.type === "module" ? entry.name : entry.module ?? null,
+        entry,
+      }));
+    return rankApiNames(name, candidates, { maxEdits });
+  }
+
+  /**
+   * Get the loaded API documentation in the form of a versioned API snapshot (see api-snapshots.js)
+   * @returns {Object} `{ version, items }`, with the documented Ember version if known and the
+   *   `rawData` of every API entry
+   */
+  getApiSnapshot() {
+    return {
+      version: this.snapshot?.emberVersion ?? null,
+      items: this.getApiEntries().map(entry => entry.rawData),
+    };
+  }
+
+  /**
+   * Get every indexed API entry
+   *
+   * apiIndex keys collide (a module and its classes share the module name),
+   * so entries are read from the api-docs items.
+   * @returns {Array<Object>} apiIndex entries in documentation order
+   */
+  getApiEntries() {
+    return (this.sections["api-docs"] || []).map(item => this.apiEntryByItem.get(item)).filter(Boolean);
+  }
+
+  /**
+   * Find the API class or module with a name
+   *
+   * A module shares its apiIndex key with the classes it contains, so a
+   * module asked for by type is looked up among all entries.
+   * @private
+   * @param {string} name - Class or module name
+   * @param {string} [type] - "class" or "module"; any type when omitted
+   * @returns {Object|null} apiIndex entry, or null if none has that name and type
+   */
+  findApiEntry(name, type) {
+    const key = name.toLowerCase();
+    const entry = this.apiIndex.get(key) ?? null;
+    if (!entry || !type || entry.type === type) return entry;
+    return this.getApiEntries().find(candidate => candidate.type === type && candidate.name.toLowerCase() === key) ?? null;
+  }
+
+  /**
+   * Build the reference for an API class or module
+   * @private
+   * @param {Object} apiDoc - apiIndex entry
+   * @param {Object} options - Options passed to getApiReference
+   * @param {boolean} options.includeInherited - Merge in inherited members
+   * @param {Object} options.members - Filters and paging for the member lists (see pageApiMembers)
+   * @returns {Object} API documentation object
+   */
+  buildApiReference(apiDoc, { includeInherited, members }) {
     // Check if API is deprecated
     const deprecationInfo = this.deprecationManager.getDeprecationInfo(apiDoc.name);
+    const inheritance = this.resolveInheritance(apiDoc);
+    const isOwn = member => member.definedIn === apiDoc.name;
 
     return {
       ...apiDoc,
-      apiUrl: generateApiUrl(apiDoc.name, apiDoc.type),
+      ...this.pageApiMembers(
+        {
+          methods: includeInherited ? inheritance.methods : inheritance.methods.filter(isOwn),
+          properties: includeInherited ? inheritance.properties : inheritance.properties.filter(isOwn),
+        },
+        members
+      ),
+      ancestors: inheritance.ancestors,
+      mixins: inheritance.mixins,
+      apiUrl: generateApiUrl(apiDoc.name, apiDoc.type, this.emberVersion),
       deprecationInfo: deprecationInfo,
+      relatedGuides: this.getApiUsages(apiDoc.name).slice(0, SEARCH_CONFIG.MAX_RELATED_GUIDES),
     };
   }
 
+  /**
+   * Filter the methods and properties of a class and take one page of each
+   *
+   * Both lists are paged with the same offset, so the next page of either is
+   * at its `nextOffset`.
+   * @private
+   * @param {Object} lists - `{ methods, properties }`
+   * @param {Object} [options] - Filters and paging
+   * @param {number} [options.offset=0] - Members to skip in each list
+   * @param {number} [options.limit] - Members per list (default: SEARCH_CONFIG.MAX_METHODS_DISPLAYED
+   *   and MAX_PROPERTIES_DISPLAYED)
+   * @param {string} [options.access] - Only "public", "protected" or "private" members
+   *   (members without an access level are public)
+   * @param {string} [options.kind] - Only "method" or "property" members
+   * @param {boolean} [options.includeDeprecated=true] - Keep deprecated members
+   * @returns {Object} `{ methods, properties, memberCounts }`, where memberCounts has
+   *   `{ total, matching, offset, nextOffset }` per list; nextOffset is null on the last page
+   * @throws {Error} If offset or limit is not a whole number in range
+   */
+  pageApiMembers(lists, { offset = 0, limit, access, kind, includeDeprecated = true } = {}) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid offset: ${offset} (expected a whole number, 0 or more)`);
+    }
+    if (limit !== undefined && limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+      throw new Error(`Invalid limit: ${limit} (expected a whole number, 1 or more)`);
+    }
+
+    const defaultLimits = {
+      methods: SEARCH_CONFIG.MAX_METHODS_DISPLAYED,
+      properties: SEARCH_CONFIG.MAX_PROPERTIES_DISPLAYED,
+    };
+    const page = { memberCounts: {} };
+
+    for (const [memberType, list] of Object.entries(MEMBER_LISTS)) {
+      const members = lists[list];
+      const matching = members.filter(member =>
+        (!kind || kind === memberType) &&
+        (!access || (member.access || "public") === access) &&
+        (includeDeprecated || !member.deprecated)
+      );
+      const end = offset + (limit ?? defaultLimits[list]);
+
+      page[list] = matching.slice(offset, end);
+      page.memberCounts[list] = {
+        total: members.length,
+        matching: matching.length,
+        offset,
+        nextOffset: end < matching.length ? end : null,
+      };
+    }
+    return page;
+  }
+
+  /**
+   * Collect the members of an API class and everything it inherits
+   *
+   * Mixins (`uses`) are visited before the superclass (`extends`), each
+   * depth-first, which is the order JavaScript looks members up in; the
+   * nearest definition of a name wins.
+   * @private
+   * @param {Object} apiEntry - apiIndex entry
+   * @returns {Object} `{ methods, properties, ancestors, mixins }`: members in lookup order,
+   *   each with a `definedIn` class name, the superclass chain nearest first (including names
+   *   missing from the documentation) and every mixin applied along it
+   */
+  resolveInheritance(apiEntry) {
+    const members = { methods: new Map(), properties: new Map() };
+    const ancestors = [];
+    const mixins = [];
+    const visited = new Set();
+
+    const visit = (entry) => {
+      visited.add(entry);
+      for (const [list, byName] of Object.entries(members)) {
+        for (const member of entry[list] || []) {
+          if (byName.has(member.name)) continue;
+          // Docs generated with inherited members name their defining class
+          byName.set(member.name, { ...member, definedIn: member.class || entry.name });
+        }
+      }
+
+      for (const mixinName of entry.uses || []) {
+        const mixin = this.apiIndex.get(mixinName.toLowerCase());
+        if (mixin && visited.has(mixin)) continue;
+        mixins.push(mixin?.name ?? mixinName);
+        if (mixin) visit(mixin);
+      }
+
+      if (entry.extends) {
+        const parent = this.apiIndex.get(entry.extends.toLowerCase());
+        if (parent && visited.has(parent)) return;
+        ancestors.push(parent?.name ?? entry.extends);
+        if (parent) visit(parent);
+      }
+    };
+    visit(apiEntry);
+
+    return {
+      methods: [...members.methods.values()],
+      properties: [...members.properties.values()],
+      ancestors,
+      mixins,
+    };
+  }
+
+  /**
+   * Find a method or property of an API class
+   *
+   * A named class also provides its inherited members, reported with the
+   * class they are `definedIn`. Members named without a class (`transitionTo`)
+   * may exist on several classes; public, non-deprecated ones are preferred
+   * and the others are listed as `alternatives`.
+   * @private
+   * @param {string} name - `Class#member`, `Class.member` or a member name
+   * @param {string} [type] - "method" or "property" to look up only that kind of member
+   * @returns {Object|null} Member reference with its signature, owning class and API URL, or null if not found
+   */
+  getApiMember(name, type) {
+    const memberTypes = MEMBER_LISTS[type] ? [type] : Object.keys(MEMBER_LISTS);
+    const separator = name.includes("#") ? name.indexOf("#") : name.lastIndexOf(".");
+
+    // A named class includes what it inherits; bare names match where members are declared
+    let owners;
+    let memberName = name;
+    if (separator > 0) {
+      const owner = this.apiIndex.get(name.slice(0, separator).toLowerCase());
+      owners = owner ? [{ entry: owner, lists: this.resolveInheritance(owner) }] : [];
+      memberName = name.slice(separator + 1);
+    } else {
+      owners = [...new Set(this.apiIndex.values())].map(entry => ({ entry, lists: entry }));
+    }
+    memberName = memberName.toLowerCase();
+
+    const matches = [];
+    for (const { entry, lists } of owners) {
+      for (const memberType of memberTypes) {
+        for (const member of lists[MEMBER_LISTS[memberType]] || []) {
+          if (member.name?.toLowerCase() === memberName) {
+            matches.push({ entry, member, memberType });
+          }
+        }
+      }
+    }
+    if (matches.length === 0) return null;
+
+    // Stable sort keeps documentation order among equals
+    const rank = ({ member }) => (member.access && member.access !== "public" ? 2 : 0) + (member.deprecated ? 1 : 0);
+    matches.sort((a, b) => rank(a) - rank(b));
+
+    const [{ entry, member, memberType }, ...others] = matches;
+    return {
+      name: member.name,
+      memberType,
+      className: entry.name,
+      definedIn: member.definedIn ?? member.class ?? entry.name,
+      module: member.module ?? entry.module ?? null,
+      signature: formatTypeScriptSignature(member, memberType),
+      description: member.description ?? null,
+      type: member.type ?? null,
+      params: member.params || [],
+      return: member.return ?? null,
+      since: member.since ?? null,
+      deprecated: Boolean(member.deprecated),
+      deprecationMessage: member.deprecationMessage ?? null,
+      access: member.access ?? null,
+      static: Boolean(member.static),
+      file: member.file ?? entry.file ?? null,
+      line: member.line ?? null,
+      apiUrl: generateApiMemberUrl(entry.name, memberType, member.name, this.emberVersion),
+      alternatives: others.map(other => `${other.entry.name}#${other.member.name}`),
+      relatedGuides: this.getApiUsages(`${entry.name}#${member.name}`).slice(0, SEARCH_CONFIG.MAX_RELATED_GUIDES),
+    };
+  }
+
+  /**
+   * Get what can be imported from a module
+   * @param {string} moduleName - Module name, e.g. "@ember/object"
+   * @returns {Promise<Object|null>} `{ name, description, apiUrl, exports }` (see buildModuleExports),
+   *   or null if the module isn't documented
+   */
+  async getModuleExports(moduleName) {
+    const module = this.moduleExports.get(moduleName.trim().toLowerCase());
+    if (!module) return null;
+
+    return {
+      name: module.name,
+      description: module.description,
+      apiUrl: generateApiUrl(module.name, "module", this.emberVersion),
+      exports: module.exports.map(exported => this.withExportDeprecation(exported)),
+    };
+  }
+
+  /**
+   * Find the modules an API can be imported from
+   *
+   * Matches export names and legacy globals, so "htmlSafe" and
+   * "Ember.String.htmlSafe" both find `@ember/template`. Exact-case matches
+   * come first and deprecated exports last.
+   * @param {string} name - Export name or `Ember.*` global
+   * @returns {Promise<Array<Object>>} Matching exports (see buildModuleExports), best first
+   */
+  async findImportPath(name) {
+    const wanted = name.trim();
+    const lower = wanted.toLowerCase();
+    const matches = [];
+
+    for (const module of this.moduleExports.values()) {
+      for (const exported of module.exports) {
+        if (exported.name.toLowerCase() === lower || exported.legacyGlobal?.toLowerCase() === lower) {
+          matches.push(this.withExportDeprecation(exported));
+        }
+      }
+    }
+
+    const rank = exported =>
+      (exported.name === wanted || exported.legacyGlobal === wanted ? 0 : 1) + (exported.deprecated ? 2 : 0);
+    return matches.sort((a, b) => rank(a) - rank(b) || a.module.localeCompare(b.module));
+  }
+
+  /**
+   * Mark an export deprecated when the deprecation manager knows it is
+   * @private
+   * @param {Object} exported - Export from buildModuleExports
+   * @returns {Object} Copy of the export
+   */
+  withExportDeprecation(exported) {
+    return {
+      ...exported,
+      deprecated: exported.deprecated || this.deprecationManager.isDeprecated(exported.name),
+    };
+  }
+
+  /**
+   * Find the guide and community chunks that use an API
+   *
+   * Module names are matched first. Other names are looked up like in
+   * getApiReference, so members, module functions (`htmlSafe`) and close
+   * misspellings resolve too.
+   * @param {string} name - API name, e.g. "RouterService", "RouterService#transitionTo" or "@ember/template"
+   * @param {Object} [options] - Options
+   * @param {string} [options.category="all"] - "all", "guides" or "community"
+   * @param {number} [options.limit] - Maximum usages to return (default: SEARCH_CONFIG.MAX_USAGES)
+   * @returns {Promise<Object|null>} `{ name, total, usages }` with the API's name as in API references
+   *   and its usages (see getApiUsages), plus `resolvedFrom` if the requested name resolved to
+   *   another; null if no API has that name
+   */
+  async findUsagesInDocs(name, { category = "all", limit = SEARCH_CONFIG.MAX_USAGES } = {}) {
+    const wanted = name.trim();
+    let apiName = this.moduleExports.get(wanted.toLowerCase())?.name;
+    let resolvedFrom = null;
+    if (!apiName) {
+      const apiDoc = await this.getApiReference(wanted, undefined, { includeInherited: false });
+      if (!apiDoc) return null;
+      apiName = apiDoc.memberType ? `${apiDoc.className}#${apiDoc.name}` : apiDoc.name;
+      resolvedFrom = apiDoc.resolvedFrom ?? null;
+    }
+
+    const usages = this.getApiUsages(apiName, { category });
+    return {
+      name: apiName,
+      ...(resolvedFrom && { resolvedFrom }),
+      total: usages.length,
+      usages: usages.slice(0, limit),
+    };
+  }
+
+  /**
+   * Get the guide and community chunks that use an API
+   * @param {string} apiName - Class or module name, `Class#member` or `module#function`
+   * @param {Object} [options] - Options
+   * @param {string} [options.category="all"] - "all", "guides" or "community"
+   * @returns {Array<Object>} `{ title, category, breadcrumb, url, author, kinds, mentions, context }`,
+   *   most relevant first (see ApiUsageIndex#find)
+   */
+  getApiUsages(apiName, { category = "all" } = {}) {
+    return this.usageIndex
+      .find(apiName)
+      .filter(({ section }) => category === "all" || (section === "community-bloggers") === (category === "community"))
+      .map(({ section, title, breadcrumb, anchor, source, kinds, mentions, context }) => ({
+        title,
+        category: this.categorizeSectionName(section),
+        breadcrumb,
+        url: generateUrl(section, title, { anchor, source, version: this.emberVersion }),
+        author: source?.author ?? null,
+        kinds,
+        mentions,
+        context,
+      }));
+  }
+
   /**
    * Convert word to singular form for matching (handles irregular plurals)
    * Uses pluralize library for proper inflection
@@ -579,13 +1726,18 @@ export class DocumentationService {
     const topicLower = topic.toLowerCase();
     const topicTerms = topicLower.split(/\s+/).filter(term => term.length > 2);
 
+    // Synonyms of phrases in the topic, one list per phrase (e.g. "warpdrive" for "ember-data")
+    const synonymGroups = this.getSynonymMap()
+      .expand(tokenize(topic, { subwords: false }).map(token => token.term))
+      .map(expansion => expansion.alternatives.map(phrase => phrase.text));
+
     // Search in community articles and guides
     const communityDocs = this.sections["community-bloggers"] || [];
     const allSections = [
-      ...communityDocs,
+      ...communityDocs.map(doc => ["community-bloggers", doc]),
       ...Object.entries(this.sections)
         .filter(([name]) => !["api-docs", "community-bloggers"].includes(name))
-        .flatMap(([_, items]) => items),
+        .flatMap(([name, items]) => items.map(doc => [name, doc])),
     ];
 
     // Best practice keywords (weighted by relevance)
@@ -595,8 +1747,9 @@ export class DocumentationService {
     // Track seen content to avoid duplicates
     const seenTitles = new Set();
 
-    for (const doc of allSections) {
-      const content = doc.content.toLowerCase();
+    for (const [sectionName, doc] of allSections) {
+      const itemContent = this.getItemContent(sectionName, doc);
+      const content = itemContent.toLowerCase();
 
       // Calculate relevance score
       let score = 0;
@@ -617,14 +1770,17 @@ export class DocumentationService {
         return false;
       });
 
-      // Require at least one term to match
-      if (matchedTerms.length === 0) {
+      const synonymMatches = synonymGroups.filter(synonyms => synonyms.some(synonym => content.includes(synonym)));
+
+      // Require at least one term or synonym to match
+      if (matchedTerms.length === 0 && synonymMatches.length === 0) {
         continue;
       }
 
       // Score based on topic term matches
       // Give more weight to each matched term to reward relevance
       score += matchedTerms.length * SEARCH_CONFIG.BP_TERM_MATCH_WEIGHT;
+      score += synonymMatches.length * SEARCH_CONFIG.BP_TERM_MATCH_WEIGHT * SEARCH_CONFIG.SYNONYM_WEIGHT;
 
       // Bonus for all terms present
       if (matchedTerms.length === topicTerms.length) {
@@ -650,7 +1806,7 @@ export class DocumentationService {
         continue;
       }
 
-      const title = this.extractTitle(doc.content);
+      const title = this.extractTitle(itemContent);
 
       // Skip duplicates
       if (seenTitles.has(title.toLowerCase())) {
@@ -659,17 +1815,21 @@ export class DocumentationService {
       seenTitles.add(title.toLowerCase());
 
       const relevantSections = this.extractBestPracticeSections(
-        doc.content,
-        topicLower
+        itemContent,
+        topicLower,
+        synonymGroups.flat()
       );
 
       if (relevantSections.content) {
+        const source = this.getItemSource(doc);
+        const url = generateUrl(sectionName, title, { source, version: this.emberVersion });
         practices.push({
           title,
+          author: source.author,
           content: relevantSections.content,
           examples: relevantSections.examples,
           antiPatterns: relevantSections.antiPatterns,
-          references: [generateUrl("community-bloggers", title)],
+          references: url ? [url] : [],
           score: score, // Store for sorting
         });
       }
@@ -684,7 +1844,7 @@ export class DocumentationService {
     });
   }
 
-  extractBestPracticeSections(content, topic) {
+  extractBestPracticeSections(content, topic, synonyms = []) {
     const lines = content.split("\n");
     let relevantContent = [];
     let examples = [];
@@ -721,7 +1881,10 @@ export class DocumentationService {
         continue;
       }
 
-      // Look for relevant sections - check if ANY topic term matches (with inflection)
+      // Look for relevant sections - check if ANY topic term or synonym matches (with inflection)
+      if (!foundRelevant && synonyms.some(synonym => lineLower.includes(synonym))) {
+        foundRelevant = true;
+      }
       if (!foundRelevant) {
         for (const term of topicTerms) {
           if (lineLower.includes(term)) {
@@ -745,7 +1908,7 @@ export class DocumentationService {
         }
       }
 
-      if (foundRelevant && relevantContent.length < 50) {
+      if (foundRelevant && relevantContent.length < SEARCH_CONFIG.MAX_RELEVANT_CONTENT_LINES) {
         // Look for anti-patterns
         if (
           lineLower.includes("avoid") ||
@@ -779,9 +1942,9 @@ export class DocumentationService {
     }
 
     return {
-      content: relevantContent.slice(0, 30).join("\n").trim(),
-      examples: examples.slice(0, 3),
-      antiPatterns: [...new Set(antiPatterns)].slice(0, 3),
+      content: relevantContent.slice(0, SEARCH_CONFIG.MAX_RELEVANT_SECTION_LINES).join("\n").trim(),
+      examples: examples.slice(0, SEARCH_CONFIG.MAX_EXAMPLES),
+      antiPatterns: [...new Set(antiPatterns)].slice(0, SEARCH_CONFIG.MAX_ANTI_PATTERNS),
     };
   }
 
@@ -791,6 +1954,10 @@ export class DocumentationService {
    * @returns {Promise<Object>} Version information object with current version, features, migration guide, and links
    */
   async getVersionInfo(version) {
+    if (this.offline) {
+      return this.getBundledVersionInfo(version);
+    }
+
     try {
       // Fetch release information from GitHub
       const releasesResponse = await fetch(VERSION_SOURCES.GITHUB_RELEASES, {
@@ -802,13 +1969,13 @@ export class DocumentationService {
 
       if (!releasesResponse.ok) {
         console.error(`Failed to fetch releases: ${releasesResponse.status}`);
-        return this.getFallbackVersionInfo(version);
+        return this.getBundledVersionInfo(version);
       }
 
       const releases = await releasesResponse.json();
 
       if (!Array.isArray(releases) || releases.length === 0) {
-        return this.getFallbackVersionInfo(version);
+        return this.getBundledVersionInfo(version);
       }
 
       // Filter to only stable releases (not pre-releases)
@@ -822,19 +1989,25 @@ export class DocumentationService {
 
         if (targetRelease) {
           return this.formatReleaseInfo(targetRelease, version);
-        } else {
-          return {
-            current: version,
-            description: `Version ${version} not found in recent releases`,
-            features: [],
-            bugFixes: [],
-            breakingChanges: [],
-            migrationGuide: `For migration guides, see ${generateUpgradeGuideUrl(version)}`,
-            releaseNotesUrl: generateReleaseNotesUrl(version),
-            links: generateVersionLinks(),
-            note: "Version not found in recent GitHub releases. It may be an older version or the version number may be incorrect.",
-          };
         }
+
+        // GitHub only lists recent releases; the bundled dataset covers older ones
+        const bundledInfo = await this.getBundledVersionInfo(version, { fallback: false });
+        if (bundledInfo) {
+          return bundledInfo;
+        }
+
+        return {
+          current: version,
+          description: `Version ${version} not found in recent releases`,
+          features: [],
+          bugFixes: [],
+          breakingChanges: [],
+          migrationGuide: `For migration guides, see ${generateUpgradeGuideUrl(version)}`,
+          releaseNotesUrl: generateReleaseNotesUrl(version),
+          links: generateVersionLinks(),
+          note: "Version not found in recent GitHub releases or the bundled releases dataset. The version number may be incorrect.",
+        };
       } else {
         // Get latest stable version
         const latestRelease = stableReleases[0];
@@ -844,10 +2017,10 @@ export class DocumentationService {
         }
       }
 
-      return this.getFallbackVersionInfo(version);
+      return this.getBundledVersionInfo(version);
     } catch (error) {
       console.error("Error fetching version info:", error);
-      return this.getFallbackVersionInfo(version);
+      return this.getBundledVersionInfo(version);
     }
   }
 
@@ -888,6 +2061,52 @@ export class DocumentationService {
     return result;
   }
 
+  /**
+   * Get version info from the releases dataset bundled with the package
+   *
+   * Used in offline mode and when the GitHub releases API is unreachable.
+   * @private
+   * @param {string} [version] - Optional specific version (defaults to the latest release)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.fallback=true] - Return getFallbackVersionInfo() instead of null when the dataset has no answer
+   * @returns {Promise<Object|null>} Version information
+   */
+  async getBundledVersionInfo(version, { fallback = true } = {}) {
+    const dataset = await readReleasesDataset(this.releasesPath);
+    const releases = dataset?.releases || [];
+    const wanted = version?.replace(/^v/, "");
+    const index = wanted ? releases.findIndex(r => r.version === wanted) : 0;
+    const release = releases[index];
+
+    if (!release) {
+      return fallback ? this.getFallbackVersionInfo(version) : null;
+    }
+
+    const result = {
+      current: release.version,
+      releaseDate: release.date,
+      description: release.description || `Ember ${release.version} was released on ${release.date}.`,
+      features: release.features,
+      bugFixes: release.bugFixes,
+      breakingChanges: release.breakingChanges,
+      releaseNotesUrl: release.url,
+      migrationGuide: `For migration guides, see ${generateUpgradeGuideUrl(release.version)}`,
+      blogPost: generateBlogPostUrl(release.version),
+      links: generateVersionLinks(),
+      note: `Release information comes from the dataset bundled with ember-mcp (generated ${dataset.generatedAt.split("T")[0]}); newer releases may exist.`,
+    };
+
+    if (!wanted) {
+      result.recentReleases = releases.slice(1, 4).map(r => ({
+        version: r.version,
+        date: r.date,
+        url: r.url,
+      }));
+    }
+
+    return result;
+  }
+
   /**
    * Get fallback version info when API calls fail
    * @private
@@ -0,0 +1,85 @@
+/**
+ * Edit distance
+ *
+ * Typo tolerance for search terms and API names: the optimal string
+ * alignment distance counts insertions, deletions, substitutions and swaps of
+ * adjacent characters ("trakced" -> "tracked" is one edit).
+ */
+
+/**
+ * Compute the edit distance between two strings
+ *
+ * Stops early once the distance is known to exceed `maxDistance`.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [maxDistance=Infinity] - Largest distance of interest
+ * @returns {number} Edit distance, or `maxDistance + 1` if it is larger than `maxDistance`
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  if (a === b) return 0;
+
+  // Rows i-2, i-1 and i of the distance matrix
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousPrevious[j - 2] + 1);
+      }
+      current[j] = distance;
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], maxDistance + 1);
+}
+
+/**
+ * Get the number of typos tolerated in a word
+ *
+ * Scales with length so short words don't match unrelated ones: none up to
+ * 3 characters, one up to 7, two beyond.
+ * @param {string} word - Word being matched
+ * @param {number} maxEdits - Upper limit
+ * @returns {number} Allowed edits
+ */
+export function getAllowedEdits(word, maxEdits) {
+  const edits = word.length <= 3 ? 0 : word.length <= 7 ? 1 : 2;
+  return Math.min(edits, maxEdits);
+}
+
+/**
+ * Find the candidates closest to a word
+ * @param {string} word - Word to match
+ * @param {Iterable<string>} candidates - Candidate strings
+ * @param {Object} options - Options
+ * @param {number} options.maxDistance - Largest edit distance to accept
+ * @param {number} [options.limit=Infinity] - Maximum number of matches
+ * @param {Function} [options.rank] - Tie-breaker for equally distant candidates, higher first
+ * @returns {Array<Object>} `{ value, distance }` matches, closest first
+ */
+export function findClosest(word, candidates, { maxDistance, limit = Infinity, rank = () => 0 }) {
+  const matches = [];
+
+  for (const value of candidates) {
+    if (value === word) continue;
+    const distance = editDistance(word, value, maxDistance);
+    if (distance <= maxDistance) {
+      matches.push({ value, distance, rank: rank(value) });
+    }
+  }
+
+  matches.sort((a, b) => a.distance - b.distance || b.rank - a.rank || a.value.localeCompare(b.value));
+  return matches.slice(0, limit).map(({ value, distance }) => ({ value, distance }));
+}
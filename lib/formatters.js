@@ -5,14 +5,21 @@
  * results including search results, API references, best practices, and version info.
  */
 
+import { SEARCH_CONFIG } from './config.js';
+import { formatTypeScriptSignature } from './ts-signatures.js';
+
 /**
  * Format search results as markdown
  * @param {Array} results - Search results to format
  * @param {Object} deprecationManager - DeprecationManager instance for deprecation warnings
+ * @param {Array<string>} [suggestions=[]] - "Did you mean" queries for misspelled terms
  * @returns {string} Formatted markdown string
  */
-export function formatSearchResults(results, deprecationManager) {
+export function formatSearchResults(results, deprecationManager, suggestions = []) {
   let output = `# Ember Documentation Search Results\n\n`;
+  if (suggestions.length > 0) {
+    output += `Some terms were not found, so results include approximate matches. Did you mean ${formatSuggestionList(suggestions)}?\n\n`;
+  }
   output += `Found ${results.length} result(s):\n\n`;
 
   results.forEach((result, index) => {
@@ -24,6 +31,11 @@ export function formatSearchResults(results, deprecationManager) {
     }
     output += `\n\n`;
 
+    // Locate subsections within their page
+    if (result.breadcrumb?.length > 1) {
+      output += `**Section:** ${result.breadcrumb.join(' › ')}\n\n`;
+    }
+
     output += `**Category:** ${result.category}`;
 
     // Show match quality
@@ -35,6 +47,10 @@ export function formatSearchResults(results, deprecationManager) {
     }
     output += `\n\n`;
 
+    if (result.explanation) {
+      output += `${formatScoreBreakdown(result.explanation)}\n\n`;
+    }
+
     // Add inline deprecation warning if applicable
     if (result.deprecationInfo && result.deprecationInfo.status !== 'possibly-deprecated') {
       output += `${deprecationManager.generateWarning(result.title, 'inline')}\n\n`;
@@ -46,6 +62,10 @@ export function formatSearchResults(results, deprecationManager) {
       output += `**Link:** ${result.url}\n\n`;
     }
 
+    if (result.author) {
+      output += `**Author:** ${result.author}\n\n`;
+    }
+
     if (result.apiLink) {
       output += `**API Reference:** ${result.apiLink}\n\n`;
     }
@@ -56,14 +76,128 @@ export function formatSearchResults(results, deprecationManager) {
   return output;
 }
 
+const SCORE_COMPONENT_LABELS = {
+  exactPhraseBonus: 'exact phrase',
+  titleBonus: 'title',
+  headingBonus: 'headings',
+  termFrequency: 'term frequency',
+  allTermsBonus: 'all terms',
+  proximityBonus: 'proximity',
+};
+
+/**
+ * Format a search score explanation as markdown
+ * @param {Object} explanation - Explanation from DocumentationService#explainSearch
+ * @returns {string} Score components and matched terms
+ */
+export function formatScoreBreakdown(explanation) {
+  const components = Object.entries(SCORE_COMPONENT_LABELS)
+    .map(([name, label]) => `${label} ${explanation.components[name]}`)
+    .join(' + ');
+  let output = `**Score breakdown:** ${components}`;
+
+  if (explanation.terms.length > 0) {
+    const terms = explanation.terms.map(term => {
+      const matched = term.matched === term.query ? '' : ` → "${term.matched}"`;
+      const weight = term.weight === 1 ? '' : ` ×${term.weight}`;
+      return `"${term.query}"${matched}${weight}: ${term.score}`;
+    });
+    output += `\n**Matched terms:** ${terms.join(', ')}`;
+  }
+
+  return output;
+}
+
+/**
+ * Format the documents left out by the MIN_SCORE gates as markdown
+ * @param {Array<Object>} rejected - Rejected documents from DocumentationService#explainSearch
+ * @param {Object} gates - Gate thresholds from DocumentationService#explainSearch
+ * @returns {string} Formatted markdown string
+ */
+export function formatRejectedResults(rejected, gates) {
+  let output = `# Left Out by Score Gates\n\n`;
+  output += `MIN_SCORE = ${gates.MIN_SCORE}; MIN_SCORE_SINGLE_TERM = ${gates.MIN_SCORE_SINGLE_TERM} (applies when fewer than 2 terms match)\n\n`;
+
+  if (rejected.length === 0) {
+    return `${output}No matching documents were left out.\n`;
+  }
+
+  rejected.forEach(document => {
+    output += `- **${document.title}** (${document.category}): score ${document.score}, failed ${document.explanation.failedGates.join(' and ')}\n`;
+    output += `  ${formatScoreBreakdown(document.explanation).replace(/\n/g, '\n  ')}\n`;
+  });
+
+  return output;
+}
+
+/**
+ * Format the message for a search without results
+ * @param {string} query - Search query
+ * @param {Array<string>} [suggestions=[]] - "Did you mean" queries for misspelled terms
+ * @returns {string} Message text
+ */
+export function formatNoSearchResults(query, suggestions = []) {
+  if (suggestions.length > 0) {
+    return `No results found for "${query}". Did you mean ${formatSuggestionList(suggestions)}?`;
+  }
+  return `No results found for "${query}". Try different keywords or broader search terms.`;
+}
+
+function formatSuggestionList(suggestions) {
+  const quoted = suggestions.map(suggestion => `"${suggestion}"`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+}
+
+/**
+ * Format the message for an API lookup without a match
+ * @param {string} name - Requested API name
+ * @param {Array<Object>} [suggestions=[]] - Closest names from DocumentationService#suggestApiNames
+ * @returns {string} Message text
+ */
+export function formatNoApiReference(name, suggestions = []) {
+  if (suggestions.length === 0) {
+    return `No API documentation found for "${name}". Try searching with search_ember_docs first.`;
+  }
+
+  let output = `No API documentation found for "${name}". Did you mean:\n\n`;
+  suggestions.forEach((suggestion) => {
+    output += `- \`${suggestion.name}\` (${suggestion.type}`;
+    if (suggestion.module && suggestion.module !== suggestion.name) output += `, \`${suggestion.module}\``;
+    output += `) — ${suggestion.reason} match\n`;
+  });
+  return output;
+}
+
 /**
  * Format API reference documentation as markdown
- * @param {Object} apiDoc - API documentation object
+ *
+ * Lists the page of methods and properties in the reference (see
+ * DocumentationService#getApiReference), with their counts and the offset
+ * of the next page. In "signatures_only" detail, members are listed as
+ * TypeScript signatures without their descriptions.
+ * @param {Object} apiDoc - API documentation object, or a member reference (see formatApiMember)
  * @param {Object} deprecationManager - DeprecationManager instance for deprecation warnings
+ * @param {Object} [options] - Options
+ * @param {string} [options.detail="full"] - "full" or "signatures_only"
  * @returns {string} Formatted markdown string
  */
-export function formatApiReference(apiDoc, deprecationManager) {
-  let output = `# ${apiDoc.name}\n\n`;
+export function formatApiReference(apiDoc, deprecationManager, { detail = 'full' } = {}) {
+  const resolvedNote = apiDoc.resolvedFrom
+    ? `> No exact match for "${apiDoc.resolvedFrom}"; showing the closest name.\n\n`
+    : '';
+
+  if (apiDoc.memberType) {
+    if (detail === 'signatures_only') {
+      return `${resolvedNote}# ${apiDoc.className}#${apiDoc.name}\n\n\`\`\`ts\n${apiDoc.signature}\n\`\`\`\n\n**Full API Documentation:** ${apiDoc.apiUrl}\n`;
+    }
+    return resolvedNote + formatApiMember(apiDoc);
+  }
+
+  if (detail === 'signatures_only') {
+    return resolvedNote + formatApiSignatures(apiDoc);
+  }
+
+  let output = `${resolvedNote}# ${apiDoc.name}\n\n`;
 
   // Add deprecation warning if applicable
   if (apiDoc.deprecationInfo) {
@@ -82,10 +216,16 @@ export function formatApiReference(apiDoc, deprecationManager) {
     output += `## Description\n\n${apiDoc.description}\n\n`;
   }
 
-  if (apiDoc.extends) {
+  if (apiDoc.ancestors?.length > 0) {
+    output += `**Extends:** ${apiDoc.ancestors.join(' → ')}\n\n`;
+  } else if (apiDoc.extends) {
     output += `**Extends:** ${apiDoc.extends}\n\n`;
   }
 
+  if (apiDoc.mixins?.length > 0) {
+    output += `**Uses:** ${apiDoc.mixins.join(', ')}\n\n`;
+  }
+
   if (apiDoc.file) {
     output += `**Source:** \`${apiDoc.file}\``;
     if (apiDoc.line) {
@@ -95,9 +235,11 @@ export function formatApiReference(apiDoc, deprecationManager) {
   }
 
   if (apiDoc.methods && apiDoc.methods.length > 0) {
-    output += `## Methods\n\n`;
-    apiDoc.methods.slice(0, 10).forEach((method) => {
-      output += `### ${method.name}\n\n`;
+    output += `## Methods${formatMemberRange(apiDoc.memberCounts?.methods, apiDoc.methods.length)}\n\n`;
+    apiDoc.methods.forEach((method) => {
+      output += `### ${method.name}${formatInheritedFrom(apiDoc, method)}\n\n`;
+      output += formatDeprecatedNote(method);
+      output += `\`\`\`ts\n${formatTypeScriptSignature(method, 'method')}\n\`\`\`\n\n`;
       if (method.description) {
         output += `${method.description}\n\n`;
       }
@@ -122,9 +264,11 @@ export function formatApiReference(apiDoc, deprecationManager) {
   }
 
   if (apiDoc.properties && apiDoc.properties.length > 0) {
-    output += `## Properties\n\n`;
-    apiDoc.properties.slice(0, 10).forEach((prop) => {
-      output += `### ${prop.name}\n\n`;
+    output += `## Properties${formatMemberRange(apiDoc.memberCounts?.properties, apiDoc.properties.length)}\n\n`;
+    apiDoc.properties.forEach((prop) => {
+      output += `### ${prop.name}${formatInheritedFrom(apiDoc, prop)}\n\n`;
+      output += formatDeprecatedNote(prop);
+      output += `\`\`\`ts\n${formatTypeScriptSignature(prop, 'property')}\n\`\`\`\n\n`;
       if (prop.description) {
         output += `${prop.description}\n\n`;
       }
@@ -134,13 +278,358 @@ export function formatApiReference(apiDoc, deprecationManager) {
     });
   }
 
+  output += formatNextPageHint(apiDoc.memberCounts);
+  output += formatRelatedGuides(apiDoc.relatedGuides);
+
+  if (apiDoc.apiUrl) {
+    output += `\n**Full API Documentation:** ${apiDoc.apiUrl}\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Format a class or module as a compact listing of member signatures
+ * @private
+ * @param {Object} apiDoc - API documentation object
+ * @returns {string} Markdown with one TypeScript block per member list
+ */
+function formatApiSignatures(apiDoc) {
+  let output = `# ${apiDoc.name}\n\n`;
+  if (apiDoc.module) {
+    output += `**Module:** \`${apiDoc.module}\`\n\n`;
+  }
+
+  for (const [list, memberType, heading] of [['methods', 'method', 'Methods'], ['properties', 'property', 'Properties']]) {
+    const members = apiDoc[list] || [];
+    if (members.length === 0) continue;
+
+    const lines = members.map((member) => {
+      const notes = [];
+      if (member.deprecated) notes.push('deprecated');
+      if (member.definedIn && member.definedIn !== apiDoc.name) notes.push(`inherited from ${member.definedIn}`);
+      const signature = formatTypeScriptSignature(member, memberType);
+      return notes.length > 0 ? `${signature} // ${notes.join(', ')}` : signature;
+    });
+    output += `## ${heading}${formatMemberRange(apiDoc.memberCounts?.[list], members.length)}\n\n`;
+    output += `\`\`\`ts\n${lines.join('\n')}\n\`\`\`\n\n`;
+  }
+
+  output += formatNextPageHint(apiDoc.memberCounts);
+
   if (apiDoc.apiUrl) {
     output += `\n**Full API Documentation:** ${apiDoc.apiUrl}\n`;
   }
+  return output;
+}
+
+/**
+ * Describe which members of a list are shown
+ * @private
+ * @param {Object} [counts] - `{ total, matching, offset }` for the list
+ * @param {number} shown - Members shown
+ * @returns {string} Heading suffix such as " (11-20 of 42)", empty when the whole list is shown
+ */
+function formatMemberRange(counts, shown) {
+  if (!counts || (counts.offset === 0 && shown === counts.total)) return '';
+
+  const filtered = counts.matching === counts.total ? '' : ` matching, ${counts.total} in total`;
+  return ` (${counts.offset + 1}-${counts.offset + shown} of ${counts.matching}${filtered})`;
+}
+
+/**
+ * Tell how to get the next page of members
+ * @private
+ * @param {Object} [memberCounts] - `{ methods, properties }` counts from DocumentationService#getApiReference
+ * @returns {string} Markdown hint, empty on the last page
+ */
+function formatNextPageHint(memberCounts = {}) {
+  const more = Object.entries(memberCounts).filter(([, counts]) => counts.nextOffset !== null);
+  if (more.length === 0) return '';
+
+  const offsets = new Set(more.map(([, counts]) => counts.nextOffset));
+  if (offsets.size === 1) {
+    const remaining = more.map(([list, counts]) => `${counts.matching - counts.nextOffset} ${list}`).join(' and ');
+    return `**More members:** ${remaining} not shown. Request offset ${[...offsets][0]} for the next page.\n`;
+  }
+  return more
+    .map(([list, counts]) => `**More ${list}:** ${counts.matching - counts.nextOffset} not shown. Request offset ${counts.nextOffset} with kind "${list === 'methods' ? 'method' : 'property'}" for the next page.\n`)
+    .join('');
+}
+
+/**
+ * Note the class an inherited member comes from
+ * @private
+ * @param {Object} apiDoc - API documentation object
+ * @param {Object} member - Method or property of apiDoc
+ * @returns {string} Heading suffix, empty for the class's own members
+ */
+function formatInheritedFrom(apiDoc, member) {
+  return member.definedIn && member.definedIn !== apiDoc.name ? ` _(inherited from ${member.definedIn})_` : '';
+}
+
+/**
+ * Flag a deprecated method or property
+ * @private
+ * @param {Object} member - Method or property
+ * @returns {string} Markdown quote with the deprecation message, empty if not deprecated
+ */
+function formatDeprecatedNote(member) {
+  if (!member.deprecated) return '';
+  return `> ⚠️ **DEPRECATED**${member.deprecationMessage ? `: ${member.deprecationMessage}` : ''}\n\n`;
+}
+
+/**
+ * Format a single method or property as markdown
+ * @param {Object} member - Member reference from DocumentationService#getApiReference
+ * @returns {string} Formatted markdown string
+ */
+export function formatApiMember(member) {
+  let output = `# ${member.className}#${member.name}\n\n`;
+
+  output += formatDeprecatedNote(member);
+  output += `\`\`\`ts\n${member.signature}\n\`\`\`\n\n`;
+
+  const details = [`**Type:** ${member.memberType}`, `**Class:** \`${member.className}\``];
+  if (member.definedIn && member.definedIn !== member.className) {
+    details.push(`**Inherited from:** \`${member.definedIn}\``);
+  }
+  if (member.module) details.push(`**Module:** \`${member.module}\``);
+  if (member.access) details.push(`**Access:** ${member.access}`);
+  if (member.static) details.push(`**Static**`);
+  if (member.since) details.push(`**Since:** ${member.since}`);
+  output += `${details.join(' | ')}\n\n`;
+
+  if (member.description) {
+    output += `## Description\n\n${member.description}\n\n`;
+  }
+
+  if (member.params.length > 0) {
+    output += `## Parameters\n\n`;
+    member.params.forEach((param) => {
+      output += `- \`${param.name}\``;
+      if (param.type) output += ` (${param.type}${param.optional ? ', optional' : ''})`;
+      if (param.description) output += `: ${param.description}`;
+      output += `\n`;
+    });
+    output += `\n`;
+  }
+
+  if (member.return) {
+    output += `**Returns:** ${member.return.type || "void"}`;
+    if (member.return.description) {
+      output += ` - ${member.return.description}`;
+    }
+    output += `\n\n`;
+  } else if (member.memberType === 'property' && member.type) {
+    output += `**Value type:** ${member.type}\n\n`;
+  }
+
+  if (member.file) {
+    output += `**Source:** \`${member.file}\``;
+    if (member.line) {
+      output += `:${member.line}`;
+    }
+    output += `\n\n`;
+  }
+
+  if (member.alternatives.length > 0) {
+    output += `**Also defined on:** ${member.alternatives.map(name => `\`${name}\``).join(', ')}\n\n`;
+  }
+
+  output += formatRelatedGuides(member.relatedGuides);
+
+  output += `**Full API Documentation:** ${member.apiUrl}\n`;
+  return output;
+}
+
+const USAGE_KIND_LABELS = { import: 'imported', inline: 'inline code', code: 'code example' };
+
+/**
+ * Format a guide or community chunk that uses an API as a list item
+ * @private
+ * @param {Object} usage - Usage from DocumentationService#getApiUsages
+ * @returns {string} Markdown list item, followed by the line mentioning the API
+ */
+function formatApiUsage(usage) {
+  const title = usage.breadcrumb.join(' › ');
+  let output = usage.url ? `- [${title}](${usage.url})` : `- **${title}**`;
+  output += ` (${usage.category}${usage.author ? `, by ${usage.author}` : ''})`;
+  output += ` — ${usage.kinds.map(kind => USAGE_KIND_LABELS[kind]).join(', ')}\n`;
+  if (usage.context) {
+    output += `  > ${usage.context}\n`;
+  }
+  return output;
+}
+
+/**
+ * Format the guides using an API as a section of its reference
+ * @private
+ * @param {Array<Object>} [relatedGuides] - Usages from DocumentationService#getApiUsages
+ * @returns {string} "Related Guides" section, empty if there are none
+ */
+function formatRelatedGuides(relatedGuides) {
+  if (!relatedGuides?.length) return '';
+  return `## Related Guides\n\n${relatedGuides.map(formatApiUsage).join('')}\n`;
+}
+
+/**
+ * Format where the guides and community articles use an API as markdown
+ * @param {Object} result - Result of DocumentationService#findUsagesInDocs
+ * @returns {string} Formatted markdown string
+ */
+export function formatApiUsages(result) {
+  let output = `# Used in: ${result.name}\n\n`;
+  if (result.resolvedFrom) {
+    output += `> No exact match for "${result.resolvedFrom}"; showing the closest name.\n\n`;
+  }
+
+  if (result.total === 0) {
+    output += `No guide or community article mentions \`${result.name}\` in an import, inline code or code example.\n`;
+    return output;
+  }
+
+  const shown = result.usages.length < result.total ? ` (showing ${result.usages.length})` : '';
+  output += `Mentioned in ${result.total} guide or community section${result.total === 1 ? '' : 's'}${shown}, most relevant first:\n\n`;
+  output += result.usages.map(formatApiUsage).join('');
+  return output;
+}
+
+/**
+ * Format the exports of a module as markdown
+ * @param {Object} module - Result of DocumentationService#getModuleExports
+ * @returns {string} Formatted markdown string
+ */
+export function formatModuleExports(module) {
+  let output = `# ${module.name}\n\n`;
+
+  if (module.description) {
+    output += `${module.description}\n\n`;
+  }
+
+  if (module.exports.length === 0) {
+    output += `No exports are documented for this module.\n\n`;
+  }
+
+  const groups = [
+    ['Default export', module.exports.filter(exported => exported.kind === 'default')],
+    ['Named exports', module.exports.filter(exported => exported.kind === 'named')],
+  ];
+  for (const [heading, exports] of groups) {
+    if (exports.length === 0) continue;
+
+    output += `## ${heading}\n\n`;
+    exports.forEach((exported) => {
+      output += `- \`${exported.importStatement}\` (${exported.apiType})`;
+      if (exported.deprecated) output += ` ⚠️ deprecated`;
+      if (exported.legacyGlobal) output += ` — formerly \`${exported.legacyGlobal}\``;
+      output += `\n`;
+    });
+    output += `\n`;
+  }
 
+  output += `**Full API Documentation:** ${module.apiUrl}\n`;
   return output;
 }
 
+/**
+ * Format where an API can be imported from as markdown
+ * @param {string} name - Requested export name or global
+ * @param {Array<Object>} matches - Results of DocumentationService#findImportPath
+ * @returns {string} Formatted markdown string
+ */
+export function formatImportPaths(name, matches) {
+  let output = `# Importing ${name}\n\n`;
+
+  matches.forEach((exported, index) => {
+    if (index === 1) output += `## Also exported by\n\n`;
+
+    output += `\`\`\`js\n${exported.importStatement}\n\`\`\`\n\n`;
+
+    const details = [
+      `**Module:** \`${exported.module}\``,
+      `**Export:** ${exported.kind === 'default' ? 'default' : 'named'}`,
+      `**Type:** ${exported.apiType}`,
+    ];
+    if (exported.legacyGlobal) details.push(`**Legacy global:** \`${exported.legacyGlobal}\``);
+    output += `${details.join(' | ')}\n\n`;
+
+    if (exported.deprecated) {
+      output += `> ⚠️ **DEPRECATED**: check the API documentation for the replacement.\n\n`;
+    }
+    if (exported.legacyGlobal && exported.legacyGlobal.toLowerCase() === name.trim().toLowerCase()) {
+      output += `Replace the \`${exported.legacyGlobal}\` global with this import.\n\n`;
+    }
+    output += `**API Documentation:** ${exported.apiUrl}\n\n`;
+  });
+
+  return output.trimEnd() + '\n';
+}
+
+/**
+ * Format an API diff between two Ember versions as markdown
+ *
+ * Removals come first, as they break upgrades, then deprecations and
+ * additions. Each list shows up to `limit` entries.
+ * @param {Object} diff - Result of diffApiVersions (see api-diff.js)
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=SEARCH_CONFIG.MAX_DIFF_ENTRIES] - Entries shown per list
+ * @returns {string} Formatted markdown string
+ */
+export function formatApiDiff(diff, { limit = SEARCH_CONFIG.MAX_DIFF_ENTRIES } = {}) {
+  const to = diff.to ? `Ember ${diff.to}` : 'the loaded documentation';
+  let output = `# API changes: Ember ${diff.from} → ${to}\n\n`;
+
+  const changes = [['removed', 'Removed'], ['deprecated', 'Deprecated'], ['added', 'Added']];
+  const categories = [['classes', 'Classes'], ['methods', 'Methods'], ['properties', 'Properties']];
+  const singular = { classes: 'class', methods: 'method', properties: 'property' };
+
+  const summary = changes
+    .map(([change, label]) => {
+      const counts = categories
+        .filter(([category]) => diff[category][change].length > 0)
+        .map(([category]) => {
+          const count = diff[category][change].length;
+          return `${count} ${count === 1 ? singular[category] : category}`;
+        });
+      return counts.length > 0 ? `${label}: ${counts.join(', ')}` : null;
+    })
+    .filter(Boolean);
+  if (summary.length === 0) {
+    return `${output}No public classes, methods or properties were added, removed or deprecated.\n`;
+  }
+  output += `**Summary:** ${summary.join(' | ')}\n\n`;
+
+  for (const [change, label] of changes) {
+    if (categories.every(([category]) => diff[category][change].length === 0)) continue;
+
+    output += `## ${label}\n\n`;
+    for (const [category, heading] of categories) {
+      const entries = diff[category][change];
+      if (entries.length === 0) continue;
+
+      output += `### ${heading}\n\n`;
+      entries.slice(0, limit).forEach((entry) => {
+        output += `- [\`${entry.name}\`](${entry.apiUrl})`;
+        if (category === 'classes' && entry.module) output += ` (\`${entry.module}\`)`;
+        if (change !== 'removed' && entry.since) output += ` — since ${entry.since}`;
+        if (entry.deprecationGuide) {
+          const message = entry.deprecationMessage?.replace(/\s+/g, ' ').trim();
+          output += change === 'removed' ? ' — deprecated before removal' : '';
+          output += `${message ? `: ${message}` : ''} ([deprecation guide](${entry.deprecationGuide}))`;
+        }
+        output += `\n`;
+      });
+      if (entries.length > limit) {
+        output += `- …and ${entries.length - limit} more\n`;
+      }
+      output += `\n`;
+    }
+  }
+
+  return output.trimEnd() + '\n';
+}
+
 /**
  * Format best practices as markdown
  * @param {Array} practices - Best practices to format
@@ -158,6 +647,9 @@ export function formatBestPractices(practices, topic, deprecationManager) {
 
   practices.forEach((practice, index) => {
     output += `## ${index + 1}. ${practice.title}\n\n`;
+    if (practice.author) {
+      output += `*By ${practice.author}*\n\n`;
+    }
     output += `${practice.content}\n\n`;
 
     if (practice.examples && practice.examples.length > 0) {
@@ -273,3 +765,184 @@ export function formatVersionInfo(versionInfo) {
 
   return output;
 }
+
+/**
+ * Format npm package information as markdown
+ * @param {Object} formatted - Package information from NpmService#formatPackageInfo
+ * @returns {string} Formatted markdown string
+ */
+export function formatNpmPackageInfo(formatted) {
+  let text = `# ${formatted.name}\n\n`;
+  text += `**Description:** ${formatted.description}\n\n`;
+  text += `**Latest Version:** ${formatted.latestVersion}\n\n`;
+
+  // Dist tags
+  if (Object.keys(formatted.distTags).length > 0) {
+    text += `**Distribution Tags:**\n`;
+    for (const [tag, version] of Object.entries(formatted.distTags)) {
+      text += `  - ${tag}: ${version}\n`;
+    }
+    text += `\n`;
+  }
+
+  // Metadata
+  if (formatted.license) {
+    text += `**License:** ${formatted.license}\n`;
+  }
+  if (formatted.author) {
+    text += `**Author:** ${formatted.author}\n`;
+  }
+  if (formatted.homepage) {
+    text += `**Homepage:** ${formatted.homepage}\n`;
+  }
+  if (formatted.repository) {
+    text += `**Repository:** ${formatted.repository}\n`;
+  }
+
+  // Keywords
+  if (formatted.keywords.length > 0) {
+    text += `\n**Keywords:** ${formatted.keywords.join(', ')}\n`;
+  }
+
+  // Dependencies
+  const depCount = Object.keys(formatted.dependencies).length;
+  const devDepCount = Object.keys(formatted.devDependencies).length;
+  const peerDepCount = Object.keys(formatted.peerDependencies).length;
+
+  if (depCount > 0 || devDepCount > 0 || peerDepCount > 0) {
+    text += `\n**Dependencies:**\n`;
+    if (depCount > 0) {
+      text += `  - ${depCount} runtime dependencies\n`;
+    }
+    if (peerDepCount > 0) {
+      text += `  - ${peerDepCount} peer dependencies\n`;
+    }
+    if (devDepCount > 0) {
+      text += `  - ${devDepCount} dev dependencies\n`;
+    }
+  }
+
+  // Engines
+  if (Object.keys(formatted.engines).length > 0) {
+    text += `\n**Engine Requirements:**\n`;
+    for (const [engine, version] of Object.entries(formatted.engines)) {
+      text += `  - ${engine}: ${version}\n`;
+    }
+  }
+
+  // Dates
+  if (formatted.created) {
+    text += `\n**Created:** ${new Date(formatted.created).toLocaleDateString()}\n`;
+  }
+  if (formatted.lastPublished) {
+    text += `**Last Published:** ${new Date(formatted.lastPublished).toLocaleDateString()}\n`;
+  }
+
+  // Maintainers
+  if (formatted.maintainers.length > 0) {
+    text += `\n**Maintainers:** ${formatted.maintainers.length} maintainer(s)\n`;
+  }
+
+  return text;
+}
+
+/**
+ * Format an npm version comparison as markdown
+ * @param {Object} comparison - Comparison from NpmService#getVersionComparison
+ * @returns {string} Formatted markdown string
+ */
+export function formatNpmVersionComparison(comparison) {
+  let text = `# Version Comparison: ${comparison.packageName}\n\n`;
+  text += `**Current Version:** ${comparison.currentVersion}\n`;
+  text += `**Latest Version:** ${comparison.latestVersion}\n\n`;
+
+  if (comparison.isLatest) {
+    text += `✅ **Status:** You are using the latest version!\n\n`;
+  } else {
+    text += `⚠️ **Status:** An update is available.\n\n`;
+  }
+
+  // Dist tags
+  if (Object.keys(comparison.distTags).length > 0) {
+    text += `**Available Tags:**\n`;
+    for (const [tag, version] of Object.entries(comparison.distTags)) {
+      const isCurrent = version === comparison.currentVersion ? ' (current)' : '';
+      text += `  - ${tag}: ${version}${isCurrent}\n`;
+    }
+    text += `\n`;
+  }
+
+  // Release dates
+  if (comparison.currentVersionReleaseDate) {
+    text += `**Current Version Released:** ${new Date(comparison.currentVersionReleaseDate).toLocaleDateString()}\n`;
+  }
+  if (comparison.releaseDate) {
+    text += `**Latest Version Released:** ${new Date(comparison.releaseDate).toLocaleDateString()}\n`;
+  }
+
+  text += `\n**Total Available Versions:** ${comparison.availableVersionsCount}\n`;
+
+  if (comparison.needsUpdate) {
+    text += `\n**Recommendation:** Consider updating to version ${comparison.latestVersion}. `;
+    text += `Use \`get_npm_package_info\` to see more details about the latest version.`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a duration as a rough human-readable age
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Age such as "5 minutes" or "3 days"
+ */
+export function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'less than a minute';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'}`;
+
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Format the Ember version an answer is scoped to as a markdown note
+ * @param {Object|null} emberVersion - `{ version, requested, source }` from VersionedDocs#resolve
+ * @returns {string} Formatted markdown string (empty for the loaded documentation)
+ */
+export function formatVersionScope(emberVersion) {
+  if (!emberVersion) return '';
+
+  const origin = emberVersion.source === 'emberVersion argument' ? '' : ` (from ${emberVersion.source})`;
+  return `> 📌 **Ember ${emberVersion.version}${origin}:** API documentation is for this version and links point to its docs. ` +
+    'Guide and community text comes from the current release.\n\n';
+}
+
+/**
+ * Format documentation snapshot freshness as a markdown note
+ * @param {Object|null} snapshot - Snapshot info from DocumentationService#getSnapshotInfo
+ * @returns {string} Formatted markdown string (empty if no snapshot is loaded)
+ */
+export function formatSnapshotInfo(snapshot) {
+  if (!snapshot) return '';
+
+  const downloaded = snapshot.fetchedAt.split('T')[0];
+
+  if (snapshot.source === 'cache-fallback') {
+    return `> ⚠️ **Offline:** the documentation source could not be reached. Answers use a cached snapshot downloaded ${downloaded}, last confirmed current ${formatAge(snapshot.ageMs)} ago.\n\n`;
+  }
+
+  if (snapshot.stale) {
+    const origin = {
+      cache: 'a cached snapshot',
+      bundled: 'the snapshot bundled with ember-mcp',
+      file: 'a local documentation file',
+    }[snapshot.source] || 'a documentation snapshot';
+    const version = snapshot.emberVersion ? ` for Ember ${snapshot.emberVersion}` : '';
+    return `> ℹ️ **Offline mode:** answers use ${origin}${version}, downloaded ${downloaded} (${formatAge(snapshot.ageMs)} ago).\n\n`;
+  }
+
+  return `**Documentation Snapshot:** downloaded ${downloaded}, confirmed current ${formatAge(snapshot.ageMs)} ago\n\n`;
+}
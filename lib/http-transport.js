@@ -0,0 +1,260 @@
+import { createServer as createHttpServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * HTTP transport for the Ember Docs MCP Server
+ *
+ * Serves the MCP Streamable HTTP transport on a single endpoint. Every client
+ * session gets its own MCP `Server` instance (created by the supplied factory),
+ * while the factory is free to share expensive state such as loaded documentation.
+ */
+
+export const MCP_ENDPOINT = '/mcp';
+// Sessions without a request for this long are closed; clients that go away
+// without a DELETE would otherwise keep their server forever
+export const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// Largest JSON-RPC request body accepted; bigger bodies get a 413
+export const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Error raised when a request body exceeds the size limit
+ * @private
+ */
+class BodyTooLargeError extends Error {
+  constructor(maxBytes) {
+    super(`Request body exceeds ${maxBytes} bytes`);
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ * @param {import('node:http').IncomingMessage} req - Incoming request
+ * @param {number} maxBytes - Largest body to buffer
+ * @returns {Promise<Object|undefined>} Parsed body, or undefined if empty
+ * @throws {BodyTooLargeError} If the body is larger than `maxBytes`
+ * @throws {SyntaxError} If the body is not valid JSON
+ */
+async function readJsonBody(req, maxBytes) {
+  if (Number(req.headers['content-length']) > maxBytes) {
+    throw new BodyTooLargeError(maxBytes);
+  }
+
+  // Events rather than `for await`, which would destroy the socket on an
+  // early exit before the 413 response could be written
+  const raw = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Keep draining the rest of the body without buffering it
+        chunks.length = 0;
+        reject(new BodyTooLargeError(maxBytes));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+  return raw.trim() ? JSON.parse(raw) : undefined;
+}
+
+/**
+ * Write a JSON-RPC error response
+ * @private
+ * @param {import('node:http').ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null,
+  }));
+}
+
+/**
+ * Close a session's server, which also closes its transport
+ * @private
+ * @param {Object} server - MCP Server
+ * @returns {Promise<void>}
+ */
+async function closeServer(server) {
+  try {
+    await server.close();
+  } catch (error) {
+    console.error('Failed to close MCP session:', error.message);
+  }
+}
+
+/**
+ * Start an HTTP server speaking the MCP Streamable HTTP transport
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind to
+ * @param {Function} options.createServer - Factory returning a new MCP Server for each session
+ * @param {number} [options.sessionIdleTimeoutMs=SESSION_IDLE_TIMEOUT_MS] - Close sessions with
+ *   no open request for this long
+ * @param {number} [options.maxBodyBytes=MAX_BODY_BYTES] - Reject POST bodies larger than this
+ * @returns {Promise<Object>} Handle with `httpServer`, `url`, `sessions` and `close()`
+ */
+export async function startHttpServer({
+  port,
+  host = '127.0.0.1',
+  createServer,
+  sessionIdleTimeoutMs = SESSION_IDLE_TIMEOUT_MS,
+  maxBodyBytes = MAX_BODY_BYTES,
+}) {
+  // Map of session ID -> { transport, server, lastActive, openRequests }
+  const sessions = new Map();
+
+  /**
+   * Handle a request on an existing session, keeping it alive while the
+   * request (such as a GET event stream) is open
+   * @private
+   */
+  async function handleSessionTraffic(session, req, res, body) {
+    session.openRequests++;
+    session.lastActive = Date.now();
+    res.once('close', () => {
+      session.openRequests--;
+      session.lastActive = Date.now();
+    });
+    await session.transport.handleRequest(req, res, body);
+  }
+
+  const idleSweep = setInterval(() => {
+    const cutoff = Date.now() - sessionIdleTimeoutMs;
+    for (const [id, session] of sessions) {
+      if (session.openRequests > 0 || session.lastActive > cutoff) continue;
+      sessions.delete(id);
+      console.error(`MCP session expired: ${id}`);
+      closeServer(session.server);
+    }
+  }, Math.min(sessionIdleTimeoutMs, 60 * 1000));
+  // The sweep alone should not keep the process running
+  idleSweep.unref();
+
+  async function handlePost(req, res, sessionId) {
+    let body;
+    try {
+      body = await readJsonBody(req, maxBodyBytes);
+    } catch (error) {
+      if (error instanceof BodyTooLargeError) {
+        sendJsonRpcError(res, 413, -32600, `Invalid Request: ${error.message}`);
+        return;
+      }
+      sendJsonRpcError(res, 400, -32700, 'Parse error: invalid JSON body');
+      return;
+    }
+
+    if (sessionId && sessions.has(sessionId)) {
+      await handleSessionTraffic(sessions.get(sessionId), req, res, body);
+      return;
+    }
+
+    if (sessionId) {
+      sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+      return;
+    }
+
+    if (!isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server, lastActive: Date.now(), openRequests: 0 });
+        console.error(`MCP session started: ${id}`);
+      },
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.error(`MCP session closed: ${transport.sessionId}`);
+      }
+    };
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      // A session that failed to start is never used again
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+      await closeServer(server);
+      throw error;
+    }
+  }
+
+  async function handleSessionRequest(req, res, sessionId) {
+    const session = sessionId && sessions.get(sessionId);
+    if (!session) {
+      sendJsonRpcError(res, sessionId ? 404 : 400, -32000, 'Bad Request: invalid or missing session ID');
+      return;
+    }
+    await handleSessionTraffic(session, req, res);
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== MCP_ENDPOINT) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not Found');
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+
+    try {
+      switch (req.method) {
+        case 'POST':
+          await handlePost(req, res, sessionId);
+          break;
+        case 'GET':
+        case 'DELETE':
+          await handleSessionRequest(req, res, sessionId);
+          break;
+        default:
+          res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+      }
+    } catch (error) {
+      console.error('[HTTP Error]', error);
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  });
+
+  await new Promise((resolvePromise, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolvePromise();
+    });
+  });
+
+  const address = httpServer.address();
+
+  return {
+    httpServer,
+    sessions,
+    url: `http://${host}:${address.port}${MCP_ENDPOINT}`,
+    async close() {
+      clearInterval(idleSweep);
+      for (const { server } of sessions.values()) {
+        await server.close();
+      }
+      sessions.clear();
+      await new Promise((resolvePromise) => httpServer.close(() => resolvePromise()));
+    },
+  };
+}
@@ -0,0 +1,207 @@
+/**
+ * Module exports
+ *
+ * Maps every documented module (`@ember/object`, `@glimmer/tracking`, ...) to
+ * what can be imported from it, from the API entries' `module` fields:
+ *
+ * - a class is a module's default export when the module documents no other
+ *   public class, and a named export otherwise
+ * - functions and constants are documented as members of a class named after
+ *   their module (`@ember/template` has `htmlSafe`), and are named exports
+ *
+ * `import` statements in the API descriptions override the guess, so
+ * `import { tracked } from '@glimmer/tracking'` in any example settles how
+ * `tracked` is imported. Exports that were also reachable through the `Ember`
+ * global before RFC 176 carry that global (`Ember.String.htmlSafe`).
+ */
+
+import { generateApiUrl, generateApiFunctionUrl, generateApiMemberUrl } from './url-builder.js';
+
+// Global namespace that held each module's exports before RFC 176. Modules
+// added after it (@ember/owner, @glimmer/tracking, ...) have no global.
+const LEGACY_NAMESPACES = {
+  '@ember/application': 'Ember',
+  '@ember/application/instance': 'Ember',
+  '@ember/application/namespace': 'Ember',
+  '@ember/array': 'Ember',
+  '@ember/array/mutable': 'Ember',
+  '@ember/array/proxy': 'Ember',
+  '@ember/component': 'Ember',
+  '@ember/component/checkbox': 'Ember',
+  '@ember/component/helper': 'Ember.Helper',
+  '@ember/component/text-area': 'Ember',
+  '@ember/component/text-field': 'Ember',
+  '@ember/controller': 'Ember',
+  '@ember/debug': 'Ember',
+  '@ember/engine': 'Ember',
+  '@ember/engine/instance': 'Ember',
+  '@ember/error': 'Ember',
+  '@ember/instrumentation': 'Ember',
+  '@ember/object': 'Ember',
+  '@ember/object/computed': 'Ember.computed',
+  '@ember/object/core': 'Ember',
+  '@ember/object/evented': 'Ember',
+  '@ember/object/events': 'Ember',
+  '@ember/object/internals': 'Ember',
+  '@ember/object/mixin': 'Ember',
+  '@ember/object/observable': 'Ember',
+  '@ember/object/observers': 'Ember',
+  '@ember/object/promise-proxy-mixin': 'Ember',
+  '@ember/object/proxy': 'Ember',
+  '@ember/polyfills': 'Ember',
+  '@ember/routing/auto-location': 'Ember',
+  '@ember/routing/hash-location': 'Ember',
+  '@ember/routing/history-location': 'Ember',
+  '@ember/routing/none-location': 'Ember',
+  '@ember/routing/route': 'Ember',
+  '@ember/routing/router': 'Ember',
+  '@ember/runloop': 'Ember.run',
+  '@ember/service': 'Ember',
+  '@ember/string': 'Ember.String',
+  '@ember/template': 'Ember.String',
+  '@ember/test': 'Ember.Test',
+  '@ember/utils': 'Ember',
+};
+
+// Exports whose global doesn't follow from LEGACY_NAMESPACES; null means none
+const LEGACY_GLOBAL_OVERRIDES = {
+  '@ember/controller#inject': 'Ember.inject.controller',
+  '@ember/object#action': null,
+  '@ember/runloop#run': 'Ember.run',
+  '@ember/service#inject': 'Ember.inject.service',
+  '@ember/service#service': null,
+};
+
+const IMPORT_PATTERN = /import\s+(?:([\w$]+)\s*,?\s*)?(?:\{([^}]*)\}\s*)?from\s+['"]([^'"]+)['"]/g;
+
+/**
+ * Find the import statements in a description
+ * @private
+ * @param {string} text - Description text, usually with code examples
+ * @returns {Array<Object>} `{ module, name, kind }` for every imported binding,
+ *   where kind is "default" or "named"
+ */
+function parseImports(text) {
+  const imports = [];
+
+  for (const [, defaultName, namedList, module] of text.matchAll(IMPORT_PATTERN)) {
+    if (defaultName) imports.push({ module, name: defaultName, kind: 'default' });
+    for (const binding of (namedList || '').split(',')) {
+      // `htmlSafe as trusted` imports htmlSafe
+      const name = binding.trim().split(/\s+as\s+/)[0];
+      if (/^[\w$]+$/.test(name)) imports.push({ module, name, kind: 'named' });
+    }
+  }
+  return imports;
+}
+
+/**
+ * Get the `Ember.*` global an export was available as before RFC 176
+ * @param {string} module - Module name
+ * @param {string} name - Export name (the class name for default exports)
+ * @param {string} kind - "default" or "named"
+ * @returns {string|null} Global such as "Ember.String.htmlSafe", or null if there was none
+ */
+export function getLegacyGlobal(module, name, kind) {
+  const override = LEGACY_GLOBAL_OVERRIDES[`${module}#${name}`];
+  if (override !== undefined) return override;
+
+  const namespace = LEGACY_NAMESPACES[module];
+  if (!namespace) return null;
+
+  // Classes were globals under their old names: EmberObject was Ember.Object
+  return kind === 'default' ? `Ember.${name.replace(/^Ember(?=[A-Z])/, '')}` : `${namespace}.${name}`;
+}
+
+/**
+ * Build the import statement for an export
+ * @param {Object} exported - `{ name, module, kind }`
+ * @returns {string} e.g. "import Component from '@glimmer/component';"
+ */
+export function formatImportStatement({ name, module, kind }) {
+  return kind === 'default' ? `import ${name} from '${module}';` : `import { ${name} } from '${module}';`;
+}
+
+/**
+ * Build the module -> exports map from API entries
+ * @param {Iterable<Object>} apiEntries - API entries as indexed by DocumentationService#indexApiDocs
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.version=null] - Ember version the API URLs point to; release when omitted
+ * @returns {Map<string, Object>} Lowercase module name -> `{ name, description, exports }`, where
+ *   exports are `{ name, module, kind, apiType, className, deprecated, legacyGlobal, importStatement, apiUrl }`
+ *   sorted default export first, then by name
+ */
+export function buildModuleExports(apiEntries, { version = null } = {}) {
+  const entries = [...apiEntries];
+  const modules = new Map();
+  // "module#name" -> kind, from import statements in descriptions
+  const importedAs = new Map();
+
+  const getModule = (name) => {
+    const key = name.toLowerCase();
+    if (!modules.has(key)) modules.set(key, { name, description: null, exports: new Map() });
+    return modules.get(key);
+  };
+
+  for (const entry of entries) {
+    const descriptions = [entry.description, ...entry.methods.map(member => member.description)];
+    for (const { module, name, kind } of parseImports(descriptions.filter(Boolean).join('\n'))) {
+      importedAs.set(`${module}#${name}`, kind);
+    }
+
+    if (entry.type === 'module') {
+      getModule(entry.name).description = entry.description ?? null;
+    }
+  }
+
+  const isPublic = item => (item.access || item.rawData?.attributes?.access || 'public') === 'public';
+  const classes = entries.filter(entry => entry.type === 'class' && entry.module && isPublic(entry));
+  const classCount = new Map();
+  for (const entry of classes) {
+    if (entry.name !== entry.module) classCount.set(entry.module, (classCount.get(entry.module) ?? 0) + 1);
+  }
+
+  const addExport = (module, name, guessedKind, details) => {
+    const exports = getModule(module).exports;
+    if (exports.has(name)) return;
+
+    const kind = importedAs.get(`${module}#${name}`) ?? guessedKind;
+    const exported = { name, module, kind, ...details };
+    exported.legacyGlobal = getLegacyGlobal(module, name, kind);
+    exported.importStatement = formatImportStatement(exported);
+    exports.set(name, exported);
+  };
+
+  for (const entry of classes) {
+    if (entry.name === entry.module) {
+      // A module's functions and constants, documented on a class named after it
+      for (const [list, apiType] of [['methods', 'function'], ['properties', 'constant']]) {
+        for (const member of entry[list].filter(isPublic)) {
+          addExport(entry.module, member.name, 'named', {
+            apiType,
+            className: entry.name,
+            deprecated: Boolean(member.deprecated),
+            apiUrl: list === 'methods'
+              ? generateApiFunctionUrl(entry.module, member.name, version)
+              : generateApiMemberUrl(entry.name, 'property', member.name, version),
+          });
+        }
+      }
+      continue;
+    }
+
+    addExport(entry.module, entry.name, classCount.get(entry.module) === 1 ? 'default' : 'named', {
+      apiType: 'class',
+      className: entry.name,
+      deprecated: Boolean(entry.rawData?.attributes?.deprecated),
+      apiUrl: generateApiUrl(entry.name, 'class', version),
+    });
+  }
+
+  for (const module of modules.values()) {
+    module.exports = [...module.exports.values()].sort(
+      (a, b) => (a.kind === 'default' ? 0 : 1) - (b.kind === 'default' ? 0 : 1) || a.name.localeCompare(b.name)
+    );
+  }
+  return modules;
+}
@@ -1,19 +1,33 @@
 import fetch from 'node-fetch';
+import { OfflineError } from './offline-data.js';
 
 /**
  * Service for interacting with npm registry
  */
 export class NpmService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {boolean} [options.offline=false] - Fail fast instead of contacting the registry
+   */
+  constructor({ offline = false } = {}) {
     this.registryUrl = 'https://registry.npmjs.org';
+    this.offline = offline;
   }
 
   /**
    * Get package information from npm registry
    * @param {string} packageName - Name of the npm package
    * @returns {Promise<Object>} Package information
+   * @throws {OfflineError} In offline mode
    */
   async getPackageInfo(packageName) {
+    if (this.offline) {
+      throw new OfflineError(
+        `Offline mode: the npm registry is not available, so "${packageName}" cannot be looked up. ` +
+        'Run without --offline (or unset EMBER_MCP_OFFLINE) to use the npm tools.'
+      );
+    }
+
     try {
       const response = await fetch(`${this.registryUrl}/${packageName}`);
       
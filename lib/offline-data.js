@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Offline data
+ *
+ * Locates and reads the data shipped with the package for air-gapped use: a
+ * documentation snapshot (built by `scripts/build-offline-data.js` on
+ * prepack) and a dataset of Ember releases that stands in for the GitHub
+ * releases API.
+ */
+
+export const BUNDLED_DOCS_PATH = fileURLToPath(new URL('../data/llms-full.txt', import.meta.url));
+export const RELEASES_DATA_PATH = fileURLToPath(new URL('../data/ember-releases.json', import.meta.url));
+
+/**
+ * Error thrown when an operation needs a network service that offline mode disables
+ */
+export class OfflineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OfflineError';
+    this.status = 'offline';
+  }
+}
+
+/**
+ * Resolve offline options from command-line values and the loaded config
+ * @param {Object} values - Parsed command-line values
+ * @param {boolean} [values.offline] - `--offline` flag
+ * @param {string} [values.docs] - `--docs <path>` option
+ * @param {Object} config - Effective config from loadConfig (`offline`, `docsPath`)
+ * @returns {Object} `{ offline, docsPath }`
+ */
+export function resolveOfflineOptions({ offline, docs }, config) {
+  return {
+    offline: Boolean(offline) || config.offline,
+    docsPath: docs || config.docsPath,
+  };
+}
+
+/**
+ * Get the path of the metadata file written next to a documentation snapshot
+ * @param {string} docsPath - Snapshot path
+ * @returns {string} Metadata path
+ */
+export function getSnapshotMetaPath(docsPath) {
+  return `${docsPath}.meta.json`;
+}
+
+/**
+ * Read a documentation snapshot from disk
+ *
+ * The optional `<path>.meta.json` file records when the snapshot was
+ * downloaded and which Ember version it documents; without it the file's
+ * modification time is used.
+ * @param {string} docsPath - Path to an llms-full.txt file
+ * @returns {Promise<Object|null>} `{ text, meta }`, or null if the file does not exist
+ * @throws {Error} If the file exists but cannot be read
+ */
+export async function readDocsSnapshot(docsPath) {
+  let text;
+  try {
+    text = await fs.readFile(docsPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let meta;
+  try {
+    meta = JSON.parse(await fs.readFile(getSnapshotMetaPath(docsPath), 'utf-8'));
+  } catch {
+    const stats = await fs.stat(docsPath);
+    meta = { fetchedAt: stats.mtime.toISOString(), emberVersion: null };
+  }
+
+  return { text, meta };
+}
+
+/**
+ * Read the bundled releases dataset
+ * @param {string} [path=RELEASES_DATA_PATH] - Dataset path
+ * @returns {Promise<Object|null>} `{ generatedAt, releases }` with releases newest first, or null if unavailable
+ */
+export async function readReleasesDataset(path = RELEASES_DATA_PATH) {
+  try {
+    const dataset = JSON.parse(await fs.readFile(path, 'utf-8'));
+    return Array.isArray(dataset.releases) ? dataset : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * MCP prompt templates for common Ember workflows
+ *
+ * Each prompt bundles vetted instructions with the output of the server's own
+ * tools (version info, best practices, API references) as embedded context, so
+ * every client runs the same workflow against the same documentation.
+ */
+
+import { buildApiResourceUri } from './resources.js';
+
+/**
+ * Wrap code in a fenced block that its own backtick runs cannot close
+ * @private
+ * @param {string} code - Code supplied as a prompt argument
+ * @returns {string} Fenced code block
+ */
+function fenceCode(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}\n${code}\n${fence}`;
+}
+
+/**
+ * Prompt definitions
+ *
+ * `context` lists the tool calls whose output is embedded before the instructions.
+ * `instructions` builds the final user message from the prompt arguments.
+ */
+const PROMPT_DEFINITIONS = [
+  {
+    name: 'plan-ember-upgrade',
+    title: 'Plan an Ember upgrade',
+    description: 'Plan an upgrade between two Ember versions, covering breaking changes, deprecations to clear first, and modern replacements.',
+    arguments: [
+      {
+        name: 'fromVersion',
+        description: 'Ember version the app currently runs (e.g., 4.12.0)',
+        required: true,
+      },
+      {
+        name: 'toVersion',
+        description: 'Target Ember version (e.g., 5.8.0). Defaults to the latest stable release.',
+        required: false,
+      },
+    ],
+    // Each version info call hits the GitHub releases API, so the target is
+    // only looked up when it is pinned; the model can fetch the latest itself
+    context: (args) => [
+      { tool: 'get_ember_version_info', args: { version: args.fromVersion } },
+      ...(args.toVersion && args.toVersion !== args.fromVersion
+        ? [{ tool: 'get_ember_version_info', args: { version: args.toVersion } }]
+        : []),
+      { tool: 'get_best_practices', args: { topic: 'deprecations upgrade' } },
+    ],
+    instructions: (args) => {
+      const target = args.toVersion || 'the latest stable release';
+      return [
+        `Plan an upgrade of an Ember application from ${args.fromVersion} to ${target}.`,
+        ...(args.toVersion ? [] : ['Call `get_ember_version_info` without a version to find the latest stable release first.']),
+        '',
+        'Using the release information and best practices above:',
+        '1. List the intermediate LTS versions to step through, if any.',
+        '2. List the deprecations that must be cleared before each major version bump.',
+        '3. Call out breaking changes and the modern replacement for each removed API.',
+        '4. Suggest an order of work, including addon and ember-cli updates, with a verification step after each stage.',
+        '',
+        'Cite the linked guides and release notes for every recommendation.',
+      ].join('\n');
+    },
+  },
+  {
+    name: 'review-octane-component',
+    title: 'Review a component for Octane idioms',
+    description: 'Review an Ember component for Octane idioms: Glimmer components, tracked state, actions, and argument handling.',
+    arguments: [
+      {
+        name: 'code',
+        description: 'Source of the component (JavaScript/TypeScript class and/or template)',
+        required: true,
+      },
+      {
+        name: 'componentName',
+        description: 'Name of the component being reviewed (optional)',
+        required: false,
+      },
+    ],
+    context: () => [
+      { tool: 'get_best_practices', args: { topic: 'component patterns' } },
+      { tool: 'get_api_reference', args: { name: '@glimmer/component' } },
+    ],
+    instructions: (args) => {
+      const subject = args.componentName ? `the \`${args.componentName}\` component` : 'this component';
+      return [
+        `Review ${subject} for Octane idioms using the best practices and API reference above.`,
+        '',
+        'Check for:',
+        '- Classic patterns (`Ember.Component`, `this.set`, computed properties, observers, lifecycle hooks like `didInsertElement`)',
+        '- State that should be `@tracked`, and arguments that are mutated instead of passed back up (data down, actions up)',
+        '- `{{action}}` usage that should be `{{on}}` with `@action`',
+        '- Template issues such as implicit `this` or missing `...attributes`',
+        '',
+        'For each finding, quote the code, explain why it matters, and show the idiomatic replacement.',
+        '',
+        fenceCode(args.code),
+      ].join('\n');
+    },
+  },
+  {
+    name: 'convert-classic-component',
+    title: 'Convert a classic component to Glimmer',
+    description: 'Convert a classic Ember component (Ember.Component / @ember/component) into a Glimmer component with tracked state.',
+    arguments: [
+      {
+        name: 'code',
+        description: 'Source of the classic component (class and template)',
+        required: true,
+      },
+    ],
+    context: () => [
+      { tool: 'get_api_reference', args: { name: '@glimmer/component' } },
+      { tool: 'get_api_reference', args: { name: '@ember/component' } },
+      { tool: 'get_best_practices', args: { topic: 'glimmer component migration' } },
+    ],
+    instructions: (args) => [
+      'Convert the classic component below into a Glimmer component, using the API references and best practices above.',
+      '',
+      '- Replace `this.set`/`this.get` and computed properties with native getters and `@tracked` properties.',
+      '- Replace lifecycle hooks with modifiers or constructor/`willDestroy` logic.',
+      '- Replace the wrapper element and `classNames`/`attributeBindings` with explicit template markup and `...attributes`.',
+      '- Replace `{{action}}` with `{{on}}` and `@action`.',
+      '',
+      'Return the converted class and template, followed by a list of behaviour changes callers need to know about.',
+      '',
+      fenceCode(args.code),
+    ].join('\n'),
+  },
+];
+
+export const PROMPTS = PROMPT_DEFINITIONS.map(({ name, title, description, arguments: args }) => ({
+  name,
+  title,
+  description,
+  arguments: args,
+}));
+
+/**
+ * Build the embedded context message for one tool result
+ * @private
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {string} text - Tool output text
+ * @returns {Object} Prompt message
+ */
+function contextMessage(tool, args, text) {
+  // API references are also addressable as resources, so embed them as such
+  if (tool === 'get_api_reference') {
+    return {
+      role: 'user',
+      content: {
+        type: 'resource',
+        resource: {
+          uri: buildApiResourceUri(args.name),
+          mimeType: 'text/markdown',
+          text,
+        },
+      },
+    };
+  }
+
+  return {
+    role: 'user',
+    content: {
+      type: 'text',
+      text,
+    },
+  };
+}
+
+/**
+ * Render a prompt with embedded tool context
+ * @param {string} name - Prompt name
+ * @param {Object} [args={}] - Prompt arguments
+ * @param {Function} callTool - Async `(toolName, toolArgs) => toolResult` used to gather context
+ * @returns {Promise<Object|null>} `{ description, messages }`, or null if the prompt does not exist
+ * @throws {Error} If a required argument is missing
+ */
+export async function getPrompt(name, args = {}, callTool) {
+  const definition = PROMPT_DEFINITIONS.find(prompt => prompt.name === name);
+  if (!definition) return null;
+
+  const missing = definition.arguments
+    .filter(arg => arg.required && !args[arg.name])
+    .map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new Error(`Missing required argument(s) for prompt "${name}": ${missing.join(', ')}`);
+  }
+
+  const messages = [];
+  for (const { tool, args: toolArgs } of definition.context(args)) {
+    const result = await callTool(tool, toolArgs);
+    // Skip context that failed to load rather than embedding error text
+    if (result.isError) continue;
+
+    const text = result.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n\n');
+    messages.push(contextMessage(tool, toolArgs, text));
+  }
+
+  messages.push({
+    role: 'user',
+    content: {
+      type: 'text',
+      text: definition.instructions(args),
+    },
+  });
+
+  return {
+    description: definition.description,
+    messages,
+  };
+}
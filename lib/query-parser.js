@@ -0,0 +1,153 @@
+import { findClosest, getAllowedEdits } from './edit-distance.js';
+
+/**
+ * Query parser
+ *
+ * Parses the search query syntax:
+ *
+ * - `"exact phrase"`: documents must contain the phrase
+ * - `-word`, `-"some phrase"`: documents must not contain it
+ * - `field:value`, `field:"some value"`: documents must match the filter;
+ *   repeating a field matches any of its values
+ *
+ * Everything else is a search term.
+ */
+
+export const QUERY_FILTERS = ['title', 'module', 'type', 'section'];
+
+/**
+ * Error for a malformed search query
+ */
+export class QueryParseError extends Error {
+  /**
+   * @param {string} message - Problem description
+   * @param {number} [position] - 0-based offset of the problem in the query
+   */
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at character ${position + 1})`);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+/**
+ * Match a `field:` prefix
+ *
+ * Words that merely contain a colon (`localhost:4200`) are search terms, but a
+ * near miss of a filter name (`titel:`) is reported.
+ * @private
+ * @param {string} rest - Query text from the start of the word
+ * @param {number} position - Offset of `rest` in the query
+ * @returns {Array|null} Match of the filter prefix, or null for a search term
+ * @throws {QueryParseError} If the prefix looks like a misspelled filter
+ */
+function getFilterField(rest, position) {
+  const field = rest.match(/^([a-z]+):(?!\/\/)/i);
+  if (!field) return null;
+
+  const name = field[1].toLowerCase();
+  if (QUERY_FILTERS.includes(name)) return field;
+
+  const [closest] = findClosest(name, QUERY_FILTERS, { maxDistance: getAllowedEdits(name, 2), limit: 1 });
+  if (closest) {
+    throw new QueryParseError(`Unknown filter "${field[0]}". Did you mean "${closest.value}:"?`, position);
+  }
+  return null;
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Query string
+ * @returns {Object} `{ text, terms, phrases, exclusions, filters }`: `text` joins the
+ *   terms and phrases in query order, `filters` maps each QUERY_FILTERS field to its values
+ * @throws {QueryParseError} If the query is empty, has an unterminated quote, an
+ *   empty phrase, operator or filter value, a misspelled filter, or nothing to search for
+ */
+export function parseQuery(query) {
+  const parsed = {
+    text: '',
+    terms: [],
+    phrases: [],
+    exclusions: [],
+    filters: Object.fromEntries(QUERY_FILTERS.map(field => [field, []])),
+  };
+  const positive = [];
+
+  let i = 0;
+  const skipWhitespace = () => {
+    while (i < query.length && /\s/.test(query[i])) i++;
+  };
+
+  /**
+   * Read a bare word or a quoted phrase at the current position
+   * @returns {Object} `{ value, quoted }`
+   */
+  const readValue = () => {
+    const start = i;
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QueryParseError('Unterminated quote', start);
+      }
+      i = end + 1;
+      const value = query.slice(start + 1, end).trim();
+      if (!value) {
+        throw new QueryParseError('Empty phrase', start);
+      }
+      return { value, quoted: true };
+    }
+
+    while (i < query.length && !/\s/.test(query[i])) {
+      // A phrase has to start a word; `foo"bar` is a quote left open
+      if (query[i] === '"') {
+        throw new QueryParseError('Unterminated quote', i);
+      }
+      i++;
+    }
+    return { value: query.slice(start, i), quoted: false };
+  };
+
+  skipWhitespace();
+  if (i === query.length) {
+    throw new QueryParseError('Query is empty');
+  }
+
+  while (i < query.length) {
+    const start = i;
+    const negated = query[i] === '-';
+    if (negated) i++;
+
+    const field = getFilterField(query.slice(i), i);
+    if (field) {
+      const name = field[1].toLowerCase();
+      if (negated) {
+        throw new QueryParseError(`Filters can't be excluded: "-${field[0]}"`, start);
+      }
+
+      i += field[0].length;
+      if (i === query.length || /\s/.test(query[i])) {
+        throw new QueryParseError(`Missing value for "${field[0]}"`, start);
+      }
+      parsed.filters[name].push(readValue().value);
+    } else if (negated) {
+      if (i === query.length || /\s/.test(query[i])) {
+        throw new QueryParseError('Missing word after "-"', start);
+      }
+      parsed.exclusions.push(readValue().value);
+    } else {
+      const { value, quoted } = readValue();
+      (quoted ? parsed.phrases : parsed.terms).push(value);
+      positive.push(value);
+    }
+
+    skipWhitespace();
+  }
+
+  const hasFilters = QUERY_FILTERS.some(name => parsed.filters[name].length > 0);
+  if (positive.length === 0 && !hasFilters) {
+    throw new QueryParseError('Query has nothing to search for, only exclusions');
+  }
+
+  parsed.text = positive.join(' ');
+  return parsed;
+}
@@ -0,0 +1,197 @@
+/**
+ * MCP resources for Ember documentation
+ *
+ * Exposes parsed documentation as addressable resources so clients can attach
+ * a full API class or guide page as context instead of a search excerpt.
+ *
+ * URI scheme:
+ * - ember-docs://api/{name}               API class or module (name is URI-encoded)
+ * - ember-docs://guides/{section}/{index} Item `index` of a documentation section
+ */
+
+import { formatApiReference } from './formatters.js';
+
+export const RESOURCE_SCHEME = 'ember-docs';
+export const RESOURCES_PAGE_SIZE = 100;
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://api/{name}`,
+    name: 'ember-api',
+    title: 'Ember API reference',
+    description: 'Full API reference for an Ember class or module (e.g., Component, RouterService, @ember/service)',
+    mimeType: 'text/markdown',
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}://guides/{section}/{index}`,
+    name: 'ember-guide',
+    title: 'Ember documentation page',
+    description: 'Full content of a guide or community article, addressed by documentation section and item index',
+    mimeType: 'text/markdown',
+  },
+];
+
+/**
+ * Build the resource URI for an API entry
+ * @param {string} name - API class or module name
+ * @returns {string} Resource URI
+ */
+export function buildApiResourceUri(name) {
+  return `${RESOURCE_SCHEME}://api/${encodeURIComponent(name)}`;
+}
+
+/**
+ * Build the resource URI for a documentation section item
+ * @param {string} sectionName - Documentation section name
+ * @param {number} index - Item index within the section
+ * @returns {string} Resource URI
+ */
+export function buildGuideResourceUri(sectionName, index) {
+  return `${RESOURCE_SCHEME}://guides/${encodeURIComponent(sectionName)}/${index}`;
+}
+
+/**
+ * Parse a documentation resource URI
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} `{ kind: 'api', name }`, `{ kind: 'guide', section, index }`, or null if not recognized
+ */
+export function parseResourceUri(uri) {
+  const apiMatch = uri.match(new RegExp(`^${RESOURCE_SCHEME}://api/([^/]+)$`));
+  if (apiMatch) {
+    try {
+      return { kind: 'api', name: decodeURIComponent(apiMatch[1]) };
+    } catch {
+      return null;
+    }
+  }
+
+  const guideMatch = uri.match(new RegExp(`^${RESOURCE_SCHEME}://guides/([^/]+)/(\\d+)$`));
+  if (guideMatch) {
+    try {
+      return {
+        kind: 'guide',
+        section: decodeURIComponent(guideMatch[1]),
+        index: Number(guideMatch[2]),
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the API classes and modules addressable as resources, one per name
+ *
+ * A module and the class holding its functions can share a name; the module
+ * is listed.
+ * @private
+ * @param {Object} docService - Loaded DocumentationService instance
+ * @returns {Map<string, Object>} Lowercase name -> API entry, in documentation order
+ */
+function getApiResourceEntries(docService) {
+  const entries = new Map();
+  for (const entry of docService.getApiEntries()) {
+    const key = entry.name.toLowerCase();
+    if (!entries.has(key) || entry.type === 'module') entries.set(key, entry);
+  }
+  return entries;
+}
+
+/**
+ * Collect every documentation resource (unique API entries, then section items)
+ * @private
+ * @param {Object} docService - Loaded DocumentationService instance
+ * @returns {Array<Object>} MCP resource descriptors
+ */
+function collectResources(docService) {
+  const resources = [];
+
+  for (const entry of getApiResourceEntries(docService).values()) {
+    resources.push({
+      uri: buildApiResourceUri(entry.name),
+      name: entry.name,
+      description: entry.module
+        ? `Ember API ${entry.type || 'entry'} from ${entry.module}`
+        : `Ember API ${entry.type || 'entry'}`,
+      mimeType: 'text/markdown',
+    });
+  }
+
+  for (const [sectionName, items] of Object.entries(docService.sections)) {
+    if (sectionName === 'api-docs') continue;
+
+    items.forEach((item, index) => {
+      resources.push({
+        uri: buildGuideResourceUri(sectionName, index),
+        name: docService.extractTitle(docService.getItemContent(sectionName, item)),
+        description: `${docService.categorizeSectionName(sectionName)} (${sectionName})`,
+        mimeType: 'text/markdown',
+      });
+    });
+  }
+
+  return resources;
+}
+
+/**
+ * List documentation resources, one page at a time
+ * @param {Object} docService - Loaded DocumentationService instance
+ * @param {string} [cursor] - Opaque cursor returned by a previous call
+ * @returns {Object} `{ resources, nextCursor }` (nextCursor omitted on the last page)
+ * @throws {Error} If the cursor is invalid
+ */
+export function listDocumentationResources(docService, cursor) {
+  const offset = cursor === undefined ? 0 : Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+
+  const all = collectResources(docService);
+  const resources = all.slice(offset, offset + RESOURCES_PAGE_SIZE);
+  const nextOffset = offset + RESOURCES_PAGE_SIZE;
+
+  return nextOffset < all.length
+    ? { resources, nextCursor: String(nextOffset) }
+    : { resources };
+}
+
+/**
+ * Read the full contents of a documentation resource
+ * @param {Object} docService - Loaded DocumentationService instance
+ * @param {string} uri - Resource URI
+ * @returns {Promise<Object|null>} MCP resource contents, or null if the resource does not exist
+ */
+export async function readDocumentationResource(docService, uri) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) return null;
+
+  if (parsed.kind === 'api') {
+    // Other names in apiIndex, such as a class's module, resolve like in get_api_reference
+    const entry = getApiResourceEntries(docService).get(parsed.name.toLowerCase());
+    const options = { members: { limit: Infinity } };
+    let apiDoc = null;
+    if (entry) {
+      apiDoc = await docService.getApiReference(entry.name, entry.type, options);
+    } else if (docService.apiIndex.has(parsed.name.toLowerCase())) {
+      apiDoc = await docService.getApiReference(parsed.name, undefined, options);
+    }
+    if (!apiDoc) return null;
+
+    return {
+      uri,
+      mimeType: 'text/markdown',
+      text: formatApiReference(apiDoc, docService.deprecationManager),
+    };
+  }
+
+  const item = docService.sections[parsed.section]?.[parsed.index];
+  if (!item || parsed.section === 'api-docs') return null;
+
+  return {
+    uri,
+    mimeType: 'text/markdown',
+    text: docService.getItemContent(parsed.section, item),
+  };
+}
@@ -0,0 +1,223 @@
+import pluralize from "pluralize";
+import { findClosest } from "./edit-distance.js";
+
+/**
+ * SearchIndex
+ *
+ * Tokenized inverted index over documentation items with BM25 term scoring.
+ * Each item has three fields - title, headings and body - scored separately
+ * so callers can weight them. For every (term, item) pair the index also keeps
+ * the character offset of the first body occurrence, used for proximity
+ * scoring and excerpts.
+ */
+
+// Runs of letters/digits; everything else (punctuation, `{{`, `@`, `-`) separates tokens
+const WORD_PATTERN = /[\p{L}\p{N}_$]+/gu;
+// Boundaries inside identifiers: transitionTo -> transition|To, HTMLBars -> HTML|Bars
+const SUBWORD_PATTERN = /[A-Z]+(?=[A-Z][a-z])|[A-Z]?[a-z]+|[A-Z]+|\d+/g;
+
+const FIELDS = ["title", "headings", "body"];
+const MAX_CACHED_SIMILAR_TERMS = 1000;
+
+const normalizedWords = new Map();
+
+/**
+ * Normalize a word to its index form: lowercase and singular
+ *
+ * Memoized, since the same words recur throughout the documentation.
+ * @param {string} word - Word to normalize
+ * @returns {string} Index term
+ */
+export function normalizeTerm(word) {
+  let term = normalizedWords.get(word);
+  if (term === undefined) {
+    term = word.toLowerCase();
+    // Short words like "js", "as", "us" are not plurals
+    if (term.length > 3 && term.endsWith("s")) {
+      term = pluralize.singular(term);
+    }
+    normalizedWords.set(word, term);
+  }
+  return term;
+}
+
+/**
+ * Split text into index terms
+ *
+ * Identifiers also produce their camelCase/snake_case parts at the same
+ * offset, so "proxy" finds ArrayProxy and "transition" finds transitionTo.
+ * @param {string} text - Text to tokenize
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.subwords=true] - Also emit identifier parts
+ * @returns {Array<Object>} `{ term, offset, length }` entries in text order, locating the source word
+ */
+export function tokenize(text, { subwords = true } = {}) {
+  const tokens = [];
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = match[0];
+    tokens.push({ term: normalizeTerm(word), offset: match.index, length: word.length });
+
+    if (subwords) {
+      const parts = word.match(SUBWORD_PATTERN) || [];
+      if (parts.length > 1) {
+        for (const part of parts) {
+          tokens.push({ term: normalizeTerm(part), offset: match.index, length: word.length });
+        }
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Extract markdown heading text from content
+ * @param {string} content - Markdown content
+ * @returns {Array<string>} Heading texts in document order
+ */
+export function extractHeadings(content) {
+  return Array.from(content.matchAll(/^#{1,6}\s+(.+)$/gm), match => match[1].trim());
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} [options] - BM25 parameters
+   * @param {number} [options.k1=1.2] - Term frequency saturation
+   * @param {number} [options.b=0.75] - Field length normalization
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = [];
+    this.postings = new Map();
+    this.totalLengths = { title: 0, headings: 0, body: 0 };
+    // findSimilarTerms scans the whole vocabulary, so its results are kept until the next add()
+    this.similarTerms = new Map();
+  }
+
+  /**
+   * Add an item to the index
+   *
+   * Other properties of the item (e.g. its section) are kept on the indexed document.
+   * @param {Object} item - Item to index
+   * @param {string} item.title - Item title
+   * @param {string} item.content - Full item content
+   * @param {Array<string>} [item.headings] - Headings to index, instead of those in the content
+   * @returns {number} Document ID
+   */
+  add({ title, content, headings, ...data }) {
+    const id = this.documents.length;
+    this.similarTerms.clear();
+    // The title is usually the first heading; don't count it twice
+    headings ??= extractHeadings(content).filter(heading => heading !== title);
+    const fields = {
+      title: tokenize(title),
+      headings: tokenize(headings.join("\n")),
+      body: tokenize(content),
+    };
+
+    const lengths = {};
+    for (const field of FIELDS) {
+      lengths[field] = fields[field].length;
+      this.totalLengths[field] += lengths[field];
+
+      for (const { term, offset } of fields[field]) {
+        let docs = this.postings.get(term);
+        if (!docs) {
+          docs = new Map();
+          this.postings.set(term, docs);
+        }
+
+        let posting = docs.get(id);
+        if (!posting) {
+          posting = { title: 0, headings: 0, body: 0, offset: -1 };
+          docs.set(id, posting);
+        }
+        posting[field]++;
+        if (field === "body" && posting.offset === -1) {
+          posting.offset = offset;
+        }
+      }
+    }
+
+    this.documents.push({
+      ...data,
+      id,
+      title,
+      content,
+      contentLower: content.toLowerCase(),
+      lengths,
+    });
+    return id;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Get the postings for a term
+   * @param {string} term - Normalized index term
+   * @returns {Map<number, Object>} Document ID -> `{ title, headings, body, offset }` (empty if unknown)
+   */
+  getPostings(term) {
+    return this.postings.get(term) || new Map();
+  }
+
+  /**
+   * Find index terms within a few edits of a term
+   * @param {string} term - Normalized term, usually a misspelled one not in the index
+   * @param {Object} options - Options
+   * @param {number} options.maxEdits - Largest edit distance to accept
+   * @param {number} options.limit - Maximum number of terms
+   * @returns {Array<Object>} `{ term, distance }` entries, closest (then most common) first
+   */
+  findSimilarTerms(term, { maxEdits, limit }) {
+    if (maxEdits <= 0) return [];
+
+    const key = `${term}:${maxEdits}:${limit}`;
+    if (!this.similarTerms.has(key)) {
+      const matches = findClosest(term, this.postings.keys(), {
+        maxDistance: maxEdits,
+        limit,
+        rank: candidate => this.postings.get(candidate).size,
+      });
+      if (this.similarTerms.size >= MAX_CACHED_SIMILAR_TERMS) this.similarTerms.clear();
+      this.similarTerms.set(key, matches.map(({ value, distance }) => ({ term: value, distance })));
+    }
+    return this.similarTerms.get(key);
+  }
+
+  /**
+   * Inverse document frequency
+   *
+   * BM25's IDF plus one (as in Lucene's classic similarity): in small
+   * collections the plain BM25 IDF of a term found in most documents is close
+   * to zero, which would make the field weights meaningless.
+   * @param {string} term - Normalized index term
+   * @returns {number} IDF (0 for unknown terms)
+   */
+  idf(term) {
+    const n = this.getPostings(term).size;
+    if (n === 0) return 0;
+
+    const N = this.documents.length;
+    return 1 + Math.log(1 + (N - n + 0.5) / (n + 0.5));
+  }
+
+  /**
+   * BM25 term frequency component for one field
+   * @param {number} tf - Occurrences of the term in the field
+   * @param {Object} document - Indexed document
+   * @param {string} field - Field name
+   * @returns {number} Saturated frequency, from 0 up to (k1 + 1)
+   */
+  fieldScore(tf, document, field) {
+    if (tf === 0) return 0;
+
+    const averageLength = this.totalLengths[field] / this.documents.length || 1;
+    const norm = 1 - this.b + this.b * (document.lengths[field] / averageLength);
+    return (tf * (this.k1 + 1)) / (tf + this.k1 * norm);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Source metadata
+ *
+ * Finds where a guide page or community article was published, so results
+ * can cite the real page instead of the guides home page. Only the lines
+ * before the body are read:
+ *
+ * - frontmatter or leading `key: value` lines: `url`/`canonical`/`source`/`link`,
+ *   `path` (a guide path such as `routing/query-params`) and `author`
+ * - a heading linking to the page: `## [Post Title](https://example.com/post)`
+ * - a byline: `By Jane Doe`, `*Written by Jane Doe*`
+ */
+
+const URL_KEYS = new Set(['url', 'canonical', 'canonicalurl', 'source', 'sourceurl', 'link', 'originalurl', 'permalink']);
+const PATH_KEYS = new Set(['path', 'guide', 'guidepath']);
+const AUTHOR_KEYS = new Set(['author', 'authors', 'by', 'writtenby']);
+
+const METADATA_LINE_PATTERN = /^([a-z][a-z _-]*):\s+(.+)$/i;
+const HEADING_PATTERN = /^#{1,6}\s+(.+)$/;
+const HEADING_LINK_PATTERN = /^\[[^\]]+\]\((https?:\/\/[^)\s]+)\)/;
+const BYLINE_PATTERN = /^(?:written )?by\s+(.{2,80})$/i;
+const URL_PATTERN = /https?:\/\/[^\s)>\]"']+/;
+// Lines read before giving up on finding the body
+const MAX_HEADER_LINES = 20;
+const FRONTMATTER_PATTERN = /^\s*---\n[\s\S]*?\n---[ \t]*(?:\n|$)/;
+
+/**
+ * Remove markdown emphasis and surrounding quotes from a value
+ * @private
+ * @param {string} text - Text to clean
+ * @returns {string} Plain text
+ */
+function plain(text) {
+  return text.replace(/\*\*|__/g, '').replace(/^[*_"'\s]+|[*_"'\s]+$/g, '');
+}
+
+/**
+ * Normalize a guide path to the form used in guide URLs
+ * @param {string} path - Path such as `/release/routing/query-params.md`
+ * @returns {string|null} Path such as `routing/query-params`, or null if empty
+ */
+export function normalizeGuidePath(path) {
+  const normalized = path
+    .trim()
+    .replace(/^\/+|\/+$/g, '')
+    .replace(/^guides\//, '')
+    .replace(/^(?:release|v?\d+\.\d+(?:\.\d+)?)\//, '')
+    .replace(/\.md$/, '')
+    .replace(/(?:^|\/)index$/, '');
+  return normalized || null;
+}
+
+/**
+ * Remove the YAML frontmatter block from the start of an item
+ * @param {string} content - Item content
+ * @returns {string} Content without its frontmatter
+ */
+export function stripFrontmatter(content) {
+  return content.replace(FRONTMATTER_PATTERN, '');
+}
+
+/**
+ * Extract the published location of a guide page or community article
+ * @param {string} content - Item content
+ * @returns {Object} `{ url, path, author }`, each null when not found
+ */
+export function extractSourceMetadata(content) {
+  const source = { url: null, path: null, author: null };
+  let inFrontmatter = false;
+  let sawFrontmatter = false;
+
+  for (const rawLine of content.split('\n').slice(0, MAX_HEADER_LINES)) {
+    const line = rawLine.trim();
+
+    if (line === '---' && (inFrontmatter || !sawFrontmatter)) {
+      inFrontmatter = !inFrontmatter;
+      sawFrontmatter = true;
+      continue;
+    }
+    if (!line) continue;
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const link = heading[1].match(HEADING_LINK_PATTERN);
+      source.url ??= link?.[1] ?? null;
+      continue;
+    }
+
+    const metadata = plain(line).match(METADATA_LINE_PATTERN);
+    if (metadata) {
+      const key = metadata[1].toLowerCase().replace(/[ _-]/g, '');
+      const value = plain(metadata[2]);
+      if (URL_KEYS.has(key)) {
+        source.url ??= value.match(URL_PATTERN)?.[0] ?? null;
+      } else if (PATH_KEYS.has(key)) {
+        source.path ??= normalizeGuidePath(value);
+      } else if (AUTHOR_KEYS.has(key)) {
+        source.author ??= value.replace(/^\[([^\]]+)\]\([^)]*\)$/, '$1') || null;
+      }
+      if (URL_KEYS.has(key) || PATH_KEYS.has(key) || AUTHOR_KEYS.has(key) || inFrontmatter) continue;
+    } else if (inFrontmatter) {
+      continue;
+    }
+
+    const byline = plain(line).match(BYLINE_PATTERN);
+    if (byline) {
+      source.author ??= byline[1];
+      continue;
+    }
+
+    // First line of the body
+    break;
+  }
+
+  return source;
+}
@@ -0,0 +1,808 @@
+/**
+ * Structured tool output
+ *
+ * JSON Schemas declared as each tool's `outputSchema`, plus the functions that
+ * turn internal service results into matching `structuredContent`. The markdown
+ * text from formatters.js is still returned alongside for display.
+ */
+
+import { formatTypeScriptSignature } from './ts-signatures.js';
+
+const nullableString = { type: ['string', 'null'] };
+const stringArray = { type: 'array', items: { type: 'string' } };
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+const deprecationSchema = {
+  type: ['object', 'null'],
+  properties: {
+    status: { type: 'string' },
+    since: nullableString,
+    reason: nullableString,
+    modernAlternative: nullableString,
+  },
+};
+
+const searchExplanationSchema = {
+  type: 'object',
+  properties: {
+    components: {
+      type: 'object',
+      properties: {
+        exactPhraseBonus: { type: 'number' },
+        titleBonus: { type: 'number' },
+        headingBonus: { type: 'number' },
+        termFrequency: { type: 'number' },
+        allTermsBonus: { type: 'number' },
+        proximityBonus: { type: 'number' },
+      },
+      required: ['exactPhraseBonus', 'titleBonus', 'headingBonus', 'termFrequency', 'allTermsBonus', 'proximityBonus'],
+    },
+    terms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          matched: { type: 'string' },
+          weight: { type: 'number' },
+          score: { type: 'number' },
+        },
+        required: ['query', 'matched', 'weight', 'score'],
+      },
+    },
+    failedGates: stringArray,
+  },
+  required: ['components', 'terms', 'failedGates'],
+};
+
+const apiMemberSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: nullableString,
+    type: nullableString,
+    params: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: nullableString,
+          description: nullableString,
+          optional: { type: 'boolean' },
+        },
+        required: ['name'],
+      },
+    },
+    return: {
+      type: ['object', 'null'],
+      properties: {
+        type: nullableString,
+        description: nullableString,
+      },
+    },
+    since: nullableString,
+    deprecated: { type: 'boolean' },
+    access: nullableString,
+    static: { type: 'boolean' },
+    definedIn: { type: 'string' },
+    signature: { type: 'string' },
+  },
+  required: ['name'],
+};
+
+const apiMemberReferenceSchema = {
+  type: 'object',
+  properties: {
+    ...apiMemberSchema.properties,
+    memberType: { type: 'string' },
+    className: { type: 'string' },
+    module: nullableString,
+    deprecationMessage: nullableString,
+    file: nullableString,
+    line: { type: ['number', 'null'] },
+    apiUrl: { type: 'string' },
+    alternatives: stringArray,
+  },
+  required: ['name', 'memberType', 'className', 'signature', 'apiUrl'],
+};
+
+const moduleExportSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    module: { type: 'string' },
+    kind: { type: 'string', enum: ['default', 'named'] },
+    apiType: { type: 'string' },
+    className: { type: 'string' },
+    importStatement: { type: 'string' },
+    legacyGlobal: nullableString,
+    deprecated: { type: 'boolean' },
+    apiUrl: { type: 'string' },
+  },
+  required: ['name', 'module', 'kind', 'importStatement'],
+};
+
+// A guide or community chunk that uses an API (see api-usages.js)
+const apiUsageSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    category: { type: 'string' },
+    breadcrumb: stringArray,
+    url: nullableString,
+    author: nullableString,
+    kinds: stringArray,
+    mentions: { type: 'number' },
+    context: nullableString,
+  },
+  required: ['title', 'category', 'url', 'kinds'],
+};
+
+// The Ember version a doc tool answered for, when asked for one (see versioned-docs.js)
+const emberVersionSchema = {
+  type: 'object',
+  properties: {
+    version: { type: 'string' },
+    requested: { type: 'string' },
+    source: { type: 'string' },
+  },
+  required: ['version', 'requested', 'source'],
+};
+
+// A class, method or property in an API diff
+const apiDiffEntrySchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    module: nullableString,
+    since: nullableString,
+    apiUrl: { type: 'string' },
+    deprecationMessage: nullableString,
+    deprecationGuide: { type: 'string' },
+  },
+  required: ['name', 'apiUrl'],
+};
+
+const apiDiffChangesSchema = {
+  type: 'object',
+  properties: {
+    removed: { type: 'array', items: apiDiffEntrySchema },
+    deprecated: { type: 'array', items: apiDiffEntrySchema },
+    added: { type: 'array', items: apiDiffEntrySchema },
+  },
+  required: ['removed', 'deprecated', 'added'],
+};
+
+// Size of one listing of an API class's members and where its next page starts
+const memberCountSchema = {
+  type: 'object',
+  properties: {
+    total: { type: 'number' },
+    matching: { type: 'number' },
+    offset: { type: 'number' },
+    nextOffset: { type: ['number', 'null'] },
+  },
+  required: ['total', 'matching', 'offset', 'nextOffset'],
+};
+
+export const OUTPUT_SCHEMAS = {
+  search_ember_docs: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      category: { type: 'string' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            category: { type: 'string' },
+            breadcrumb: stringArray,
+            excerpt: { type: 'string' },
+            score: { type: 'number' },
+            url: nullableString,
+            author: nullableString,
+            apiLink: nullableString,
+            matchedTerms: { type: 'number' },
+            totalTerms: { type: 'number' },
+            deprecation: deprecationSchema,
+            explanation: searchExplanationSchema,
+          },
+          required: ['title', 'category', 'score', 'url'],
+        },
+      },
+      suggestions: stringArray,
+      rejected: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            category: { type: 'string' },
+            score: { type: 'number' },
+            url: nullableString,
+            explanation: searchExplanationSchema,
+          },
+          required: ['title', 'category', 'score', 'explanation'],
+        },
+      },
+      gates: {
+        type: 'object',
+        properties: {
+          MIN_SCORE: { type: 'number' },
+          MIN_SCORE_SINGLE_TERM: { type: 'number' },
+        },
+      },
+      emberVersion: emberVersionSchema,
+    },
+    required: ['query', 'category', 'results'],
+  },
+
+  get_api_reference: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      found: { type: 'boolean' },
+      api: {
+        type: ['object', 'null'],
+        properties: {
+          name: { type: 'string' },
+          type: nullableString,
+          module: nullableString,
+          description: nullableString,
+          extends: nullableString,
+          file: nullableString,
+          line: { type: ['number', 'null'] },
+          apiUrl: nullableString,
+          ancestors: stringArray,
+          mixins: stringArray,
+          methods: { type: 'array', items: apiMemberSchema },
+          properties: { type: 'array', items: apiMemberSchema },
+          memberCounts: {
+            type: ['object', 'null'],
+            properties: {
+              methods: memberCountSchema,
+              properties: memberCountSchema,
+            },
+          },
+          deprecation: deprecationSchema,
+        },
+        required: ['name', 'methods', 'properties'],
+      },
+      member: apiMemberReferenceSchema,
+      resolvedFrom: { type: 'string' },
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            type: nullableString,
+            module: nullableString,
+            reason: { type: 'string' },
+          },
+          required: ['name', 'reason'],
+        },
+      },
+      relatedGuides: { type: 'array', items: apiUsageSchema },
+      emberVersion: emberVersionSchema,
+    },
+    required: ['name', 'found', 'api'],
+  },
+
+  get_best_practices: {
+    type: 'object',
+    properties: {
+      topic: { type: 'string' },
+      practices: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            author: nullableString,
+            content: { type: 'string' },
+            examples: stringArray,
+            antiPatterns: stringArray,
+            references: stringArray,
+          },
+          required: ['title', 'content'],
+        },
+      },
+      emberVersion: emberVersionSchema,
+    },
+    required: ['topic', 'practices'],
+  },
+
+  get_module_exports: {
+    type: 'object',
+    properties: {
+      module: { type: 'string' },
+      found: { type: 'boolean' },
+      description: nullableString,
+      apiUrl: nullableString,
+      exports: { type: 'array', items: moduleExportSchema },
+      emberVersion: emberVersionSchema,
+    },
+    required: ['module', 'found', 'exports'],
+  },
+
+  find_import_path: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      found: { type: 'boolean' },
+      matches: { type: 'array', items: moduleExportSchema },
+      emberVersion: emberVersionSchema,
+    },
+    required: ['name', 'found', 'matches'],
+  },
+
+  find_usages_in_docs: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      found: { type: 'boolean' },
+      resolvedFrom: { type: 'string' },
+      total: { type: 'number' },
+      usages: { type: 'array', items: apiUsageSchema },
+      emberVersion: emberVersionSchema,
+    },
+    required: ['name', 'found', 'usages'],
+  },
+
+  get_ember_version_info: {
+    type: 'object',
+    properties: {
+      current: nullableString,
+      releaseDate: nullableString,
+      description: nullableString,
+      features: stringArray,
+      bugFixes: stringArray,
+      breakingChanges: stringArray,
+      recentReleases: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            date: nullableString,
+            url: nullableString,
+          },
+          required: ['version'],
+        },
+      },
+      migrationGuide: nullableString,
+      releaseNotesUrl: nullableString,
+      blogPost: nullableString,
+      links: stringArray,
+      note: nullableString,
+      docsSnapshot: {
+        type: ['object', 'null'],
+        properties: {
+          source: { type: 'string', enum: ['network', 'revalidated', 'cache-fallback', 'cache', 'bundled', 'file'] },
+          fetchedAt: { type: 'string' },
+          validatedAt: { type: 'string' },
+          emberVersion: nullableString,
+          ageMs: { type: 'number' },
+          stale: { type: 'boolean' },
+        },
+      },
+    },
+    required: ['current', 'features', 'bugFixes', 'breakingChanges', 'links'],
+  },
+
+  diff_api_versions: {
+    type: 'object',
+    properties: {
+      from: { type: 'string' },
+      to: nullableString,
+      classes: apiDiffChangesSchema,
+      methods: apiDiffChangesSchema,
+      properties: apiDiffChangesSchema,
+    },
+    required: ['from', 'to', 'classes', 'methods', 'properties'],
+  },
+
+  get_npm_package_info: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      latestVersion: { type: 'string' },
+      distTags: stringMap,
+      homepage: nullableString,
+      repository: nullableString,
+      license: nullableString,
+      author: nullableString,
+      maintainers: stringArray,
+      keywords: stringArray,
+      dependencies: stringMap,
+      devDependencies: stringMap,
+      peerDependencies: stringMap,
+      engines: stringMap,
+      lastPublished: nullableString,
+      created: nullableString,
+      modified: nullableString,
+    },
+    required: ['name', 'latestVersion', 'distTags'],
+  },
+
+  compare_npm_versions: {
+    type: 'object',
+    properties: {
+      packageName: { type: 'string' },
+      currentVersion: { type: 'string' },
+      latestVersion: nullableString,
+      isLatest: { type: 'boolean' },
+      needsUpdate: { type: 'boolean' },
+      distTags: stringMap,
+      availableVersionsCount: { type: 'number' },
+      releaseDate: nullableString,
+      currentVersionReleaseDate: nullableString,
+    },
+    required: ['packageName', 'currentVersion', 'latestVersion', 'isLatest', 'needsUpdate'],
+  },
+
+  detect_package_manager: {
+    type: 'object',
+    properties: {
+      manager: { type: 'string' },
+      lockfile: nullableString,
+      runner: { type: 'string' },
+      detectionMethod: { type: 'string' },
+      confidence: { type: 'string', enum: ['high', 'low'] },
+      commands: {
+        type: 'object',
+        properties: {
+          install: { type: 'string' },
+          add: { type: 'string' },
+          remove: { type: 'string' },
+          run: { type: 'string' },
+          execute: { type: 'string' },
+        },
+      },
+    },
+    required: ['manager', 'runner', 'detectionMethod', 'confidence', 'commands'],
+  },
+};
+
+/**
+ * Normalize deprecation info for structured output
+ * @private
+ * @param {Object|null} info - Deprecation info from DeprecationManager
+ * @returns {Object|null} Structured deprecation info
+ */
+function structureDeprecation(info) {
+  if (!info) return null;
+  return {
+    status: info.status,
+    since: info.since ?? null,
+    reason: info.reason ?? null,
+    modernAlternative: info.modernAlternative ?? null,
+  };
+}
+
+/**
+ * Normalize a YUIDoc method or property for structured output
+ * @param {Object} member - Raw YUIDoc member
+ * @returns {Object} Structured member
+ */
+export function structureApiMember(member) {
+  return {
+    name: member.name,
+    description: member.description ?? null,
+    type: member.type ?? null,
+    params: (member.params || []).map(param => ({
+      name: param.name,
+      type: param.type ?? null,
+      description: param.description ?? null,
+      optional: Boolean(param.optional),
+    })),
+    return: member.return
+      ? { type: member.return.type ?? null, description: member.return.description ?? null }
+      : null,
+    since: member.since ?? null,
+    deprecated: Boolean(member.deprecated),
+    access: member.access ?? null,
+    static: Boolean(member.static),
+    ...(member.definedIn && { definedIn: member.definedIn }),
+  };
+}
+
+/**
+ * Build structured content for search_ember_docs
+ * @param {string} query - Search query
+ * @param {string} category - Category filter
+ * @param {Array<Object>} results - Results from DocumentationService#search or #explainSearch
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.suggestions=[]] - Queries from DocumentationService#getSearchSuggestions
+ * @param {Object} [options.explained] - `{ rejected, gates }` from DocumentationService#explainSearch
+ * @returns {Object} Structured content
+ */
+export function structureSearchResults(query, category, results, { suggestions = [], explained = null } = {}) {
+  const structured = {
+    query,
+    category,
+    suggestions,
+    results: results.map(result => ({
+      title: result.title,
+      category: result.category,
+      breadcrumb: result.breadcrumb ?? [],
+      excerpt: result.excerpt,
+      score: result.score,
+      url: result.url ?? null,
+      author: result.author ?? null,
+      apiLink: result.apiLink ?? null,
+      matchedTerms: result.matchedTerms,
+      totalTerms: result.totalTerms,
+      deprecation: structureDeprecation(result.deprecationInfo),
+      ...(result.explanation && { explanation: result.explanation }),
+    })),
+  };
+
+  if (explained) {
+    structured.rejected = explained.rejected;
+    structured.gates = explained.gates;
+  }
+  return structured;
+}
+
+/**
+ * Build structured content for get_api_reference
+ *
+ * Methods and properties are returned as `member`, with `api` set to null.
+ * A reference found for a different name than requested has `resolvedFrom`.
+ * Guide and community chunks using the API are listed as `relatedGuides`, when there are any.
+ * @param {string} name - Requested API name
+ * @param {Object|null} apiDoc - Result from DocumentationService#getApiReference
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.suggestions=[]] - Closest names when nothing was found,
+ *   from DocumentationService#suggestApiNames
+ * @returns {Object} Structured content
+ */
+export function structureApiReference(name, apiDoc, { suggestions = [] } = {}) {
+  if (!apiDoc) {
+    return suggestions.length > 0
+      ? { name, found: false, api: null, suggestions }
+      : { name, found: false, api: null };
+  }
+
+  const resolved = apiDoc.resolvedFrom ? { resolvedFrom: apiDoc.resolvedFrom } : {};
+  const related = apiDoc.relatedGuides?.length > 0 ? { relatedGuides: apiDoc.relatedGuides } : {};
+
+  if (apiDoc.memberType) {
+    return {
+      name,
+      found: true,
+      ...resolved,
+      api: null,
+      member: {
+        ...structureApiMember(apiDoc),
+        memberType: apiDoc.memberType,
+        className: apiDoc.className,
+        module: apiDoc.module ?? null,
+        signature: apiDoc.signature,
+        deprecationMessage: apiDoc.deprecationMessage ?? null,
+        file: apiDoc.file ?? null,
+        line: apiDoc.line ?? null,
+        apiUrl: apiDoc.apiUrl,
+        alternatives: apiDoc.alternatives || [],
+      },
+      ...related,
+    };
+  }
+
+  return {
+    name,
+    found: true,
+    ...resolved,
+    api: {
+      name: apiDoc.name,
+      type: apiDoc.type ?? null,
+      module: apiDoc.module ?? null,
+      description: apiDoc.description ?? null,
+      extends: apiDoc.extends ?? null,
+      file: apiDoc.file ?? null,
+      line: apiDoc.line ?? null,
+      apiUrl: apiDoc.apiUrl ?? null,
+      ancestors: apiDoc.ancestors || [],
+      mixins: apiDoc.mixins || [],
+      methods: (apiDoc.methods || []).map(method => ({
+        ...structureApiMember(method),
+        signature: formatTypeScriptSignature(method, 'method'),
+      })),
+      properties: (apiDoc.properties || []).map(property => ({
+        ...structureApiMember(property),
+        signature: formatTypeScriptSignature(property, 'property'),
+      })),
+      memberCounts: apiDoc.memberCounts ?? null,
+      deprecation: structureDeprecation(apiDoc.deprecationInfo),
+    },
+    ...related,
+  };
+}
+
+/**
+ * Build structured content for get_best_practices
+ * @param {string} topic - Requested topic
+ * @param {Array<Object>} practices - Results from DocumentationService#getBestPractices
+ * @returns {Object} Structured content
+ */
+export function structureBestPractices(topic, practices) {
+  return {
+    topic,
+    practices: practices.map(practice => ({
+      title: practice.title,
+      author: practice.author ?? null,
+      content: practice.content,
+      examples: practice.examples || [],
+      antiPatterns: practice.antiPatterns || [],
+      references: practice.references || [],
+    })),
+  };
+}
+
+/**
+ * Pick the structured fields of a module export
+ * @private
+ * @param {Object} exported - Export from DocumentationService#getModuleExports or #findImportPath
+ * @returns {Object} Structured export
+ */
+function structureModuleExport(exported) {
+  return {
+    name: exported.name,
+    module: exported.module,
+    kind: exported.kind,
+    apiType: exported.apiType,
+    className: exported.className,
+    importStatement: exported.importStatement,
+    legacyGlobal: exported.legacyGlobal ?? null,
+    deprecated: Boolean(exported.deprecated),
+    apiUrl: exported.apiUrl,
+  };
+}
+
+/**
+ * Build structured content for get_module_exports
+ * @param {string} moduleName - Requested module
+ * @param {Object|null} module - Result from DocumentationService#getModuleExports
+ * @returns {Object} Structured content
+ */
+export function structureModuleExports(moduleName, module) {
+  if (!module) {
+    return { module: moduleName, found: false, description: null, apiUrl: null, exports: [] };
+  }
+
+  return {
+    module: module.name,
+    found: true,
+    description: module.description ?? null,
+    apiUrl: module.apiUrl,
+    exports: module.exports.map(structureModuleExport),
+  };
+}
+
+/**
+ * Build structured content for find_import_path
+ * @param {string} name - Requested export name or global
+ * @param {Array<Object>} matches - Results from DocumentationService#findImportPath
+ * @returns {Object} Structured content
+ */
+export function structureImportPaths(name, matches) {
+  return {
+    name,
+    found: matches.length > 0,
+    matches: matches.map(structureModuleExport),
+  };
+}
+
+/**
+ * Build structured content for find_usages_in_docs
+ * @param {string} name - Requested API name
+ * @param {Object|null} result - Result from DocumentationService#findUsagesInDocs
+ * @returns {Object} Structured content; `name` is the API's own name when found
+ */
+export function structureApiUsages(name, result) {
+  if (!result) {
+    return { name, found: false, total: 0, usages: [] };
+  }
+
+  return {
+    name: result.name,
+    found: true,
+    ...(result.resolvedFrom && { resolvedFrom: result.resolvedFrom }),
+    total: result.total,
+    usages: result.usages,
+  };
+}
+
+/**
+ * Build structured content for diff_api_versions
+ *
+ * `to` is null when the newer side is the loaded documentation of an unknown version.
+ * @param {Object} diff - Result of diffApiVersions (see api-diff.js)
+ * @returns {Object} Structured content
+ */
+export function structureApiDiff(diff) {
+  return {
+    from: diff.from,
+    to: diff.to ?? null,
+    classes: diff.classes,
+    methods: diff.methods,
+    properties: diff.properties,
+  };
+}
+
+/**
+ * Build structured content for get_ember_version_info
+ * @param {Object} versionInfo - Result from DocumentationService#getVersionInfo
+ * @param {Object|null} [snapshot] - Documentation snapshot info from DocumentationService#getSnapshotInfo
+ * @returns {Object} Structured content
+ */
+export function structureVersionInfo(versionInfo, snapshot = null) {
+  return {
+    current: versionInfo.current ?? null,
+    releaseDate: versionInfo.releaseDate ?? null,
+    description: versionInfo.description ?? null,
+    features: versionInfo.features || [],
+    bugFixes: versionInfo.bugFixes || [],
+    breakingChanges: versionInfo.breakingChanges || [],
+    recentReleases: versionInfo.recentReleases || [],
+    migrationGuide: versionInfo.migrationGuide ?? null,
+    releaseNotesUrl: versionInfo.releaseNotesUrl ?? null,
+    blogPost: versionInfo.blogPost ?? null,
+    links: versionInfo.links || [],
+    note: versionInfo.note ?? null,
+    docsSnapshot: snapshot,
+  };
+}
+
+/**
+ * Build structured content for get_npm_package_info
+ * @param {Object} formatted - Result from NpmService#formatPackageInfo
+ * @returns {Object} Structured content
+ */
+export function structurePackageInfo(formatted) {
+  return {
+    ...formatted,
+    // Some older packages publish `license` as an object ({ type, url })
+    license: typeof formatted.license === 'object' && formatted.license !== null
+      ? formatted.license.type ?? null
+      : formatted.license,
+    maintainers: formatted.maintainers.map(m => (typeof m === 'string' ? m : m.name)).filter(Boolean),
+  };
+}
+
+/**
+ * Build structured content for compare_npm_versions
+ * @param {Object} comparison - Result from NpmService#getVersionComparison
+ * @returns {Object} Structured content
+ */
+export function structureVersionComparison(comparison) {
+  return {
+    ...comparison,
+    latestVersion: comparison.latestVersion ?? null,
+  };
+}
+
+/**
+ * Build structured content for detect_package_manager
+ * @param {Object} result - Result from PackageManagerDetector#detectPackageManager
+ * @param {Object} detector - PackageManagerDetector instance
+ * @returns {Object} Structured content
+ */
+export function structureDetectionResult(result, detector) {
+  return {
+    ...result,
+    commands: {
+      install: detector.getCommandForScenario(result, 'install'),
+      add: detector.getCommandForScenario(result, 'add'),
+      remove: detector.getCommandForScenario(result, 'remove'),
+      run: detector.getCommandForScenario(result, 'run'),
+      execute: detector.getCommandForScenario(result, 'execute'),
+    },
+  };
+}
@@ -0,0 +1,69 @@
+import { tokenize } from './search-index.js';
+
+/**
+ * SynonymMap
+ *
+ * Compiled form of SEARCH_SYNONYMS. Every key and its phrases form a group of
+ * interchangeable phrases; a query containing one of them is expanded with
+ * the others. Phrases are compared as index terms, so "ember-data" matches the
+ * query "ember data" and "{{action}}" matches "action".
+ */
+export class SynonymMap {
+  /**
+   * @param {Object<string, Array<string>>} synonyms - Phrase -> equivalent phrases
+   */
+  constructor(synonyms) {
+    this.source = synonyms;
+    this.groups = [];
+    // First term -> `{ phrase, group }` entries starting with it
+    this.phrasesByFirstTerm = new Map();
+
+    for (const [key, phrases] of Object.entries(synonyms)) {
+      const group = [key, ...phrases]
+        .map(text => ({
+          text: text.toLowerCase(),
+          terms: tokenize(text, { subwords: false }).map(token => token.term),
+        }))
+        .filter(phrase => phrase.terms.length > 0);
+      this.groups.push(group);
+
+      for (const phrase of group) {
+        const first = phrase.terms[0];
+        if (!this.phrasesByFirstTerm.has(first)) this.phrasesByFirstTerm.set(first, []);
+        this.phrasesByFirstTerm.get(first).push({ phrase, group });
+      }
+    }
+  }
+
+  /**
+   * Find synonym phrases in a sequence of query terms
+   * @param {Array<string>} terms - Normalized query terms, in query order
+   * @returns {Array<Object>} `{ start, length, alternatives }` for every phrase found,
+   *   where alternatives are the group's other phrases as `{ text, terms }`
+   */
+  expand(terms) {
+    const expansions = [];
+    const seen = new Set();
+
+    terms.forEach((term, start) => {
+      for (const { phrase, group } of this.phrasesByFirstTerm.get(term) || []) {
+        const { length } = phrase.terms;
+        if (!phrase.terms.every((phraseTerm, i) => terms[start + i] === phraseTerm)) continue;
+
+        // "{{action}}" and "@action" are the same terms; expand once per group
+        const key = `${start}:${length}:${this.groups.indexOf(group)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const matchedTerms = phrase.terms.join(' ');
+        expansions.push({
+          start,
+          length,
+          alternatives: group.filter(other => other.terms.join(' ') !== matchedTerms),
+        });
+      }
+    });
+
+    return expansions;
+  }
+}
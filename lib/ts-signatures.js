@@ -0,0 +1,130 @@
+/**
+ * TypeScript signatures
+ *
+ * Builds TypeScript-style signatures for API methods and properties from their
+ * YUIDoc `params`, `return` and `type` fields:
+ *
+ * - YUIDoc types become TypeScript types: `String` is `string`, `Any` is
+ *   `unknown`, `Array` is `unknown[]`; class names are kept
+ * - `optional` params get `?` and `multiple` params become rest params
+ * - sub-params, given as `props` or as `options.queryParams` names, become
+ *   object types such as `{ queryParams?: object }`
+ */
+
+// YUIDoc type names and their TypeScript types; other names are classes and kept as written
+const TYPE_NAMES = {
+  string: 'string',
+  number: 'number',
+  integer: 'number',
+  float: 'number',
+  boolean: 'boolean',
+  bool: 'boolean',
+  object: 'object',
+  hash: 'object',
+  function: 'Function',
+  any: 'unknown',
+  mixed: 'unknown',
+  '*': 'unknown',
+  null: 'null',
+  undefined: 'undefined',
+  void: 'void',
+  symbol: 'symbol',
+  array: 'unknown[]',
+  promise: 'Promise<unknown>',
+  'rsvp.promise': 'Promise<unknown>',
+};
+
+/**
+ * Convert a YUIDoc type to a TypeScript type
+ * @param {string|null|undefined} type - YUIDoc type such as "String", "Array|Object" or "{Promise}"
+ * @returns {string} TypeScript type, "unknown" if none is given
+ */
+export function toTypeScriptType(type) {
+  const trimmed = (type ?? '').trim().replace(/^\{(.*)\}$/, '$1').replace(/^\.\.\./, '').trim();
+  if (!trimmed) return 'unknown';
+
+  const union = trimmed.split('|').map(part => part.trim()).filter(Boolean);
+  if (union.length > 1) {
+    return [...new Set(union.map(toTypeScriptType))].join(' | ');
+  }
+
+  const arrayOf = trimmed.match(/^(.+)\[\]$/) || trimmed.match(/^Array\.?<(.+)>$/i);
+  if (arrayOf) {
+    const element = toTypeScriptType(arrayOf[1]);
+    return element.includes(' ') ? `(${element})[]` : `${element}[]`;
+  }
+
+  const generic = trimmed.match(/^((?:RSVP\.)?Promise)\.?<(.+)>$/i);
+  if (generic) return `Promise<${toTypeScriptType(generic[2])}>`;
+
+  return TYPE_NAMES[trimmed.toLowerCase()] ?? trimmed;
+}
+
+/**
+ * Nest `options.queryParams` style params under the param they belong to
+ * @private
+ * @param {Array<Object>} params - YUIDoc params
+ * @returns {Array<Object>} Top-level params, with sub-params in `props`
+ */
+function nestDottedParams(params) {
+  const topLevel = [];
+  const byName = new Map();
+
+  for (const param of params) {
+    const dot = param.name.lastIndexOf('.');
+    const parent = dot > 0 ? byName.get(param.name.slice(0, dot)) : null;
+    const nested = { ...param, props: [...(param.props || [])] };
+    if (parent) {
+      parent.props.push({ ...nested, name: param.name.slice(dot + 1) });
+    } else {
+      topLevel.push(nested);
+    }
+    byName.set(param.name, parent ? parent.props[parent.props.length - 1] : nested);
+  }
+  return topLevel;
+}
+
+/**
+ * Get the TypeScript type of a param, with its sub-params as an object type
+ * @private
+ * @param {Object} param - YUIDoc param, possibly with `props`
+ * @returns {string} TypeScript type
+ */
+function formatParamType(param) {
+  if (!param.props?.length) return toTypeScriptType(param.type);
+
+  const fields = param.props.map(prop => `${prop.name}${prop.optional ? '?' : ''}: ${formatParamType(prop)}`);
+  return `{ ${fields.join('; ')} }`;
+}
+
+/**
+ * Format one param of a method signature
+ * @private
+ * @param {Object} param - YUIDoc param
+ * @returns {string} e.g. "options?: { queryParams?: object }"
+ */
+function formatParam(param) {
+  if (param.multiple) {
+    // Variadic params are documented as `...Object` whatever they take (models or ids)
+    const element = /^(\.\.\.)?object$/i.test((param.type ?? '').trim()) ? 'unknown' : formatParamType(param);
+    return `...${param.name}: ${element.includes(' ') ? `(${element})` : element}[]`;
+  }
+  return `${param.name}${param.optional ? '?' : ''}: ${formatParamType(param)}`;
+}
+
+/**
+ * Build a TypeScript signature for a class member
+ * @param {Object} member - YUIDoc method or property
+ * @param {string} memberType - "method" or "property"
+ * @returns {string} e.g. `transitionTo(name: string, ...models: unknown[], options?: { queryParams?: object }): Transition`
+ */
+export function formatTypeScriptSignature(member, memberType) {
+  const prefix = member.static ? 'static ' : '';
+  if (memberType === 'property') {
+    return `${prefix}${member.name}: ${toTypeScriptType(member.type)}`;
+  }
+
+  const params = nestDottedParams(member.params || []).map(formatParam);
+  const returns = member.return?.type ? toTypeScriptType(member.return.type) : 'void';
+  return `${prefix}${member.name}(${params.join(', ')}): ${returns}`;
+}
@@ -6,30 +6,85 @@
 
 import { API_DOCS_BASE, GUIDES_BASE } from './config.js';
 
+/**
+ * Get the major and minor part of a version
+ * @private
+ * @param {string} version - Version such as "4.12.3", "v5.8" or "5.9.0-beta.1"
+ * @returns {Array<string>} `[major, minor]`
+ */
+function minorVersion(version) {
+  const [major, minor = '0'] = version.replace(/^v/i, '').split('-')[0].split('.');
+  return [major, minor];
+}
+
+/**
+ * Get the API documentation root of an Ember version
+ * @private
+ * @param {string|null} [version] - Ember version such as "4.12.3"; the release docs when omitted
+ * @returns {string} e.g. https://api.emberjs.com/ember/4.12
+ */
+function apiDocsRoot(version) {
+  if (!version) return `${API_DOCS_BASE}/release`;
+  const [major, minor] = minorVersion(version);
+  return `${API_DOCS_BASE}/${major}.${minor}`;
+}
+
+/**
+ * Get the guides root of an Ember version
+ * @private
+ *
+ * The guides are published per minor version (/v4.12.0/). A GUIDES_BASE
+ * that does not end in /release is used as is.
+ * @param {string|null} [version] - Ember version such as "4.12.3"; the release guides when omitted
+ * @returns {string} e.g. https://guides.emberjs.com/v4.12.0
+ */
+function guidesRoot(version) {
+  if (!version || !/\/release\/?$/.test(GUIDES_BASE)) return GUIDES_BASE;
+  const [major, minor] = minorVersion(version);
+  return GUIDES_BASE.replace(/\/release\/?$/, `/v${major}.${minor}.0`);
+}
+
 /**
  * Generate a URL for a documentation section and title
+ *
+ * Guide and community items link to the page they were published at when
+ * their source is known, guides keeping the heading anchor. Items whose
+ * page is unknown have no URL.
  * @param {string} sectionName - Documentation section name
  * @param {string} title - Title of the documentation item
- * @returns {string} Generated URL
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.anchor=null] - Heading anchor to link to within a guide page
+ * @param {Object|null} [options.source=null] - `{ url, path }` from extractSourceMetadata
+ * @param {string|null} [options.version=null] - Ember version to link to; release when omitted
+ * @returns {string|null} Generated URL
  */
-export function generateUrl(sectionName, title) {
+export function generateUrl(sectionName, title, { anchor = null, source = null, version = null } = {}) {
   if (sectionName === "api-docs") {
     // Try to extract class name from title
     const className = title.match(/^([A-Z][a-zA-Z0-9]*)/)?.[1];
     if (className) {
-      return `${API_DOCS_BASE}/release/classes/${className}`;
+      return `${apiDocsRoot(version)}/classes/${className}`;
     }
     return API_DOCS_BASE;
   }
-  return GUIDES_BASE;
+
+  // Headings of external articles may not have matching anchors
+  if (sectionName === "community-bloggers" && source?.url) return source.url;
+
+  const hash = anchor ? `#${anchor}` : '';
+  if (source?.url) return anchor ? `${source.url.replace(/#.*$/, '')}${hash}` : source.url;
+  if (source?.path) return `${guidesRoot(version)}/${source.path}/${hash}`;
+  // Without the page, the guides home page would be a wrong link
+  return null;
 }
 
 /**
  * Generate an API documentation link from content
  * @param {string} content - Documentation content to parse
+ * @param {string|null} [version] - Ember version to link to; release when omitted
  * @returns {string|null} Generated API link or null if not found
  */
-export function generateApiLink(content) {
+export function generateApiLink(content, version) {
   try {
     const jsonMatch = content.match(/\{[\s\S]*"data"[\s\S]*\}/);
     if (jsonMatch) {
@@ -38,9 +93,9 @@ export function generateApiLink(content) {
         const name = parsed.data.attributes.name;
         const type = parsed.data.type;
         if (type === "class") {
-          return `${API_DOCS_BASE}/release/classes/${name}`;
+          return `${apiDocsRoot(version)}/classes/${name}`;
         } else if (type === "module") {
-          return `${API_DOCS_BASE}/release/modules/${name}`;
+          return `${apiDocsRoot(version)}/modules/${name}`;
         }
       }
     }
@@ -54,17 +109,42 @@ export function generateApiLink(content) {
  * Generate API URL for a specific API element
  * @param {string} name - API element name
  * @param {string} type - API element type (class, module, etc.)
+ * @param {string|null} [version] - Ember version to link to; release when omitted
  * @returns {string} Generated API URL
  */
-export function generateApiUrl(name, type) {
+export function generateApiUrl(name, type, version) {
   if (type === "class") {
-    return `${API_DOCS_BASE}/release/classes/${name}`;
+    return `${apiDocsRoot(version)}/classes/${name}`;
   } else if (type === "module") {
-    return `${API_DOCS_BASE}/release/modules/${name}`;
+    return `${apiDocsRoot(version)}/modules/${name}`;
   }
   return API_DOCS_BASE;
 }
 
+/**
+ * Generate the API URL of a function exported by a module
+ * @param {string} moduleName - Module exporting the function, e.g. "@ember/template"
+ * @param {string} functionName - Function name
+ * @param {string|null} [version] - Ember version to link to; release when omitted
+ * @returns {string} Generated API URL, e.g. .../functions/%40ember%2Ftemplate/htmlSafe
+ */
+export function generateApiFunctionUrl(moduleName, functionName, version) {
+  return `${apiDocsRoot(version)}/functions/${encodeURIComponent(moduleName)}/${functionName}`;
+}
+
+/**
+ * Generate the API URL of a class member, linking to its anchor
+ * @param {string} className - Name of the class defining the member
+ * @param {string} memberType - "method", "property" or "event"
+ * @param {string} memberName - Member name
+ * @param {string|null} [version] - Ember version to link to; release when omitted
+ * @returns {string} Generated API URL, e.g. .../classes/RouterService/methods/transitionTo?anchor=transitionTo
+ */
+export function generateApiMemberUrl(className, memberType, memberName, version) {
+  const kind = memberType === "property" ? "properties" : `${memberType}s`;
+  return `${apiDocsRoot(version)}/classes/${encodeURIComponent(className)}/${kind}/${memberName}?anchor=${memberName}`;
+}
+
 /**
  * Generate links for version information
  * @returns {Array<string>} Array of useful version-related links
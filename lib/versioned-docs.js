@@ -0,0 +1,134 @@
+import { promises as fs } from 'fs';
+import { join, resolve } from 'path';
+
+/**
+ * Versioned documentation
+ *
+ * Doc tools answer from the loaded documentation, which covers the current
+ * release. Asked about another Ember version, either directly or through a
+ * workspace's ember-source dependency, they answer from a
+ * DocumentationService built over that release's API documentation (see
+ * DocumentationService#forApiSnapshot). The most recently used ones are
+ * kept in memory.
+ */
+
+// Versioned services kept at once; each holds its own search index
+const MAX_VERSIONS = 3;
+
+/**
+ * Read a JSON file
+ * @private
+ * @param {string} path - File path
+ * @returns {Promise<Object|null>} Parsed file, or null if it is missing or invalid
+ */
+async function readJson(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the Ember version a workspace uses
+ *
+ * The installed ember-source is exact. Failing that, the version range in
+ * package.json is narrowed to its minor version, e.g. "^4.12.0" -> "4.12",
+ * which resolves to the newest patch release.
+ * @param {string} workspacePath - Path to the workspace directory
+ * @returns {Promise<Object|null>} `{ version, source }`, where source says where the version
+ *   was read, or null if the workspace has no ember-source dependency
+ */
+export async function readWorkspaceEmberVersion(workspacePath) {
+  const root = resolve(workspacePath);
+
+  const installed = await readJson(join(root, 'node_modules', 'ember-source', 'package.json'));
+  if (installed?.version) {
+    return { version: installed.version, source: 'installed ember-source' };
+  }
+
+  const manifest = await readJson(join(root, 'package.json'));
+  const range = manifest?.dependencies?.['ember-source'] ?? manifest?.devDependencies?.['ember-source'];
+  const minor = range?.match(/(\d+)(?:\.(\d+))?/);
+  if (minor) {
+    return {
+      version: minor[2] === undefined ? minor[1] : `${minor[1]}.${minor[2]}`,
+      source: `ember-source ${range} in package.json`,
+    };
+  }
+  return null;
+}
+
+export class VersionedDocs {
+  /**
+   * @param {Object} services - Services
+   * @param {DocumentationService} services.docService - Loaded documentation, used when no version is asked for
+   * @param {ApiSnapshotStore} services.apiSnapshots - Source of versioned API documentation
+   * @param {number} [services.maxVersions=3] - Versioned services kept in memory
+   */
+  constructor({ docService, apiSnapshots, maxVersions = MAX_VERSIONS }) {
+    this.docService = docService;
+    this.apiSnapshots = apiSnapshots;
+    this.maxVersions = maxVersions;
+    // version -> Promise of its service, least recently used first
+    this.services = new Map();
+  }
+
+  /**
+   * Get the documentation to answer for an Ember version
+   * @param {Object} [options] - Options
+   * @param {string} [options.emberVersion] - Version such as "4.12" or "4.12.3"
+   * @param {string} [options.workspacePath] - Workspace whose ember-source version to use
+   *   when no version is given
+   * @returns {Promise<Object>} `{ docService, emberVersion }`, where emberVersion is
+   *   `{ version, requested, source }`, or null for the loaded documentation
+   * @throws {Error} If the workspace has no ember-source dependency or the version has no
+   *   API documentation
+   */
+  async resolve({ emberVersion, workspacePath } = {}) {
+    let requested = emberVersion;
+    let source = 'emberVersion argument';
+    if (!requested && workspacePath) {
+      const detected = await readWorkspaceEmberVersion(workspacePath);
+      if (!detected) {
+        throw new Error(`No ember-source dependency found in ${resolve(workspacePath)}. Pass emberVersion instead.`);
+      }
+      ({ version: requested, source } = detected);
+    }
+
+    if (!requested) {
+      return { docService: this.docService, emberVersion: null };
+    }
+
+    const version = await this.apiSnapshots.resolveVersion(requested);
+    return {
+      docService: await this.getService(version),
+      emberVersion: { version, requested, source },
+    };
+  }
+
+  /**
+   * Get the service for a release, building it on first use
+   * @private
+   * @param {string} version - Full version
+   * @returns {Promise<DocumentationService>} Loaded service
+   */
+  getService(version) {
+    let service = this.services.get(version);
+    if (service) {
+      this.services.delete(version);
+    } else {
+      service = this.apiSnapshots.getSnapshot(version).then(snapshot => this.docService.forApiSnapshot(snapshot));
+      // A failed build is retried on the next request
+      service.catch(() => {
+        if (this.services.get(version) === service) this.services.delete(version);
+      });
+    }
+
+    this.services.set(version, service);
+    while (this.services.size > this.maxVersions) {
+      this.services.delete(this.services.keys().next().value);
+    }
+    return service;
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * YUIDoc markdown
+ *
+ * Renders the YUIDoc markup left in API descriptions as plain markdown:
+ *
+ * - `{{#crossLink "Route/transitionTo:method"}}{{/crossLink}}` and
+ *   `{{#crossLinkModule "@ember/object"}}{{/crossLinkModule}}` become links to
+ *   api.emberjs.com
+ * - `@example` blocks and `<pre>` blocks become fenced code blocks
+ * - HTML formatting tags become their markdown equivalents; other markup
+ *   such as `<MyComponent />` in prose is left alone
+ * - stray tag lines (`@method`, `@param`, ...) are dropped
+ *
+ * Code blocks and inline code are never changed.
+ */
+
+import { generateApiUrl, generateApiMemberUrl } from './url-builder.js';
+
+const CROSS_LINK_PATTERN = /\{\{#crossLink(Module)?\s+"([^"]+)"\s*\}\}(?:([\s\S]*?)\{\{\/crossLink\1\}\})?/g;
+// Closing tags left alone, or an opening tag cut off at the end of an excerpt
+const ORPHAN_CROSS_LINK_PATTERN = /\{\{\/crossLink(?:Module)?\}\}|\{\{#crossLink[^}]*$/g;
+const EXAMPLE_PATTERN = /^[ \t]*@example\b[ \t]*(.*)$/;
+const TAG_LINE_PATTERN = /^[ \t]*@(?:method|param|return|returns|property|type|default|private|public|protected|static|final|for|class|module|submodule|namespace|extends|uses|constructor|event|since|chainable|async|readonly|optional)\b.*$/gm;
+const FENCE_PATTERN = /^[ \t]*(```|~~~)/;
+const MEMBER_KINDS = new Set(['method', 'property', 'event']);
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+
+// Tags with a markdown equivalent; the replacement is used for opening and closing tags alike
+const INLINE_TAGS = { strong: '**', b: '**', em: '_', i: '_' };
+// Formatting tags dropped while keeping their content
+const STRIPPED_TAGS = 'pre|div|span|table|thead|tbody|tfoot|tr|td|th|blockquote|sup|sub|small|u|tt|kbd|dl|dt|dd|section|article|img';
+
+/**
+ * Decode HTML entities
+ * @private
+ * @param {string} text - Text with entities such as `&lt;`
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Build the markdown link for a crossLink target
+ * @private
+ * @param {boolean} isModule - Target is a module (`crossLinkModule`)
+ * @param {string} target - `Class`, `Class/member` or `Class/member:kind`
+ * @param {string} [text] - Link text written in the markup
+ * @param {string|null} [version] - Ember version to link to
+ * @returns {string} Markdown link
+ */
+function renderCrossLink(isModule, target, text, version) {
+  if (isModule) {
+    return `[${text?.trim() || `\`${target}\``}](${generateApiUrl(target, 'module', version)})`;
+  }
+
+  const [className, memberSpec] = target.split('/');
+  if (!memberSpec) {
+    return `[${text?.trim() || `\`${className}\``}](${generateApiUrl(className, 'class', version)})`;
+  }
+
+  const [memberName, kind] = memberSpec.split(':');
+  const url = MEMBER_KINDS.has(kind)
+    ? generateApiMemberUrl(className, kind, memberName, version)
+    : `${generateApiUrl(className, 'class', version)}?anchor=${memberName}`;
+  return `[${text?.trim() || `\`${className}#${memberName}\``}](${url})`;
+}
+
+/**
+ * Turn `@example` and `<pre>` blocks into fenced code blocks
+ * @private
+ * @param {string} text - YUIDoc text
+ * @returns {string} Text with fenced examples
+ */
+function fenceExamples(text) {
+  const pre = text.replace(/<pre[^>]*>\s*(?:<code[^>]*>)?([\s\S]*?)(?:<\/code>)?\s*<\/pre>/gi, (match, code) =>
+    `\n\`\`\`\n${decodeEntities(code).replace(/^\n+|\s+$/g, '')}\n\`\`\`\n`
+  );
+
+  const lines = pre.split('\n');
+  const output = [];
+  for (let i = 0; i < lines.length; i++) {
+    const example = lines[i].match(EXAMPLE_PATTERN);
+    if (!example) {
+      output.push(lines[i]);
+      continue;
+    }
+
+    // The example runs to the next tag line or the end
+    const body = [];
+    while (i + 1 < lines.length && !/^[ \t]*@\w/.test(lines[i + 1])) body.push(lines[++i]);
+    while (body.length > 0 && !body[body.length - 1].trim()) body.pop();
+    while (body.length > 0 && !body[0].trim()) body.shift();
+
+    if (example[1]) output.push(example[1]);
+    if (body.length === 0) continue;
+    if (body.some(line => FENCE_PATTERN.test(line))) {
+      output.push(...body);
+      continue;
+    }
+    const indent = Math.min(...body.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length));
+    output.push('```javascript', ...body.map(line => line.slice(indent)), '```');
+  }
+  return output.join('\n');
+}
+
+/**
+ * Render the prose between code blocks
+ * @private
+ * @param {string} text - Prose, possibly with inline code
+ * @param {string|null} [version] - Ember version crossLinks point to
+ * @returns {string} Markdown
+ */
+function renderProse(text, version) {
+  // Inline code keeps its markup; odd segments are code spans
+  return text
+    .split(/(`[^`\n]+`)/)
+    .map((segment, index) => {
+      if (index % 2 === 1) return segment;
+
+      return decodeEntities(
+        segment
+          .replace(CROSS_LINK_PATTERN, (match, isModule, target, linkText) => renderCrossLink(Boolean(isModule), target, linkText, version))
+          .replace(ORPHAN_CROSS_LINK_PATTERN, '')
+          .replace(TAG_LINE_PATTERN, '')
+          .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, (match, code) => `\`${decodeEntities(code)}\``)
+          .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+          .replace(/<\/?(strong|b|em|i)>/gi, (match, tag) => INLINE_TAGS[tag.toLowerCase()])
+          .replace(/<h([1-6])[^>]*>/gi, (match, level) => `\n\n${'#'.repeat(Number(level))} `)
+          .replace(/<\/h[1-6]>/gi, '\n\n')
+          .replace(/<br\s*\/?>/gi, '\n')
+          .replace(/<hr\s*\/?>/gi, '\n\n---\n\n')
+          .replace(/\s*<li(?:\s[^>]*)?>/gi, '\n- ')
+          .replace(/<\/li>/gi, '')
+          .replace(/<\/?(?:p|ul|ol)(?:\s[^>]*)?>/gi, '\n\n')
+          .replace(new RegExp(`</?(?:${STRIPPED_TAGS})(?:\\s[^>]*)?/?>`, 'gi'), '')
+      );
+    })
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Render YUIDoc text as markdown
+ * @param {string|null|undefined} text - Description from the API documentation
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.version=null] - Ember version crossLinks point to; release when omitted
+ * @returns {string|null|undefined} Markdown, or the input if it is empty
+ */
+export function renderYuidoc(text, { version = null } = {}) {
+  if (!text) return text;
+
+  // Even segments are prose, odd segments fenced code blocks
+  const segments = [];
+  let prose = [];
+  let code = null;
+  for (const line of fenceExamples(text).split('\n')) {
+    if (code) {
+      code.push(line);
+      if (FENCE_PATTERN.test(line)) {
+        segments.push(prose.join('\n'), code.join('\n'));
+        prose = [];
+        code = null;
+      }
+    } else if (FENCE_PATTERN.test(line)) {
+      code = [line];
+    } else {
+      prose.push(line);
+    }
+  }
+  // An unclosed fence runs to the end
+  segments.push(prose.join('\n'));
+  if (code) segments.push(code.join('\n'));
+
+  return segments
+    .map((segment, index) => (index % 2 === 1 ? segment : renderProse(segment, version).trim()))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Render a search excerpt cut from an API entry's JSON
+ *
+ * The excerpt is raw JSON text, so string escapes are decoded first. Only
+ * the inline markup is rendered: an example cut off by the excerpt boundary
+ * can't be fenced, and neither can a link, so those links are dropped.
+ * @param {string} excerpt - Excerpt from DocumentationService#extractExcerpt
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.version=null] - Ember version crossLinks point to; release when omitted
+ * @returns {string} Markdown excerpt
+ */
+export function renderYuidocExcerpt(excerpt, { version = null } = {}) {
+  const unescaped = excerpt.replace(/\\(["\\/bfnrt]|u[0-9a-fA-F]{4})/g, (match, escape) => {
+    if (escape[0] === 'u') return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return { b: '', f: '', n: '\n', r: '', t: '  ' }[escape] ?? escape;
+  });
+  return renderProse(unescaped, version).trim();
+}
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Build the data shipped for offline mode
+ *
+ * Usage: node scripts/build-offline-data.js [docs] [releases] [--keep-existing]
+ *
+ * - docs: downloads DOCS_URL to data/llms-full.txt with a .meta.json file
+ *   recording the download time and the Ember version it documents
+ * - releases: builds data/ember-releases.json from the npm registry's
+ *   ember-source publish times, adding release notes from GitHub when the
+ *   releases API is reachable. The dataset is committed; refresh it with
+ *   `pnpm build:offline-data releases` and commit the result.
+ *
+ * Runs both by default; `prepack` runs it so published packages work offline.
+ * With --keep-existing, a file that cannot be rebuilt (e.g. without network)
+ * keeps its current version instead of failing, so packing still works from
+ * the committed dataset. URLs come from the effective configuration, so a
+ * mirror can be used.
+ */
+
+import { promises as fs } from 'fs';
+import { basename, dirname } from 'path';
+import fetch from 'node-fetch';
+import { DOCS_URL, VERSION_SOURCES } from '../lib/config.js';
+import { loadConfig, applyLoadedConfig } from '../lib/config-loader.js';
+import {
+  BUNDLED_DOCS_PATH,
+  RELEASES_DATA_PATH,
+  getSnapshotMetaPath,
+} from '../lib/offline-data.js';
+import { ReleaseNotesParser } from '../lib/release-notes-parser.js';
+import { generateReleaseNotesUrl } from '../lib/url-builder.js';
+
+const NPM_PACKAGE_URL = 'https://registry.npmjs.org/ember-source';
+
+/**
+ * Find the Ember version documented by the api-docs section
+ * @param {string} text - Documentation text
+ * @returns {string|null} Most common version in api-docs IDs
+ */
+function detectEmberVersion(text) {
+  const counts = new Map();
+  for (const match of text.matchAll(/"id":\s*"ember-(\d+\.\d+\.\d+)-/g)) {
+    counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+  }
+
+  let best = null;
+  for (const [version, count] of counts) {
+    if (!best || count > counts.get(best)) best = version;
+  }
+  return best;
+}
+
+/**
+ * Compare two x.y.z version strings, newest first
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Sort order
+ */
+function compareVersionsDesc(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pb[i] - pa[i];
+  }
+  return 0;
+}
+
+async function buildDocsSnapshot() {
+  const response = await fetch(DOCS_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch documentation: ${response.status}`);
+  }
+
+  const text = await response.text();
+  const meta = {
+    url: DOCS_URL,
+    fetchedAt: new Date().toISOString(),
+    emberVersion: detectEmberVersion(text),
+  };
+
+  await fs.mkdir(dirname(BUNDLED_DOCS_PATH), { recursive: true });
+  await fs.writeFile(BUNDLED_DOCS_PATH, text, 'utf-8');
+  await fs.writeFile(getSnapshotMetaPath(BUNDLED_DOCS_PATH), `${JSON.stringify(meta, null, 2)}\n`, 'utf-8');
+  console.error(`Wrote documentation snapshot (Ember ${meta.emberVersion ?? 'unknown'})`);
+}
+
+/**
+ * Fetch release notes from GitHub, keyed by version
+ * @returns {Promise<Map<string, Object>>} Parsed release notes (empty if GitHub is unreachable)
+ */
+async function fetchReleaseNotes() {
+  const notes = new Map();
+  const parser = new ReleaseNotesParser();
+
+  try {
+    const response = await fetch(`${VERSION_SOURCES.GITHUB_RELEASES}?per_page=100`, {
+      headers: {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'ember-mcp-server'
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    for (const release of await response.json()) {
+      if (release.prerelease || release.draft) continue;
+      const version = release.tag_name.replace(/^v/, '');
+      notes.set(version, parser.parseRelease(release, version));
+    }
+  } catch (error) {
+    console.error(`GitHub releases unavailable (${error.message}), building dataset without release notes`);
+  }
+
+  return notes;
+}
+
+async function buildReleasesDataset() {
+  const response = await fetch(NPM_PACKAGE_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ember-source from npm: ${response.status}`);
+  }
+
+  const { time = {} } = await response.json();
+  const notes = await fetchReleaseNotes();
+
+  const releases = Object.keys(time)
+    .filter(version => /^\d+\.\d+\.\d+$/.test(version))
+    .sort(compareVersionsDesc)
+    .map(version => {
+      const parsed = notes.get(version);
+      return {
+        version,
+        date: time[version].split('T')[0],
+        url: parsed?.url || generateReleaseNotesUrl(version),
+        description: parsed?.description || null,
+        features: parsed?.features || [],
+        bugFixes: parsed?.bugFixes || [],
+        breakingChanges: parsed?.breakingChanges || [],
+      };
+    });
+
+  const dataset = {
+    generatedAt: new Date().toISOString(),
+    source: NPM_PACKAGE_URL,
+    releases,
+  };
+
+  await fs.mkdir(dirname(RELEASES_DATA_PATH), { recursive: true });
+  await fs.writeFile(RELEASES_DATA_PATH, `${JSON.stringify(dataset, null, 2)}\n`, 'utf-8');
+  console.error(`Wrote ${releases.length} releases (latest ${releases[0]?.version ?? 'none'})`);
+}
+
+/**
+ * Build one data file, falling back to the existing file when allowed
+ * @param {Function} build - Builder writing `path`
+ * @param {string} path - File the builder writes
+ * @param {boolean} keepExisting - Keep an existing file if the build fails
+ */
+async function buildOrKeep(build, path, keepExisting) {
+  try {
+    await build();
+  } catch (error) {
+    const exists = await fs.access(path).then(() => true, () => false);
+    if (!keepExisting || !exists) throw error;
+    console.error(`${error.message}; keeping the existing ${basename(path)}`);
+  }
+}
+
+const args = process.argv.slice(2);
+const keepExisting = args.includes('--keep-existing');
+const targets = args.filter(arg => arg !== '--keep-existing');
+const all = targets.length === 0;
+
+try {
+  applyLoadedConfig((await loadConfig()).config);
+  if (all || targets.includes('docs')) await buildOrKeep(buildDocsSnapshot, BUNDLED_DOCS_PATH, keepExisting);
+  if (all || targets.includes('releases')) await buildOrKeep(buildReleasesDataset, RELEASES_DATA_PATH, keepExisting);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi } from 'vitest';
+import { diffApiSnapshots, diffApiVersions, findDeprecationGuide } from '../lib/api-diff.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { formatApiDiff } from '../lib/formatters.js';
+import { structureApiDiff } from '../lib/structured-output.js';
+import { API_DOCS_BASE, DEPRECATIONS_BASE } from '../lib/config.js';
+
+const apiClass = (name, attributes = {}) => ({
+  id: `ember-${name}`,
+  type: 'class',
+  attributes: { name, module: `@ember/${name.toLowerCase()}`, methods: [], properties: [], ...attributes },
+});
+
+const older = {
+  version: '4.12.3',
+  items: [
+    apiClass('Route', {
+      methods: [
+        { name: 'transitionTo', class: 'Route', deprecated: true, deprecationMessage: 'Use the router service' },
+        { name: 'model', class: 'Route' },
+        { name: 'send', class: 'Route' },
+        { name: 'setup', class: 'Route', access: 'private' },
+      ],
+      properties: [{ name: 'queryParams', class: 'Route' }],
+    }),
+    apiClass('ArrayProxy', { deprecated: true, deprecationMessage: 'See https://deprecations.emberjs.com/id/array-proxy.' }),
+    apiClass('InternalThing', { access: 'private' }),
+    { id: 'ember-@ember/routing', type: 'module', attributes: { name: '@ember/routing' } },
+  ],
+};
+
+const newer = {
+  version: '5.8.0',
+  items: [
+    apiClass('Route', {
+      methods: [
+        { name: 'model', class: 'Route' },
+        { name: 'send', class: 'Route', deprecated: true, since: '1.0.0' },
+        { name: 'on', class: 'Evented' },
+      ],
+      properties: [{ name: 'queryParams', class: 'Route' }, { name: 'controllerName', class: 'Route', since: '5.1.0' }],
+    }),
+    apiClass('RouterService', { since: '2.15.0', methods: [{ name: 'refresh', class: 'RouterService' }] }),
+  ],
+};
+
+describe('API diff', () => {
+  describe('findDeprecationGuide', () => {
+    it('should prefer the guide linked from the message', () => {
+      expect(findDeprecationGuide('See https://deprecations.emberjs.com/id/array-proxy.', '5.0.0')).toBe(
+        `${DEPRECATIONS_BASE}/id/array-proxy`
+      );
+      expect(findDeprecationGuide('Use tracked properties', '4.12.3')).toBe(`${DEPRECATIONS_BASE}/v4.x/`);
+      expect(findDeprecationGuide(null, null)).toBe(DEPRECATIONS_BASE);
+    });
+  });
+
+  describe('diffApiSnapshots', () => {
+    it('should list added, removed and deprecated public APIs', () => {
+      const diff = diffApiSnapshots(older, newer);
+      const names = category => Object.fromEntries(
+        Object.entries(diff[category]).map(([change, entries]) => [change, entries.map(entry => entry.name)])
+      );
+
+      expect(diff.from).toBe('4.12.3');
+      expect(diff.to).toBe('5.8.0');
+      expect(names('classes')).toEqual({ removed: ['ArrayProxy'], deprecated: [], added: ['RouterService'] });
+      expect(names('methods')).toEqual({ removed: ['Route#transitionTo'], deprecated: ['Route#send'], added: [] });
+      expect(names('properties')).toEqual({ removed: [], deprecated: [], added: ['Route#controllerName'] });
+    });
+
+    it('should annotate entries with since, links and deprecation guides', () => {
+      const diff = diffApiSnapshots(older, newer);
+
+      expect(diff.classes.added[0]).toEqual({
+        name: 'RouterService',
+        module: '@ember/routerservice',
+        since: '2.15.0',
+        apiUrl: `${API_DOCS_BASE}/5.8/classes/RouterService`,
+      });
+      expect(diff.methods.removed[0]).toMatchObject({
+        deprecationMessage: 'Use the router service',
+        deprecationGuide: `${DEPRECATIONS_BASE}/v4.x/`,
+      });
+      expect(diff.methods.deprecated[0]).toMatchObject({ since: '1.0.0', deprecationGuide: `${DEPRECATIONS_BASE}/v5.x/` });
+      expect(diff.classes.removed[0].deprecationGuide).toBe(`${DEPRECATIONS_BASE}/id/array-proxy`);
+    });
+  });
+
+  describe('diffApiVersions', () => {
+    const apiSnapshots = {
+      resolveVersion: vi.fn(async version => ({ '4.12': '4.12.3', '5.8': '5.8.0' })[version]),
+      getSnapshot: vi.fn(async version => (version === '4.12.3' ? older : newer)),
+    };
+
+    it('should resolve both versions', async () => {
+      const diff = await diffApiVersions({ from: '4.12', to: '5.8' }, { apiSnapshots });
+
+      expect(diff.to).toBe('5.8.0');
+      expect(diff.classes.added).toHaveLength(1);
+    });
+
+    it('should compare with the loaded documentation by default', async () => {
+      const docService = new DocumentationService();
+      docService.parseDocumentation(`# api-docs\n\n${JSON.stringify({ data: newer.items[1] })}\n`);
+
+      const diff = await diffApiVersions({ from: '4.12' }, { apiSnapshots, docService });
+
+      expect(diff.to).toBeNull();
+      expect(diff.classes.added.map(entry => entry.name)).toEqual(['RouterService']);
+      expect(diff.classes.removed.map(entry => entry.name)).toEqual(['ArrayProxy', 'Route']);
+    });
+
+    it('should reject versions in the wrong order', async () => {
+      await expect(diffApiVersions({ from: '5.8', to: '4.12' }, { apiSnapshots })).rejects.toThrow(
+        'Ember 4.12.3 is older than 5.8.0; give the older version as "from".'
+      );
+    });
+  });
+
+  describe('output', () => {
+    it('should format removals first and cap each list', () => {
+      const output = formatApiDiff(diffApiSnapshots(older, newer), { limit: 1 });
+
+      expect(output).toContain('# API changes: Ember 4.12.3 → Ember 5.8.0');
+      expect(output).toContain('**Summary:** Removed: 1 class, 1 method | Deprecated: 1 method | Added: 1 class, 1 property');
+      expect(output.indexOf('## Removed')).toBeLessThan(output.indexOf('## Deprecated'));
+      expect(output).toContain(
+        `- [\`Route#transitionTo\`](${API_DOCS_BASE}/4.12/classes/Route/methods/transitionTo?anchor=transitionTo)` +
+        ` — deprecated before removal: Use the router service ([deprecation guide](${DEPRECATIONS_BASE}/v4.x/))`
+      );
+      expect(output).toContain('— since 5.1.0');
+      expect(formatApiDiff(diffApiSnapshots(older, { version: '5.8.0', items: [] }), { limit: 1 })).toContain(
+        '- [`ArrayProxy`]'
+      );
+      expect(formatApiDiff(diffApiSnapshots(older, { version: '5.8.0', items: [] }), { limit: 1 })).toContain(
+        '- …and 1 more'
+      );
+      expect(formatApiDiff(diffApiSnapshots(newer, newer))).toContain('No public classes, methods or properties were added');
+    });
+
+    it('should structure the diff', () => {
+      const structured = structureApiDiff(diffApiSnapshots(older, { ...newer, version: null }));
+
+      expect(structured.to).toBeNull();
+      expect(structured.methods.deprecated).toHaveLength(1);
+      expect(structured.classes.added[0].apiUrl).toBe(`${API_DOCS_BASE}/release/classes/RouterService`);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ApiSnapshotStore, compareVersions, selectVersion } from '../lib/api-snapshots.js';
+import { OfflineError } from '../lib/offline-data.js';
+import { VERSION_SOURCES } from '../lib/config.js';
+
+const fetchMock = vi.hoisted(() => vi.fn());
+vi.mock('node-fetch', () => ({ default: fetchMock }));
+
+const documents = {
+  'rev-index/ember.json': {
+    data: {
+      id: 'ember',
+      relationships: {
+        'project-versions': {
+          data: ['ember-4.12.0', 'ember-4.12.3', 'ember-5.8.0', 'ember-5.9.0-beta.1'].map(id => ({ id })),
+        },
+      },
+    },
+  },
+  'rev-index/ember-4.12.3.json': {
+    meta: {
+      class: { 'ember-4.12.3-Route': 'ember-4.12.3-Route-1a2b' },
+      module: { 'ember-4.12.3-@ember/routing': 'ember-4.12.3-@ember/routing-3c4d' },
+    },
+  },
+  'json-docs/ember/4.12.3/classes/ember-4.12.3-Route-1a2b.json': {
+    data: { id: 'ember-4.12.3-Route', type: 'class', attributes: { name: 'Route', module: '@ember/routing/route' } },
+  },
+  'json-docs/ember/4.12.3/modules/ember-4.12.3-%40ember%2Frouting-3c4d.json': {
+    data: { id: 'ember-4.12.3-@ember/routing', type: 'module', attributes: { name: '@ember/routing' } },
+  },
+};
+
+describe('API snapshots', () => {
+  describe('versions', () => {
+    it('should compare versions numerically', () => {
+      expect(compareVersions('4.12.0', '4.2.0')).toBeGreaterThan(0);
+      expect(compareVersions('5.8.0', '5.8.0')).toBe(0);
+      expect(compareVersions('3.28.12', '4.0.0')).toBeLessThan(0);
+    });
+
+    it('should resolve partial versions to their newest stable release', () => {
+      const versions = ['4.12.0', '4.12.3', '4.2.1', '5.8.0', '5.9.0-beta.1'];
+
+      expect(selectVersion(versions, '4.12')).toBe('4.12.3');
+      expect(selectVersion(versions, 'v4')).toBe('4.12.3');
+      expect(selectVersion(versions, '5')).toBe('5.8.0');
+      expect(selectVersion(versions, '5.9.0-beta.1')).toBe('5.9.0-beta.1');
+      expect(selectVersion(versions, '6')).toBeNull();
+    });
+  });
+
+  describe('ApiSnapshotStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-snapshots-'));
+      fetchMock.mockReset();
+      fetchMock.mockImplementation(async (url) => {
+        const document = documents[url.replace(`${VERSION_SOURCES.API_STORE}/`, '')];
+        return { ok: Boolean(document), status: document ? 200 : 404, json: async () => document };
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should resolve versions against the documented releases', async () => {
+      const store = new ApiSnapshotStore({ dir });
+
+      expect(await store.resolveVersion('4.12')).toBe('4.12.3');
+      await expect(store.resolveVersion('2.18')).rejects.toThrow(
+        'No API documentation for Ember 2.18. Documented versions range from 4.12.0 to 5.9.0-beta.1.'
+      );
+    });
+
+    it('should download every document of a release and store it', async () => {
+      const snapshot = await new ApiSnapshotStore({ dir }).getSnapshot('4.12.3');
+
+      expect(snapshot.version).toBe('4.12.3');
+      expect(snapshot.items.map(item => item.attributes.name)).toEqual(['Route', '@ember/routing']);
+
+      fetchMock.mockClear();
+      const offline = new ApiSnapshotStore({ dir, offline: true });
+      expect(await offline.resolveVersion('4.12.3')).toBe('4.12.3');
+      expect((await offline.getSnapshot('4.12.3')).items).toHaveLength(2);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should not download anything offline', async () => {
+      const store = new ApiSnapshotStore({ dir, offline: true });
+
+      await expect(store.resolveVersion('4.12')).rejects.toThrow(OfflineError);
+      await expect(store.getSnapshot('5.8.0')).rejects.toThrow('Offline mode: the API documentation of Ember 5.8.0');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should retry a failed download', async () => {
+      const store = new ApiSnapshotStore({ dir: null });
+
+      await expect(store.getSnapshot('5.8.0')).rejects.toThrow('Failed to fetch API documentation (rev-index/ember-5.8.0.json): 404');
+      await expect(store.getSnapshot('5.8.0')).rejects.toThrow('404');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+  });
+});
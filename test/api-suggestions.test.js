@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { camelCaseAcronym, rankApiNames, isConfidentMatch } from '../lib/api-suggestions.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { formatApiReference, formatNoApiReference } from '../lib/formatters.js';
+import { structureApiReference } from '../lib/structured-output.js';
+
+const apiDoc = (type, name, attributes = {}) => JSON.stringify({
+  data: { id: `ember-6.2.0-${name}`, type, attributes: { name, ...attributes } },
+});
+
+const mockDoc = `# api-docs
+
+${apiDoc('class', 'RouterService', {
+  module: '@ember/routing/router-service',
+  methods: [{ name: 'transitionTo' }, { name: 'replaceWith' }],
+})}
+
+----------
+
+${apiDoc('class', 'Route', { module: '@ember/routing/route' })}
+
+----------
+
+${apiDoc('module', '@ember/routing', { description: 'Routing.' })}
+
+----------
+
+${apiDoc('class', 'ArrayProxy', { module: '@ember/array/proxy' })}
+
+----------
+
+${apiDoc('class', 'ObjectProxy', { module: '@ember/object/proxy' })}
+
+----------
+
+${apiDoc('class', 'Service', { module: '@ember/service' })}
+`;
+
+const candidates = [
+  { name: 'RouterService', type: 'class', module: '@ember/routing/router-service' },
+  { name: 'Route', type: 'class', module: '@ember/routing/route' },
+  { name: 'ArrayProxy', type: 'class', module: '@ember/array/proxy' },
+];
+
+describe('API name suggestions', () => {
+  describe('camelCaseAcronym', () => {
+    it('should take the initials of camel-case words', () => {
+      expect(camelCaseAcronym('RouterService')).toBe('rs');
+      expect(camelCaseAcronym('Ember.Templates.helpers')).toBe('eth');
+      expect(camelCaseAcronym('Route')).toBe('');
+      expect(camelCaseAcronym('@ember/routing')).toBe('');
+    });
+  });
+
+  describe('rankApiNames', () => {
+    const rank = query => rankApiNames(query, candidates, { maxEdits: 2 }).map(({ name, reason }) => `${reason}:${name}`);
+
+    it('should match module paths, acronyms, prefixes, spelling and substrings', () => {
+      expect(rank('routing/router-service')).toEqual(['module path:RouterService']);
+      expect(rank('RS')).toEqual(['acronym:RouterService']);
+      expect(rank('Rout')).toEqual(['prefix:Route', 'prefix:RouterService']);
+      expect(rank('RoutrService')).toEqual(['spelling:RouterService']);
+      expect(rank('proxy')).toEqual(['module path:ArrayProxy']);
+      expect(rank('outerServ')).toEqual(['substring:RouterService']);
+      expect(rank('zzzzzz')).toEqual([]);
+    });
+
+    it('should rank closer spellings higher', () => {
+      const [oneEdit, twoEdits] = rankApiNames('Servicee', [{ name: 'Servic' }, { name: 'Services' }], { maxEdits: 2 });
+
+      expect(oneEdit).toMatchObject({ name: 'Services', reason: 'spelling' });
+      expect(twoEdits.score).toBeLessThan(oneEdit.score);
+    });
+  });
+
+  describe('isConfidentMatch', () => {
+    it('should need a single best candidate that is more than a substring', () => {
+      expect(isConfidentMatch(rankApiNames('RS', candidates, { maxEdits: 2 }))).toBe(true);
+      expect(isConfidentMatch(rankApiNames('Rout', candidates, { maxEdits: 2 }))).toBe(false);
+      expect(isConfidentMatch(rankApiNames('outerServ', candidates, { maxEdits: 2 }))).toBe(false);
+      expect(isConfidentMatch([])).toBe(false);
+    });
+  });
+
+  describe('DocumentationService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+    });
+
+    it('should resolve a confident match', async () => {
+      for (const name of ['RS', 'router-service', 'RouterSevrice']) {
+        const reference = await service.getApiReference(name);
+
+        expect(reference.name).toBe('RouterService');
+        expect(reference.resolvedFrom).toBe(name);
+      }
+    });
+
+    it('should resolve misspelled members of a class', async () => {
+      const member = await service.getApiReference('RouterService#transitonTo');
+
+      expect(member.name).toBe('transitionTo');
+      expect(member.className).toBe('RouterService');
+      expect(member.resolvedFrom).toBe('RouterService#transitonTo');
+    });
+
+    it('should suggest names when no match stands out', async () => {
+      expect(await service.getApiReference('Proxy')).toBeNull();
+      expect(service.suggestApiNames('Proxy')).toEqual([
+        { name: 'ArrayProxy', type: 'class', module: '@ember/array/proxy', reason: 'module path' },
+        { name: 'ObjectProxy', type: 'class', module: '@ember/object/proxy', reason: 'module path' },
+      ]);
+      expect(service.suggestApiNames('RouterService#replace', 'method')).toEqual([
+        { name: 'RouterService#replaceWith', type: 'method', module: '@ember/routing/router-service', reason: 'prefix' },
+      ]);
+    });
+
+    it('should only suggest names of the requested type', () => {
+      expect(service.suggestApiNames('routng', 'module').map(suggestion => suggestion.name)).toEqual(['@ember/routing']);
+      expect(service.suggestApiNames('zzzzzz')).toEqual([]);
+    });
+
+    it('should format and structure the outcome', async () => {
+      const resolved = await service.getApiReference('RS');
+      const suggestions = service.suggestApiNames('Proxy');
+
+      expect(formatApiReference(resolved, service.deprecationManager)).toContain(
+        '> No exact match for "RS"; showing the closest name.'
+      );
+      expect(structureApiReference('RS', resolved).resolvedFrom).toBe('RS');
+      expect(formatNoApiReference('Proxy', suggestions)).toContain(
+        '- `ArrayProxy` (class, `@ember/array/proxy`) — module path match'
+      );
+      expect(structureApiReference('Proxy', null, { suggestions }).suggestions).toHaveLength(2);
+    });
+  });
+});
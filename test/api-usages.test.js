@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ApiUsageIndex } from '../lib/api-usages.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { formatApiReference, formatApiUsages } from '../lib/formatters.js';
+import { structureApiUsages, structureApiReference } from '../lib/structured-output.js';
+
+const apiDoc = (type, name, attributes = {}) => JSON.stringify({
+  data: { id: `ember-6.2.0-${name}`, type, attributes: { name, ...attributes } },
+});
+
+const mockDoc = `# api-docs
+
+${apiDoc('class', 'RouterService', {
+  module: '@ember/routing/router-service',
+  methods: [{ name: 'transitionTo', class: 'RouterService' }, { name: 'refresh', class: 'RouterService' }],
+  properties: [{ name: 'currentRouteName', class: 'RouterService' }],
+})}
+
+----------
+
+${apiDoc('class', 'Promise', { module: 'rsvp' })}
+
+----------
+
+${apiDoc('class', '@ember/template', {
+  module: '@ember/template',
+  methods: [{ name: 'htmlSafe' }],
+})}
+
+# guides
+
+---
+title: Routing
+path: /release/routing/transitions.md
+---
+
+# Transitions
+
+## Redirecting
+
+Use \`RouterService#transitionTo\` to leave a route.
+
+\`\`\`js
+import { service } from '@ember/service';
+
+export default class LoginController extends Controller {
+  @service router;
+}
+\`\`\`
+
+## Promises
+
+\`\`\`js
+return new Promise(resolve => resolve());
+\`\`\`
+
+----------
+
+# Routing Overview
+
+\`\`\`js
+import RouterService from '@ember/routing/router-service';
+import { htmlSafe } from '@ember/template';
+\`\`\`
+
+# community-bloggers
+
+## [Router Service Tips](https://blog.example.com/router)
+
+*By Jane Doe*
+
+Read \`router.currentRouteName\` or call \`RouterService.refresh()\` after a login.`;
+
+describe('API usages', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new DocumentationService();
+    service.parseDocumentation(mockDoc);
+    service.loaded = true;
+  });
+
+  describe('ApiUsageIndex', () => {
+    it('should rank imports above inline code and code examples', () => {
+      const usages = service.getApiUsages('RouterService');
+
+      expect(usages.map(usage => [usage.title, usage.kinds])).toEqual([
+        ['Routing Overview', ['import']],
+        ['Redirecting', ['inline', 'code']],
+        ['Router Service Tips', ['inline']],
+      ]);
+      expect(usages[0].context).toBe("import RouterService from '@ember/routing/router-service'");
+      expect(usages[1].context).toBe('Use `RouterService#transitionTo` to leave a route.');
+    });
+
+    it('should resolve members, module functions and modules', () => {
+      expect(service.getApiUsages('RouterService#transitionTo').map(usage => usage.title)).toEqual(['Redirecting']);
+      expect(service.getApiUsages('RouterService#refresh').map(usage => usage.title)).toEqual(['Router Service Tips']);
+      expect(service.getApiUsages('@ember/template#htmlSafe').map(usage => usage.title)).toEqual(['Routing Overview']);
+      expect(service.getApiUsages('@ember/routing/router-service').map(usage => usage.kinds)).toEqual([['import']]);
+    });
+
+    it('should ignore JavaScript globals and undocumented names', () => {
+      expect(service.getApiUsages('Promise')).toEqual([]);
+
+      const index = new ApiUsageIndex([], new Map());
+      index.add({ content: 'Call `transitionTo` on `Controller`.', title: 'Nothing' });
+      expect(index.size).toBe(0);
+      expect(index.find('Controller')).toEqual([]);
+    });
+
+    it('should link usages to their guide or article', () => {
+      const [guide, article] = service.getApiUsages('RouterService').slice(1);
+
+      expect(guide).toMatchObject({
+        category: 'Guides & Tutorials',
+        breadcrumb: ['Transitions', 'Redirecting'],
+        url: 'https://guides.emberjs.com/release/routing/transitions/#redirecting',
+        author: null,
+      });
+      expect(article).toMatchObject({ url: 'https://blog.example.com/router', author: 'Jane Doe' });
+    });
+  });
+
+  describe('findUsagesInDocs', () => {
+    it('should filter by category and limit the list', async () => {
+      const result = await service.findUsagesInDocs('RouterService', { category: 'guides', limit: 1 });
+
+      expect(result.name).toBe('RouterService');
+      expect(result.total).toBe(2);
+      expect(result.usages.map(usage => usage.title)).toEqual(['Routing Overview']);
+    });
+
+    it('should look names up like API references', async () => {
+      expect((await service.findUsagesInDocs('htmlSafe')).name).toBe('@ember/template#htmlSafe');
+      expect((await service.findUsagesInDocs('@ember/routing/router-service')).total).toBe(1);
+      expect(await service.findUsagesInDocs('Nope')).toBeNull();
+    });
+  });
+
+  describe('output', () => {
+    it('should list related guides in the API reference', async () => {
+      const apiDoc = await service.getApiReference('RouterService');
+      const output = formatApiReference(apiDoc);
+
+      expect(output).toContain('## Related Guides');
+      expect(output).toContain(
+        '- [Transitions › Redirecting](https://guides.emberjs.com/release/routing/transitions/#redirecting) (Guides & Tutorials) — inline code, code example'
+      );
+      expect(structureApiReference('RouterService', apiDoc).relatedGuides).toHaveLength(3);
+    });
+
+    it('should format and structure usages', async () => {
+      const result = await service.findUsagesInDocs('RouterService');
+
+      expect(formatApiUsages(result)).toContain('Mentioned in 3 guide or community sections, most relevant first:');
+      expect(formatApiUsages(result)).toContain('  > Read `router.currentRouteName` or call `RouterService.refresh()` after a login.');
+      expect(formatApiUsages({ name: 'Promise', total: 0, usages: [] })).toContain('No guide or community article mentions `Promise`');
+      expect(structureApiUsages('RouterService', result)).toMatchObject({ name: 'RouterService', found: true, total: 3 });
+      expect(structureApiUsages('Nope', null)).toEqual({ name: 'Nope', found: false, total: 0, usages: [] });
+    });
+  });
+});
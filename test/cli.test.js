@@ -0,0 +1,333 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { PackageManagerDetector } from '../lib/package-manager-detector.js';
+import { VersionedDocs } from '../lib/versioned-docs.js';
+import { runCli, isCliCommand, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } from '../lib/cli.js';
+import { API_DOCS_BASE } from '../lib/config.js';
+
+const mockDoc = `# api-docs
+
+{
+  "data": {
+    "id": "ember-6.2.0-RouterService",
+    "type": "class",
+    "attributes": {
+      "name": "RouterService",
+      "module": "@ember/routing/router-service",
+      "description": "The Router service is the public API that provides access to the router."
+    }
+  }
+}
+
+# community-bloggers
+
+## Tracked Properties in Practice
+
+Tracked properties are the best practice for reactive state. Avoid computed properties in modern code. Read the current route from \`RouterService\`.`;
+
+function createStream() {
+  return {
+    output: '',
+    write(chunk) {
+      this.output += chunk;
+    },
+  };
+}
+
+describe('CLI', () => {
+  let services;
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    const docService = new DocumentationService();
+    docService.parseDocumentation(mockDoc);
+    docService.loaded = true;
+
+    services = {
+      docService,
+      npmService: {
+        getPackageInfo: vi.fn(async () => ({
+          name: 'ember-source',
+          'dist-tags': { latest: '6.2.0' },
+          versions: { '6.2.0': { license: 'MIT' } },
+        })),
+        getVersionComparison: vi.fn(async (packageName, currentVersion) => ({
+          packageName,
+          currentVersion,
+          latestVersion: '6.2.0',
+          isLatest: false,
+          distTags: { latest: '6.2.0' },
+          needsUpdate: true,
+          availableVersionsCount: 10,
+          releaseDate: null,
+          currentVersionReleaseDate: null,
+        })),
+      },
+      packageManagerDetector: new PackageManagerDetector(),
+      apiSnapshots: {
+        resolveVersion: vi.fn(async version => `${version}.0`),
+        getSnapshot: vi.fn(async version => ({ version, items: [] })),
+      },
+    };
+    services.versionedDocs = new VersionedDocs(services);
+    stdout = createStream();
+    stderr = createStream();
+  });
+
+  const run = (...argv) => runCli(argv, { services, stdout, stderr });
+
+  describe('isCliCommand', () => {
+    it('should recognize subcommands only', () => {
+      expect(isCliCommand('search')).toBe(true);
+      expect(isCliCommand('detect')).toBe(true);
+      expect(isCliCommand('help')).toBe(true);
+      expect(isCliCommand('--http')).toBe(false);
+      expect(isCliCommand(undefined)).toBe(false);
+      expect(isCliCommand('toString')).toBe(false);
+    });
+  });
+
+  describe('search', () => {
+    it('should print markdown results', async () => {
+      const code = await run('search', 'tracked', 'properties');
+
+      expect(code).toBe(EXIT_OK);
+      expect(stdout.output).toContain('# Ember Documentation Search Results');
+      expect(stdout.output).toContain('Tracked Properties in Practice');
+    });
+
+    it('should print structured results with --json', async () => {
+      const code = await run('search', 'tracked properties', '--category', 'community', '--json');
+      const data = JSON.parse(stdout.output);
+
+      expect(code).toBe(EXIT_OK);
+      expect(data.query).toBe('tracked properties');
+      expect(data.category).toBe('community');
+      expect(data.results[0].category).toBe('Community Articles');
+      expect(data.results[0].excerpt).toContain('Tracked properties');
+    });
+
+    it('should exit with failure when nothing matches', async () => {
+      const code = await run('search', 'zzzzzz');
+
+      expect(code).toBe(EXIT_FAILURE);
+      expect(stdout.output).toContain('No results found');
+    });
+
+    it('should suggest corrections for misspelled terms', async () => {
+      const code = await run('search', 'trakced', '--json');
+      const data = JSON.parse(stdout.output);
+
+      expect(code).toBe(EXIT_OK);
+      expect(data.suggestions).toEqual(['tracked']);
+      expect(data.results[0].excerpt).toContain('Tracked properties');
+    });
+
+    it('should explain scores with --explain', async () => {
+      const code = await run('search', 'tracked properties', '--explain');
+
+      expect(code).toBe(EXIT_OK);
+      expect(stdout.output).toContain('**Score breakdown:** exact phrase 50');
+      expect(stdout.output).toContain('# Left Out by Score Gates');
+    });
+
+    it('should report a malformed query as a usage error', async () => {
+      const code = await run('search', '"tracked properties');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('Invalid search query: Unterminated quote');
+    });
+
+    it('should reject an invalid limit', async () => {
+      const code = await run('search', 'tracked', '--limit', 'lots');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('Invalid --limit');
+    });
+
+    it('should reject an unknown category', async () => {
+      const code = await run('search', 'tracked', '--category', 'blogs');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('Invalid --category: "blogs". Expected one of: all, api, guides, community');
+    });
+  });
+
+  describe('api', () => {
+    it('should print the API reference', async () => {
+      const code = await run('api', 'RouterService');
+
+      expect(code).toBe(EXIT_OK);
+      expect(stdout.output).toContain('# RouterService');
+    });
+
+    it('should exit with failure for unknown APIs', async () => {
+      const code = await run('api', 'Nope', '--json');
+
+      expect(code).toBe(EXIT_FAILURE);
+      expect(JSON.parse(stdout.output)).toEqual({ name: 'Nope', found: false, api: null });
+    });
+
+    it('should pass member paging and filters', async () => {
+      const code = await run('api', 'RouterService', '--offset', '10', '--kind', 'method', '--json');
+
+      expect(code).toBe(EXIT_OK);
+      expect(JSON.parse(stdout.output).api.memberCounts.methods).toMatchObject({ offset: 10, nextOffset: null });
+    });
+
+    it('should reject unknown member filters', async () => {
+      const code = await run('api', 'RouterService', '--access', 'secret');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('Invalid --access: "secret". Expected one of: public, protected, private');
+    });
+
+    it('should reject unknown API types', async () => {
+      const code = await run('api', 'RouterService', '--type', 'klass');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('Invalid --type: "klass". Expected one of: class, module, method, property');
+    });
+
+    it('should answer for the version given with --ember-version', async () => {
+      services.apiSnapshots.getSnapshot.mockResolvedValueOnce({
+        version: '4.12.0',
+        items: [{ id: 'ember-4.12.0-Route', type: 'class', attributes: { name: 'Route', module: '@ember/routing/route' } }],
+      });
+
+      const code = await run('api', 'Route', '--ember-version', '4.12', '--json');
+      const data = JSON.parse(stdout.output);
+
+      expect(code).toBe(EXIT_OK);
+      expect(data.api.apiUrl).toBe(`${API_DOCS_BASE}/4.12/classes/Route`);
+      expect(data.emberVersion).toEqual({ version: '4.12.0', requested: '4.12', source: 'emberVersion argument' });
+    });
+  });
+
+  describe('diff', () => {
+    it('should compare a version with the loaded documentation', async () => {
+      const code = await run('diff', '4.12', '--json');
+      const data = JSON.parse(stdout.output);
+
+      expect(code).toBe(EXIT_OK);
+      expect(data).toMatchObject({ from: '4.12.0', to: null });
+      expect(data.classes.added.map(entry => entry.name)).toEqual(['RouterService']);
+    });
+  });
+
+  describe('import', () => {
+    it('should print the import statement', async () => {
+      const code = await run('import', 'RouterService');
+
+      expect(code).toBe(EXIT_OK);
+      expect(stdout.output).toContain("import RouterService from '@ember/routing/router-service';");
+    });
+  });
+
+  describe('usages', () => {
+    it('should list the guides using an API', async () => {
+      const code = await run('usages', 'RouterService', '--json');
+      const data = JSON.parse(stdout.output);
+
+      expect(code).toBe(EXIT_OK);
+      expect(data.total).toBe(1);
+      expect(data.usages[0]).toMatchObject({ title: 'Tracked Properties in Practice', kinds: ['inline'] });
+    });
+
+    it('should reject an unknown category', async () => {
+      const code = await run('usages', 'RouterService', '--category', 'blogs');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('Invalid --category');
+    });
+  });
+
+  describe('npm', () => {
+    it('should compare versions with --compare', async () => {
+      const code = await run('npm', 'ember-source', '--compare', '4.12.0', '--json');
+      const data = JSON.parse(stdout.output);
+
+      expect(code).toBe(EXIT_OK);
+      expect(services.npmService.getVersionComparison).toHaveBeenCalledWith('ember-source', '4.12.0');
+      expect(data.needsUpdate).toBe(true);
+    });
+
+    it('should report fetch errors on stderr', async () => {
+      services.npmService.getPackageInfo.mockRejectedValue(new Error('network down'));
+
+      const code = await run('npm', 'ember-source');
+
+      expect(code).toBe(EXIT_FAILURE);
+      expect(stderr.output).toContain('network down');
+    });
+  });
+
+  describe('detect', () => {
+    let testDir;
+
+    beforeEach(async () => {
+      testDir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-cli-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should detect the package manager for a path', async () => {
+      await fs.writeFile(join(testDir, 'yarn.lock'), '', 'utf-8');
+
+      const code = await run('detect', testDir, '--json');
+      const data = JSON.parse(stdout.output);
+
+      expect(code).toBe(EXIT_OK);
+      expect(data.manager).toBe('yarn');
+      expect(data.commands.add).toBe('yarn add');
+    });
+  });
+
+  describe('usage', () => {
+    it('should print usage for help', async () => {
+      const code = await run('help');
+
+      expect(code).toBe(EXIT_OK);
+      expect(stdout.output).toContain('Commands:');
+    });
+
+    it('should report missing arguments before loading docs', async () => {
+      services.docService.loaded = false;
+      services.docService.ensureLoaded = vi.fn();
+
+      const code = await run('api');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('Missing required argument <name>');
+      expect(services.docService.ensureLoaded).not.toHaveBeenCalled();
+    });
+
+    it('should report config files that fail while being read', async () => {
+      const dir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-cli-'));
+      const configPath = join(dir, 'ember-mcp.config.mjs');
+      await fs.writeFile(configPath, "export default { get searchConfig() { throw new Error('boom'); } };\n");
+
+      try {
+        const code = await run('search', 'x', '--config', configPath);
+
+        expect(code).toBe(EXIT_FAILURE);
+        expect(stderr.output).toBe('Error: could not load config: boom\n');
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject unknown options', async () => {
+      const code = await run('search', 'x', '--bogus');
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr.output).toContain('--bogus');
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import * as constants from '../lib/config.js';
+import {
+  CONFIG_SCHEMA,
+  ConfigError,
+  applyLoadedConfig,
+  getDefaultConfig,
+  getEnvName,
+  loadConfig,
+  toConstantName,
+} from '../lib/config-loader.js';
+import { runCli, EXIT_USAGE } from '../lib/cli.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+
+describe('config loader', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-config-'));
+  });
+
+  afterEach(async () => {
+    constants.applyConfig();
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  const writeJson = (name, data) => fs.writeFile(join(cwd, name), JSON.stringify(data), 'utf-8');
+
+  it('should have a schema entry for every SEARCH_CONFIG key', () => {
+    const schemaKeys = Object.keys(CONFIG_SCHEMA.searchConfig).map(toConstantName).sort();
+
+    expect(schemaKeys).toEqual(Object.keys(constants.SEARCH_CONFIG).sort());
+  });
+
+  it('should name environment variables after the constants', () => {
+    expect(getEnvName(['docsUrl'])).toBe('EMBER_MCP_DOCS_URL');
+    expect(getEnvName(['searchConfig', 'minScoreSingleTerm'])).toBe('EMBER_MCP_SEARCH_CONFIG_MIN_SCORE_SINGLE_TERM');
+  });
+
+  it('should default to the config.js constants', async () => {
+    const { config, file } = await loadConfig({ cwd, env: {} });
+
+    expect(file).toBeNull();
+    expect(config).toEqual(getDefaultConfig());
+    expect(config.docsUrl).toBe(constants.DOCS_URL);
+    expect(config.searchConfig.exactPhraseBonus).toBe(constants.SEARCH_CONFIG.EXACT_PHRASE_BONUS);
+    expect(config.offline).toBe(false);
+  });
+
+  it('should merge the config file and let the environment override it', async () => {
+    await writeJson('ember-mcp.config.json', {
+      docsUrl: 'https://mirror.internal/llms-full.txt',
+      searchConfig: { exactPhraseBonus: 80, minScore: 5 },
+    });
+
+    const { config, file } = await loadConfig({
+      cwd,
+      env: { EMBER_MCP_SEARCH_CONFIG_MIN_SCORE: '12', EMBER_MCP_OFFLINE: 'yes' },
+    });
+
+    expect(file).toBe(join(cwd, 'ember-mcp.config.json'));
+    expect(config.docsUrl).toBe('https://mirror.internal/llms-full.txt');
+    expect(config.searchConfig.exactPhraseBonus).toBe(80);
+    expect(config.searchConfig.minScore).toBe(12);
+    expect(config.searchConfig.titleMatchBonus).toBe(constants.SEARCH_CONFIG.TITLE_MATCH_BONUS);
+    expect(config.offline).toBe(true);
+  });
+
+  it('should load a JavaScript config file', async () => {
+    await fs.writeFile(
+      join(cwd, 'ember-mcp.config.js'),
+      "export default { guidesBase: 'https://guides.internal/release' };\n",
+      'utf-8'
+    );
+
+    const { config } = await loadConfig({ cwd, env: {} });
+
+    expect(config.guidesBase).toBe('https://guides.internal/release');
+  });
+
+  it('should load an explicit path, also from EMBER_MCP_CONFIG', async () => {
+    await writeJson('custom.json', { docsPath: '/srv/llms-full.txt' });
+
+    expect((await loadConfig({ cwd, env: {}, configPath: 'custom.json' })).config.docsPath).toBe('/srv/llms-full.txt');
+    expect((await loadConfig({ cwd, env: { EMBER_MCP_CONFIG: 'custom.json' } })).config.docsPath).toBe('/srv/llms-full.txt');
+  });
+
+  it('should report a missing explicit config file', async () => {
+    await expect(loadConfig({ cwd, env: {}, configPath: 'nope.json' })).rejects.toThrow('config file not found');
+  });
+
+  it('should report unparseable config files', async () => {
+    await fs.writeFile(join(cwd, 'ember-mcp.config.json'), '{ nope', 'utf-8');
+
+    await expect(loadConfig({ cwd, env: {} })).rejects.toThrow(/ember-mcp\.config\.json: .*JSON/);
+  });
+
+  it('should list every invalid key and value', async () => {
+    await writeJson('ember-mcp.config.json', {
+      docsURL: 'https://mirror.internal/llms-full.txt',
+      apiDocsBase: 'ftp://mirror.internal',
+      searchConfig: { defaultLimit: 2.5, proximityBonusDivisor: 0, bogus: 1 },
+    });
+
+    const error = await loadConfig({
+      cwd,
+      env: { EMBER_MCP_SEARCH_CONFIG_MIN_SCORE: 'abc', EMBER_MCP_OFFLINE: 'maybe', EMBER_MCP_DOCSURL: 'x' },
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'ember-mcp.config.json: unknown key "docsURL"',
+      'ember-mcp.config.json: "apiDocsBase" must be an http(s) URL, got "ftp://mirror.internal"',
+      'ember-mcp.config.json: "searchConfig.defaultLimit" must be an integer, got 2.5',
+      'ember-mcp.config.json: "searchConfig.proximityBonusDivisor" must be a number > 0, got 0',
+      'ember-mcp.config.json: unknown key "searchConfig.bogus"',
+      'EMBER_MCP_SEARCH_CONFIG_MIN_SCORE must be a number, got "abc"',
+      'EMBER_MCP_OFFLINE must be true or false, got "maybe"',
+      'unknown environment variable EMBER_MCP_DOCSURL',
+    ]);
+    expect(error.message).toContain('Invalid configuration:\n  - ember-mcp.config.json: unknown key "docsURL"');
+  });
+
+  it('should add synonyms from every source to the defaults', async () => {
+    await writeJson('ember-mcp.config.json', {
+      searchSynonyms: { tracked: ['reactive state'], 'route model': ['model hook'] },
+    });
+
+    const { config } = await loadConfig({ cwd, env: { EMBER_MCP_SEARCH_SYNONYMS: '{"tracked": ["signals"]}' } });
+
+    expect(config.searchSynonyms.tracked).toEqual([...constants.SEARCH_SYNONYMS.tracked, 'reactive state', 'signals']);
+    expect(config.searchSynonyms['route model']).toEqual(['model hook']);
+    expect(config.searchSynonyms.ddau).toEqual(constants.SEARCH_SYNONYMS.ddau);
+  });
+
+  it('should reject malformed synonyms', async () => {
+    await writeJson('ember-mcp.config.json', { searchSynonyms: { tracked: 'autotracking' } });
+
+    const error = await loadConfig({ cwd, env: { EMBER_MCP_SEARCH_SYNONYMS: 'tracked=signals' } }).catch(e => e);
+
+    expect(error.problems).toEqual([
+      'ember-mcp.config.json: "searchSynonyms" must be an object mapping phrases to arrays of phrases, got {"tracked":"autotracking"}',
+      'EMBER_MCP_SEARCH_SYNONYMS must be an object mapping phrases to arrays of phrases, got "tracked=signals"',
+    ]);
+  });
+
+  it('should reject a config file that is not an object', async () => {
+    await writeJson('ember-mcp.config.json', ['docsUrl']);
+
+    await expect(loadConfig({ cwd, env: {} })).rejects.toThrow('config must be an object');
+  });
+
+  it('should apply the config to the live constants', async () => {
+    await writeJson('ember-mcp.config.json', {
+      apiDocsBase: 'https://api.internal/ember',
+      versionSources: { githubReleases: 'https://github.internal/releases' },
+      searchConfig: { minScore: 3 },
+    });
+
+    const { config } = await loadConfig({ cwd, env: {} });
+    applyLoadedConfig(config);
+
+    expect(constants.API_DOCS_BASE).toBe('https://api.internal/ember');
+    expect(constants.VERSION_SOURCES.GITHUB_RELEASES).toBe('https://github.internal/releases');
+    expect(constants.SEARCH_CONFIG.MIN_SCORE).toBe(3);
+
+    constants.applyConfig();
+    expect(constants.API_DOCS_BASE).toBe('https://api.emberjs.com/ember');
+    expect(constants.SEARCH_CONFIG.MIN_SCORE).toBe(10);
+  });
+
+  it('should change search limits and excerpts through searchConfig', async () => {
+    await writeJson('ember-mcp.config.json', {
+      searchConfig: { defaultLimit: 1, excerptBeforeContext: 10, excerptAfterContext: 40 },
+    });
+    const service = new DocumentationService({ cache: null });
+    service.parseDocumentation(
+      `# guides\n\n# Tracked Properties\n\n${'Intro text. '.repeat(20)}Tracked properties re-render templates when they change, ` +
+      `which is how Octane apps manage state.\n\n----------\n\n# Tracked Arrays\n\nTracked properties hold arrays too.`
+    );
+
+    const { config } = await loadConfig({ cwd, env: {} });
+    applyLoadedConfig(config);
+    const results = await service.search('tracked properties');
+
+    expect(results).toHaveLength(1);
+    expect(results[0].excerpt.length).toBeLessThan(70);
+  });
+
+  it('should exit with a usage error from the CLI', async () => {
+    const stdout = { output: '', write(chunk) { this.output += chunk; } };
+    const stderr = { output: '', write(chunk) { this.output += chunk; } };
+
+    const code = await runCli(['detect', cwd, '--config', join(cwd, 'missing.json')], { stdout, stderr });
+
+    expect(code).toBe(EXIT_USAGE);
+    expect(stderr.output).toContain('config file not found');
+  });
+});
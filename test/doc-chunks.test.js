@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { headingAnchor, splitIntoChunks } from '../lib/doc-chunks.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { formatSearchResults } from '../lib/formatters.js';
+import { GUIDES_BASE } from '../lib/config.js';
+
+const page = `# Routing
+
+Routes map URLs to templates.
+
+## Defining Routes
+
+Call this.route() in app/router.js.
+
+### Dynamic Segments
+
+Use :post_id in the path.
+
+\`\`\`js
+# not a heading
+this.route('post', { path: '/post/:post_id' });
+\`\`\`
+
+## Query Params
+
+### Usage
+
+Declare queryParams on the controller.
+
+## Redirecting
+
+### Usage
+
+Call this.router.transitionTo() in beforeModel.`;
+
+describe('Document chunks', () => {
+  describe('headingAnchor', () => {
+    it('should slug headings like markdown renderers', () => {
+      expect(headingAnchor('Query Params')).toBe('query-params');
+      expect(headingAnchor('The `{{on}}` Modifier!')).toBe('the-on-modifier');
+      expect(headingAnchor('Ember-Data & WarpDrive')).toBe('ember-data--warpdrive');
+    });
+  });
+
+  describe('splitIntoChunks', () => {
+    it('should split at every heading with its breadcrumb and anchor', () => {
+      const chunks = splitIntoChunks(page);
+
+      expect(chunks.map(({ title, breadcrumb, anchor }) => ({ title, breadcrumb, anchor }))).toEqual([
+        { title: 'Routing', breadcrumb: ['Routing'], anchor: null },
+        { title: 'Defining Routes', breadcrumb: ['Routing', 'Defining Routes'], anchor: 'defining-routes' },
+        {
+          title: 'Dynamic Segments',
+          breadcrumb: ['Routing', 'Defining Routes', 'Dynamic Segments'],
+          anchor: 'dynamic-segments',
+        },
+        { title: 'Usage', breadcrumb: ['Routing', 'Query Params', 'Usage'], anchor: 'usage' },
+        { title: 'Usage', breadcrumb: ['Routing', 'Redirecting', 'Usage'], anchor: 'usage-1' },
+      ]);
+    });
+
+    it('should keep code blocks and text with their heading', () => {
+      const [, , segments] = splitIntoChunks(page);
+
+      expect(segments.content).toMatch(/^### Dynamic Segments\n/);
+      expect(segments.content).toContain('# not a heading');
+      expect(segments.content).not.toContain('Query Params');
+    });
+
+    it('should return content without headings as one chunk', () => {
+      expect(splitIntoChunks('Just some text.')).toEqual([
+        { title: null, breadcrumb: [], anchor: null, content: 'Just some text.' },
+      ]);
+    });
+  });
+
+  describe('search', () => {
+    it('should return the matching subsection with a deep link', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(
+        `# guides\n\n---\npath: /release/routing/index.md\n---\n\n${page}\n\n----------\n\n# Templates\n\nTemplates render HTML.`
+      );
+
+      const [result] = await service.search('queryParams controller', 'all', 5);
+
+      expect(result.title).toBe('Usage');
+      expect(result.breadcrumb).toEqual(['Routing', 'Query Params', 'Usage']);
+      expect(result.url).toBe(`${GUIDES_BASE}/routing/#usage`);
+      expect(result.excerpt).not.toContain('beforeModel');
+      expect(formatSearchResults([result], service.deprecationManager)).toContain(
+        '**Section:** Routing › Query Params › Usage'
+      );
+    });
+
+    it('should match breadcrumb headings and link page matches to the page', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(`# guides\n\n${page}`);
+
+      const results = await service.search('redirecting usage', 'all', 5);
+      const [pageResult] = await service.search('title:routing templates', 'all', 5);
+
+      expect(results[0].breadcrumb).toEqual(['Routing', 'Redirecting', 'Usage']);
+      // Without the page path there is nothing to link to
+      expect(results[0].url).toBeNull();
+      expect(pageResult.title).toBe('Routing');
+      expect(pageResult.url).toBeNull();
+    });
+  });
+});
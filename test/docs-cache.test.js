@@ -0,0 +1,272 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DocsCache, getCacheDir, CACHE_FORMAT_VERSION } from '../lib/docs-cache.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { DOCS_URL } from '../lib/config.js';
+import { formatAge, formatSnapshotInfo } from '../lib/formatters.js';
+
+const fetchMock = vi.hoisted(() => vi.fn());
+vi.mock('node-fetch', () => ({ default: fetchMock }));
+
+const mockDoc = `# api-docs
+
+{
+  "data": {
+    "id": "ember-6.2.0-RouterService",
+    "type": "class",
+    "attributes": {
+      "name": "RouterService",
+      "module": "@ember/routing/router-service",
+      "description": "The Router service"
+    }
+  }
+}
+
+# community-bloggers
+
+## Tracked Properties
+
+Tracked properties are the modern way to manage state.`;
+
+function mockResponse(status, body = '', headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    text: async () => body,
+  };
+}
+
+describe('getCacheDir', () => {
+  it('should use XDG_CACHE_HOME when set', () => {
+    expect(getCacheDir({ XDG_CACHE_HOME: '/tmp/xdg' })).toBe(join('/tmp/xdg', 'ember-mcp'));
+  });
+
+  it('should default to ~/.cache', () => {
+    expect(getCacheDir({})).toMatch(/\.cache[\\/]ember-mcp$/);
+  });
+});
+
+describe('DocsCache', () => {
+  let dir;
+  let cache;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-cache-'));
+    cache = new DocsCache({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should return null when empty', async () => {
+    expect(await cache.read(DOCS_URL)).toBeNull();
+  });
+
+  it('should round-trip text, sections and validators', async () => {
+    await cache.write({
+      url: DOCS_URL,
+      text: 'docs',
+      sections: { guides: [{ content: 'x', startLine: 0 }] },
+      etag: '"abc"',
+      lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+      fetchedAt: '2024-01-01T00:00:00.000Z',
+    });
+
+    const cached = await cache.read(DOCS_URL);
+
+    expect(cached.text).toBe('docs');
+    expect(cached.sections.guides[0].content).toBe('x');
+    expect(cached.meta).toMatchObject({
+      formatVersion: CACHE_FORMAT_VERSION,
+      etag: '"abc"',
+      validatedAt: '2024-01-01T00:00:00.000Z',
+    });
+  });
+
+  it('should ignore a cache filled from another URL', async () => {
+    await cache.write({ url: 'https://mirror.example/llms.txt', text: 'x', sections: {}, fetchedAt: '2024-01-01T00:00:00.000Z' });
+
+    expect(await cache.read(DOCS_URL)).toBeNull();
+  });
+
+  it('should treat corrupt files as an empty cache', async () => {
+    await cache.write({ url: DOCS_URL, text: 'x', sections: {}, fetchedAt: '2024-01-01T00:00:00.000Z' });
+    await fs.writeFile(join(dir, 'index.json'), '{not json', 'utf-8');
+
+    expect(await cache.read(DOCS_URL)).toBeNull();
+  });
+
+  it('should update the validation time', async () => {
+    await cache.write({ url: DOCS_URL, text: 'x', sections: {}, fetchedAt: '2024-01-01T00:00:00.000Z' });
+    const { meta } = await cache.read(DOCS_URL);
+
+    await cache.markValidated(meta, '2024-02-01T00:00:00.000Z');
+
+    const cached = await cache.read(DOCS_URL);
+    expect(cached.meta.fetchedAt).toBe('2024-01-01T00:00:00.000Z');
+    expect(cached.meta.validatedAt).toBe('2024-02-01T00:00:00.000Z');
+  });
+});
+
+describe('DocumentationService caching', () => {
+  let dir;
+  let cache;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-cache-'));
+    cache = new DocsCache({ dir });
+    fetchMock.mockReset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should download and fill the cache on first start', async () => {
+    fetchMock.mockResolvedValue(mockResponse(200, mockDoc, { etag: '"v1"' }));
+    const service = new DocumentationService({ cache });
+
+    await service.ensureLoaded();
+
+    expect(service.apiIndex.has('routerservice')).toBe(true);
+    expect(service.getSnapshotInfo().source).toBe('network');
+    const cached = await cache.read(DOCS_URL);
+    expect(cached.meta.etag).toBe('"v1"');
+    expect(cached.sections['community-bloggers']).toHaveLength(1);
+  });
+
+  it('should revalidate with conditional headers and use the cache on 304', async () => {
+    await cache.write({
+      url: DOCS_URL,
+      text: mockDoc,
+      sections: (() => {
+        const parser = new DocumentationService({ cache: null });
+        parser.parseDocumentation(mockDoc);
+        return parser.sections;
+      })(),
+      etag: '"v1"',
+      lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+      fetchedAt: '2024-01-01T00:00:00.000Z',
+    });
+    fetchMock.mockResolvedValue(mockResponse(304));
+    const service = new DocumentationService({ cache });
+
+    await service.ensureLoaded();
+
+    const [, options] = fetchMock.mock.calls[0];
+    expect(options.headers['If-None-Match']).toBe('"v1"');
+    expect(options.headers['If-Modified-Since']).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+    expect(service.apiIndex.has('routerservice')).toBe(true);
+
+    const snapshot = service.getSnapshotInfo();
+    expect(snapshot.source).toBe('revalidated');
+    expect(snapshot.fetchedAt).toBe('2024-01-01T00:00:00.000Z');
+    expect(snapshot.stale).toBe(false);
+  });
+
+  it('should fall back to the cache when the network fails', async () => {
+    await cache.write({ url: DOCS_URL, text: mockDoc, sections: {}, fetchedAt: '2024-01-01T00:00:00.000Z' });
+    fetchMock.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    const service = new DocumentationService({ cache });
+
+    await service.ensureLoaded();
+
+    expect(service.loaded).toBe(true);
+    const snapshot = service.getSnapshotInfo(new Date('2024-01-03T00:00:00.000Z'));
+    expect(snapshot.source).toBe('cache-fallback');
+    expect(snapshot.stale).toBe(true);
+    expect(snapshot.ageMs).toBe(2 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should fall back to the cache on HTTP errors', async () => {
+    await cache.write({ url: DOCS_URL, text: mockDoc, sections: {}, fetchedAt: '2024-01-01T00:00:00.000Z' });
+    fetchMock.mockResolvedValue(mockResponse(503));
+    const service = new DocumentationService({ cache });
+
+    await service.ensureLoaded();
+
+    expect(service.getSnapshotInfo().source).toBe('cache-fallback');
+  });
+
+  it('should throw when the network fails and nothing is cached', async () => {
+    fetchMock.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    const service = new DocumentationService({ cache });
+
+    await expect(service.ensureLoaded()).rejects.toThrow('ENOTFOUND');
+  });
+
+  it('should load once for concurrent callers', async () => {
+    fetchMock.mockResolvedValue(mockResponse(200, mockDoc));
+    const service = new DocumentationService({ cache: null });
+
+    await Promise.all([service.ensureLoaded(), service.ensureLoaded()]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(service.sections['api-docs']).toHaveLength(1);
+    expect(await service.search('tracked properties', 'community')).toHaveLength(1);
+  });
+
+  it('should retry after a failed load', async () => {
+    fetchMock.mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND'));
+    fetchMock.mockResolvedValueOnce(mockResponse(200, mockDoc));
+    const service = new DocumentationService({ cache: null });
+
+    await expect(service.ensureLoaded()).rejects.toThrow('ENOTFOUND');
+    await service.ensureLoaded();
+
+    expect(service.loaded).toBe(true);
+  });
+
+  it('should replace documentation parsed before', () => {
+    const service = new DocumentationService({ cache: null });
+
+    service.parseDocumentation(mockDoc);
+    service.parseDocumentation(mockDoc);
+
+    expect(service.sections['api-docs']).toHaveLength(1);
+    expect(service.sections['community-bloggers']).toHaveLength(1);
+  });
+
+  it('should work without a cache', async () => {
+    fetchMock.mockResolvedValue(mockResponse(200, mockDoc));
+    const service = new DocumentationService({ cache: null });
+
+    await service.ensureLoaded();
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({});
+    expect(service.getSnapshotInfo().source).toBe('network');
+  });
+});
+
+describe('snapshot formatting', () => {
+  it('should format ages', () => {
+    expect(formatAge(30 * 1000)).toBe('less than a minute');
+    expect(formatAge(60 * 1000)).toBe('1 minute');
+    expect(formatAge(3 * 60 * 60 * 1000)).toBe('3 hours');
+    expect(formatAge(2 * 24 * 60 * 60 * 1000)).toBe('2 days');
+  });
+
+  it('should warn when serving a stale snapshot', () => {
+    const text = formatSnapshotInfo({
+      source: 'cache-fallback',
+      fetchedAt: '2024-01-01T00:00:00.000Z',
+      validatedAt: '2024-01-01T00:00:00.000Z',
+      ageMs: 2 * 24 * 60 * 60 * 1000,
+      stale: true,
+    });
+
+    expect(text).toContain('Offline');
+    expect(text).toContain('2024-01-01');
+    expect(text).toContain('2 days ago');
+  });
+
+  it('should return an empty string without a snapshot', () => {
+    expect(formatSnapshotInfo(null)).toBe('');
+  });
+});
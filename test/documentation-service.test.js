@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { DocumentationService } from '../lib/documentation-service.js';
+import { formatApiReference } from '../lib/formatters.js';
 
 describe('DocumentationService', () => {
   let service;
@@ -396,6 +397,270 @@ Use tracked properties and native arrays instead of proxy objects for better per
     });
   });
 
+  describe('getApiReference members', () => {
+    beforeEach(() => {
+      const routerService = {
+        data: {
+          id: 'ember-6.2.0-RouterService',
+          type: 'class',
+          attributes: {
+            name: 'RouterService',
+            module: '@ember/routing/router-service',
+            file: 'packages/@ember/routing/router-service.ts',
+            methods: [
+              {
+                name: 'transitionTo',
+                description: 'Transition the application into another route.',
+                params: [
+                  { name: 'routeNameOrUrl', type: 'String', description: 'the name of the route or a URL' },
+                  { name: 'models', type: '...Object', optional: true, multiple: true },
+                  { name: 'options', type: 'Object', optional: true },
+                ],
+                return: { type: 'Transition', description: 'the transition object' },
+                access: 'public',
+                since: '3.6.0',
+                file: 'packages/@ember/routing/router-service.ts',
+                line: 266,
+              },
+            ],
+            properties: [
+              { name: 'currentRouteName', type: 'String', access: 'public', since: '3.6.0', line: 120 },
+            ],
+          },
+        },
+      };
+      const route = {
+        data: {
+          id: 'ember-6.2.0-Route',
+          type: 'class',
+          attributes: {
+            name: 'Route',
+            module: '@ember/routing/route',
+            methods: [
+              { name: 'transitionTo', deprecated: true, deprecationMessage: 'Use the router service', access: 'public' },
+            ],
+            properties: [],
+          },
+        },
+      };
+      service.parseDocumentation(
+        `# api-docs\n\n${JSON.stringify(route)}\n\n----------\n\n${JSON.stringify(routerService)}\n`
+      );
+    });
+
+    it('should find a method by Class#method', async () => {
+      const result = await service.getApiReference('RouterService#transitionTo');
+
+      expect(result).toMatchObject({
+        name: 'transitionTo',
+        memberType: 'method',
+        className: 'RouterService',
+        module: '@ember/routing/router-service',
+        signature: 'transitionTo(routeNameOrUrl: string, ...models: unknown[], options?: object): Transition',
+        return: { type: 'Transition', description: 'the transition object' },
+        since: '3.6.0',
+        access: 'public',
+        deprecated: false,
+        line: 266,
+        apiUrl: 'https://api.emberjs.com/ember/release/classes/RouterService/methods/transitionTo?anchor=transitionTo',
+      });
+      expect(result.params).toHaveLength(3);
+    });
+
+    it('should find a property by Class.property', async () => {
+      const result = await service.getApiReference('routerservice.currentRouteName');
+
+      expect(result.memberType).toBe('property');
+      expect(result.signature).toBe('currentRouteName: string');
+      expect(result.apiUrl).toContain('/classes/RouterService/properties/currentRouteName?anchor=currentRouteName');
+    });
+
+    it('should prefer non-deprecated members for bare names', async () => {
+      const result = await service.getApiReference('transitionTo');
+
+      expect(result.className).toBe('RouterService');
+      expect(result.alternatives).toEqual(['Route#transitionTo']);
+    });
+
+    it('should respect the member type', async () => {
+      expect(await service.getApiReference('transitionTo', 'property')).toBeNull();
+      expect(await service.getApiReference('currentRouteName', 'property')).toMatchObject({ className: 'RouterService' });
+      expect(await service.getApiReference('RouterService#nope')).toBeNull();
+      expect((await service.getApiReference('RouterService')).memberType).toBeUndefined();
+    });
+
+    it('should format a single member', async () => {
+      const output = formatApiReference(await service.getApiReference('Route#transitionTo'), service.deprecationManager);
+
+      expect(output).toContain('# Route#transitionTo');
+      expect(output).toContain('DEPRECATED**: Use the router service');
+      expect(output).toContain('transitionTo()');
+      expect(output).toContain('/classes/Route/methods/transitionTo?anchor=transitionTo');
+    });
+  });
+
+  describe('inherited members', () => {
+    const apiClass = (name, attributes) => JSON.stringify({
+      data: { id: `ember-6.2.0-${name}`, type: 'class', attributes: { name, methods: [], properties: [], ...attributes } },
+    });
+
+    beforeEach(() => {
+      service.parseDocumentation(`# api-docs
+
+${apiClass('Route', { extends: 'EmberObject', uses: ['Evented'], methods: [{ name: 'model' }, { name: 'init' }] })}
+
+----------
+
+${apiClass('Evented', { methods: [{ name: 'on' }, { name: 'trigger' }] })}
+
+----------
+
+${apiClass('EmberObject', { extends: 'CoreObject', uses: ['Observable'], properties: [{ name: 'isDestroyed' }] })}
+
+----------
+
+${apiClass('Observable', { uses: ['Evented'], methods: [{ name: 'get' }, { name: 'set' }] })}
+
+----------
+
+${apiClass('CoreObject', { extends: 'Object', methods: [{ name: 'init' }, { name: 'destroy' }] })}
+`);
+    });
+
+    it('should merge members along the uses and extends chain', async () => {
+      const route = await service.getApiReference('Route');
+
+      expect(route.methods.map(method => `${method.definedIn}#${method.name}`)).toEqual([
+        'Route#model',
+        'Route#init',
+        'Evented#on',
+        'Evented#trigger',
+        'Observable#get',
+        'Observable#set',
+        'CoreObject#destroy',
+      ]);
+      expect(route.properties).toEqual([{ name: 'isDestroyed', definedIn: 'EmberObject' }]);
+      expect(route.ancestors).toEqual(['EmberObject', 'CoreObject', 'Object']);
+      expect(route.mixins).toEqual(['Evented', 'Observable']);
+    });
+
+    it('should hide inherited members on request', async () => {
+      const route = await service.getApiReference('Route', undefined, { includeInherited: false });
+
+      expect(route.methods.map(method => method.name)).toEqual(['model', 'init']);
+      expect(route.properties).toEqual([]);
+      expect(route.ancestors).toEqual(['EmberObject', 'CoreObject', 'Object']);
+    });
+
+    it('should find inherited members by Class#member', async () => {
+      const member = await service.getApiReference('Route#get');
+
+      expect(member.className).toBe('Route');
+      expect(member.definedIn).toBe('Observable');
+      expect(member.apiUrl).toContain('/classes/Route/methods/get');
+    });
+
+    it('should stop at inheritance cycles', async () => {
+      const cyclic = new DocumentationService();
+      cyclic.parseDocumentation(`# api-docs
+
+${apiClass('Alpha', { extends: 'Beta', methods: [{ name: 'a' }] })}
+
+----------
+
+${apiClass('Beta', { extends: 'Alpha', uses: ['Beta'], methods: [{ name: 'b' }] })}
+`);
+
+      const alpha = await cyclic.getApiReference('Alpha');
+
+      expect(alpha.methods.map(method => method.name)).toEqual(['a', 'b']);
+      expect(alpha.ancestors).toEqual(['Beta']);
+    });
+
+    it('should mark inherited members when formatting', async () => {
+      const output = formatApiReference(await service.getApiReference('Route'), service.deprecationManager);
+
+      expect(output).toContain('**Extends:** EmberObject → CoreObject → Object');
+      expect(output).toContain('**Uses:** Evented, Observable');
+      expect(output).toContain('### model\n');
+      expect(output).toContain('### on _(inherited from Evented)_');
+    });
+  });
+
+  describe('member paging and filters', () => {
+    beforeEach(() => {
+      const methods = Array.from({ length: 25 }, (_, i) => ({
+        name: `method${i}`,
+        ...(i % 5 === 1 && { access: 'private' }),
+        ...(i % 5 === 2 && { access: 'protected' }),
+        ...(i === 3 && { deprecated: true }),
+      }));
+      const properties = [{ name: 'isDestroyed' }, { name: 'concatenatedProperties', access: 'private' }];
+
+      service.parseDocumentation(`# api-docs
+
+${JSON.stringify({ data: { id: 'ember-6.2.0-Big', type: 'class', attributes: { name: 'Big', methods, properties } } })}
+`);
+    });
+
+    it('should list the first page with counts', async () => {
+      const big = await service.getApiReference('Big');
+
+      expect(big.methods.map(method => method.name)).toEqual(Array.from({ length: 10 }, (_, i) => `method${i}`));
+      expect(big.properties).toHaveLength(2);
+      expect(big.memberCounts).toEqual({
+        methods: { total: 25, matching: 25, offset: 0, nextOffset: 10 },
+        properties: { total: 2, matching: 2, offset: 0, nextOffset: null },
+      });
+    });
+
+    it('should page by offset and limit', async () => {
+      const big = await service.getApiReference('Big', undefined, { members: { offset: 20, limit: 10 } });
+
+      expect(big.methods.map(method => method.name)).toEqual(['method20', 'method21', 'method22', 'method23', 'method24']);
+      expect(big.properties).toEqual([]);
+      expect(big.memberCounts.methods).toEqual({ total: 25, matching: 25, offset: 20, nextOffset: null });
+    });
+
+    it('should filter by access, kind and deprecation', async () => {
+      const privateMembers = await service.getApiReference('Big', undefined, { members: { access: 'private' } });
+      const publicMethods = await service.getApiReference('Big', undefined, {
+        members: { access: 'public', kind: 'method', includeDeprecated: false, limit: 100 },
+      });
+
+      expect(privateMembers.methods.map(method => method.name)).toEqual([
+        'method1', 'method6', 'method11', 'method16', 'method21',
+      ]);
+      expect(privateMembers.properties.map(prop => prop.name)).toEqual(['concatenatedProperties']);
+      expect(publicMethods.methods.map(method => method.name)).not.toContain('method3');
+      expect(publicMethods.memberCounts.methods).toMatchObject({ total: 25, matching: 14 });
+      expect(publicMethods.properties).toEqual([]);
+    });
+
+    it('should reject invalid paging', async () => {
+      await expect(service.getApiReference('Big', undefined, { members: { offset: -1 } })).rejects.toThrow(
+        'Invalid offset: -1'
+      );
+      await expect(service.getApiReference('Big', undefined, { members: { limit: 0 } })).rejects.toThrow(
+        'Invalid limit: 0'
+      );
+    });
+
+    it('should show the range and the next page when formatting', async () => {
+      const firstPage = formatApiReference(await service.getApiReference('Big'), service.deprecationManager);
+      const filtered = formatApiReference(
+        await service.getApiReference('Big', undefined, { members: { access: 'protected', limit: 2 } }),
+        service.deprecationManager
+      );
+
+      expect(firstPage).toContain('## Methods (1-10 of 25)');
+      expect(firstPage).toContain('## Properties\n');
+      expect(firstPage).toContain('**More members:** 15 methods not shown. Request offset 10 for the next page.');
+      expect(filtered).toContain('## Methods (1-2 of 5 matching, 25 in total)');
+      expect(filtered).toContain('**More members:** 3 methods not shown. Request offset 2 for the next page.');
+    });
+  });
+
   describe('extractTitle', () => {
     it('should extract markdown headers', () => {
       const content = '# Main Title\n\nSome content';
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { startHttpServer } from '../lib/http-transport.js';
+
+function createTestServer() {
+  const server = new Server(
+    { name: 'test-server', version: '1.0.0' },
+    { capabilities: { tools: {} } }
+  );
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [{ name: 'ping', inputSchema: { type: 'object', properties: {} } }],
+  }));
+  return server;
+}
+
+async function connectClient(url) {
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url));
+  await client.connect(transport);
+  return { client, transport };
+}
+
+describe('startHttpServer', () => {
+  let handle;
+  let createdServers;
+
+  beforeEach(async () => {
+    createdServers = 0;
+    handle = await startHttpServer({
+      port: 0,
+      createServer: () => {
+        createdServers++;
+        return createTestServer();
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await handle.close();
+  });
+
+  it('should listen on the MCP endpoint', () => {
+    expect(handle.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/mcp$/);
+  });
+
+  it('should serve tools to a connected client', async () => {
+    const { client } = await connectClient(handle.url);
+
+    const result = await client.listTools();
+
+    expect(result.tools.map(t => t.name)).toEqual(['ping']);
+    await client.close();
+  });
+
+  it('should create a separate server per session', async () => {
+    const first = await connectClient(handle.url);
+    const second = await connectClient(handle.url);
+
+    expect(first.transport.sessionId).toBeDefined();
+    expect(second.transport.sessionId).toBeDefined();
+    expect(first.transport.sessionId).not.toBe(second.transport.sessionId);
+    expect(createdServers).toBe(2);
+    expect(handle.sessions.size).toBe(2);
+
+    await first.client.close();
+    await second.client.close();
+  });
+
+  it('should remove sessions when the client terminates them', async () => {
+    const { client, transport } = await connectClient(handle.url);
+    expect(handle.sessions.size).toBe(1);
+
+    await transport.terminateSession();
+    await client.close();
+
+    expect(handle.sessions.size).toBe(0);
+  });
+
+  it('should reject non-initialize requests without a session', async () => {
+    const response = await fetch(handle.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for unknown session IDs', async () => {
+    const response = await fetch(handle.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'mcp-session-id': 'does-not-exist',
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should reject bodies over the size limit with 413', async () => {
+    const small = await startHttpServer({ port: 0, createServer: createTestServer, maxBodyBytes: 64 });
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+    };
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: { padding: 'x'.repeat(100) } });
+
+    const sized = await fetch(small.url, { method: 'POST', headers, body });
+    // Without a Content-Length the limit is enforced while reading
+    const streamed = await fetch(small.url, {
+      method: 'POST',
+      headers,
+      body: new Blob([body]).stream(),
+      duplex: 'half',
+    });
+
+    for (const response of [sized, streamed]) {
+      expect(response.status).toBe(413);
+      expect((await response.json()).error.code).toBe(-32600);
+    }
+    await small.close();
+  });
+
+  it('should return 404 for other paths', async () => {
+    const response = await fetch(handle.url.replace('/mcp', '/other'));
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('startHttpServer session cleanup', () => {
+  const initialize = (url) => fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: {
+        protocolVersion: '2025-03-26',
+        capabilities: {},
+        clientInfo: { name: 'test-client', version: '1.0.0' },
+      },
+    }),
+  });
+
+  it('should close sessions that stay idle past the timeout', async () => {
+    const handle = await startHttpServer({ port: 0, createServer: createTestServer, sessionIdleTimeoutMs: 50 });
+    const response = await initialize(handle.url);
+    await response.text();
+    expect(handle.sessions.size).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(handle.sessions.size).toBe(0);
+    await handle.close();
+  });
+
+  it('should close the server when a session fails to start', async () => {
+    let closed = false;
+    const handle = await startHttpServer({
+      port: 0,
+      createServer: () => {
+        const server = createTestServer();
+        server.connect = async () => { throw new Error('boom'); };
+        server.close = async () => { closed = true; };
+        return server;
+      },
+    });
+
+    const response = await initialize(handle.url);
+
+    expect(response.status).toBe(500);
+    expect(closed).toBe(true);
+    expect(handle.sessions.size).toBe(0);
+    await handle.close();
+  });
+});
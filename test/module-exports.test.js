@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { getLegacyGlobal, formatImportStatement } from '../lib/module-exports.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { formatModuleExports, formatImportPaths } from '../lib/formatters.js';
+import { API_DOCS_BASE } from '../lib/config.js';
+
+const apiDoc = (type, name, attributes = {}) => JSON.stringify({
+  data: { id: `ember-6.2.0-${name}`, type, attributes: { name, ...attributes } },
+});
+
+const mockDoc = `# api-docs
+
+${apiDoc('module', '@ember/template', { description: 'Functions for working with trusted HTML.' })}
+
+----------
+
+${apiDoc('class', '@ember/template', {
+  module: '@ember/template',
+  methods: [
+    { name: 'htmlSafe', description: "```js\nimport { htmlSafe } from '@ember/template';\n```" },
+    { name: 'isHTMLSafe' },
+  ],
+})}
+
+----------
+
+${apiDoc('class', 'EmberObject', { module: '@ember/object' })}
+
+----------
+
+${apiDoc('class', 'ComputedProperty', { module: '@ember/object', access: 'private' })}
+
+----------
+
+${apiDoc('class', '@ember/object', {
+  module: '@ember/object',
+  methods: [{ name: 'get' }, { name: 'set' }, { name: 'action' }, { name: 'expandProperties', access: 'private' }],
+})}
+
+----------
+
+${apiDoc('class', 'Component', { module: '@ember/component' })}
+
+----------
+
+${apiDoc('class', 'Component', {
+  module: '@glimmer/component',
+  description: "```js\nimport Component from '@glimmer/component';\n```",
+})}
+
+----------
+
+${apiDoc('class', 'Service', { module: '@ember/service' })}
+
+----------
+
+${apiDoc('class', '@ember/service', {
+  module: '@ember/service',
+  methods: [{ name: 'inject', deprecated: true }, { name: 'service' }],
+})}
+
+----------
+
+${apiDoc('class', 'ContainerDebugAdapter', {
+  module: '@ember/debug',
+  description: "```js\nimport ContainerDebugAdapter from '@ember/debug';\n```",
+})}
+
+----------
+
+${apiDoc('class', 'DataAdapter', { module: '@ember/debug' })}
+`;
+
+describe('Module exports', () => {
+  describe('getLegacyGlobal', () => {
+    it('should map exports to their pre-RFC 176 globals', () => {
+      expect(getLegacyGlobal('@ember/runloop', 'later', 'named')).toBe('Ember.run.later');
+      expect(getLegacyGlobal('@ember/runloop', 'run', 'named')).toBe('Ember.run');
+      expect(getLegacyGlobal('@ember/object', 'EmberObject', 'default')).toBe('Ember.Object');
+      expect(getLegacyGlobal('@ember/service', 'inject', 'named')).toBe('Ember.inject.service');
+    });
+
+    it('should give newer modules no global', () => {
+      expect(getLegacyGlobal('@glimmer/tracking', 'tracked', 'named')).toBeNull();
+      expect(getLegacyGlobal('@ember/object', 'action', 'named')).toBeNull();
+    });
+  });
+
+  describe('formatImportStatement', () => {
+    it('should import default and named exports', () => {
+      expect(formatImportStatement({ name: 'Component', module: '@glimmer/component', kind: 'default' })).toBe(
+        "import Component from '@glimmer/component';"
+      );
+      expect(formatImportStatement({ name: 'htmlSafe', module: '@ember/template', kind: 'named' })).toBe(
+        "import { htmlSafe } from '@ember/template';"
+      );
+    });
+  });
+
+  describe('DocumentationService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+    });
+
+    it('should list the default and named exports of a module', async () => {
+      const module = await service.getModuleExports('@ember/object');
+
+      expect(module.apiUrl).toBe(`${API_DOCS_BASE}/release/modules/@ember/object`);
+      expect(module.exports.map(({ name, kind, apiType, legacyGlobal }) => ({ name, kind, apiType, legacyGlobal })))
+        .toEqual([
+          { name: 'EmberObject', kind: 'default', apiType: 'class', legacyGlobal: 'Ember.Object' },
+          { name: 'action', kind: 'named', apiType: 'function', legacyGlobal: null },
+          { name: 'get', kind: 'named', apiType: 'function', legacyGlobal: 'Ember.get' },
+          { name: 'set', kind: 'named', apiType: 'function', legacyGlobal: 'Ember.set' },
+        ]);
+    });
+
+    it('should keep the module description and be case insensitive', async () => {
+      const module = await service.getModuleExports('@Ember/Template');
+
+      expect(module.name).toBe('@ember/template');
+      expect(module.description).toBe('Functions for working with trusted HTML.');
+      expect(await service.getModuleExports('@ember/nope')).toBeNull();
+    });
+
+    it('should make classes named exports when a module has several', async () => {
+      const module = await service.getModuleExports('@ember/debug');
+
+      // The import in ContainerDebugAdapter's description settles it as the default export
+      expect(module.exports.map(({ name, kind }) => `${kind}:${name}`)).toEqual([
+        'default:ContainerDebugAdapter',
+        'named:DataAdapter',
+      ]);
+    });
+
+    it('should find the import statement for a function', async () => {
+      const [match, ...others] = await service.findImportPath('htmlSafe');
+
+      expect(others).toEqual([]);
+      expect(match).toMatchObject({
+        module: '@ember/template',
+        kind: 'named',
+        importStatement: "import { htmlSafe } from '@ember/template';",
+        legacyGlobal: 'Ember.String.htmlSafe',
+        apiUrl: `${API_DOCS_BASE}/release/functions/%40ember%2Ftemplate/htmlSafe`,
+      });
+    });
+
+    it('should find exports by their legacy global', async () => {
+      const [match] = await service.findImportPath('Ember.String.htmlSafe');
+
+      expect(match.importStatement).toBe("import { htmlSafe } from '@ember/template';");
+    });
+
+    it('should list every module exporting a name, exact case first and deprecated last', async () => {
+      const components = await service.findImportPath('Component');
+      const services = await service.findImportPath('service');
+
+      expect(components.map(match => match.importStatement)).toEqual([
+        "import Component from '@ember/component';",
+        "import Component from '@glimmer/component';",
+      ]);
+      expect(services.map(match => match.importStatement)).toEqual([
+        "import { service } from '@ember/service';",
+        "import Service from '@ember/service';",
+      ]);
+      expect((await service.findImportPath('inject'))[0].deprecated).toBe(true);
+      expect(await service.findImportPath('expandProperties')).toEqual([]);
+    });
+  });
+
+  describe('formatting', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+    });
+
+    it('should group a module\'s exports', async () => {
+      const output = formatModuleExports(await service.getModuleExports('@ember/service'));
+
+      expect(output).toContain('## Default export\n\n- `import Service from \'@ember/service\';` (class) — formerly `Ember.Service`');
+      expect(output).toContain('- `import { inject } from \'@ember/service\';` (function) ⚠️ deprecated — formerly `Ember.inject.service`');
+    });
+
+    it('should show the import statement and the global it replaces', async () => {
+      const output = formatImportPaths('Ember.String.htmlSafe', await service.findImportPath('Ember.String.htmlSafe'));
+
+      expect(output).toContain("```js\nimport { htmlSafe } from '@ember/template';\n```");
+      expect(output).toContain('**Export:** named');
+      expect(output).toContain('Replace the `Ember.String.htmlSafe` global with this import.');
+    });
+  });
+});
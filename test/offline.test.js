@@ -0,0 +1,263 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { DocsCache } from '../lib/docs-cache.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { NpmService } from '../lib/npm-service.js';
+import { DOCS_URL } from '../lib/config.js';
+import { formatSnapshotInfo } from '../lib/formatters.js';
+import { runCli, EXIT_FAILURE } from '../lib/cli.js';
+import {
+  OfflineError,
+  RELEASES_DATA_PATH,
+  getSnapshotMetaPath,
+  readDocsSnapshot,
+  readReleasesDataset,
+  resolveOfflineOptions,
+} from '../lib/offline-data.js';
+
+const fetchMock = vi.hoisted(() => vi.fn());
+vi.mock('node-fetch', () => ({ default: fetchMock }));
+
+const mockDoc = `# api-docs
+
+{
+  "data": {
+    "id": "ember-6.2.0-RouterService",
+    "type": "class",
+    "attributes": {
+      "name": "RouterService",
+      "module": "@ember/routing/router-service",
+      "description": "The Router service"
+    }
+  }
+}`;
+
+const dataset = {
+  generatedAt: '2025-03-01T00:00:00.000Z',
+  releases: [
+    { version: '6.2.0', date: '2025-02-10', url: 'https://example.com/v6.2.0', description: null, features: [], bugFixes: [], breakingChanges: [] },
+    { version: '6.1.0', date: '2024-12-20', url: 'https://example.com/v6.1.0', description: null, features: ['New thing'], bugFixes: [], breakingChanges: [] },
+    { version: '3.28.12', date: '2023-01-05', url: 'https://example.com/v3.28.12', description: null, features: [], bugFixes: [], breakingChanges: [] },
+  ],
+};
+
+describe('resolveOfflineOptions', () => {
+  it('should let command-line values override the config', () => {
+    const config = { offline: false, docsPath: '/config.txt' };
+
+    expect(resolveOfflineOptions({}, config)).toEqual({ offline: false, docsPath: '/config.txt' });
+    expect(resolveOfflineOptions({ offline: true, docs: '/flag.txt' }, config)).toEqual({ offline: true, docsPath: '/flag.txt' });
+    expect(resolveOfflineOptions({}, { offline: true, docsPath: null }).offline).toBe(true);
+  });
+});
+
+describe('bundled releases dataset', () => {
+  it('should list stable releases newest first', async () => {
+    const bundled = await readReleasesDataset(RELEASES_DATA_PATH);
+
+    expect(bundled.releases.length).toBeGreaterThan(100);
+    expect(bundled.releases.every(r => /^\d+\.\d+\.\d+$/.test(r.version))).toBe(true);
+    expect(bundled.releases.some(r => r.version === '3.28.0')).toBe(true);
+  });
+});
+
+describe('offline mode', () => {
+  let dir;
+  let cache;
+  let docsPath;
+  let releasesPath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-offline-'));
+    cache = new DocsCache({ dir: join(dir, 'cache') });
+    docsPath = join(dir, 'llms-full.txt');
+    releasesPath = join(dir, 'ember-releases.json');
+    await fs.writeFile(releasesPath, JSON.stringify(dataset), 'utf-8');
+    fetchMock.mockReset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const writeSnapshot = async (meta) => {
+    await fs.writeFile(docsPath, mockDoc, 'utf-8');
+    if (meta) {
+      await fs.writeFile(getSnapshotMetaPath(docsPath), JSON.stringify(meta), 'utf-8');
+    }
+  };
+
+  describe('readDocsSnapshot', () => {
+    it('should return null for a missing file', async () => {
+      expect(await readDocsSnapshot(docsPath)).toBeNull();
+    });
+
+    it('should read the metadata file', async () => {
+      await writeSnapshot({ fetchedAt: '2025-01-01T00:00:00.000Z', emberVersion: '6.2.0' });
+
+      const snapshot = await readDocsSnapshot(docsPath);
+
+      expect(snapshot.text).toBe(mockDoc);
+      expect(snapshot.meta.emberVersion).toBe('6.2.0');
+    });
+
+    it('should fall back to the modification time', async () => {
+      await writeSnapshot();
+
+      const snapshot = await readDocsSnapshot(docsPath);
+
+      expect(snapshot.meta.fetchedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+      expect(snapshot.meta.emberVersion).toBeNull();
+    });
+  });
+
+  describe('documentation', () => {
+    it('should load the bundled snapshot without network access', async () => {
+      await writeSnapshot({ fetchedAt: '2025-01-01T00:00:00.000Z', emberVersion: '6.2.0' });
+      const service = new DocumentationService({ cache, offline: true, bundledDocsPath: docsPath });
+
+      await service.ensureLoaded();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(service.apiIndex.has('routerservice')).toBe(true);
+      const snapshot = service.getSnapshotInfo();
+      expect(snapshot.source).toBe('bundled');
+      expect(snapshot.emberVersion).toBe('6.2.0');
+      expect(snapshot.stale).toBe(true);
+    });
+
+    it('should prefer a newer cached copy over the bundled snapshot', async () => {
+      await writeSnapshot({ fetchedAt: '2025-01-01T00:00:00.000Z', emberVersion: '6.2.0' });
+      const parser = new DocumentationService({ cache: null });
+      parser.parseDocumentation(mockDoc);
+      await cache.write({ url: DOCS_URL, text: mockDoc, sections: parser.sections, fetchedAt: '2025-02-01T00:00:00.000Z' });
+      const service = new DocumentationService({ cache, offline: true, bundledDocsPath: docsPath });
+
+      await service.ensureLoaded();
+
+      expect(service.getSnapshotInfo().source).toBe('cache');
+    });
+
+    it('should explain how to get a snapshot when none exists', async () => {
+      const service = new DocumentationService({ cache, offline: true, bundledDocsPath: docsPath });
+
+      await expect(service.ensureLoaded()).rejects.toThrow('no documentation snapshot is available');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should load a snapshot from a path without downloading', async () => {
+      await writeSnapshot();
+      const service = new DocumentationService({ cache, docsPath });
+
+      await service.ensureLoaded();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(service.getSnapshotInfo().source).toBe('file');
+    });
+
+    it('should reject a missing snapshot path', async () => {
+      const service = new DocumentationService({ cache, docsPath });
+
+      await expect(service.ensureLoaded()).rejects.toThrow('Documentation snapshot not found');
+    });
+  });
+
+  describe('version info', () => {
+    it('should answer the latest version from the dataset', async () => {
+      const service = new DocumentationService({ cache: null, offline: true, releasesPath });
+
+      const info = await service.getVersionInfo();
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(info.current).toBe('6.2.0');
+      expect(info.releaseDate).toBe('2025-02-10');
+      expect(info.recentReleases.map(r => r.version)).toEqual(['6.1.0', '3.28.12']);
+      expect(info.note).toContain('2025-03-01');
+    });
+
+    it('should answer a specific version from the dataset', async () => {
+      const service = new DocumentationService({ cache: null, offline: true, releasesPath });
+
+      const info = await service.getVersionInfo('v6.1.0');
+
+      expect(info.current).toBe('6.1.0');
+      expect(info.features).toEqual(['New thing']);
+      expect(info.recentReleases).toBeUndefined();
+    });
+
+    it('should fall back for versions missing from the dataset', async () => {
+      const service = new DocumentationService({ cache: null, offline: true, releasesPath });
+
+      const info = await service.getVersionInfo('9.9.9');
+
+      expect(info.current).toBe('9.9.9');
+      expect(info.description).toBe('Unable to fetch release information from GitHub.');
+    });
+
+    it('should use the dataset when GitHub is unreachable', async () => {
+      fetchMock.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+      const service = new DocumentationService({ cache: null, releasesPath });
+
+      const info = await service.getVersionInfo();
+
+      expect(fetchMock).toHaveBeenCalled();
+      expect(info.current).toBe('6.2.0');
+    });
+
+    it('should use the dataset for versions older than the GitHub releases page', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        json: async () => [{ tag_name: 'v6.2.0', prerelease: false, draft: false, body: '', published_at: '2025-02-10T00:00:00Z' }],
+      });
+      const service = new DocumentationService({ cache: null, releasesPath });
+
+      const info = await service.getVersionInfo('3.28.12');
+
+      expect(info.current).toBe('3.28.12');
+      expect(info.releaseDate).toBe('2023-01-05');
+    });
+  });
+
+  describe('npm tools', () => {
+    it('should fail with an offline error without fetching', async () => {
+      const npmService = new NpmService({ offline: true });
+
+      const error = await npmService.getPackageInfo('ember-source').catch(e => e);
+
+      expect(error).toBeInstanceOf(OfflineError);
+      expect(error.status).toBe('offline');
+      expect(error.message).toContain('Offline mode');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should report the offline status from the CLI', async () => {
+      const stdout = { output: '', write(chunk) { this.output += chunk; } };
+      const stderr = { output: '', write(chunk) { this.output += chunk; } };
+
+      const code = await runCli(['npm', 'ember-source', '--offline'], { stdout, stderr });
+
+      expect(code).toBe(EXIT_FAILURE);
+      expect(stderr.output).toContain('Offline mode: the npm registry is not available');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should describe offline snapshots', () => {
+    const text = formatSnapshotInfo({
+      source: 'bundled',
+      fetchedAt: '2025-01-01T00:00:00.000Z',
+      validatedAt: '2025-01-01T00:00:00.000Z',
+      emberVersion: '6.2.0',
+      ageMs: 3 * 24 * 60 * 60 * 1000,
+      stale: true,
+    });
+
+    expect(text).toContain('Offline mode');
+    expect(text).toContain('bundled with ember-mcp for Ember 6.2.0');
+    expect(text).toContain('3 days ago');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PROMPTS, getPrompt } from '../lib/prompts.js';
+
+function textResult(text) {
+  return { content: [{ type: 'text', text }] };
+}
+
+describe('prompts', () => {
+  let callTool;
+
+  beforeEach(() => {
+    callTool = vi.fn(async (tool, args) => textResult(`${tool} output for ${JSON.stringify(args)}`));
+  });
+
+  describe('PROMPTS', () => {
+    it('should list the workflow prompts with their arguments', () => {
+      const names = PROMPTS.map(p => p.name);
+
+      expect(names).toEqual(['plan-ember-upgrade', 'review-octane-component', 'convert-classic-component']);
+      PROMPTS.forEach(prompt => {
+        expect(prompt.description).toBeTruthy();
+        expect(Array.isArray(prompt.arguments)).toBe(true);
+        expect(prompt).not.toHaveProperty('context');
+        expect(prompt).not.toHaveProperty('instructions');
+      });
+    });
+  });
+
+  describe('getPrompt', () => {
+    it('should return null for unknown prompts', async () => {
+      expect(await getPrompt('nope', {}, callTool)).toBeNull();
+      expect(callTool).not.toHaveBeenCalled();
+    });
+
+    it('should require required arguments', async () => {
+      await expect(getPrompt('plan-ember-upgrade', {}, callTool))
+        .rejects.toThrow('fromVersion');
+    });
+
+    it('should embed version info and best practices in the upgrade prompt', async () => {
+      const prompt = await getPrompt('plan-ember-upgrade', { fromVersion: '4.12.0', toVersion: '5.8.0' }, callTool);
+
+      expect(callTool).toHaveBeenCalledWith('get_ember_version_info', { version: '4.12.0' });
+      expect(callTool).toHaveBeenCalledWith('get_ember_version_info', { version: '5.8.0' });
+      expect(callTool).toHaveBeenCalledWith('get_best_practices', expect.objectContaining({ topic: expect.any(String) }));
+
+      const last = prompt.messages[prompt.messages.length - 1];
+      expect(last.role).toBe('user');
+      expect(last.content.text).toContain('from 4.12.0 to 5.8.0');
+      expect(prompt.messages[0].content.text).toContain('get_ember_version_info output for {"version":"4.12.0"}');
+      expect(prompt.messages[1].content.text).toContain('get_ember_version_info output for {"version":"5.8.0"}');
+    });
+
+    it('should look up only the starting version when upgrading to the latest release', async () => {
+      const prompt = await getPrompt('plan-ember-upgrade', { fromVersion: '4.12.0' }, callTool);
+
+      const versionCalls = callTool.mock.calls.filter(([tool]) => tool === 'get_ember_version_info');
+      expect(versionCalls).toEqual([['get_ember_version_info', { version: '4.12.0' }]]);
+      expect(prompt.messages[prompt.messages.length - 1].content.text).toContain(
+        'from 4.12.0 to the latest stable release'
+      );
+    });
+
+    it('should embed API references as resources', async () => {
+      const prompt = await getPrompt('review-octane-component', { code: 'export default class Foo {}' }, callTool);
+
+      const resourceMessage = prompt.messages.find(m => m.content.type === 'resource');
+      expect(resourceMessage.content.resource.uri).toBe('ember-docs://api/%40glimmer%2Fcomponent');
+      expect(resourceMessage.content.resource.text).toContain('get_api_reference output');
+    });
+
+    it('should include the supplied code in the instructions', async () => {
+      const prompt = await getPrompt('convert-classic-component', { code: 'Component.extend({})' }, callTool);
+
+      const last = prompt.messages[prompt.messages.length - 1];
+      expect(last.content.text).toContain('Component.extend({})');
+    });
+
+    it('should fence code that contains its own fences', async () => {
+      const code = 'Use this template:\n```hbs\n<Foo />\n```';
+      const prompt = await getPrompt('review-octane-component', { code }, callTool);
+
+      const last = prompt.messages[prompt.messages.length - 1];
+      expect(last.content.text.endsWith(`\n\`\`\`\`\n${code}\n\`\`\`\``)).toBe(true);
+    });
+
+    it('should skip context that failed to load', async () => {
+      callTool = vi.fn(async (tool) => tool === 'get_best_practices'
+        ? { content: [{ type: 'text', text: 'Error: boom' }], isError: true }
+        : textResult('ok'));
+
+      const prompt = await getPrompt('plan-ember-upgrade', { fromVersion: '4.12.0' }, callTool);
+
+      expect(prompt.messages.some(m => m.content.text === 'Error: boom')).toBe(false);
+      expect(prompt.messages).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseQuery, QueryParseError } from '../lib/query-parser.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+
+const mockDoc = `# api-docs
+
+{
+  "data": {
+    "id": "ember-6.2.0-RouterService",
+    "type": "class",
+    "attributes": {
+      "name": "RouterService",
+      "module": "@ember/routing/router-service",
+      "description": "The Router service provides transitionTo."
+    }
+  }
+}
+
+----------
+
+{
+  "data": {
+    "id": "ember-6.2.0-@ember/routing",
+    "type": "module",
+    "attributes": {
+      "name": "@ember/routing",
+      "description": "Routing primitives, including transitionTo."
+    }
+  }
+}
+
+# guides
+
+# Introduction
+
+Ember guides.
+
+----------
+
+# Routing
+
+Call transitionTo on the router service. Query params are supported.
+
+----------
+
+# Classic Routing
+
+Classic controllers call transitionToRoute instead of transitionTo.
+`;
+
+describe('Query parser', () => {
+  describe('parseQuery', () => {
+    it('should parse terms, phrases, exclusions and filters', () => {
+      expect(parseQuery('router "query params" -classic title:Routing module:"@ember/routing" type:class')).toEqual({
+        text: 'router query params',
+        terms: ['router'],
+        phrases: ['query params'],
+        exclusions: ['classic'],
+        filters: { title: ['Routing'], module: ['@ember/routing'], type: ['class'], section: [] },
+      });
+    });
+
+    it('should collect repeated filters and quoted exclusions', () => {
+      const parsed = parseQuery('section:guides  section:community-bloggers -"two words"');
+
+      expect(parsed.filters.section).toEqual(['guides', 'community-bloggers']);
+      expect(parsed.exclusions).toEqual(['two words']);
+      expect(parsed.text).toBe('');
+    });
+
+    it('should treat other words with colons and dashes as terms', () => {
+      expect(parseQuery('localhost:4200 https://emberjs.com ember-data').terms).toEqual([
+        'localhost:4200',
+        'https://emberjs.com',
+        'ember-data',
+      ]);
+    });
+
+    it.each([
+      ['', 'Query is empty'],
+      ['"tracked properties', 'Unterminated quote (at character 1)'],
+      ['foo"bar', 'Unterminated quote (at character 4)'],
+      ['router foo"', 'Unterminated quote (at character 11)'],
+      ['title:foo"bar', 'Unterminated quote (at character 10)'],
+      ['router ""', 'Empty phrase (at character 8)'],
+      ['router title:', 'Missing value for "title:" (at character 8)'],
+      ['router - classic', 'Missing word after "-" (at character 8)'],
+      ['router -type:class', 'Filters can\'t be excluded: "-type:" (at character 8)'],
+      ['titel:router', 'Unknown filter "titel:". Did you mean "title:"? (at character 1)'],
+      ['-classic', 'Query has nothing to search for, only exclusions'],
+    ])('should reject %j', (query, message) => {
+      expect(() => parseQuery(query)).toThrow(QueryParseError);
+      expect(() => parseQuery(query)).toThrow(message);
+    });
+  });
+
+  describe('search', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+    });
+
+    const searchTitles = async query => (await service.search(query, 'all', 5)).map(result => result.title);
+
+    it('should require quoted phrases', async () => {
+      expect(await searchTitles('"query params"')).toEqual(['Routing']);
+    });
+
+    it('should leave out excluded words in any form', async () => {
+      expect(await searchTitles('transitionTo')).toContain('Classic Routing');
+      expect(await searchTitles('transitionTo -classic')).not.toContain('Classic Routing');
+      expect(await searchTitles('transitionTo -controllers')).not.toContain('Classic Routing');
+    });
+
+    it('should filter by API type and module', async () => {
+      const classes = await service.search('transitionTo type:class', 'all', 5);
+      const routing = await service.search('transitionTo module:@ember/routing', 'all', 5);
+
+      expect(classes).toHaveLength(1);
+      expect(classes[0].excerpt).toContain('RouterService');
+      expect(routing).toHaveLength(2);
+      expect(routing.every(result => result.category === 'API Documentation')).toBe(true);
+    });
+
+    it('should filter by title and section', async () => {
+      expect(await searchTitles('routing title:classic')).toEqual(['Classic Routing']);
+      expect(await searchTitles('transitionTo section:guides')).toEqual(['Routing', 'Classic Routing']);
+    });
+
+    it('should list documents when the query only has filters', async () => {
+      const results = await service.search('type:module', 'all', 5);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].title).toBe('@ember/routing');
+    });
+
+    it('should reject unknown sections and API types', async () => {
+      await expect(service.search('router section:blog', 'all', 5)).rejects.toThrow(
+        'Unknown section "blog". Available: api-docs, guides'
+      );
+      await expect(service.search('router type:widget', 'all', 5)).rejects.toThrow(
+        'Unknown type "widget". Available: class, module'
+      );
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DocumentationService } from '../lib/documentation-service.js';
+import {
+  RESOURCES_PAGE_SIZE,
+  buildApiResourceUri,
+  buildGuideResourceUri,
+  parseResourceUri,
+  listDocumentationResources,
+  readDocumentationResource,
+} from '../lib/resources.js';
+
+const mockDoc = `# api-docs
+
+{
+  "data": {
+    "id": "ember-6.2.0-RouterService",
+    "type": "class",
+    "attributes": {
+      "name": "RouterService",
+      "module": "@ember/routing/router-service",
+      "description": "The Router service is the public API that provides access to the router.",
+      "methods": [
+        { "name": "transitionTo", "description": "Transition the application into another route." },
+        { "name": "replaceWith", "description": "Replace the current transition." }
+      ]
+    }
+  }
+}
+
+----------
+
+{ "data": { "id": "ember-6.2.0-@ember/routing", "type": "module", "attributes": { "name": "@ember/routing", "description": "Routing classes." } } }
+
+----------
+
+{ "data": { "id": "ember-6.2.0-Route", "type": "class", "attributes": { "name": "Route", "module": "@ember/routing" } } }
+
+# routing
+
+## Defining Your Routes
+
+When your application starts, the router matches the current URL to the routes that you've defined.
+
+----------
+
+## Query Parameters
+
+Query parameters are optional key-value pairs that appear to the right of the ? in a URL.
+
+# community-bloggers
+
+## Modern Ember Patterns
+
+This article discusses modern patterns.`;
+
+describe('resources', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new DocumentationService();
+    service.parseDocumentation(mockDoc);
+  });
+
+  describe('URIs', () => {
+    it('should round-trip API resource URIs', () => {
+      const uri = buildApiResourceUri('@ember/routing/router-service');
+
+      expect(uri).toBe('ember-docs://api/%40ember%2Frouting%2Frouter-service');
+      expect(parseResourceUri(uri)).toEqual({ kind: 'api', name: '@ember/routing/router-service' });
+    });
+
+    it('should round-trip guide resource URIs', () => {
+      const uri = buildGuideResourceUri('routing', 1);
+
+      expect(uri).toBe('ember-docs://guides/routing/1');
+      expect(parseResourceUri(uri)).toEqual({ kind: 'guide', section: 'routing', index: 1 });
+    });
+
+    it('should reject unknown URIs', () => {
+      expect(parseResourceUri('ember-docs://other/thing')).toBeNull();
+      expect(parseResourceUri('https://guides.emberjs.com')).toBeNull();
+      expect(parseResourceUri('ember-docs://guides/routing/abc')).toBeNull();
+    });
+  });
+
+  describe('listDocumentationResources', () => {
+    it('should list each API entry once plus every guide item', () => {
+      const { resources, nextCursor } = listDocumentationResources(service);
+      const uris = resources.map(r => r.uri);
+
+      expect(nextCursor).toBeUndefined();
+      expect(uris.filter(u => u.startsWith('ember-docs://api/'))).toEqual([
+        'ember-docs://api/RouterService',
+        'ember-docs://api/%40ember%2Frouting',
+        'ember-docs://api/Route',
+      ]);
+      expect(uris).toContain('ember-docs://guides/routing/0');
+      expect(uris).toContain('ember-docs://guides/routing/1');
+      expect(uris).toContain('ember-docs://guides/community-bloggers/0');
+    });
+
+    it('should use document titles as resource names', () => {
+      const { resources } = listDocumentationResources(service);
+
+      const routing = resources.find(r => r.uri === 'ember-docs://guides/routing/1');
+      expect(routing.name).toBe('Query Parameters');
+      expect(routing.mimeType).toBe('text/markdown');
+      // The first item of a section starts with the section header
+      expect(resources.find(r => r.uri === 'ember-docs://guides/routing/0').name).toBe('Defining Your Routes');
+      expect(resources.find(r => r.uri === 'ember-docs://api/%40ember%2Frouting').description).toBe(
+        'Ember API module'
+      );
+    });
+
+    it('should paginate with a cursor', () => {
+      const items = Array.from({ length: RESOURCES_PAGE_SIZE + 5 }, (_, i) => `## Page ${i}\n\nContent ${i}`);
+      service = new DocumentationService();
+      service.parseDocumentation(`# many\n\n${items.join('\n\n----------\n\n')}`);
+
+      const first = listDocumentationResources(service);
+      expect(first.resources).toHaveLength(RESOURCES_PAGE_SIZE);
+      expect(first.nextCursor).toBe(String(RESOURCES_PAGE_SIZE));
+
+      const second = listDocumentationResources(service, first.nextCursor);
+      expect(second.resources).toHaveLength(5);
+      expect(second.nextCursor).toBeUndefined();
+    });
+
+    it('should reject invalid cursors', () => {
+      expect(() => listDocumentationResources(service, 'nope')).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('readDocumentationResource', () => {
+    it('should return the full API reference', async () => {
+      const contents = await readDocumentationResource(service, buildApiResourceUri('RouterService'));
+
+      expect(contents.mimeType).toBe('text/markdown');
+      expect(contents.text).toContain('# RouterService');
+      expect(contents.text).toContain('transitionTo');
+      expect(contents.text).toContain('replaceWith');
+    });
+
+    it('should resolve API resources by module name', async () => {
+      const contents = await readDocumentationResource(service, buildApiResourceUri('@ember/routing/router-service'));
+
+      expect(contents.text).toContain('# RouterService');
+    });
+
+    it('should read modules that share their name with the classes in them', async () => {
+      const contents = await readDocumentationResource(service, buildApiResourceUri('@ember/routing'));
+
+      expect(contents.text).toContain('# @ember/routing');
+      expect(contents.text).toContain('Routing classes.');
+      expect(contents.text).not.toContain('# Route\n');
+    });
+
+    it('should return the untruncated guide content', async () => {
+      const contents = await readDocumentationResource(service, 'ember-docs://guides/routing/0');
+
+      expect(contents.text).toBe(service.getItemContent('routing', service.sections.routing[0]));
+      expect(contents.text).not.toContain('# routing');
+      expect(contents.text).toContain('the routes that you\'ve defined.');
+    });
+
+    it('should return null for missing resources', async () => {
+      expect(await readDocumentationResource(service, buildApiResourceUri('Nope'))).toBeNull();
+      expect(await readDocumentationResource(service, 'ember-docs://guides/routing/99')).toBeNull();
+      expect(await readDocumentationResource(service, 'ember-docs://guides/api-docs/0')).toBeNull();
+      expect(await readDocumentationResource(service, 'not-a-uri')).toBeNull();
+    });
+  });
+});
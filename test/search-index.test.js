@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import { SearchIndex, extractHeadings, normalizeTerm, tokenize } from '../lib/search-index.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { editDistance, findClosest, getAllowedEdits } from '../lib/edit-distance.js';
+import { formatNoSearchResults } from '../lib/formatters.js';
+
+describe('SearchIndex', () => {
+  describe('tokenize', () => {
+    it('should split on punctuation and singularize terms', () => {
+      const terms = tokenize('{{on "click"}} Tracked properties!').map(token => token.term);
+
+      expect(terms).toEqual(['on', 'click', 'tracked', 'property']);
+    });
+
+    it('should emit identifier parts at the identifier offset', () => {
+      expect(tokenize('use transitionTo')).toEqual([
+        { term: 'use', offset: 0, length: 3 },
+        { term: 'transitionto', offset: 4, length: 12 },
+        { term: 'transition', offset: 4, length: 12 },
+        { term: 'to', offset: 4, length: 12 },
+      ]);
+      expect(tokenize('HTMLBars', { subwords: false })).toEqual([{ term: 'htmlbar', offset: 0, length: 8 }]);
+    });
+
+    it('should not singularize short words', () => {
+      expect(normalizeTerm('js')).toBe('js');
+      expect(normalizeTerm('Routes')).toBe('route');
+    });
+  });
+
+  it('should extract markdown headings', () => {
+    expect(extractHeadings('# Routing\n\ntext\n\n### Query Params\n#notaheading')).toEqual(['Routing', 'Query Params']);
+  });
+
+  describe('scoring', () => {
+    const buildIndex = () => {
+      const index = new SearchIndex();
+      index.add({ section: 'guides', title: 'Services', content: '# Services\n\nA service is a singleton.' });
+      index.add({ section: 'guides', title: 'Routing', content: '# Routing\n\nRoutes can inject a service.\n\n## Router service\n' });
+      index.add({ section: 'guides', title: 'Templates', content: '# Templates\n\nTemplates render components.' });
+      return index;
+    };
+
+    it('should record field frequencies and the first body offset', () => {
+      const index = buildIndex();
+      const posting = index.getPostings('service').get(1);
+
+      expect(posting).toEqual({ title: 0, headings: 1, body: 2, offset: 'Routing\n\nRoutes can inject a '.length + 2 });
+      expect(index.documents[1].section).toBe('guides');
+      expect(index.size).toBe(3);
+    });
+
+    it('should weight rare terms above common ones', () => {
+      const index = buildIndex();
+
+      expect(index.idf('template')).toBeGreaterThan(index.idf('service'));
+      expect(index.idf('missing')).toBe(0);
+    });
+
+    it('should saturate term frequency', () => {
+      const index = buildIndex();
+      const document = index.documents[0];
+
+      expect(index.fieldScore(0, document, 'body')).toBe(0);
+      expect(index.fieldScore(2, document, 'body')).toBeGreaterThan(index.fieldScore(1, document, 'body'));
+      expect(index.fieldScore(100, document, 'body')).toBeLessThan(index.k1 + 1);
+    });
+  });
+
+  describe('edit distance', () => {
+    it('should count swapped characters as one edit', () => {
+      expect(editDistance('trakced', 'tracked')).toBe(1);
+      expect(editDistance('routr', 'router')).toBe(1);
+      expect(editDistance('glimer', 'glimmer')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    it('should stop once the distance exceeds the maximum', () => {
+      expect(editDistance('component', 'controller', 2)).toBe(3);
+      expect(editDistance('a', 'abcdef', 1)).toBe(2);
+    });
+
+    it('should allow more edits in longer words', () => {
+      expect(getAllowedEdits('api', 2)).toBe(0);
+      expect(getAllowedEdits('routr', 2)).toBe(1);
+      expect(getAllowedEdits('componnets', 2)).toBe(2);
+      expect(getAllowedEdits('componnets', 1)).toBe(1);
+    });
+
+    it('should rank the closest candidates first', () => {
+      const matches = findClosest('routr', ['router', 'route', 'routes', 'outlet'], {
+        maxDistance: 1,
+        rank: value => (value === 'router' ? 1 : 0),
+      });
+
+      expect(matches).toEqual([
+        { value: 'router', distance: 1 },
+        { value: 'route', distance: 1 },
+      ]);
+    });
+  });
+
+  describe('DocumentationService search', () => {
+    const doc = `# guides
+
+# Introduction
+
+Ember guides.
+
+----------
+
+# Tracked Properties
+
+Mark state with @tracked so templates update.
+
+----------
+
+# Components
+
+Glimmer components receive arguments. A component can read tracked state and a property of a service.
+`;
+
+    it('should rank title matches above body matches', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(doc);
+
+      const results = await service.search('tracked property', 'all', 5);
+
+      expect(results[0].title).toBe('Tracked Properties');
+    });
+
+    it('should match misspelled terms at a penalty', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(doc);
+
+      const [exact] = await service.search('tracked', 'all', 5);
+      const [fuzzy] = await service.search('trakced', 'all', 5);
+
+      expect(fuzzy.title).toBe('Tracked Properties');
+      expect(fuzzy.score).toBeLessThan(exact.score);
+      expect((await service.search('glimer componnets', 'all', 5))[0].title).toBe('Components');
+    });
+
+    it('should suggest queries built from the index vocabulary', () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(doc);
+
+      expect(service.getSearchSuggestions('trakced state')).toEqual(['tracked state']);
+      expect(service.getSearchSuggestions('Mark stat')).toEqual(['Mark state']);
+      expect(service.getSearchSuggestions('tracked state')).toEqual([]);
+      expect(service.getSearchSuggestions('xyzzy')).toEqual([]);
+    });
+
+    it('should show suggestions when nothing matches', () => {
+      expect(formatNoSearchResults('routr', ['route', 'router', 'routing'])).toBe(
+        'No results found for "routr". Did you mean "route", "router" or "routing"?'
+      );
+      expect(formatNoSearchResults('xyzzy')).toContain('Try different keywords');
+    });
+
+    it('should explain how each result was scored', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(doc);
+
+      const { results, rejected, gates } = await service.explainSearch('tracked state', 'all', 5);
+      const [top] = results;
+      const total = Object.values(top.explanation.components).reduce((sum, value) => sum + value, 0);
+
+      expect(top.title).toBe('Components');
+      expect(total).toBeCloseTo(top.score, 1);
+      expect(top.explanation.components.exactPhraseBonus).toBeGreaterThan(0);
+      expect(top.explanation.components.allTermsBonus).toBeGreaterThan(0);
+      expect(top.explanation.terms.map(term => term.query)).toEqual(['tracked', 'state']);
+      expect(top.explanation.failedGates).toEqual([]);
+      expect(rejected).toEqual([]);
+      expect(gates).toHaveProperty('MIN_SCORE');
+    });
+
+    it('should list documents left out by the score gates', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(doc);
+
+      const { results, rejected } = await service.explainSearch('property update', 'all', 5);
+
+      expect(results.map(result => result.title)).toEqual(['Tracked Properties']);
+      expect(rejected.map(result => result.title)).toEqual(['Components']);
+      expect(rejected[0].explanation.failedGates).toEqual(['MIN_SCORE', 'MIN_SCORE_SINGLE_TERM']);
+      expect(await service.search('property update', 'all', 5)).toHaveLength(1);
+    });
+
+    it('should return no results for queries without terms', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(doc);
+
+      await expect(service.search('c++', 'all', 5)).resolves.toEqual([]);
+      await expect(service.search('(', 'all', 5)).resolves.toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { extractSourceMetadata, normalizeGuidePath, stripFrontmatter } from '../lib/source-metadata.js';
+import { splitIntoChunks } from '../lib/doc-chunks.js';
+import { generateUrl } from '../lib/url-builder.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { formatBestPractices, formatSearchResults } from '../lib/formatters.js';
+import { GUIDES_BASE } from '../lib/config.js';
+
+const mockDoc = `# guides
+
+---
+title: Query Parameters
+path: /release/routing/query-params.md
+---
+
+# Query Parameters
+
+Query params are optional key-value pairs that appear to the right of the ? in a URL.
+
+## Specifying Query Parameters
+
+Declare queryParams on the controller.
+
+----------
+
+# Templates
+
+Templates render HTML.
+
+# community-bloggers
+
+## [Prefer Tracked Properties](https://blog.example.com/tracked)
+
+*By Jane Doe*
+
+Best practice: use tracked properties instead of computed properties.
+
+----------
+
+## Untitled Musings
+
+Avoid observers; tracked properties are the recommended way.
+`;
+
+describe('Source metadata', () => {
+  describe('extractSourceMetadata', () => {
+    it('should read frontmatter', () => {
+      expect(extractSourceMetadata('---\ntitle: Routing\nurl: https://example.com/routing\nauthor: "Jo"\n---\n# Routing')).toEqual({
+        url: 'https://example.com/routing',
+        path: null,
+        author: 'Jo',
+      });
+    });
+
+    it('should read linked headings, bylines and metadata lines', () => {
+      expect(extractSourceMetadata('## [Post](https://blog.example.com/post)\n\nWritten by Sam Lee\n\nBody text.')).toEqual({
+        url: 'https://blog.example.com/post',
+        path: null,
+        author: 'Sam Lee',
+      });
+      expect(extractSourceMetadata('# Post\n**Author:** [Sam](https://x.dev)\nSource: <https://x.dev/post>\n\nBody')).toEqual({
+        url: 'https://x.dev/post',
+        path: null,
+        author: 'Sam',
+      });
+    });
+
+    it('should stop at the body', () => {
+      expect(extractSourceMetadata('# Routing\n\nRoutes map URLs.\n\nBy the way, url: https://example.com')).toEqual({
+        url: null,
+        path: null,
+        author: null,
+      });
+    });
+
+    it('should strip leading frontmatter only', () => {
+      expect(stripFrontmatter('\n---\ntitle: Routing\n---\n\n# Routing')).toBe('\n# Routing');
+      expect(stripFrontmatter('# Routing\n\n---\n\nText')).toBe('# Routing\n\n---\n\nText');
+    });
+
+    it('should normalize guide paths', () => {
+      expect(normalizeGuidePath('/guides/release/routing/query-params.md')).toBe('routing/query-params');
+      expect(normalizeGuidePath('v5.8.0/components/index.md')).toBe('components');
+      expect(normalizeGuidePath('index.md')).toBeNull();
+    });
+  });
+
+  describe('generateUrl', () => {
+    it('should link to the source page when known', () => {
+      expect(generateUrl('guides', 'Usage', { anchor: 'usage', source: { path: 'routing/query-params' } })).toBe(
+        `${GUIDES_BASE}/routing/query-params/#usage`
+      );
+      expect(generateUrl('community-bloggers', 'Post', { anchor: 'intro', source: { url: 'https://blog.example.com/post' } })).toBe(
+        'https://blog.example.com/post'
+      );
+    });
+
+    it('should keep the anchor of guides published at a source URL', () => {
+      const source = { url: 'https://guides.emberjs.com/release/routing/query-params/', path: 'routing/query-params' };
+
+      expect(generateUrl('guides', 'Usage', { anchor: 'usage', source })).toBe(
+        'https://guides.emberjs.com/release/routing/query-params/#usage'
+      );
+      expect(generateUrl('guides', 'Query Parameters', { source })).toBe(source.url);
+    });
+
+    it('should not link items whose page is unknown', () => {
+      expect(generateUrl('community-bloggers', 'Post')).toBeNull();
+      expect(generateUrl('guides', 'Routing', { anchor: 'routing' })).toBeNull();
+    });
+  });
+
+  describe('DocumentationService', () => {
+    it('should keep frontmatter with its item', () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+
+      expect(service.sections.guides).toHaveLength(2);
+      expect(service.sections.guides[0].content).toContain('path: /release/routing/query-params.md');
+    });
+
+    it('should leave frontmatter out of the page text', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+
+      const [page] = await service.search('title:"query parameters" optional key-value', 'guides', 5);
+      const chunks = splitIntoChunks(service.getItemContent('guides', service.sections.guides[0]));
+
+      expect(page.url).toBe(`${GUIDES_BASE}/routing/query-params/`);
+      expect(page.excerpt).not.toMatch(/title:|path:|---/);
+      expect(chunks[0].content).toMatch(/^# Query Parameters\n/);
+      expect(chunks.map(chunk => chunk.content).join('\n')).not.toMatch(/title:|path:/);
+    });
+
+    it('should cite the source page in search results', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+
+      const [guide] = await service.search('queryParams controller', 'all', 5);
+      const [article] = await service.search('tracked computed', 'community', 5);
+
+      expect(guide.url).toBe(`${GUIDES_BASE}/routing/query-params/#specifying-query-parameters`);
+      expect(article.title).toBe('Prefer Tracked Properties');
+      expect(article.url).toBe('https://blog.example.com/tracked');
+      expect(article.author).toBe('Jane Doe');
+      expect(formatSearchResults([article], service.deprecationManager)).toContain('**Author:** Jane Doe');
+    });
+
+    it('should cite community articles in best practices', async () => {
+      const service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+
+      const practices = await service.getBestPractices('tracked properties');
+      const cited = practices.find(practice => practice.title === 'Prefer Tracked Properties');
+      const uncited = practices.find(practice => practice.title === 'Untitled Musings');
+
+      expect(cited.references).toEqual(['https://blog.example.com/tracked']);
+      expect(cited.author).toBe('Jane Doe');
+      expect(uncited.references).toEqual([]);
+      expect(formatBestPractices([cited], 'tracked', service.deprecationManager)).toContain('*By Jane Doe*');
+    });
+  });
+});
@@ -0,0 +1,321 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { NpmService } from '../lib/npm-service.js';
+import { PackageManagerDetector } from '../lib/package-manager-detector.js';
+import { diffApiSnapshots } from '../lib/api-diff.js';
+import {
+  OUTPUT_SCHEMAS,
+  structureApiMember,
+  structureSearchResults,
+  structureApiReference,
+  structureModuleExports,
+  structureImportPaths,
+  structureApiUsages,
+  structureBestPractices,
+  structureVersionInfo,
+  structureApiDiff,
+  structurePackageInfo,
+  structureVersionComparison,
+  structureDetectionResult,
+} from '../lib/structured-output.js';
+
+const validator = new AjvJsonSchemaValidator();
+
+function expectValid(toolName, data) {
+  const result = validator.getValidator(OUTPUT_SCHEMAS[toolName])(data);
+  expect(result.errorMessage).toBeUndefined();
+  expect(result.valid).toBe(true);
+}
+
+const mockDoc = `# api-docs
+
+{
+  "data": {
+    "id": "ember-6.2.0-ArrayProxy",
+    "type": "class",
+    "attributes": {
+      "name": "ArrayProxy",
+      "module": "@ember/array/proxy",
+      "description": "ArrayProxy is deprecated. Use tracked properties with native arrays instead.",
+      "file": "packages/@ember/array/proxy.ts",
+      "line": 45,
+      "extends": "EmberObject",
+      "methods": [
+        {
+          "name": "objectAt",
+          "description": "Returns the object at the given index",
+          "params": [{ "name": "idx", "type": "Number", "description": "The index" }],
+          "return": { "type": "Any", "description": "The object" },
+          "access": "public",
+          "static": 1
+        }
+      ],
+      "properties": [
+        { "name": "content", "type": "Array", "description": "The content array", "deprecated": true }
+      ]
+    }
+  }
+}
+
+# community-bloggers
+
+## Modern Ember Patterns
+
+This article discusses the best practice for component patterns. Avoid ArrayProxy and prefer tracked properties.`;
+
+describe('structured output', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new DocumentationService();
+    service.parseDocumentation(mockDoc);
+  });
+
+  it('should declare an output schema for every tool', () => {
+    expect(Object.keys(OUTPUT_SCHEMAS).sort()).toEqual([
+      'compare_npm_versions',
+      'detect_package_manager',
+      'diff_api_versions',
+      'find_import_path',
+      'find_usages_in_docs',
+      'get_api_reference',
+      'get_best_practices',
+      'get_ember_version_info',
+      'get_module_exports',
+      'get_npm_package_info',
+      'search_ember_docs',
+    ]);
+  });
+
+  describe('structureSearchResults', () => {
+    it('should include scores and URLs', async () => {
+      const results = await service.search('ArrayProxy', 'all', 5);
+      const structured = structureSearchResults('ArrayProxy', 'all', results);
+
+      expect(structured.results.length).toBeGreaterThan(0);
+      expect(structured.results[0].score).toBeGreaterThan(0);
+      expect(structured.results[0]).toHaveProperty('url');
+      expect(structured.results[0]).not.toHaveProperty('deprecationInfo');
+      expectValid('search_ember_docs', structured);
+    });
+
+    it('should include score explanations and rejected documents', async () => {
+      const { results, ...explained } = await service.explainSearch('ArrayProxy zzzz', 'all', 5);
+      const structured = structureSearchResults('ArrayProxy zzzz', 'all', results, { explained });
+
+      expect(structured.results.every(result => result.explanation.failedGates.length === 0)).toBe(true);
+      expect(structured.rejected.length).toBeGreaterThan(0);
+      expect(structured.rejected[0].explanation.failedGates.length).toBeGreaterThan(0);
+      expect(structured.gates).toEqual(explained.gates);
+      expectValid('search_ember_docs', structured);
+    });
+
+    it('should validate empty results', () => {
+      expectValid('search_ember_docs', structureSearchResults('nothing', 'api', []));
+      expectValid('search_ember_docs', structureSearchResults('routr', 'api', [], { suggestions: ['route', 'router'] }));
+    });
+  });
+
+  describe('structureApiReference', () => {
+    it('should include methods with params', async () => {
+      const apiDoc = await service.getApiReference('ArrayProxy');
+      const structured = structureApiReference('ArrayProxy', apiDoc);
+
+      expect(structured.found).toBe(true);
+      expect(structured.api.methods[0].params[0]).toEqual({
+        name: 'idx',
+        type: 'Number',
+        description: 'The index',
+        optional: false,
+      });
+      expect(structured.api.methods[0].static).toBe(true);
+      expect(structured.api.properties[0].deprecated).toBe(true);
+      expect(structured.api).not.toHaveProperty('rawData');
+      expectValid('get_api_reference', structured);
+    });
+
+    it('should return a single member', async () => {
+      const apiDoc = await service.getApiReference('ArrayProxy#objectAt');
+      const structured = structureApiReference('ArrayProxy#objectAt', apiDoc);
+
+      expect(structured.api).toBeNull();
+      expect(structured.member).toMatchObject({
+        name: 'objectAt',
+        memberType: 'method',
+        className: 'ArrayProxy',
+        signature: 'static objectAt(idx: number): unknown',
+        static: true,
+        alternatives: [],
+      });
+      expectValid('get_api_reference', structured);
+    });
+
+    it('should report missing APIs', () => {
+      const structured = structureApiReference('Nope', null);
+
+      expect(structured).toEqual({ name: 'Nope', found: false, api: null });
+      expectValid('get_api_reference', structured);
+    });
+
+    it('should suggest close names for missing APIs', async () => {
+      const resolved = structureApiReference('ArrayProxi', await service.getApiReference('ArrayProxi'));
+      const missing = structureApiReference('ArrayProx#objectAt', null, {
+        suggestions: service.suggestApiNames('ArrayProxy#objectA'),
+      });
+
+      expect(resolved).toMatchObject({ found: true, resolvedFrom: 'ArrayProxi', api: { name: 'ArrayProxy' } });
+      expect(missing.suggestions).toEqual([
+        { name: 'ArrayProxy#objectAt', type: 'method', module: '@ember/array/proxy', reason: 'prefix' },
+      ]);
+      expectValid('get_api_reference', resolved);
+      expectValid('get_api_reference', missing);
+    });
+  });
+
+  describe('structureModuleExports', () => {
+    it('should list exports with their import statements', async () => {
+      const structured = structureModuleExports('@ember/array/proxy', await service.getModuleExports('@ember/array/proxy'));
+
+      expect(structured.exports).toEqual([
+        {
+          name: 'ArrayProxy',
+          module: '@ember/array/proxy',
+          kind: 'default',
+          apiType: 'class',
+          className: 'ArrayProxy',
+          importStatement: "import ArrayProxy from '@ember/array/proxy';",
+          legacyGlobal: 'Ember.ArrayProxy',
+          deprecated: true,
+          apiUrl: expect.stringContaining('/classes/ArrayProxy'),
+        },
+      ]);
+      expectValid('get_module_exports', structured);
+    });
+
+    it('should validate when nothing is found', async () => {
+      expectValid('get_module_exports', structureModuleExports('@ember/nope', null));
+      expectValid('find_import_path', structureImportPaths('nope', await service.findImportPath('nope')));
+    });
+
+    it('should list import paths', async () => {
+      const structured = structureImportPaths('Ember.ArrayProxy', await service.findImportPath('Ember.ArrayProxy'));
+
+      expect(structured.found).toBe(true);
+      expect(structured.matches[0].module).toBe('@ember/array/proxy');
+      expectValid('find_import_path', structured);
+      expectValid('find_import_path', {
+        ...structured,
+        emberVersion: { version: '4.12.3', requested: '4.12', source: 'emberVersion argument' },
+      });
+    });
+  });
+
+  describe('structureApiUsages', () => {
+    const usage = {
+      title: 'Redirecting',
+      category: 'Guides & Tutorials',
+      breadcrumb: ['Transitions', 'Redirecting'],
+      url: 'https://guides.emberjs.com/release/routing/transitions/#redirecting',
+      author: null,
+      kinds: ['inline', 'code'],
+      mentions: 2,
+      context: 'Use `RouterService#transitionTo` to leave a route.',
+    };
+
+    it('should validate usages and related guides', async () => {
+      expectValid('find_usages_in_docs', structureApiUsages('RouterService', { name: 'RouterService', total: 1, usages: [usage] }));
+      expectValid('find_usages_in_docs', structureApiUsages('ArrayProxy', await service.findUsagesInDocs('ArrayProxy')));
+      expectValid('find_usages_in_docs', structureApiUsages('nope', null));
+
+      const apiDoc = await service.getApiReference('ArrayProxy');
+      expectValid('get_api_reference', structureApiReference('ArrayProxy', { ...apiDoc, relatedGuides: [usage] }));
+    });
+  });
+
+  describe('structureApiMember', () => {
+    it('should default optional fields to null', () => {
+      expect(structureApiMember({ name: 'foo' })).toEqual({
+        name: 'foo',
+        description: null,
+        type: null,
+        params: [],
+        return: null,
+        since: null,
+        deprecated: false,
+        access: null,
+        static: false,
+      });
+    });
+  });
+
+  it('should structure best practices', async () => {
+    const practices = await service.getBestPractices('component patterns');
+    const structured = structureBestPractices('component patterns', practices);
+
+    expect(structured.practices.length).toBeGreaterThan(0);
+    expectValid('get_best_practices', structured);
+  });
+
+  it('should structure version info', () => {
+    const versionInfo = service.getFallbackVersionInfo();
+
+    expectValid('get_ember_version_info', structureVersionInfo(versionInfo));
+  });
+
+  it('should structure API diffs', () => {
+    const diff = diffApiSnapshots(
+      { version: '4.12.3', items: [{ type: 'class', attributes: { name: 'Old', deprecated: true } }] },
+      service.getApiSnapshot()
+    );
+
+    expectValid('diff_api_versions', structureApiDiff(diff));
+  });
+
+  it('should structure npm package info', () => {
+    const formatted = new NpmService().formatPackageInfo({
+      name: 'test-package',
+      'dist-tags': { latest: '1.0.0' },
+      versions: {
+        '1.0.0': { license: { type: 'MIT' }, dependencies: { a: '^1.0.0' } },
+      },
+      maintainers: [{ name: 'maintainer1', email: 'm@example.com' }],
+      time: { '1.0.0': '2024-01-01T00:00:00.000Z' },
+    });
+    const structured = structurePackageInfo(formatted);
+
+    expect(structured.license).toBe('MIT');
+    expect(structured.maintainers).toEqual(['maintainer1']);
+    expectValid('get_npm_package_info', structured);
+  });
+
+  it('should structure the version comparison', () => {
+    const structured = structureVersionComparison({
+      packageName: 'ember-source',
+      currentVersion: '4.12.0',
+      latestVersion: '6.2.0',
+      isLatest: false,
+      distTags: { latest: '6.2.0' },
+      needsUpdate: true,
+      availableVersionsCount: 300,
+      releaseDate: '2025-01-01T00:00:00.000Z',
+      currentVersionReleaseDate: null,
+    });
+
+    expectValid('compare_npm_versions', structured);
+  });
+
+  it('should structure the detection result with commands', () => {
+    const detector = new PackageManagerDetector();
+    const structured = structureDetectionResult({
+      manager: 'pnpm',
+      lockfile: 'pnpm-lock.yaml',
+      runner: 'pnpm',
+      detectionMethod: 'lockfile',
+      confidence: 'high',
+    }, detector);
+
+    expect(structured.commands.add).toBe('pnpm add');
+    expectValid('detect_package_manager', structured);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SynonymMap } from '../lib/synonyms.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { applyConfig, SEARCH_SYNONYMS } from '../lib/config.js';
+import { applyLoadedConfig, loadConfig } from '../lib/config-loader.js';
+
+const mockDoc = `# guides
+
+# Introduction
+
+Ember guides.
+
+----------
+
+# Glimmer Components
+
+Glimmer components receive arguments from their caller.
+
+----------
+
+# WarpDrive
+
+WarpDrive manages your application's data with a store.
+
+----------
+
+# Octane Components
+
+Octane components use native classes.
+
+----------
+
+# community-bloggers
+
+## Modern Events
+
+Best practice: use the {{on}} modifier with @action instead of legacy event handling.
+`;
+
+describe('Synonyms', () => {
+  afterEach(() => {
+    applyConfig();
+  });
+
+  describe('SynonymMap', () => {
+    const synonyms = new SynonymMap({
+      'ember-data': ['warpdrive', 'warp-drive'],
+      '{{action}}': ['{{on}}', '@action'],
+    });
+
+    it('should find phrases in query terms and return the rest of the group', () => {
+      expect(synonyms.expand(['use', 'ember', 'data', 'store'])).toEqual([
+        {
+          start: 1,
+          length: 2,
+          alternatives: [
+            { text: 'warpdrive', terms: ['warpdrive'] },
+            { text: 'warp-drive', terms: ['warp', 'drive'] },
+          ],
+        },
+      ]);
+    });
+
+    it('should expand phrases with the same terms once', () => {
+      const [expansion, ...rest] = synonyms.expand(['action']);
+
+      expect(rest).toEqual([]);
+      expect(expansion.alternatives.map(phrase => phrase.text)).toEqual(['{{on}}']);
+    });
+
+    it('should ignore partial phrases', () => {
+      expect(synonyms.expand(['ember', 'component'])).toEqual([]);
+    });
+  });
+
+  describe('search', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+    });
+
+    const searchTitles = async query => (await service.search(query, 'all', 5)).map(result => result.title);
+
+    it('should find documents that use a synonym of a query term', async () => {
+      expect(await searchTitles('ember-data store')).toEqual(['WarpDrive']);
+      expect(await searchTitles('glimmer args')).toContain('Glimmer Components');
+    });
+
+    it('should score synonym matches below direct matches', async () => {
+      const results = await service.search('octane component', 'all', 5);
+
+      expect(results.map(result => result.title)).toEqual(['Octane Components', 'Glimmer Components']);
+      expect(results[1].score).toBeLessThan(results[0].score);
+    });
+
+    it('should use synonyms added through config', async () => {
+      expect(await searchTitles('datastore')).toEqual([]);
+
+      const { config } = await loadConfig({ env: { EMBER_MCP_SEARCH_SYNONYMS: '{"datastore": ["warpdrive"]}' } });
+      applyLoadedConfig(config);
+
+      expect(config.searchSynonyms.datastore).toEqual(['warpdrive']);
+      expect(config.searchSynonyms.tracked).toEqual(SEARCH_SYNONYMS.tracked);
+      expect(await searchTitles('datastore')).toEqual(['WarpDrive']);
+    });
+  });
+
+  it('should use synonyms for best practices', async () => {
+    const service = new DocumentationService();
+    service.parseDocumentation(mockDoc);
+
+    const practices = await service.getBestPractices('{{action}} helper');
+
+    expect(practices).toHaveLength(1);
+    expect(practices[0].content).toContain('{{on}} modifier');
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { toTypeScriptType, formatTypeScriptSignature } from '../lib/ts-signatures.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { formatApiReference } from '../lib/formatters.js';
+import { structureApiReference } from '../lib/structured-output.js';
+
+const transitionTo = {
+  name: 'transitionTo',
+  params: [
+    { name: 'name', type: 'String' },
+    { name: 'models', type: '...Object', optional: true, multiple: true },
+    {
+      name: 'options',
+      type: 'Object',
+      optional: true,
+      props: [{ name: 'queryParams', type: 'Object', optional: true }],
+    },
+  ],
+  return: { type: 'Transition' },
+};
+
+const apiDoc = (name, attributes) => JSON.stringify({
+  data: { id: `ember-6.2.0-${name}`, type: 'class', attributes: { name, ...attributes } },
+});
+
+const mockDoc = `# api-docs
+
+${apiDoc('RouterService', {
+  module: '@ember/routing/router-service',
+  extends: 'Service',
+  methods: [transitionTo, { name: 'refresh', deprecated: true }],
+  properties: [{ name: 'currentRouteName', type: 'String' }],
+})}
+
+----------
+
+${apiDoc('Service', { module: '@ember/service', methods: [{ name: 'destroy' }] })}
+`;
+
+describe('TypeScript signatures', () => {
+  describe('toTypeScriptType', () => {
+    it('should convert YUIDoc types', () => {
+      expect(toTypeScriptType('String')).toBe('string');
+      expect(toTypeScriptType('{Boolean}')).toBe('boolean');
+      expect(toTypeScriptType('Any')).toBe('unknown');
+      expect(toTypeScriptType('Array')).toBe('unknown[]');
+      expect(toTypeScriptType('String[]')).toBe('string[]');
+      expect(toTypeScriptType('Array|String')).toBe('unknown[] | string');
+      expect(toTypeScriptType('Promise<Object>')).toBe('Promise<object>');
+      expect(toTypeScriptType('RSVP.Promise')).toBe('Promise<unknown>');
+      expect(toTypeScriptType('Transition')).toBe('Transition');
+      expect(toTypeScriptType(undefined)).toBe('unknown');
+    });
+  });
+
+  describe('formatTypeScriptSignature', () => {
+    it('should write optional, rest and object params', () => {
+      expect(formatTypeScriptSignature(transitionTo, 'method')).toBe(
+        'transitionTo(name: string, ...models: unknown[], options?: { queryParams?: object }): Transition'
+      );
+    });
+
+    it('should nest dotted sub-params', () => {
+      const member = {
+        name: 'lookup',
+        static: true,
+        params: [
+          { name: 'fullName', type: 'String' },
+          { name: 'options', type: 'Object', optional: true },
+          { name: 'options.singleton', type: 'Boolean', optional: true },
+          { name: 'options.instantiate', type: 'Boolean' },
+        ],
+        return: { type: 'Any' },
+      };
+
+      expect(formatTypeScriptSignature(member, 'method')).toBe(
+        'static lookup(fullName: string, options?: { singleton?: boolean; instantiate: boolean }): unknown'
+      );
+    });
+
+    it('should default to void returns and unknown types', () => {
+      expect(formatTypeScriptSignature({ name: 'refresh', params: [{ name: 'route' }] }, 'method')).toBe(
+        'refresh(route: unknown): void'
+      );
+      expect(formatTypeScriptSignature({ name: 'currentURL', type: 'String' }, 'property')).toBe('currentURL: string');
+    });
+  });
+
+  describe('API output', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+    });
+
+    it('should show each member\'s signature', async () => {
+      const output = formatApiReference(await service.getApiReference('RouterService'), service.deprecationManager);
+
+      expect(output).toContain(
+        '### transitionTo\n\n```ts\ntransitionTo(name: string, ...models: unknown[], options?: { queryParams?: object }): Transition\n```'
+      );
+      expect(output).toContain('### currentRouteName\n\n```ts\ncurrentRouteName: string\n```');
+    });
+
+    it('should flag deprecated members in the full listing', async () => {
+      const output = formatApiReference(await service.getApiReference('RouterService'), service.deprecationManager);
+
+      expect(output).toContain('### refresh\n\n> ⚠️ **DEPRECATED**\n\n```ts\nrefresh(): void\n```');
+      expect(output).not.toContain('### transitionTo\n\n> ⚠️');
+    });
+
+    it('should list only signatures in signatures_only detail', async () => {
+      const reference = await service.getApiReference('RouterService');
+      const output = formatApiReference(reference, service.deprecationManager, { detail: 'signatures_only' });
+
+      expect(output).toContain([
+        '## Methods\n\n```ts',
+        'transitionTo(name: string, ...models: unknown[], options?: { queryParams?: object }): Transition',
+        'refresh(): void // deprecated',
+        'destroy(): void // inherited from Service',
+        '```',
+      ].join('\n'));
+      expect(output).toContain('## Properties\n\n```ts\ncurrentRouteName: string\n```');
+      expect(output).not.toContain('### ');
+    });
+
+    it('should list a single member as its signature', async () => {
+      const member = await service.getApiReference('RouterService#currentRouteName');
+
+      expect(formatApiReference(member, service.deprecationManager, { detail: 'signatures_only' })).toBe(
+        '# RouterService#currentRouteName\n\n```ts\ncurrentRouteName: string\n```\n\n' +
+        `**Full API Documentation:** ${member.apiUrl}\n`
+      );
+    });
+
+    it('should include signatures in structured output', async () => {
+      const structured = structureApiReference('RouterService', await service.getApiReference('RouterService'));
+
+      expect(structured.api.properties[0].signature).toBe('currentRouteName: string');
+    });
+  });
+});
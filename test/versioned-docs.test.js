@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { VersionedDocs, readWorkspaceEmberVersion } from '../lib/versioned-docs.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { generateUrl, generateApiUrl, generateApiMemberUrl } from '../lib/url-builder.js';
+import { formatVersionScope } from '../lib/formatters.js';
+import { API_DOCS_BASE, GUIDES_BASE } from '../lib/config.js';
+
+const releaseDoc = `# api-docs
+
+${JSON.stringify({
+  data: {
+    id: 'ember-6.2.0-RouterService',
+    type: 'class',
+    attributes: { name: 'RouterService', module: '@ember/routing/router-service', description: 'The router service.' },
+  },
+})}
+
+# guides
+
+---
+path: /release/routing.md
+---
+
+## Routing
+
+Routes load the data for a template with the model hook.`;
+
+const snapshot = {
+  version: '4.12.3',
+  items: [
+    {
+      id: 'ember-4.12.3-Route',
+      type: 'class',
+      attributes: {
+        name: 'Route',
+        module: '@ember/routing/route',
+        description: 'Use {{#crossLink "Route/transitionTo:method"}}{{/crossLink}} to leave.',
+        methods: [{ name: 'transitionTo', class: 'Route', deprecated: true }],
+      },
+    },
+  ],
+};
+
+describe('Versioned documentation', () => {
+  describe('version-pinned URLs', () => {
+    it('should link to the minor version of the docs', () => {
+      expect(generateApiUrl('Route', 'class', '4.12.3')).toBe(`${API_DOCS_BASE}/4.12/classes/Route`);
+      expect(generateApiMemberUrl('Route', 'method', 'refresh', 'v5.9.0-beta.1')).toBe(
+        `${API_DOCS_BASE}/5.9/classes/Route/methods/refresh?anchor=refresh`
+      );
+      expect(generateUrl('guides', 'Routing', { source: { path: 'routing' }, version: '4.12.3' })).toBe(
+        'https://guides.emberjs.com/v4.12.0/routing/'
+      );
+    });
+
+    it('should link to the release without a version', () => {
+      expect(generateApiUrl('Route', 'class')).toBe(`${API_DOCS_BASE}/release/classes/Route`);
+      expect(generateUrl('guides', 'Routing', { anchor: 'model', source: { path: 'routing' } })).toBe(
+        `${GUIDES_BASE}/routing/#model`
+      );
+    });
+  });
+
+  describe('readWorkspaceEmberVersion', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-workspace-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const writeJson = async (path, data) => {
+      await fs.mkdir(join(dir, path, '..'), { recursive: true });
+      await fs.writeFile(join(dir, path), JSON.stringify(data));
+    };
+
+    it('should prefer the installed ember-source', async () => {
+      await writeJson('package.json', { devDependencies: { 'ember-source': '~4.12.0' } });
+      expect(await readWorkspaceEmberVersion(dir)).toEqual({
+        version: '4.12',
+        source: 'ember-source ~4.12.0 in package.json',
+      });
+
+      await writeJson('node_modules/ember-source/package.json', { version: '4.12.3' });
+      expect(await readWorkspaceEmberVersion(dir)).toEqual({ version: '4.12.3', source: 'installed ember-source' });
+    });
+
+    it('should return null without an ember-source dependency', async () => {
+      await writeJson('package.json', { dependencies: { 'ember-cli': '^5.0.0' } });
+
+      expect(await readWorkspaceEmberVersion(dir)).toBeNull();
+    });
+  });
+
+  describe('VersionedDocs', () => {
+    let docService;
+    let apiSnapshots;
+    let versionedDocs;
+
+    beforeEach(() => {
+      docService = new DocumentationService({ cache: null });
+      docService.parseDocumentation(releaseDoc);
+      docService.loaded = true;
+      apiSnapshots = {
+        resolveVersion: vi.fn(async requested => (requested.startsWith('4') ? '4.12.3' : `${requested}.0`)),
+        getSnapshot: vi.fn(async version => ({ ...snapshot, version })),
+      };
+      versionedDocs = new VersionedDocs({ docService, apiSnapshots, maxVersions: 2 });
+    });
+
+    it('should use the loaded documentation without a version', async () => {
+      expect(await versionedDocs.resolve({})).toEqual({ docService, emberVersion: null });
+      expect(apiSnapshots.resolveVersion).not.toHaveBeenCalled();
+    });
+
+    it('should answer from the API documentation of the requested release', async () => {
+      const { docService: versioned, emberVersion } = await versionedDocs.resolve({ emberVersion: '4.12' });
+
+      expect(emberVersion).toEqual({ version: '4.12.3', requested: '4.12', source: 'emberVersion argument' });
+      expect(await versioned.getApiReference('RouterService')).toBeNull();
+
+      const route = await versioned.getApiReference('Route');
+      expect(route.apiUrl).toBe(`${API_DOCS_BASE}/4.12/classes/Route`);
+      expect(route.description).toContain(`(${API_DOCS_BASE}/4.12/classes/Route/methods/transitionTo?anchor=transitionTo)`);
+      expect(versioned.getApiSnapshot().version).toBe('4.12.3');
+
+      const [guide] = await versioned.search('model hook', 'guides');
+      expect(guide.url).toBe('https://guides.emberjs.com/v4.12.0/routing/');
+    });
+
+    it('should keep the most recently used releases', async () => {
+      const first = (await versionedDocs.resolve({ emberVersion: '4.12' })).docService;
+      await versionedDocs.resolve({ emberVersion: '5.8' });
+      expect((await versionedDocs.resolve({ emberVersion: '4.12' })).docService).toBe(first);
+
+      await versionedDocs.resolve({ emberVersion: '5.4' });
+      await versionedDocs.resolve({ emberVersion: '5.8' });
+      expect([...versionedDocs.services.keys()]).toEqual(['5.4.0', '5.8.0']);
+      expect(apiSnapshots.getSnapshot).toHaveBeenCalledTimes(4);
+    });
+
+    it('should read the version from a workspace', async () => {
+      const dir = await fs.mkdtemp(join(tmpdir(), 'ember-mcp-workspace-'));
+      try {
+        await fs.writeFile(join(dir, 'package.json'), JSON.stringify({ devDependencies: { 'ember-source': '^4.12.0' } }));
+
+        const { emberVersion } = await versionedDocs.resolve({ workspacePath: dir });
+        expect(emberVersion).toEqual({ version: '4.12.3', requested: '4.12', source: 'ember-source ^4.12.0 in package.json' });
+
+        await fs.writeFile(join(dir, 'package.json'), '{}');
+        await expect(versionedDocs.resolve({ workspacePath: dir })).rejects.toThrow('No ember-source dependency found in');
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should note the version an answer is for', () => {
+      expect(formatVersionScope(null)).toBe('');
+      expect(formatVersionScope({ version: '4.12.3', requested: '4.12', source: 'installed ember-source' })).toContain(
+        '**Ember 4.12.3 (from installed ember-source):**'
+      );
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderYuidoc, renderYuidocExcerpt } from '../lib/yuidoc-markdown.js';
+import { DocumentationService } from '../lib/documentation-service.js';
+import { API_DOCS_BASE } from '../lib/config.js';
+
+const apiDoc = (type, name, attributes = {}) => JSON.stringify({
+  data: { id: `ember-6.2.0-${name}`, type, attributes: { name, ...attributes } },
+});
+
+const mockDoc = `# api-docs
+
+${apiDoc('class', 'Route', {
+  module: '@ember/routing/route',
+  description: 'Handles <code>transitions</code>; see {{#crossLink "RouterService"}}the router{{/crossLink}}.',
+  methods: [{
+    name: 'transitionTo',
+    description: 'Transition to another route.\n\n@example\n  this.transitionTo(\'posts\');',
+    params: [{ name: 'name', description: 'A {{#crossLink "Route"}}{{/crossLink}} name' }],
+    return: { type: 'Transition', description: '<strong>the</strong> transition' },
+  }],
+})}
+`;
+
+describe('YUIDoc markdown', () => {
+  describe('renderYuidoc', () => {
+    it('should link crossLinks to the API docs', () => {
+      expect(renderYuidoc('See {{#crossLink "Route/transitionTo:method"}}{{/crossLink}}.')).toBe(
+        `See [\`Route#transitionTo\`](${API_DOCS_BASE}/release/classes/Route/methods/transitionTo?anchor=transitionTo).`
+      );
+      expect(renderYuidoc('Use {{#crossLink "RouterService"}}the router{{/crossLink}}')).toBe(
+        `Use [the router](${API_DOCS_BASE}/release/classes/RouterService)`
+      );
+      expect(renderYuidoc('In {{#crossLinkModule "@ember/routing"}}{{/crossLinkModule}}')).toBe(
+        `In [\`@ember/routing\`](${API_DOCS_BASE}/release/modules/@ember/routing)`
+      );
+    });
+
+    it('should convert HTML to markdown', () => {
+      expect(renderYuidoc('<p>Call <code>get</code> for <strong>computed</strong> values.</p><ul><li>one</li><li>two</li></ul>'))
+        .toBe('Call `get` for **computed** values.\n\n- one\n- two');
+      expect(renderYuidoc('<a href="https://emberjs.com">Ember</a> &amp; friends')).toBe('[Ember](https://emberjs.com) & friends');
+    });
+
+    it('should fence examples and drop tag lines', () => {
+      expect(renderYuidoc('Looks up a value.\n\n@method get\n@public\n@example\n    get(obj, \'name\');\n')).toBe(
+        "Looks up a value.\n\n```javascript\nget(obj, 'name');\n```"
+      );
+      expect(renderYuidoc('<pre class="code">a &lt; b</pre>')).toBe('```\na < b\n```');
+    });
+
+    it('should leave code and component invocations alone', () => {
+      const text = 'Render `<MyComponent />` or <MyComponent />.\n\n```hbs\n<p>{{#crossLink "Route"}}{{/crossLink}}</p>\n```';
+
+      expect(renderYuidoc(text)).toBe(text);
+      expect(renderYuidoc(null)).toBeNull();
+    });
+  });
+
+  describe('renderYuidocExcerpt', () => {
+    it('should unescape JSON and drop links cut off by the excerpt', () => {
+      expect(renderYuidocExcerpt('routes with \\"<code>model</code>\\"\\nSee {{#crossLink \\"Rou'))
+        .toBe('routes with "`model`"\nSee');
+    });
+  });
+
+  describe('DocumentationService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new DocumentationService();
+      service.parseDocumentation(mockDoc);
+    });
+
+    it('should render class and member descriptions', async () => {
+      const route = await service.getApiReference('Route');
+      const method = await service.getApiReference('Route#transitionTo');
+
+      expect(route.description).toBe(
+        `Handles \`transitions\`; see [the router](${API_DOCS_BASE}/release/classes/RouterService).`
+      );
+      expect(method.description).toBe("Transition to another route.\n\n```javascript\nthis.transitionTo('posts');\n```");
+      expect(method.params[0].description).toBe(`A [\`Route\`](${API_DOCS_BASE}/release/classes/Route) name`);
+      expect(method.return.description).toBe('**the** transition');
+    });
+
+    it('should render API search excerpts', async () => {
+      const [result] = await service.search('transition', 'api');
+
+      expect(result.excerpt).toContain('"description":"**the** transition"');
+      expect(result.excerpt).not.toContain('{{#crossLink');
+    });
+  });
+});